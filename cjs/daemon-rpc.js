@@ -0,0 +1,18 @@
+/**
+ * CommonJS entry point for the daemon RPC client, equivalent to the ES module
+ * entry point esm/daemon-rpc.mjs.
+ */
+
+const MoneroDaemonRpc = require("../src/main/js/daemon/MoneroDaemonRpc");
+
+module.exports = { MoneroDaemonRpc };
+
+/**
+ * Create a client connected to monerod.
+ *
+ * @see connectToDaemonRpc() in index.js for the supported parameters
+ * @return {Promise<MoneroDaemonRpc>} the daemon RPC client
+ */
+module.exports.connectToDaemonRpc = function() {
+  return MoneroDaemonRpc._connectToDaemonRpc(...arguments);
+}
@@ -0,0 +1,211 @@
+/**
+ * <p>CommonJS entry point for the models, utilities and interfaces of
+ * monero-javascript, equivalent to the ES module entry point esm/models.mjs.</p>
+ *
+ * <p>Nothing required from this entry point loads WebAssembly. The wallet
+ * implementations are required separately from "monero-javascript/daemon-rpc",
+ * "monero-javascript/wallet-rpc", "monero-javascript/wallet-keys" and
+ * "monero-javascript/wallet-full".</p>
+ */
+
+// require common models
+const GenUtils = require("../src/main/js/common/GenUtils");
+const biginteger = require("../src/main/js/common/biginteger");
+const Filter = require("../src/main/js/common/Filter");
+const MoneroError = require("../src/main/js/common/MoneroError");
+const HttpClient = require("../src/main/js/common/HttpClient");
+const LibraryUtils = require("../src/main/js/common/LibraryUtils");
+const MoneroLogger = require("../src/main/js/common/MoneroLogger");
+const MoneroMetrics = require("../src/main/js/common/MoneroMetrics");
+const MoneroRpcConnection = require("../src/main/js/common/MoneroRpcConnection");
+const MoneroRpcError = require("../src/main/js/common/MoneroRpcError");
+const SslOptions = require("../src/main/js/common/SslOptions");
+const TaskLooper = require("../src/main/js/common/TaskLooper");
+const ThreadPool = require("../src/main/js/common/ThreadPool");
+
+// require daemon models
+const ConnectionType = require("../src/main/js/daemon/model/ConnectionType");
+const MoneroAltChain = require("../src/main/js/daemon/model/MoneroAltChain");
+const MoneroBan = require("../src/main/js/daemon/model/MoneroBan");
+const MoneroBlockHeader = require("../src/main/js/daemon/model/MoneroBlockHeader");
+const MoneroBlock = require("../src/main/js/daemon/model/MoneroBlock");
+const MoneroBlockTemplate = require("../src/main/js/daemon/model/MoneroBlockTemplate");
+const MoneroConnectionSpan = require("../src/main/js/daemon/model/MoneroConnectionSpan");
+const MoneroDaemonInfo = require("../src/main/js/daemon/model/MoneroDaemonInfo");
+const MoneroDaemonListener = require("../src/main/js/daemon/model/MoneroDaemonListener");
+const MoneroDaemonSyncInfo = require("../src/main/js/daemon/model/MoneroDaemonSyncInfo");
+const MoneroDaemonUpdateCheckResult = require("../src/main/js/daemon/model/MoneroDaemonUpdateCheckResult");
+const MoneroDaemonUpdateDownloadResult = require("../src/main/js/daemon/model/MoneroDaemonUpdateDownloadResult");
+const MoneroHardForkInfo = require("../src/main/js/daemon/model/MoneroHardForkInfo");
+const MoneroKeyImage = require("../src/main/js/daemon/model/MoneroKeyImage");
+const MoneroKeyImageSpentStatus = require("../src/main/js/daemon/model/MoneroKeyImageSpentStatus");
+const MoneroMinerTxSum = require("../src/main/js/daemon/model/MoneroMinerTxSum");
+const MoneroMiningStatus = require("../src/main/js/daemon/model/MoneroMiningStatus");
+const MoneroNetworkType = require("../src/main/js/daemon/model/MoneroNetworkType");
+const MoneroOutput = require("../src/main/js/daemon/model/MoneroOutput");
+const MoneroOutputDistributionEntry = require("../src/main/js/daemon/model/MoneroOutputDistributionEntry");
+const MoneroOutputHistogramEntry = require("../src/main/js/daemon/model/MoneroOutputHistogramEntry");
+const MoneroPruneResult = require("../src/main/js/daemon/model/MoneroPruneResult");
+const MoneroSubmitTxResult = require("../src/main/js/daemon/model/MoneroSubmitTxResult");
+const MoneroTx = require("../src/main/js/daemon/model/MoneroTx");
+const MoneroTxBacklogEntry = require("../src/main/js/daemon/model/MoneroTxBacklogEntry");
+const MoneroTxPoolStats = require("../src/main/js/daemon/model/MoneroTxPoolStats");
+const MoneroVersion = require("../src/main/js/daemon/model/MoneroVersion");
+const MoneroPeer = require("../src/main/js/daemon/model/MoneroPeer");
+
+// require wallet models
+const MoneroAccount = require("../src/main/js/wallet/model/MoneroAccount");
+const MoneroAccountTag = require("../src/main/js/wallet/model/MoneroAccountTag");
+const MoneroAddressBookEntry = require("../src/main/js/wallet/model/MoneroAddressBookEntry");
+const MoneroCheck = require("../src/main/js/wallet/model/MoneroCheck");
+const MoneroCheckReserve = require("../src/main/js/wallet/model/MoneroCheckReserve");
+const MoneroCheckTx = require("../src/main/js/wallet/model/MoneroCheckTx");
+const MoneroDeposit = require("../src/main/js/wallet/model/MoneroDeposit");
+const MoneroDepositListener = require("../src/main/js/wallet/model/MoneroDepositListener");
+const MoneroDestination = require("../src/main/js/wallet/model/MoneroDestination");
+const MoneroIntegratedAddress = require("../src/main/js/wallet/model/MoneroIntegratedAddress");
+const MoneroKeyImageImportResult = require("../src/main/js/wallet/model/MoneroKeyImageImportResult");
+const MoneroMultisigInfo = require("../src/main/js/wallet/model/MoneroMultisigInfo");
+const MoneroMultisigInitResult = require("../src/main/js/wallet/model/MoneroMultisigInitResult");
+const MoneroMultisigSignResult = require("../src/main/js/wallet/model/MoneroMultisigSignResult");
+const MoneroOutputWallet = require("../src/main/js/wallet/model/MoneroOutputWallet");
+const MoneroOutputQuery = require("../src/main/js/wallet/model/MoneroOutputQuery");
+const MoneroPayout = require("../src/main/js/wallet/model/MoneroPayout");
+const MoneroPayoutListener = require("../src/main/js/wallet/model/MoneroPayoutListener");
+const MoneroTxPriority = require("../src/main/js/wallet/model/MoneroTxPriority");
+const MoneroTxConfig = require("../src/main/js/wallet/model/MoneroTxConfig");
+const MoneroSubaddress = require("../src/main/js/wallet/model/MoneroSubaddress");
+const MoneroSyncResult = require("../src/main/js/wallet/model/MoneroSyncResult");
+const MoneroTransfer = require("../src/main/js/wallet/model/MoneroTransfer");
+const MoneroIncomingTransfer = require("../src/main/js/wallet/model/MoneroIncomingTransfer");
+const MoneroOutgoingTransfer = require("../src/main/js/wallet/model/MoneroOutgoingTransfer");
+const MoneroTransferQuery = require("../src/main/js/wallet/model/MoneroTransferQuery");
+const MoneroTxSet = require("../src/main/js/wallet/model/MoneroTxSet");
+const MoneroTxWallet = require("../src/main/js/wallet/model/MoneroTxWallet");
+const MoneroTxQuery = require("../src/main/js/wallet/model/MoneroTxQuery");
+const MoneroWalletListener = require("../src/main/js/wallet/model/MoneroWalletListener");
+const MoneroWalletConfig = require("../src/main/js/wallet/model/MoneroWalletConfig");
+const MoneroWalletRecovery = require("../src/main/js/wallet/model/MoneroWalletRecovery");
+const MoneroMessageSignatureType = require("../src/main/js/wallet/model/MoneroMessageSignatureType");
+const MoneroMessageSignatureResult = require("../src/main/js/wallet/model/MoneroMessageSignatureResult");
+
+// require connection manager
+const MoneroConnectionManager = require("../src/main/js/common/MoneroConnectionManager");
+const MoneroConnectionManagerListener = require("../src/main/js/common/MoneroConnectionManagerListener");
+const MoneroRpcInterceptor = require("../src/main/js/common/MoneroRpcInterceptor");
+
+// require utils and interfaces
+const MoneroUtils = require("../src/main/js/common/MoneroUtils");
+const MoneroDaemon = require("../src/main/js/daemon/MoneroDaemon");
+const MoneroWallet = require("../src/main/js/wallet/MoneroWallet");
+const MoneroDepositStore = require("../src/main/js/wallet/MoneroDepositStore");
+const MoneroDepositWatcher = require("../src/main/js/wallet/MoneroDepositWatcher");
+const MoneroPayoutStore = require("../src/main/js/wallet/MoneroPayoutStore");
+const MoneroPayoutScheduler = require("../src/main/js/wallet/MoneroPayoutScheduler");
+const MoneroOfflineSigningCoordinator = require("../src/main/js/wallet/MoneroOfflineSigningCoordinator");
+const MoneroMultisigTransport = require("../src/main/js/wallet/MoneroMultisigTransport");
+const MoneroMultisigMemoryTransport = require("../src/main/js/wallet/MoneroMultisigMemoryTransport");
+const MoneroMultisigSession = require("../src/main/js/wallet/MoneroMultisigSession");
+
+const BigInteger = biginteger.BigInteger;
+
+module.exports = {
+  GenUtils,
+  BigInteger,
+  Filter,
+  MoneroError,
+  HttpClient,
+  LibraryUtils,
+  MoneroLogger,
+  MoneroMetrics,
+  MoneroRpcConnection,
+  MoneroRpcError,
+  SslOptions,
+  TaskLooper,
+  ThreadPool,
+  ConnectionType,
+  MoneroAltChain,
+  MoneroBan,
+  MoneroBlockHeader,
+  MoneroBlock,
+  MoneroBlockTemplate,
+  MoneroConnectionSpan,
+  MoneroDaemonInfo,
+  MoneroDaemonListener,
+  MoneroDaemonSyncInfo,
+  MoneroDaemonUpdateCheckResult,
+  MoneroDaemonUpdateDownloadResult,
+  MoneroHardForkInfo,
+  MoneroKeyImage,
+  MoneroKeyImageSpentStatus,
+  MoneroMinerTxSum,
+  MoneroMiningStatus,
+  MoneroNetworkType,
+  MoneroOutput,
+  MoneroOutputDistributionEntry,
+  MoneroOutputHistogramEntry,
+  MoneroPruneResult,
+  MoneroSubmitTxResult,
+  MoneroTx,
+  MoneroTxBacklogEntry,
+  MoneroTxPoolStats,
+  MoneroVersion,
+  MoneroPeer,
+  MoneroAccount,
+  MoneroAccountTag,
+  MoneroAddressBookEntry,
+  MoneroCheck,
+  MoneroCheckReserve,
+  MoneroCheckTx,
+  MoneroDeposit,
+  MoneroDepositListener,
+  MoneroDestination,
+  MoneroIntegratedAddress,
+  MoneroKeyImageImportResult,
+  MoneroMultisigInfo,
+  MoneroMultisigInitResult,
+  MoneroMultisigSignResult,
+  MoneroOutputWallet,
+  MoneroOutputQuery,
+  MoneroPayout,
+  MoneroPayoutListener,
+  MoneroTxPriority,
+  MoneroTxConfig,
+  MoneroSubaddress,
+  MoneroSyncResult,
+  MoneroTransfer,
+  MoneroIncomingTransfer,
+  MoneroOutgoingTransfer,
+  MoneroTransferQuery,
+  MoneroTxSet,
+  MoneroTxWallet,
+  MoneroTxQuery,
+  MoneroWalletListener,
+  MoneroWalletConfig,
+  MoneroWalletRecovery,
+  MoneroMessageSignatureType,
+  MoneroMessageSignatureResult,
+  MoneroConnectionManager,
+  MoneroConnectionManagerListener,
+  MoneroRpcInterceptor,
+  MoneroUtils,
+  MoneroDaemon,
+  MoneroWallet,
+  MoneroDepositStore,
+  MoneroDepositWatcher,
+  MoneroPayoutStore,
+  MoneroPayoutScheduler,
+  MoneroOfflineSigningCoordinator,
+  MoneroMultisigTransport,
+  MoneroMultisigMemoryTransport,
+  MoneroMultisigSession
+};
+
+/**
+ * <p>Get the version of the monero-javascript library.<p>
+ *
+ * @return {string} the version of this monero-javascript library
+ */
+module.exports.getVersion = function() {
+  return MoneroUtils.getVersion();
+}
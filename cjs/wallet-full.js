@@ -0,0 +1,36 @@
+/**
+ * CommonJS entry point for the full wallet and its storage adapters,
+ * equivalent to the ES module entry point esm/wallet-full.mjs.
+ */
+
+const MoneroWalletFull = require("../src/main/js/wallet/MoneroWalletFull");
+const MoneroWalletStorage = require("../src/main/js/wallet/MoneroWalletStorage");
+const MoneroWalletFileStorage = require("../src/main/js/wallet/MoneroWalletFileStorage");
+const MoneroWalletIndexedDbStorage = require("../src/main/js/wallet/MoneroWalletIndexedDbStorage");
+
+module.exports = {
+  MoneroWalletFull,
+  MoneroWalletStorage,
+  MoneroWalletFileStorage,
+  MoneroWalletIndexedDbStorage
+};
+
+/**
+ * Create a full wallet.
+ *
+ * @see createWalletFull() in index.js for the supported parameters
+ * @return {Promise<MoneroWalletFull>} the created wallet
+ */
+module.exports.createWalletFull = function() {
+  return MoneroWalletFull.createWallet(...arguments);
+}
+
+/**
+ * Open an existing full wallet.
+ *
+ * @see openWalletFull() in index.js for the supported parameters
+ * @return {Promise<MoneroWalletFull>} the opened wallet
+ */
+module.exports.openWalletFull = function() {
+  return MoneroWalletFull.openWallet(...arguments);
+}
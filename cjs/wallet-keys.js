@@ -0,0 +1,18 @@
+/**
+ * CommonJS entry point for the keys-only wallet, equivalent to the ES module
+ * entry point esm/wallet-keys.mjs.
+ */
+
+const MoneroWalletKeys = require("../src/main/js/wallet/MoneroWalletKeys");
+
+module.exports = { MoneroWalletKeys };
+
+/**
+ * Create a keys-only wallet.
+ *
+ * @see createWalletKeys() in index.js for the supported parameters
+ * @return {Promise<MoneroWalletKeys>} the created wallet
+ */
+module.exports.createWalletKeys = function() {
+  return MoneroWalletKeys.createWallet(...arguments);
+}
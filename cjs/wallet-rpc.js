@@ -0,0 +1,18 @@
+/**
+ * CommonJS entry point for the wallet RPC client, equivalent to the ES module
+ * entry point esm/wallet-rpc.mjs.
+ */
+
+const MoneroWalletRpc = require("../src/main/js/wallet/MoneroWalletRpc");
+
+module.exports = { MoneroWalletRpc };
+
+/**
+ * Create a client connected to monero-wallet-rpc.
+ *
+ * @see connectToWalletRpc() in index.js for the supported parameters
+ * @return {Promise<MoneroWalletRpc>} the wallet RPC client
+ */
+module.exports.connectToWalletRpc = function() {
+  return MoneroWalletRpc._connectToWalletRpc(...arguments);
+}
@@ -0,0 +1,5 @@
+export {
+  MoneroDaemonRpcConfig,
+  MoneroDaemonRpc,
+  connectToDaemonRpc
+} from "../index.js";
@@ -0,0 +1,21 @@
+/**
+ * ES module entry point for the daemon RPC client, which loads WebAssembly
+ * only when a request needs it, e.g. to decode binary blocks.
+ *
+ * Wraps the CommonJS client in src/main/js rather than compiling it to ES
+ * module syntax.
+ */
+
+import MoneroDaemonRpc from "../src/main/js/daemon/MoneroDaemonRpc.js";
+
+export { MoneroDaemonRpc };
+
+/**
+ * Create a client connected to monerod.
+ *
+ * @see connectToDaemonRpc() in index.js for the supported parameters
+ * @return {Promise<MoneroDaemonRpc>} the daemon RPC client
+ */
+export function connectToDaemonRpc() {
+  return MoneroDaemonRpc._connectToDaemonRpc(...arguments);
+}
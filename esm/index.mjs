@@ -0,0 +1,15 @@
+/**
+ * ES module entry point for all of monero-javascript.
+ *
+ * Import from "monero-javascript/models", "monero-javascript/daemon-rpc",
+ * "monero-javascript/wallet-rpc", "monero-javascript/wallet-keys" or
+ * "monero-javascript/wallet-full" instead to bundle only what is used.
+ *
+ * Re-exports the other entry points, which wrap the CommonJS sources.
+ */
+
+export * from "./models.mjs";
+export * from "./daemon-rpc.mjs";
+export * from "./wallet-rpc.mjs";
+export * from "./wallet-keys.mjs";
+export * from "./wallet-full.mjs";
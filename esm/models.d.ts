@@ -0,0 +1,110 @@
+export {
+  BigIntegerValue,
+  HttpRequest,
+  MoneroLogRecord,
+  MoneroMetricSample,
+  MoneroMetricsSnapshot,
+  MoneroRpcConnectionConfig,
+  MoneroRetryPolicy,
+  MoneroCircuitBreakerConfig,
+  MoneroRpcRequestContext,
+  MoneroBalancingConfig,
+  MoneroBalancingRoute,
+  MoneroTxConfigObject,
+  MoneroWalletConfigObject,
+  MoneroDepositWatcherConfig,
+  MoneroTransferExportConfig,
+  MoneroPayoutSchedulerConfig,
+  MoneroMultisigSessionConfig,
+  MoneroMultisigTxProposal,
+  GenUtils,
+  BigInteger,
+  Filter,
+  MoneroError,
+  HttpClient,
+  LibraryUtils,
+  MoneroLogger,
+  MoneroMetrics,
+  MoneroRpcConnection,
+  MoneroRpcError,
+  SslOptions,
+  TaskLooper,
+  ThreadPool,
+  ConnectionType,
+  MoneroAltChain,
+  MoneroBan,
+  MoneroBlockHeader,
+  MoneroBlock,
+  MoneroBlockTemplate,
+  MoneroConnectionSpan,
+  MoneroDaemonInfo,
+  MoneroDaemonListener,
+  MoneroDaemonSyncInfo,
+  MoneroDaemonUpdateCheckResult,
+  MoneroDaemonUpdateDownloadResult,
+  MoneroHardForkInfo,
+  MoneroKeyImage,
+  MoneroKeyImageSpentStatus,
+  MoneroMinerTxSum,
+  MoneroMiningStatus,
+  MoneroNetworkType,
+  MoneroOutput,
+  MoneroOutputDistributionEntry,
+  MoneroOutputHistogramEntry,
+  MoneroPruneResult,
+  MoneroSubmitTxResult,
+  MoneroTx,
+  MoneroTxBacklogEntry,
+  MoneroTxPoolStats,
+  MoneroVersion,
+  MoneroPeer,
+  MoneroAccount,
+  MoneroAccountTag,
+  MoneroAddressBookEntry,
+  MoneroCheck,
+  MoneroCheckReserve,
+  MoneroCheckTx,
+  MoneroDeposit,
+  MoneroDepositListener,
+  MoneroDestination,
+  MoneroIntegratedAddress,
+  MoneroKeyImageImportResult,
+  MoneroMultisigInfo,
+  MoneroMultisigInitResult,
+  MoneroMultisigSignResult,
+  MoneroOutputWallet,
+  MoneroOutputQuery,
+  MoneroPayout,
+  MoneroPayoutListener,
+  MoneroTxPriority,
+  MoneroTxConfig,
+  MoneroSubaddress,
+  MoneroSyncResult,
+  MoneroTransfer,
+  MoneroIncomingTransfer,
+  MoneroOutgoingTransfer,
+  MoneroTransferQuery,
+  MoneroTxSet,
+  MoneroTxWallet,
+  MoneroTxQuery,
+  MoneroWalletListener,
+  MoneroWalletConfig,
+  MoneroWalletRecovery,
+  MoneroMessageSignatureType,
+  MoneroMessageSignatureResult,
+  MoneroConnectionManager,
+  MoneroConnectionManagerListener,
+  MoneroRpcInterceptor,
+  MoneroUtils,
+  MoneroDaemon,
+  MoneroWallet,
+  MoneroDepositStore,
+  MoneroDepositWatcher,
+  MoneroPayoutStore,
+  MoneroPayoutScheduler,
+  MoneroOfflineSigningCoordinator,
+  MoneroMultisigTransport,
+  MoneroMultisigMemoryTransport,
+  MoneroMultisigSession,
+  getVersion
+} from "../index.js";
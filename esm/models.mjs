@@ -0,0 +1,215 @@
+/**
+ * <p>ES module entry point for the models, utilities and interfaces of
+ * monero-javascript.</p>
+ *
+ * <p>Nothing imported from this entry point bundles WebAssembly. The wallet
+ * implementations are imported separately from "monero-javascript/daemon-rpc",
+ * "monero-javascript/wallet-rpc", "monero-javascript/wallet-keys" and
+ * "monero-javascript/wallet-full".</p>
+ *
+ * <p>Each export is the default import of its CommonJS module in src/main/js,
+ * so bundlers split the library by entry point but cannot tree-shake unused
+ * models within this one.</p>
+ */
+
+// import common models
+import GenUtils from "../src/main/js/common/GenUtils.js";
+import biginteger from "../src/main/js/common/biginteger.js";
+import Filter from "../src/main/js/common/Filter.js";
+import MoneroError from "../src/main/js/common/MoneroError.js";
+import HttpClient from "../src/main/js/common/HttpClient.js";
+import LibraryUtils from "../src/main/js/common/LibraryUtils.js";
+import MoneroLogger from "../src/main/js/common/MoneroLogger.js";
+import MoneroMetrics from "../src/main/js/common/MoneroMetrics.js";
+import MoneroRpcConnection from "../src/main/js/common/MoneroRpcConnection.js";
+import MoneroRpcError from "../src/main/js/common/MoneroRpcError.js";
+import SslOptions from "../src/main/js/common/SslOptions.js";
+import TaskLooper from "../src/main/js/common/TaskLooper.js";
+import ThreadPool from "../src/main/js/common/ThreadPool.js";
+
+// import daemon models
+import ConnectionType from "../src/main/js/daemon/model/ConnectionType.js";
+import MoneroAltChain from "../src/main/js/daemon/model/MoneroAltChain.js";
+import MoneroBan from "../src/main/js/daemon/model/MoneroBan.js";
+import MoneroBlockHeader from "../src/main/js/daemon/model/MoneroBlockHeader.js";
+import MoneroBlock from "../src/main/js/daemon/model/MoneroBlock.js";
+import MoneroBlockTemplate from "../src/main/js/daemon/model/MoneroBlockTemplate.js";
+import MoneroConnectionSpan from "../src/main/js/daemon/model/MoneroConnectionSpan.js";
+import MoneroDaemonInfo from "../src/main/js/daemon/model/MoneroDaemonInfo.js";
+import MoneroDaemonListener from "../src/main/js/daemon/model/MoneroDaemonListener.js";
+import MoneroDaemonSyncInfo from "../src/main/js/daemon/model/MoneroDaemonSyncInfo.js";
+import MoneroDaemonUpdateCheckResult from "../src/main/js/daemon/model/MoneroDaemonUpdateCheckResult.js";
+import MoneroDaemonUpdateDownloadResult from "../src/main/js/daemon/model/MoneroDaemonUpdateDownloadResult.js";
+import MoneroHardForkInfo from "../src/main/js/daemon/model/MoneroHardForkInfo.js";
+import MoneroKeyImage from "../src/main/js/daemon/model/MoneroKeyImage.js";
+import MoneroKeyImageSpentStatus from "../src/main/js/daemon/model/MoneroKeyImageSpentStatus.js";
+import MoneroMinerTxSum from "../src/main/js/daemon/model/MoneroMinerTxSum.js";
+import MoneroMiningStatus from "../src/main/js/daemon/model/MoneroMiningStatus.js";
+import MoneroNetworkType from "../src/main/js/daemon/model/MoneroNetworkType.js";
+import MoneroOutput from "../src/main/js/daemon/model/MoneroOutput.js";
+import MoneroOutputDistributionEntry from "../src/main/js/daemon/model/MoneroOutputDistributionEntry.js";
+import MoneroOutputHistogramEntry from "../src/main/js/daemon/model/MoneroOutputHistogramEntry.js";
+import MoneroPruneResult from "../src/main/js/daemon/model/MoneroPruneResult.js";
+import MoneroSubmitTxResult from "../src/main/js/daemon/model/MoneroSubmitTxResult.js";
+import MoneroTx from "../src/main/js/daemon/model/MoneroTx.js";
+import MoneroTxBacklogEntry from "../src/main/js/daemon/model/MoneroTxBacklogEntry.js";
+import MoneroTxPoolStats from "../src/main/js/daemon/model/MoneroTxPoolStats.js";
+import MoneroVersion from "../src/main/js/daemon/model/MoneroVersion.js";
+import MoneroPeer from "../src/main/js/daemon/model/MoneroPeer.js";
+
+// import wallet models
+import MoneroAccount from "../src/main/js/wallet/model/MoneroAccount.js";
+import MoneroAccountTag from "../src/main/js/wallet/model/MoneroAccountTag.js";
+import MoneroAddressBookEntry from "../src/main/js/wallet/model/MoneroAddressBookEntry.js";
+import MoneroCheck from "../src/main/js/wallet/model/MoneroCheck.js";
+import MoneroCheckReserve from "../src/main/js/wallet/model/MoneroCheckReserve.js";
+import MoneroCheckTx from "../src/main/js/wallet/model/MoneroCheckTx.js";
+import MoneroDeposit from "../src/main/js/wallet/model/MoneroDeposit.js";
+import MoneroDepositListener from "../src/main/js/wallet/model/MoneroDepositListener.js";
+import MoneroDestination from "../src/main/js/wallet/model/MoneroDestination.js";
+import MoneroIntegratedAddress from "../src/main/js/wallet/model/MoneroIntegratedAddress.js";
+import MoneroKeyImageImportResult from "../src/main/js/wallet/model/MoneroKeyImageImportResult.js";
+import MoneroMultisigInfo from "../src/main/js/wallet/model/MoneroMultisigInfo.js";
+import MoneroMultisigInitResult from "../src/main/js/wallet/model/MoneroMultisigInitResult.js";
+import MoneroMultisigSignResult from "../src/main/js/wallet/model/MoneroMultisigSignResult.js";
+import MoneroOutputWallet from "../src/main/js/wallet/model/MoneroOutputWallet.js";
+import MoneroOutputQuery from "../src/main/js/wallet/model/MoneroOutputQuery.js";
+import MoneroPayout from "../src/main/js/wallet/model/MoneroPayout.js";
+import MoneroPayoutListener from "../src/main/js/wallet/model/MoneroPayoutListener.js";
+import MoneroTxPriority from "../src/main/js/wallet/model/MoneroTxPriority.js";
+import MoneroTxConfig from "../src/main/js/wallet/model/MoneroTxConfig.js";
+import MoneroSubaddress from "../src/main/js/wallet/model/MoneroSubaddress.js";
+import MoneroSyncResult from "../src/main/js/wallet/model/MoneroSyncResult.js";
+import MoneroTransfer from "../src/main/js/wallet/model/MoneroTransfer.js";
+import MoneroIncomingTransfer from "../src/main/js/wallet/model/MoneroIncomingTransfer.js";
+import MoneroOutgoingTransfer from "../src/main/js/wallet/model/MoneroOutgoingTransfer.js";
+import MoneroTransferQuery from "../src/main/js/wallet/model/MoneroTransferQuery.js";
+import MoneroTxSet from "../src/main/js/wallet/model/MoneroTxSet.js";
+import MoneroTxWallet from "../src/main/js/wallet/model/MoneroTxWallet.js";
+import MoneroTxQuery from "../src/main/js/wallet/model/MoneroTxQuery.js";
+import MoneroWalletListener from "../src/main/js/wallet/model/MoneroWalletListener.js";
+import MoneroWalletConfig from "../src/main/js/wallet/model/MoneroWalletConfig.js";
+import MoneroWalletRecovery from "../src/main/js/wallet/model/MoneroWalletRecovery.js";
+import MoneroMessageSignatureType from "../src/main/js/wallet/model/MoneroMessageSignatureType.js";
+import MoneroMessageSignatureResult from "../src/main/js/wallet/model/MoneroMessageSignatureResult.js";
+
+// import connection manager
+import MoneroConnectionManager from "../src/main/js/common/MoneroConnectionManager.js";
+import MoneroConnectionManagerListener from "../src/main/js/common/MoneroConnectionManagerListener.js";
+import MoneroRpcInterceptor from "../src/main/js/common/MoneroRpcInterceptor.js";
+
+// import utils and interfaces
+import MoneroUtils from "../src/main/js/common/MoneroUtils.js";
+import MoneroDaemon from "../src/main/js/daemon/MoneroDaemon.js";
+import MoneroWallet from "../src/main/js/wallet/MoneroWallet.js";
+import MoneroDepositStore from "../src/main/js/wallet/MoneroDepositStore.js";
+import MoneroDepositWatcher from "../src/main/js/wallet/MoneroDepositWatcher.js";
+import MoneroPayoutStore from "../src/main/js/wallet/MoneroPayoutStore.js";
+import MoneroPayoutScheduler from "../src/main/js/wallet/MoneroPayoutScheduler.js";
+import MoneroOfflineSigningCoordinator from "../src/main/js/wallet/MoneroOfflineSigningCoordinator.js";
+import MoneroMultisigTransport from "../src/main/js/wallet/MoneroMultisigTransport.js";
+import MoneroMultisigMemoryTransport from "../src/main/js/wallet/MoneroMultisigMemoryTransport.js";
+import MoneroMultisigSession from "../src/main/js/wallet/MoneroMultisigSession.js";
+
+const BigInteger = biginteger.BigInteger;
+
+export {
+  GenUtils,
+  BigInteger,
+  Filter,
+  MoneroError,
+  HttpClient,
+  LibraryUtils,
+  MoneroLogger,
+  MoneroMetrics,
+  MoneroRpcConnection,
+  MoneroRpcError,
+  SslOptions,
+  TaskLooper,
+  ThreadPool,
+  ConnectionType,
+  MoneroAltChain,
+  MoneroBan,
+  MoneroBlockHeader,
+  MoneroBlock,
+  MoneroBlockTemplate,
+  MoneroConnectionSpan,
+  MoneroDaemonInfo,
+  MoneroDaemonListener,
+  MoneroDaemonSyncInfo,
+  MoneroDaemonUpdateCheckResult,
+  MoneroDaemonUpdateDownloadResult,
+  MoneroHardForkInfo,
+  MoneroKeyImage,
+  MoneroKeyImageSpentStatus,
+  MoneroMinerTxSum,
+  MoneroMiningStatus,
+  MoneroNetworkType,
+  MoneroOutput,
+  MoneroOutputDistributionEntry,
+  MoneroOutputHistogramEntry,
+  MoneroPruneResult,
+  MoneroSubmitTxResult,
+  MoneroTx,
+  MoneroTxBacklogEntry,
+  MoneroTxPoolStats,
+  MoneroVersion,
+  MoneroPeer,
+  MoneroAccount,
+  MoneroAccountTag,
+  MoneroAddressBookEntry,
+  MoneroCheck,
+  MoneroCheckReserve,
+  MoneroCheckTx,
+  MoneroDeposit,
+  MoneroDepositListener,
+  MoneroDestination,
+  MoneroIntegratedAddress,
+  MoneroKeyImageImportResult,
+  MoneroMultisigInfo,
+  MoneroMultisigInitResult,
+  MoneroMultisigSignResult,
+  MoneroOutputWallet,
+  MoneroOutputQuery,
+  MoneroPayout,
+  MoneroPayoutListener,
+  MoneroTxPriority,
+  MoneroTxConfig,
+  MoneroSubaddress,
+  MoneroSyncResult,
+  MoneroTransfer,
+  MoneroIncomingTransfer,
+  MoneroOutgoingTransfer,
+  MoneroTransferQuery,
+  MoneroTxSet,
+  MoneroTxWallet,
+  MoneroTxQuery,
+  MoneroWalletListener,
+  MoneroWalletConfig,
+  MoneroWalletRecovery,
+  MoneroMessageSignatureType,
+  MoneroMessageSignatureResult,
+  MoneroConnectionManager,
+  MoneroConnectionManagerListener,
+  MoneroRpcInterceptor,
+  MoneroUtils,
+  MoneroDaemon,
+  MoneroWallet,
+  MoneroDepositStore,
+  MoneroDepositWatcher,
+  MoneroPayoutStore,
+  MoneroPayoutScheduler,
+  MoneroOfflineSigningCoordinator,
+  MoneroMultisigTransport,
+  MoneroMultisigMemoryTransport,
+  MoneroMultisigSession
+};
+
+/**
+ * <p>Get the version of the monero-javascript library.<p>
+ *
+ * @return {string} the version of this monero-javascript library
+ */
+export function getVersion() {
+  return MoneroUtils.getVersion();
+}
@@ -0,0 +1,8 @@
+export {
+  MoneroWalletFull,
+  MoneroWalletStorage,
+  MoneroWalletFileStorage,
+  MoneroWalletIndexedDbStorage,
+  createWalletFull,
+  openWalletFull
+} from "../index.js";
@@ -0,0 +1,39 @@
+/**
+ * ES module entry point for the full wallet and its storage adapters, which
+ * loads the WebAssembly full module.
+ *
+ * Wraps the CommonJS wallet and adapters in src/main/js rather than compiling
+ * them to ES module syntax.
+ */
+
+import MoneroWalletFull from "../src/main/js/wallet/MoneroWalletFull.js";
+import MoneroWalletStorage from "../src/main/js/wallet/MoneroWalletStorage.js";
+import MoneroWalletFileStorage from "../src/main/js/wallet/MoneroWalletFileStorage.js";
+import MoneroWalletIndexedDbStorage from "../src/main/js/wallet/MoneroWalletIndexedDbStorage.js";
+
+export {
+  MoneroWalletFull,
+  MoneroWalletStorage,
+  MoneroWalletFileStorage,
+  MoneroWalletIndexedDbStorage
+};
+
+/**
+ * Create a full wallet.
+ *
+ * @see createWalletFull() in index.js for the supported parameters
+ * @return {Promise<MoneroWalletFull>} the created wallet
+ */
+export function createWalletFull() {
+  return MoneroWalletFull.createWallet(...arguments);
+}
+
+/**
+ * Open an existing full wallet.
+ *
+ * @see openWalletFull() in index.js for the supported parameters
+ * @return {Promise<MoneroWalletFull>} the opened wallet
+ */
+export function openWalletFull() {
+  return MoneroWalletFull.openWallet(...arguments);
+}
@@ -0,0 +1,4 @@
+export {
+  MoneroWalletKeys,
+  createWalletKeys
+} from "../index.js";
@@ -0,0 +1,21 @@
+/**
+ * ES module entry point for the keys-only wallet, which loads the WebAssembly
+ * keys module.
+ *
+ * Wraps the CommonJS wallet in src/main/js rather than compiling it to ES
+ * module syntax.
+ */
+
+import MoneroWalletKeys from "../src/main/js/wallet/MoneroWalletKeys.js";
+
+export { MoneroWalletKeys };
+
+/**
+ * Create a keys-only wallet.
+ *
+ * @see createWalletKeys() in index.js for the supported parameters
+ * @return {Promise<MoneroWalletKeys>} the created wallet
+ */
+export function createWalletKeys() {
+  return MoneroWalletKeys.createWallet(...arguments);
+}
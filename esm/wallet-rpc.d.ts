@@ -0,0 +1,4 @@
+export {
+  MoneroWalletRpc,
+  connectToWalletRpc
+} from "../index.js";
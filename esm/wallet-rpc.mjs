@@ -0,0 +1,21 @@
+/**
+ * ES module entry point for the wallet RPC client, which loads WebAssembly
+ * only when a request needs it, e.g. to validate an address.
+ *
+ * Wraps the CommonJS client in src/main/js rather than compiling it to ES
+ * module syntax.
+ */
+
+import MoneroWalletRpc from "../src/main/js/wallet/MoneroWalletRpc.js";
+
+export { MoneroWalletRpc };
+
+/**
+ * Create a client connected to monero-wallet-rpc.
+ *
+ * @see connectToWalletRpc() in index.js for the supported parameters
+ * @return {Promise<MoneroWalletRpc>} the wallet RPC client
+ */
+export function connectToWalletRpc() {
+  return MoneroWalletRpc._connectToWalletRpc(...arguments);
+}
@@ -0,0 +1,2240 @@
+// Type definitions for monero-javascript
+//
+// Hand-maintained alongside the JSDoc in src/main/js. Update these declarations
+// when the public API in index.js changes; TestMoneroTypes verifies they compile.
+
+export class GenUtils {
+  static isDefined(arg: unknown): boolean;
+  static isUndefined(arg: unknown): boolean;
+  static isInitialized(arg: unknown): boolean;
+  static isUninitialized(arg: unknown): boolean;
+  static isNumber(arg: unknown): arg is number;
+  static isInt(arg: unknown): arg is number;
+  static isArray(arg: unknown): arg is any[];
+  static isString(arg: unknown): arg is string;
+  static isBoolean(arg: unknown): arg is boolean;
+  static isFunction(arg: unknown): arg is Function;
+  static isObject(arg: unknown, obj?: Function): arg is object;
+  static isUpperCase(str: string): boolean;
+  static isLowerCase(str: string): boolean;
+  static assertHex(str: string, msg?: string): void;
+  static isHex(arg: unknown): arg is string;
+  static isBase32(str: string): boolean;
+  static assertBase58(str: string, msg?: string): void;
+  static isBase58(str: string): boolean;
+  static assertBase64(str: string, msg?: string): void;
+  static isBase64(str: string): boolean;
+  static fail(msg?: string): never;
+  static assertTrue(bool: boolean, msg?: string): void;
+  static assertFalse(bool: boolean, msg?: string): void;
+  static assertNull(arg: unknown, msg?: string): asserts arg is null;
+  static assertNotNull<T>(arg: T, msg?: string): asserts arg is NonNullable<T>;
+  static assertDefined<T>(arg: T, msg?: string): asserts arg is Exclude<T, undefined>;
+  static assertUndefined(arg: unknown, msg?: string): asserts arg is undefined;
+  static assertInitialized<T>(arg: T, msg?: string): asserts arg is NonNullable<T>;
+  static assertUninitialized(arg: unknown, msg?: string): asserts arg is null | undefined;
+  static assertEquals(arg1: unknown, arg2: unknown, msg?: string): void;
+  static assertNotEquals(arg1: unknown, arg2: unknown, msg?: string): void;
+  static assertInt(arg: unknown, msg?: string): asserts arg is number;
+  static assertNumber(arg: unknown, msg?: string): asserts arg is number;
+  static assertBoolean(arg: unknown, msg?: string): asserts arg is boolean;
+  static assertString(arg: unknown, msg?: string): asserts arg is string;
+  static assertArray(arg: unknown, msg?: string): asserts arg is any[];
+  static assertFunction(arg: unknown, msg?: string): asserts arg is Function;
+  static assertObject(arg: unknown, obj?: Function, msg?: string): asserts arg is object;
+  static inheritsFrom(child: Function, parent: Function): void;
+  static invoke(fns: Function[], ...args: any[]): void;
+  static getPowerSet<T>(arr: T[]): T[][];
+  static getPowerSetOfLength<T>(arr: T[], size: number): T[][];
+  static getIndices(size: number): number[];
+  static toUniqueArray<T>(arr: T[]): T[];
+  static copyArray<T>(arr: T[]): T[];
+  static remove<T>(arr: T[], val: T): boolean;
+  static toLowerCaseArray(arr: string[]): string[];
+  static listify<T>(arrOrElem: T | T[]): T[];
+  static arrayContains<T>(arr: T[], obj: T, compareByReference?: boolean): boolean;
+  static strContains(str: string, substring: string): boolean;
+  static arraysEqual(arr1: unknown[], arr2: unknown[]): boolean;
+  static equals(arg1: unknown, arg2: unknown): boolean;
+  static objectsEqual(map1: object, map2: object): boolean;
+  static deleteUndefinedKeys(obj: object): void;
+  static getCombinations<T>(arr: T[], combinationSize: number): T[][];
+  static getDownloadableA(name: string, contents: string): HTMLAnchorElement;
+  static getOuterHtml(node: Node): string;
+  static copyProperties<T>(obj: T): T;
+  static deleteProperties(obj: object): void;
+  static csvToArr(csv: string): string[][];
+  static arrToCsv(arr: string[][]): string;
+  static hasWhitespace(str: string): boolean;
+  static isWhitespace(char: string): boolean;
+  static isNewline(char: string): boolean;
+  static countNonWhitespaceCharacters(str: string): number;
+  static getWhitespaceTokens(str: string): string[];
+  static getLines(str: string): string[];
+  static getInternalStyleSheet(): CSSStyleSheet | undefined;
+  static getInternalStyleSheetText(): string;
+  static buildHtmlDocument(content: {metas?: object | object[], title?: string, internalCss?: string, dependencyPaths?: string | string[], div?: any}): string;
+  static newWindow(content: {metas?: object | object[], title?: string, internalCss?: string, dependencyPaths?: string | string[], div?: any}, onLoad?: Function): void;
+  static imgToDataUrl(img: HTMLImageElement, quality?: number): string;
+  static isImageAccessible(url: string, timeout: number, onDone: Function): void;
+  static isZipFile(file: string): boolean;
+  static isJsonFile(file: string): boolean;
+  static isCsvFile(file: string): boolean;
+  static isTxtFile(file: string): boolean;
+  static getImages(paths: string | string[], onDone: Function): void;
+  static getIndent(length: number): string;
+  static initPolyfills(): void;
+  static getUUID(): string;
+  static isBrowser(): boolean;
+  static isFirefox(): boolean;
+  static getIEVersion(): number | false;
+  static getParameterByName(name: string, url?: string): string | null;
+  static getRandomInt(min: number, max: number): number;
+  static getRandomInts(min: number, max: number, count: number): number[];
+  static getUniqueRandomInts(min: number, max: number, count: number): number[];
+  static shuffle<T>(array: T[]): void;
+  static sort<T>(array: T[]): void;
+  static safeSet<T>(obj: object, getFn: () => T, setFn: (val: T) => unknown, val: T, config?: {resolveDefined?: boolean, resolveTrue?: boolean, resolveMax?: boolean}, errMsg?: string): void;
+  static reconcile<T>(val1: T, val2: T, config?: {resolveDefined?: boolean, resolveTrue?: boolean, resolveMax?: boolean}, errMsg?: string): T;
+  static kvLine(key: string, value: unknown, indent?: number, newline?: boolean, ignoreUndefined?: boolean): string;
+  static stringifyBIs(str: string): string;
+  static printStackTrace(msg?: string): void;
+  static waitFor(durationMs: number): Promise<void>;
+  static killProcess(process: {on(event: string, listener: (...args: any[]) => void): unknown, kill(signal?: string): boolean}, signal?: string | undefined): Promise<number | undefined>;
+}
+
+export type BigIntegerValue = BigInteger | number | string;
+
+export class BigInteger {
+  static readonly ZERO: BigInteger;
+  static readonly ONE: BigInteger;
+  static readonly M_ONE: BigInteger;
+  static readonly MAX_EXP: BigInteger;
+  constructor(n?: BigIntegerValue);
+  static parse(s: BigIntegerValue, base?: number): BigInteger;
+  static add(a: BigIntegerValue, b: BigIntegerValue): BigInteger;
+  static subtract(a: BigIntegerValue, b: BigIntegerValue): BigInteger;
+  static multiply(a: BigIntegerValue, b: BigIntegerValue): BigInteger;
+  static divide(a: BigIntegerValue, b: BigIntegerValue): BigInteger;
+  static compare(a: BigIntegerValue, b: BigIntegerValue): number;
+  static toJSValue(n: BigIntegerValue): number;
+  toString(base?: number): string;
+  add(n: BigIntegerValue): BigInteger;
+  negate(): BigInteger;
+  abs(): BigInteger;
+  subtract(n: BigIntegerValue): BigInteger;
+  compareAbs(n: BigIntegerValue): number;
+  compare(n: BigIntegerValue): number;
+  isUnit(): boolean;
+  multiply(n: BigIntegerValue): BigInteger;
+  square(): BigInteger;
+  quotient(n: BigIntegerValue): BigInteger;
+  divide(n: BigIntegerValue): BigInteger;
+  remainder(n: BigIntegerValue): BigInteger;
+  divRem(n: BigIntegerValue): [BigInteger, BigInteger];
+  isEven(): boolean;
+  isOdd(): boolean;
+  sign(): number;
+  isPositive(): boolean;
+  isNegative(): boolean;
+  isZero(): boolean;
+  exp10(n: number): BigInteger;
+  pow(n: BigIntegerValue): BigInteger;
+  modPow(exponent: BigIntegerValue, modulus: BigIntegerValue): BigInteger;
+  log(): number;
+  valueOf(): number;
+  toJSValue(): number;
+  lowVal(): number;
+}
+export class Filter {
+  meetsCriteria(val: any): boolean;
+  static apply<T>(filter: Filter, array: T[]): T[];
+}
+
+export class MoneroError extends Error {
+  constructor(message: string, code?: number);
+  getCode(): number | undefined;
+  toString(): string;
+}
+
+export interface HttpRequest {
+  method: string;
+  uri: string;
+  body?: string | object | Uint8Array;
+  username?: string;
+  password?: string;
+  headers?: {[name: string]: string};
+  requestApi?: "fetch" | "xhr";
+  resolveWithFullResponse?: boolean;
+  rejectUnauthorized?: boolean;
+  timeout?: number;
+  proxyToWorker?: boolean;
+}
+
+export class HttpClient {
+  static readonly MAX_TIMEOUT: number;
+  static request(request: HttpRequest): Promise<any>;
+  static digestAuthRequest: new (method: string, url: string, username: string, password: string, headers?: {[name: string]: string}) => {
+    request(successFn: (resp: any) => void, errorFn: (resp: any) => void, data?: any): void;
+    abort(): void;
+    version(): string;
+  };
+}
+
+export interface MoneroLogRecord {
+  timestamp: number;
+  level: number;
+  severity: string;
+  component?: string;
+  message: string;
+  fields?: {[key: string]: any};
+  error?: Error | string;
+}
+
+export class MoneroLogger {
+  static readonly SEVERITY_ERROR: string;
+  static readonly SEVERITY_WARNING: string;
+  static readonly SEVERITY_INFO: string;
+  static readonly COMPONENT_DAEMON: string;
+  static readonly COMPONENT_WALLET: string;
+  static readonly COMPONENT_HTTP: string;
+  static readonly COMPONENT_WORKER: string;
+  static readonly COMPONENT_WASM: string;
+  log(record: MoneroLogRecord): void;
+}
+
+export interface MoneroMetricSample {
+  labels: {[key: string]: string};
+  value?: number;
+  count?: number;
+  sum?: number;
+  buckets?: {le: number, count: number}[];
+}
+
+export interface MoneroMetricsSnapshot {
+  timestamp: number;
+  metrics: {name: string, type: string, help?: string, samples: MoneroMetricSample[]}[];
+}
+
+export class MoneroMetrics {
+  static readonly TYPE_COUNTER: string;
+  static readonly TYPE_GAUGE: string;
+  static readonly TYPE_HISTOGRAM: string;
+  static readonly DEFAULT_BUCKETS: number[];
+  static readonly RPC_REQUESTS: string;
+  static readonly RPC_ERRORS: string;
+  static readonly RPC_LATENCY: string;
+  static readonly RPC_HEDGED_REQUESTS: string;
+  static readonly HTTP_RECEIVED_BYTES: string;
+  static readonly QUEUE_DEPTH: string;
+  static readonly WORKER_INVOCATIONS: string;
+  static readonly WORKER_PENDING_INVOCATIONS: string;
+  static readonly WORKER_LATENCY: string;
+  static readonly WALLET_SYNCS: string;
+  static readonly WALLET_SYNC_BLOCKS: string;
+  static readonly WALLET_SYNC_RECEIVED_BYTES: string;
+  static readonly WALLET_SYNC_DURATION: string;
+  static readonly WALLET_SYNC_BLOCKS_PER_SECOND: string;
+  static readonly DEFINITIONS: {[name: string]: {help: string, buckets?: number[]}};
+  static mergeSnapshots(snapshots: MoneroMetricsSnapshot[]): MoneroMetricsSnapshot;
+  static toPrometheus(snapshot: MoneroMetricsSnapshot): string;
+  constructor();
+  incrementCounter(name: string, labels?: {[key: string]: string}, value?: number): void;
+  setGauge(name: string, labels: {[key: string]: string} | undefined, value: number): void;
+  observeHistogram(name: string, labels: {[key: string]: string} | undefined, value: number): void;
+  getValue(name: string, labels?: {[key: string]: string}): number | undefined;
+  addCollector(collector: (metrics: MoneroMetrics) => void): void;
+  removeCollector(collector: (metrics: MoneroMetrics) => void): void;
+  getSnapshot(): MoneroMetricsSnapshot;
+  reset(): void;
+}
+
+export class LibraryUtils {
+  static readonly LOG_LEVEL: number;
+  static readonly LOGGER: MoneroLogger | {log(record: MoneroLogRecord): void};
+  static readonly WORKER_LOGGER_ID: string;
+  static readonly METRICS: MoneroMetrics;
+  static readonly WORKER_DIST_PATH_DEFAULT: string | (() => string);
+  static readonly WORKER_DIST_PATH: string | (() => string);
+  static log(level: number, msg: string, component?: string, fields?: {[key: string]: any}): void;
+  static logWarning(component: string, msg: string, fields?: {[key: string]: any}): void;
+  static logError(component: string, msg: string, err?: any, fields?: {[key: string]: any}): void;
+  static setLogger(logger?: MoneroLogger | {log(record: MoneroLogRecord): void}): void;
+  static getLogger(): MoneroLogger | {log(record: MoneroLogRecord): void};
+  static getMetrics(): MoneroMetrics;
+  static getMetricsSnapshot(): Promise<MoneroMetricsSnapshot>;
+  static setLogLevel(level: number): Promise<void>;
+  static getLogLevel(): number;
+  static getWasmMemoryUsed(): Promise<number>;
+  static getWasmModule(): any;
+  static loadKeysModule(): Promise<any>;
+  static loadFullModule(): Promise<any>;
+  static setRejectUnauthorizedFn(fnId: string, fn: (() => boolean) | undefined): void;
+  static isRejectUnauthorized(fnId: string): boolean;
+  static addReceivedBytes(fnId: string, numBytes: number): void;
+  static getReceivedBytes(fnId: string): number;
+  static clearReceivedBytes(fnId: string): void;
+  static setWorkerDistPath(workerDistPath?: string): void;
+  static getWorker(): Promise<Worker>;
+  static terminateWorker(): Promise<void>;
+  static invokeWorker(objectId: string, fnName: string, args: any[]): Promise<any>;
+  static serializeError(err: Error): object;
+  static deserializeError(serializedErr: object): Error;
+}
+
+export interface MoneroRpcConnectionConfig {
+  uri?: string;
+  username?: string;
+  password?: string;
+  rejectUnauthorized?: boolean;
+  priority?: number;
+  weight?: number;
+  proxyToWorker?: boolean;
+  retryPolicy?: MoneroRetryPolicy;
+  circuitBreaker?: MoneroCircuitBreakerConfig;
+}
+
+export interface MoneroRetryPolicy {
+  maxRetries?: number;
+  initialDelayInMs?: number;
+  maxDelayInMs?: number;
+  multiplier?: number;
+  jitter?: number;
+}
+
+export interface MoneroCircuitBreakerConfig {
+  failureThreshold?: number;
+  resetTimeoutInMs?: number;
+}
+
+export interface MoneroRpcRequestContext {
+  connection: MoneroRpcConnection;
+  uri: string;
+  method: string;
+  params?: any;
+  headers: {[name: string]: string};
+  numRetries: number;
+  statusCode?: number;
+  latencyInMs?: number;
+  response?: any;
+  error?: MoneroRpcError;
+}
+
+export class MoneroRpcInterceptor {
+  static readonly SECRET_KEYS: string[];
+  static redact(params: any, secretKeys?: string[]): any;
+  onRequest(context: MoneroRpcRequestContext): Promise<void>;
+  onResponse(context: MoneroRpcRequestContext): Promise<void>;
+  onError(context: MoneroRpcRequestContext): Promise<void>;
+}
+
+export class MoneroRpcConnection {
+  static readonly DEFAULT_CONFIG: MoneroRpcConnectionConfig;
+  static readonly SUPPORTED_FIELDS: string[];
+  static readonly DEFAULT_RETRY_POLICY: MoneroRetryPolicy;
+  static readonly DEFAULT_CIRCUIT_BREAKER: MoneroCircuitBreakerConfig;
+  static readonly IDEMPOTENT_METHODS: string[];
+  static readonly CIRCUIT_CLOSED: string;
+  static readonly CIRCUIT_OPEN: string;
+  static readonly CIRCUIT_HALF_OPEN: string;
+  static isIdempotent(method: string): boolean;
+  constructor(uriOrConfigOrConnection: string | MoneroRpcConnectionConfig | MoneroRpcConnection, username?: string, password?: string, rejectUnauthorized?: boolean, proxyToWorker?: boolean);
+  setCredentials(username?: string, password?: string): this;
+  getUri(): string;
+  getUsername(): string | undefined;
+  getPassword(): string | undefined;
+  getRejectUnauthorized(): boolean;
+  setProxyToWorker(proxyToWorker: boolean): this;
+  getProxyToWorker(): boolean;
+  getConfig(): MoneroRpcConnectionConfig;
+  getPriority(): number;
+  setPriority(priority?: number): this;
+  getWeight(): number;
+  setWeight(weight: number): this;
+  setRetryPolicy(retryPolicy?: MoneroRetryPolicy): this;
+  getRetryPolicy(): MoneroRetryPolicy | undefined;
+  setCircuitBreaker(circuitBreaker?: MoneroCircuitBreakerConfig): this;
+  getCircuitBreaker(): MoneroCircuitBreakerConfig | undefined;
+  getCircuitState(): string;
+  getNumConsecutiveFailures(): number;
+  resetCircuitBreaker(): this;
+  addInterceptor(interceptor: MoneroRpcInterceptor): this;
+  removeInterceptor(interceptor: MoneroRpcInterceptor): this;
+  getInterceptors(): MoneroRpcInterceptor[];
+  setAttribute(key: string, value: any): this;
+  getAttribute(key: string): any;
+  checkConnection(timeoutInMs: number): Promise<boolean>;
+  isConnected(): boolean | undefined;
+  isOnline(): boolean | undefined;
+  isAuthenticated(): boolean | undefined;
+  getResponseTime(): number | undefined;
+  sendJsonRequest(method: string, params?: object, timeoutInMs?: number): Promise<any>;
+  sendPathRequest(path: string, params?: object, timeoutInMs?: number): Promise<any>;
+  sendBinaryRequest(path: string, params?: object, timeoutInMs?: number): Promise<Uint8Array>;
+  toString(): string;
+}
+
+export class MoneroRpcError extends MoneroError {
+  constructor(rpcDescription: string, rpcCode: number, rpcMethod: string, rpcParams?: object);
+  getRpcMethod(): string;
+  getRpcParams(): object | undefined;
+  toString(): string;
+}
+
+export class SslOptions {
+  constructor(state?: object);
+  getPrivateKeyPath(): string;
+  setPrivateKeyPath(privateKeyPath: string): this;
+  getCertificatePath(): string;
+  setCertificatePath(certificatePath: string): this;
+  getCertificateAuthorityFile(): string;
+  setCertificateAuthorityFile(certificateAuthorityFile: string): this;
+  getAllowedFingerprints(): string[];
+  setAllowedFingerprints(allowedFingerprints: string[]): this;
+  getAllowAnyCert(): boolean;
+  setAllowAnyCert(allowAnyCert: boolean): this;
+}
+
+export class TaskLooper {
+  constructor(task: () => any);
+  getTask(): () => any;
+  start(periodInMs: number): this;
+  isStarted(): boolean;
+  stop(): void;
+  setPeriodInMs(periodInMs: number): void;
+}
+
+export class ThreadPool {
+  constructor(maxConcurrency?: number);
+  submit<T>(asyncFn: () => Promise<T> | T): Promise<T>;
+  getQueueDepth(): number;
+  awaitAll(): Promise<void>;
+}
+
+export class ConnectionType {
+  static readonly INVALID: number;
+  static readonly IPV4: number;
+  static readonly IPV6: number;
+  static readonly TOR: number;
+  static readonly I2P: number;
+  static validate(type: number): void;
+  static isValid(type: number): boolean;
+}
+
+export class MoneroAltChain {
+  constructor(state?: object);
+  toJson(): any;
+  getBlockHashes(): string[];
+  setBlockHashes(blockHashes: string[]): this;
+  getDifficulty(): BigInteger;
+  setDifficulty(difficulty: BigInteger): this;
+  getHeight(): number;
+  setHeight(height: number): this;
+  getLength(): number;
+  setLength(length: number): this;
+  getMainChainParentBlockHash(): string;
+  setMainChainParentBlockHash(mainChainParentBlockHash: string): this;
+}
+
+export class MoneroBan {
+  constructor(state?: object);
+  toJson(): any;
+  getHost(): string;
+  setHost(host: string): this;
+  getIp(): string;
+  setIp(ip: string): this;
+  isBanned(): boolean;
+  setIsBanned(isBanned: boolean): this;
+  getSeconds(): number;
+  setSeconds(seconds: number): this;
+}
+
+export class MoneroBlockHeader {
+  constructor(state?: object);
+  copy(): MoneroBlockHeader;
+  toJson(): any;
+  getHash(): string;
+  setHash(hash: string): this;
+  getHeight(): number;
+  setHeight(height: number): MoneroBlockHeader;
+  getTimestamp(): number;
+  setTimestamp(timestamp: number): this;
+  getSize(): number;
+  setSize(size: number): this;
+  getWeight(): number;
+  setWeight(weight: number): this;
+  getLongTermWeight(): number;
+  setLongTermWeight(longTermWeight: number): this;
+  getDepth(): number;
+  setDepth(depth: number): this;
+  getDifficulty(): BigInteger;
+  setDifficulty(difficulty: BigInteger): this;
+  getCumulativeDifficulty(): BigInteger;
+  setCumulativeDifficulty(cumulativeDifficulty: BigInteger): this;
+  getMajorVersion(): number;
+  setMajorVersion(majorVersion: number): this;
+  getMinorVersion(): number;
+  setMinorVersion(minorVersion: number): this;
+  getNonce(): number;
+  setNonce(nonce: number): this;
+  getMinerTxHash(): string;
+  setMinerTxHash(minerTxHash: string): this;
+  getNumTxs(): number;
+  setNumTxs(numTxs: number): this;
+  getOrphanStatus(): string;
+  setOrphanStatus(orphanStatus: string): this;
+  getPrevHash(): string;
+  setPrevHash(prevHash: string): this;
+  getReward(): BigInteger;
+  setReward(reward: BigInteger): this;
+  getPowHash(): string;
+  setPowHash(powHash: string): this;
+  merge(header: MoneroBlockHeader): MoneroBlockHeader;
+  toString(indent?: number): string;
+}
+
+export class MoneroBlock extends MoneroBlockHeader {
+  static readonly DeserializationType: {TX: number, TX_WALLET: number, TX_QUERY: number};
+  constructor(state?: MoneroBlock | MoneroBlockHeader | object, txType?: number);
+  getHex(): string;
+  setHex(hex: string): this;
+  getMinerTx(): MoneroTx;
+  setMinerTx(minerTx: MoneroTx): this;
+  getTxs(): MoneroTx[];
+  setTxs(txs: MoneroTx[]): this;
+  getTxHashes(): string[];
+  setTxHashes(txHashes: string[]): this;
+  copy(): MoneroBlock;
+  toJson(): any;
+  merge(block: MoneroBlock): MoneroBlock;
+  toString(indent?: number): string;
+}
+
+export class MoneroBlockTemplate {
+  constructor(state?: object);
+  toJson(): any;
+  getBlockTemplateBlob(): string;
+  setBlockTemplateBlob(blockTemplateBlob: string): this;
+  getBlockHashingBlob(): string;
+  setBlockHashingBlob(blockHashingBlob: string): this;
+  getDifficulty(): BigInteger;
+  setDifficulty(difficulty: BigInteger): this;
+  getExpectedReward(): BigInteger;
+  setExpectedReward(expectedReward: BigInteger): this;
+  getHeight(): number;
+  setHeight(height: number): this;
+  getPrevHash(): string;
+  setPrevHash(prevId: string): this;
+  getReservedOffset(): number;
+  setReservedOffset(reservedOffset: number): this;
+  getSeedHeight(): number;
+  setSeedHeight(seedHeight: number): this;
+  getSeedHash(): string;
+  setSeedHash(seedHash: string): this;
+  getNextSeedHash(): string;
+  setNextSeedHash(nextSeedHash: string): this;
+}
+
+export class MoneroConnectionSpan {
+  constructor(state?: object);
+  toJson(): any;
+  getConnectionId(): string;
+  setConnectionId(connectionId: string): this;
+  getNumBlocks(): number;
+  setNumBlocks(numBlocks: number): this;
+  getRemoteAddress(): string;
+  setRemoteAddress(remoteAddress: string): this;
+  getRate(): number;
+  setRate(rate: number): this;
+  getSpeed(): number;
+  setSpeed(speed: number): this;
+  getSize(): number;
+  setSize(size: number): this;
+  getStartHeight(): number;
+  setStartHeight(startHeight: number): this;
+}
+
+export class MoneroDaemonInfo {
+  constructor(state?: object);
+  toJson(): any;
+  getVersion(): number;
+  setVersion(version: number): this;
+  getNumAltBlocks(): number;
+  setNumAltBlocks(numAltBlocks: number): this;
+  getBlockSizeLimit(): number;
+  setBlockSizeLimit(blockSizeLimit: number): this;
+  getBlockSizeMedian(): number;
+  setBlockSizeMedian(blockSizeMedian: number): this;
+  getBlockWeightLimit(): number;
+  setBlockWeightLimit(blockWeightLimit: number): this;
+  getBlockWeightMedian(): number;
+  setBlockWeightMedian(blockWeightMedian: number): this;
+  getBootstrapDaemonAddress(): string;
+  setBootstrapDaemonAddress(bootstrapDaemonAddress: string): this;
+  getDifficulty(): BigInteger;
+  setDifficulty(difficulty: BigInteger): this;
+  getCumulativeDifficulty(): BigInteger;
+  setCumulativeDifficulty(cumulativeDifficulty: BigInteger): this;
+  getFreeSpace(): BigInteger;
+  setFreeSpace(freeSpace: BigInteger): this;
+  getNumOfflinePeers(): number;
+  setNumOfflinePeers(numOfflinePeers: number): this;
+  getNumOnlinePeers(): number;
+  setNumOnlinePeers(numOnlinePeers: number): this;
+  getHeight(): number;
+  setHeight(height: number): this;
+  getHeightWithoutBootstrap(): number;
+  setHeightWithoutBootstrap(heightWithoutBootstrap: number): this;
+  getNetworkType(): string;
+  setNetworkType(networkType: string): this;
+  isOffline(): boolean;
+  setIsOffline(isOffline: boolean): this;
+  getNumIncomingConnections(): number;
+  setNumIncomingConnections(numIncomingConnections: number): this;
+  getNumOutgoingConnections(): number;
+  setNumOutgoingConnections(numOutgoingConnections: number): this;
+  getNumRpcConnections(): number;
+  setNumRpcConnections(numRpcConnections: number): this;
+  getStartTimestamp(): number;
+  setStartTimestamp(startTimestamp: number): this;
+  getAdjustedTimestamp(): number;
+  setAdjustedTimestamp(adjustedTimestamp: number): this;
+  getTarget(): number;
+  setTarget(target: number): this;
+  getTargetHeight(): number;
+  setTargetHeight(targetHeight: number): this;
+  getTopBlockHash(): string;
+  setTopBlockHash(topBlockHash: string): this;
+  getNumTxs(): number;
+  setNumTxs(numTxs: number): this;
+  getNumTxsPool(): number;
+  setNumTxsPool(numTxsPool: number): this;
+  getWasBootstrapEverUsed(): boolean;
+  setWasBootstrapEverUsed(wasBootstrapEverUsed: boolean): this;
+  getDatabaseSize(): number;
+  setDatabaseSize(databaseSize: number): this;
+  getUpdateAvailable(): boolean;
+  setUpdateAvailable(updateAvailable: boolean): this;
+  getCredits(): BigInteger;
+  setCredits(credits: BigInteger): this;
+  isBusySyncing(): boolean;
+  setIsBusySyncing(isBusySyncing: boolean): this;
+  isSynchronized(): boolean;
+  setIsSynchronized(isSynchronized: boolean): this;
+  isRestricted(): boolean;
+  setIsRestricted(isRestricted: boolean): this;
+}
+
+export class MoneroDaemonListener {
+  onBlockHeader(header: MoneroBlockHeader): Promise<void>;
+  onTxPoolAdd(tx: MoneroTx): Promise<void>;
+  onChainReorg(height: number, header: MoneroBlockHeader): Promise<void>;
+  getLastBlockHeader(): MoneroBlockHeader;
+}
+
+export class MoneroDaemonSyncInfo {
+  constructor(state?: object);
+  toJson(): any;
+  getHeight(): number;
+  setHeight(height: number): this;
+  getPeers(): MoneroPeer[];
+  setPeers(peers: MoneroPeer[]): this;
+  getSpans(): MoneroConnectionSpan[];
+  setSpans(spans: MoneroConnectionSpan[]): this;
+  getTargetHeight(): number;
+  setTargetHeight(targetHeight: number): this;
+  getNextNeededPruningSeed(): string;
+  setNextNeededPruningSeed(nextNeededPruningSeed: string): this;
+  getOverview(): string;
+  setOverview(overview: string): this;
+  getCredits(): BigInteger;
+  setCredits(credits: BigInteger): this;
+  getTopBlockHash(): string;
+  setTopBlockHash(topBlockHash: string): this;
+}
+
+export class MoneroDaemonUpdateCheckResult {
+  constructor(result?: MoneroDaemonUpdateCheckResult);
+  isUpdateAvailable(): boolean;
+  setIsUpdateAvailable(isUpdateAvailable: boolean): this;
+  getVersion(): string;
+  setVersion(version: string): this;
+  getHash(): string;
+  setHash(hash: string): this;
+  getAutoUri(): string;
+  setAutoUri(autoUri: string): this;
+  getUserUri(): string;
+  setUserUri(userUri: string): this;
+}
+
+export class MoneroDaemonUpdateDownloadResult extends MoneroDaemonUpdateCheckResult {
+  constructor(result?: MoneroDaemonUpdateDownloadResult);
+  getDownloadPath(): string;
+  setDownloadPath(downloadPath: string): this;
+}
+
+export class MoneroHardForkInfo {
+  constructor(state?: object);
+  toJson(): any;
+  getEarliestHeight(): number;
+  setEarliestHeight(earliestHeight: number): this;
+  isEnabled(): boolean;
+  setIsEnabled(isEnabled: boolean): this;
+  getState(): number;
+  setState(state: number): this;
+  getThreshold(): number;
+  setThreshold(threshold: number): this;
+  getVersion(): number;
+  setVersion(version: number): this;
+  getNumVotes(): number;
+  setNumVotes(numVotes: number): this;
+  getWindow(): number;
+  setWindow(window: number): this;
+  getVoting(): boolean;
+  setVoting(voting: boolean): this;
+  getCredits(): BigInteger;
+  setCredits(credits: BigInteger): this;
+  getTopBlockHash(): string;
+  setTopBlockHash(topBlockHash: string): this;
+}
+
+export class MoneroKeyImage {
+  constructor(stateOrHex?: MoneroKeyImage | object | string, signature?: string);
+  getHex(): string;
+  setHex(hex: string): this;
+  getSignature(): string;
+  setSignature(signature: string): this;
+  copy(): MoneroKeyImage;
+  toJson(): any;
+  merge(keyImage: MoneroKeyImage): MoneroKeyImage;
+  toString(indent?: number): string;
+}
+
+export class MoneroKeyImageSpentStatus {
+  static readonly NOT_SPENT: number;
+  static readonly CONFIRMED: number;
+  static readonly TX_POOL: number;
+}
+
+export class MoneroMinerTxSum {
+  constructor(state?: object);
+  toJson(): any;
+  getEmissionSum(): BigInteger;
+  setEmissionSum(emissionSum: BigInteger): this;
+  getFeeSum(): BigInteger;
+  setFeeSum(feeSum: BigInteger): this;
+}
+
+export class MoneroMiningStatus {
+  constructor(state?: object);
+  toJson(): any;
+  isActive(): boolean;
+  setIsActive(isActive: boolean): this;
+  getAddress(): string;
+  setAddress(address: string): this;
+  getSpeed(): number;
+  setSpeed(speed: number): this;
+  getNumThreads(): number;
+  setNumThreads(numThreads: number): this;
+  isBackground(): boolean;
+  setIsBackground(isBackground: boolean): this;
+}
+
+export class MoneroNetworkType {
+  static readonly MAINNET: number;
+  static readonly TESTNET: number;
+  static readonly STAGENET: number;
+  static validate(networkType: number): void;
+  static isValid(networkType: number): boolean;
+  static parse(networkTypeStr: string): number;
+  static toString(networkType: number): string;
+}
+
+export class MoneroOutput {
+  constructor(state?: object);
+  getTx(): MoneroTx;
+  setTx(tx: MoneroTx): this;
+  getKeyImage(): MoneroKeyImage;
+  setKeyImage(keyImage: MoneroKeyImage): this;
+  getAmount(): BigInteger;
+  setAmount(amount: BigInteger): this;
+  getIndex(): number;
+  setIndex(index: number): this;
+  getRingOutputIndices(): number[];
+  setRingOutputIndices(ringOutputIndices: number[]): this;
+  getStealthPublicKey(): string;
+  setStealthPublicKey(stealthPublicKey: string): this;
+  getMask(): string;
+  setMask(mask: string): this;
+  isUnlocked(): boolean;
+  setIsUnlocked(isUnlocked: boolean): this;
+  copy(): MoneroOutput;
+  toJson(): any;
+  merge(output: MoneroOutput): MoneroOutput;
+  toString(indent?: number): string;
+}
+
+export class MoneroOutputDistributionEntry {
+  constructor(state?: object);
+  toJson(): any;
+  getAmount(): BigInteger;
+  setAmount(amount: BigInteger): this;
+  getBase(): number;
+  setBase(base: number): this;
+  getDistribution(): number[];
+  setDistribution(distribution: number[]): this;
+  getStartHeight(): number;
+  setStartHeight(startHeight: number): this;
+  isCumulative(): boolean;
+  setIsCumulative(isCumulative: boolean): this;
+}
+
+export class MoneroOutputHistogramEntry {
+  constructor(state?: object);
+  toJson(): any;
+  getAmount(): BigInteger;
+  setAmount(amount: BigInteger): this;
+  getNumInstances(): number;
+  setNumInstances(numInstances: number): this;
+  getNumUnlockedInstances(): number;
+  setNumUnlockedInstances(numUnlockedInstances: number): this;
+  getNumRecentInstances(): number;
+  setNumRecentInstances(numRecentInstances: number): this;
+}
+
+export class MoneroPruneResult {
+  constructor(state?: object);
+  toJson(): any;
+  isPruned(): boolean;
+  setIsPruned(isPruned: boolean): this;
+  getPruningSeed(): string;
+  setPruningSeed(pruningSeed: string): this;
+}
+
+export class MoneroSubmitTxResult {
+  constructor(state?: object);
+  toJson(): any;
+  isGood(): boolean;
+  setIsGood(isGood: boolean): this;
+  isRelayed(): boolean;
+  setIsRelayed(isRelayed: boolean): this;
+  isDoubleSpendSeen(): boolean;
+  setIsDoubleSpend(isDoubleSpendSeen: boolean): this;
+  isFeeTooLow(): boolean;
+  setIsFeeTooLow(isFeeTooLow: boolean): this;
+  isMixinTooLow(): boolean;
+  setIsMixinTooLow(isMixinTooLow: boolean): this;
+  hasInvalidInput(): boolean;
+  setHasInvalidInput(hasInvalidInput: boolean): this;
+  hasInvalidOutput(): boolean;
+  setHasInvalidOutput(hasInvalidOutput: boolean): this;
+  hasTooFewOutputs(): boolean;
+  setHasTooFewOutputs(hasTooFewOutputs: boolean): this;
+  isOverspend(): boolean;
+  setIsOverspend(isOverspend: boolean): this;
+  getReason(): string;
+  setReason(reason: string): this;
+  isTooBig(): boolean;
+  setIsTooBig(isTooBig: boolean): this;
+  getSanityCheckFailed(): boolean;
+  setSanityCheckFailed(sanityCheckFailed: boolean): this;
+  getCredits(): BigInteger;
+  setCredits(credits: BigInteger): this;
+  getTopBlockHash(): string;
+  setTopBlockHash(topBlockHash: string): this;
+  isTxExtraTooBig(): boolean;
+  setIsTxExtraTooBig(isTxExtraTooBig: boolean): this;
+}
+
+export class MoneroTx {
+  static readonly DEFAULT_PAYMENT_ID: string;
+  constructor(state?: object);
+  getBlock(): MoneroBlock;
+  setBlock(block: MoneroBlock): this;
+  getHeight(): number;
+  getHash(): string;
+  setHash(hash: string): this;
+  getVersion(): number;
+  setVersion(version: number): this;
+  isMinerTx(): boolean;
+  setIsMinerTx(miner: boolean): this;
+  getPaymentId(): string;
+  setPaymentId(paymentId: string): this;
+  getFee(): BigInteger;
+  setFee(fee: BigInteger): this;
+  getRingSize(): number;
+  setRingSize(ringSize: number): this;
+  getRelay(): boolean;
+  setRelay(relay: boolean): this;
+  isRelayed(): boolean;
+  setIsRelayed(isRelayed: boolean): this;
+  isConfirmed(): boolean;
+  setIsConfirmed(isConfirmed: boolean): this;
+  inTxPool(): boolean;
+  setInTxPool(inTxPool: boolean): this;
+  getNumConfirmations(): number;
+  setNumConfirmations(numConfirmations: number): this;
+  getUnlockTime(): BigInteger;
+  setUnlockTime(unlockTime: BigInteger | string | number): this;
+  getLastRelayedTimestamp(): number;
+  setLastRelayedTimestamp(lastRelayedTimestamp: number): this;
+  getReceivedTimestamp(): number;
+  setReceivedTimestamp(receivedTimestamp: number): this;
+  isDoubleSpendSeen(): boolean;
+  setIsDoubleSpend(isDoubleSpendSeen: boolean): this;
+  getKey(): string;
+  setKey(key: string): this;
+  getFullHex(): string;
+  setFullHex(fullHex: string): this;
+  getPrunedHex(): string;
+  setPrunedHex(prunedHex: string): this;
+  getPrunableHex(): string;
+  setPrunableHex(prunableHex: string): this;
+  getPrunableHash(): string;
+  setPrunableHash(prunableHash: string): this;
+  getSize(): number;
+  setSize(size: number): this;
+  getWeight(): number;
+  setWeight(weight: number): this;
+  getInputs(): MoneroOutput[];
+  setInputs(inputs: MoneroOutput[]): this;
+  getOutputs(): MoneroOutput[];
+  setOutputs(outputs: MoneroOutput[]): this;
+  getOutputIndices(): number[];
+  setOutputIndices(outputIndices: number[]): this;
+  getMetadata(): string;
+  setMetadata(metadata: string): this;
+  getExtra(): number[];
+  setExtra(extra: number[]): this;
+  getRctSignatures(): any;
+  setRctSignatures(rctSignatures: any): this;
+  getRctSigPrunable(): any;
+  setRctSigPrunable(rctSigPrunable: any): this;
+  isKeptByBlock(): boolean;
+  setIsKeptByBlock(isKeptByBlock: boolean): this;
+  isFailed(): boolean;
+  setIsFailed(isFailed: boolean): this;
+  getLastFailedHeight(): number;
+  setLastFailedHeight(lastFailedHeight: number): this;
+  getLastFailedHash(): string;
+  setLastFailedHash(lastFailedHash: string): this;
+  getMaxUsedBlockHeight(): number;
+  setMaxUsedBlockHeight(maxUsedBlockHeight: number): this;
+  getMaxUsedBlockHash(): string;
+  setMaxUsedBlockHash(maxUsedBlockHash: string): this;
+  getSignatures(): string[];
+  setSignatures(signatures: string[]): this;
+  copy(): MoneroTx;
+  toJson(): any;
+  merge(tx: MoneroTx): MoneroTx;
+  toString(indent?: number): string;
+}
+
+declare class MoneroFeeEstimate {
+  constructor(state?: MoneroFeeEstimate | object);
+  getFee(): BigInteger;
+  setFee(fee: BigInteger): this;
+  getFees(): BigInteger[];
+  setFees(fees: BigInteger[]): this;
+  getQuantizationMask(): BigInteger;
+  setQuantizationMask(quantizationMask: BigInteger): this;
+  copy(): MoneroFeeEstimate;
+  toJson(): any;
+  toString(indent?: number): string;
+}
+
+export class MoneroTxBacklogEntry {
+  constructor(state?: object);
+  toJson(): any;
+  getBlobSize(): number;
+  setBlobSize(blobSize: number): this;
+  getWeight(): number;
+  setWeight(weight: number): this;
+  getFee(): BigInteger;
+  setFee(fee: BigInteger): this;
+  getTimeInPool(): number;
+  setTimeInPool(timeInPool: number): this;
+}
+
+export class MoneroTxPoolStats {
+  constructor(state?: object);
+  toJson(): any;
+  getNumTxs(): number;
+  setNumTxs(numTxs: number): this;
+  getNumNotRelayed(): number;
+  setNumNotRelayed(numNotRelayed: number): this;
+  getNumFailing(): number;
+  setNumFailing(numFailing: number): this;
+  getNumDoubleSpends(): number;
+  setNumDoubleSpends(numDoubleSpends: number): this;
+  getNum10m(): number;
+  setNum10m(num10m: number): this;
+  getFeeTotal(): BigInteger;
+  setFeeTotal(feeTotal: BigInteger): this;
+  getBytesMax(): number;
+  setBytesMax(bytesMax: number): this;
+  getBytesMed(): number;
+  setBytesMed(bytesMed: number): this;
+  getBytesMin(): number;
+  setBytesMin(bytesMin: number): this;
+  getBytesTotal(): number;
+  setBytesTotal(bytesTotal: number): this;
+  getHisto(): Map<number, number>;
+  setHisto(histo: Map<number, number>): this;
+  getHisto98pc(): number;
+  setHisto98pc(histo98pc: number): this;
+  getOldestTimestamp(): number;
+  setOldestTimestamp(oldestTimestamp: number): this;
+}
+
+export class MoneroVersion {
+  constructor(number?: number, isRelease?: boolean);
+  getNumber(): number;
+  setNumber(number: number): this;
+  isRelease(): boolean;
+  setIsRelease(isRelease: boolean): this;
+  copy(): MoneroVersion;
+  toJson(): any;
+}
+
+export class MoneroPeer {
+  constructor(state?: object);
+  toJson(): any;
+  getId(): string;
+  setId(id: string): this;
+  getAddress(): string;
+  setAddress(address: string): this;
+  getHost(): string;
+  setHost(host: string): this;
+  getPort(): number;
+  setPort(port: number): this;
+  isOnline(): boolean;
+  setIsOnline(isOnline: boolean): this;
+  getLastSeenTimestamp(): number;
+  setLastSeenTimestamp(lastSeenTimestamp: number): this;
+  getPruningSeed(): string;
+  setPruningSeed(pruningSeed: string): this;
+  getRpcPort(): number;
+  setRpcPort(rpcPort: number): this;
+  getRpcCreditsPerHash(): BigInteger;
+  setRpcCreditsPerHash(rpcCreditsPerHash: BigInteger): this;
+  getAvgDownload(): number;
+  setAvgDownload(avgDownload: number): this;
+  getAvgUpload(): number;
+  setAvgUpload(avgUpload: number): this;
+  getCurrentDownload(): number;
+  setCurrentDownload(currentDownload: number): this;
+  getCurrentUpload(): number;
+  setCurrentUpload(currentUpload: number): this;
+  getHeight(): number;
+  setHeight(height: number): this;
+  isIncoming(): boolean;
+  setIsIncoming(isIncoming: boolean): this;
+  getLiveTime(): number;
+  setLiveTime(liveTime: number): this;
+  isLocalIp(): boolean;
+  setIsLocalIp(isLocalIp: boolean): this;
+  isLocalHost(): boolean;
+  setIsLocalHost(isLocalHost: boolean): this;
+  getNumReceives(): number;
+  setNumReceives(numReceives: number): this;
+  getNumSends(): number;
+  setNumSends(numSends: number): this;
+  getReceiveIdleTime(): number;
+  setReceiveIdleTime(receiveIdleTime: number): this;
+  getSendIdleTime(): number;
+  setSendIdleTime(sendIdleTime: number): this;
+  getState(): string;
+  setState(state: string): this;
+  getNumSupportFlags(): number;
+  setNumSupportFlags(numSupportFlags: number): this;
+  getType(): number;
+  setType(type: number): this;
+}
+
+export class MoneroAccount {
+  constructor(stateOrIndex?: object | number, primaryAddress?: string, balance?: BigInteger, unlockedBalance?: BigInteger, subaddresses?: MoneroSubaddress[]);
+  toJson(): any;
+  getIndex(): number;
+  setIndex(index: number): this;
+  getPrimaryAddress(): string;
+  setPrimaryAddress(primaryAddress: string): this;
+  getBalance(): BigInteger;
+  setBalance(balance: BigInteger): this;
+  getUnlockedBalance(): BigInteger;
+  setUnlockedBalance(unlockedBalance: BigInteger): this;
+  getTag(): string;
+  setTag(tag: string): this;
+  getSubaddresses(): MoneroSubaddress[];
+  setSubaddresses(subaddresses: MoneroSubaddress[]): this;
+  toString(indent?: number): string;
+}
+
+export class MoneroAccountTag {
+  constructor(tag?: string, label?: string, accountIndices?: number[]);
+  getTag(): string;
+  setTag(tag: string): this;
+  getLabel(): string;
+  setLabel(label: string): this;
+  getAccountIndices(): number[];
+  setAccountIndices(accountIndices: number[]): this;
+}
+
+export class MoneroAddressBookEntry {
+  constructor(state?: object);
+  toJson(): any;
+  getIndex(): number;
+  setIndex(index: number): this;
+  getAddress(): string;
+  setAddress(address: string): this;
+  getDescription(): string;
+  setDescription(description: string): this;
+  getPaymentId(): string;
+  setPaymentId(paymentId: string): this;
+}
+
+export class MoneroCheck {
+  constructor(state?: object);
+  isGood(): boolean;
+  setIsGood(isGood: boolean): this;
+}
+
+export class MoneroCheckReserve extends MoneroCheck {
+  constructor(state?: object);
+  toJson(): any;
+  getTotalAmount(): BigInteger;
+  setTotalAmount(totalAmount: BigInteger): this;
+  getUnconfirmedSpentAmount(): BigInteger;
+  setUnconfirmedSpentAmount(unconfirmedSpentAmount: BigInteger): this;
+}
+
+export class MoneroCheckTx extends MoneroCheck {
+  constructor(state?: object);
+  toJson(): any;
+  inTxPool(): boolean;
+  setInTxPool(inTxPool: boolean): this;
+  getNumConfirmations(): number;
+  setNumConfirmations(numConfirmations: number): this;
+  getReceivedAmount(): BigInteger;
+  setReceivedAmount(receivedAmount: BigInteger): this;
+}
+
+export class MoneroDeposit {
+  constructor(state?: object);
+  toJson(): any;
+  getId(): string;
+  getExternalId(): string;
+  setExternalId(externalId: string): this;
+  getTxHash(): string;
+  setTxHash(txHash: string): this;
+  getAccountIndex(): number;
+  setAccountIndex(accountIndex: number): this;
+  getSubaddressIndex(): number;
+  setSubaddressIndex(subaddressIndex: number): this;
+  getAmount(): BigInteger;
+  setAmount(amount: BigInteger): this;
+  getHeight(): number;
+  setHeight(height: number): this;
+  getNumConfirmations(): number;
+  setNumConfirmations(numConfirmations: number): this;
+  isLocked(): boolean;
+  setIsLocked(isLocked: boolean): this;
+  static getId(txHash: string, accountIdx: number, subaddressIdx: number): string;
+}
+
+export class MoneroDepositListener {
+  onDepositReceived(deposit: MoneroDeposit): Promise<void>;
+  onDepositConfirmed(deposit: MoneroDeposit): Promise<void>;
+  onDepositReversed(deposit: MoneroDeposit): Promise<void>;
+}
+
+export class MoneroPayout {
+  static readonly STATUS_PENDING: string;
+  static readonly STATUS_RELAYING: string;
+  static readonly STATUS_SENT: string;
+  static readonly STATUS_FAILED: string;
+  constructor(state?: object);
+  toJson(): any;
+  getId(): string;
+  setId(id: string): this;
+  getAddress(): string;
+  setAddress(address: string): this;
+  getAmount(): BigInteger;
+  setAmount(amount: BigInteger): this;
+  getStatus(): string;
+  setStatus(status: string): this;
+  getTxHash(): string | undefined;
+  setTxHash(txHash: string | undefined): this;
+  getTxMetadata(): string | undefined;
+  setTxMetadata(txMetadata: string | undefined): this;
+  getKeyImages(): string[] | undefined;
+  setKeyImages(keyImages: string[] | undefined): this;
+  getFee(): BigInteger | undefined;
+  setFee(fee: BigInteger | undefined): this;
+  getNumAttempts(): number;
+  setNumAttempts(numAttempts: number): this;
+  getError(): string | undefined;
+  setError(error: string | undefined): this;
+}
+
+export class MoneroPayoutListener {
+  onPayoutSent(payout: MoneroPayout): Promise<void>;
+  onPayoutFailed(payout: MoneroPayout): Promise<void>;
+}
+
+export class MoneroDestination {
+  constructor(stateOrAddress?: MoneroDestination | object | string, amount?: BigInteger | string);
+  getAddress(): string;
+  setAddress(address: string): this;
+  getAmount(): BigInteger;
+  setAmount(amount: BigInteger): this;
+  copy(): MoneroDestination;
+  toJson(): any;
+  toString(indent?: number): string;
+}
+
+export class MoneroIntegratedAddress {
+  constructor(state?: object);
+  toJson(): any;
+  getStandardAddress(): string;
+  setStandardAddress(standardAddress: string): this;
+  getPaymentId(): string;
+  setPaymentId(paymentId: string): this;
+  getIntegratedAddress(): string;
+  setIntegratedAddress(integratedAddress: string): this;
+  toString(): string;
+}
+
+export class MoneroKeyImageImportResult {
+  constructor(state?: object);
+  toJson(): any;
+  getHeight(): number;
+  setHeight(height: number): this;
+  getSpentAmount(): BigInteger;
+  setSpentAmount(spentAmount: BigInteger): this;
+  getUnspentAmount(): BigInteger;
+  setUnspentAmount(unspentAmount: BigInteger): this;
+}
+
+export class MoneroMultisigInfo {
+  constructor(state?: object);
+  toJson(): any;
+  isMultisig(): boolean;
+  setIsMultisig(isMultisig: boolean): this;
+  isReady(): boolean;
+  setIsReady(isReady: boolean): this;
+  getThreshold(): number;
+  setThreshold(threshold: number): this;
+  getNumParticipants(): number;
+  setNumParticipants(numParticipants: number): this;
+}
+
+export class MoneroMultisigInitResult {
+  constructor(state?: object);
+  toJson(): any;
+  getAddress(): string;
+  setAddress(address: string): this;
+  getMultisigHex(): string;
+  setMultisigHex(multisigHex: string): this;
+}
+
+export class MoneroMultisigSignResult {
+  constructor(state?: object);
+  toJson(): any;
+  getSignedMultisigTxHex(): string;
+  setSignedMultisigTxHex(signedTxMultisigHex: string): this;
+  getTxHashes(): string[];
+  setTxHashes(txHashes: string[]): this;
+}
+
+export class MoneroOutputWallet extends MoneroOutput {
+  constructor(state?: object);
+  getAccountIndex(): number;
+  setAccountIndex(accountIndex: number): this;
+  getSubaddressIndex(): number;
+  setSubaddressIndex(subaddressIndex: number): this;
+  isSpent(): boolean;
+  setIsSpent(isSpent: boolean): this;
+  isFrozen(): boolean;
+  setIsFrozen(isFrozen: boolean): this;
+  isLocked(): boolean;
+  copy(): MoneroOutputWallet;
+  toJson(): any;
+  merge(output: MoneroOutputWallet): MoneroOutputWallet;
+  toString(indent?: number): string;
+}
+
+export class MoneroOutputQuery extends MoneroOutputWallet {
+  constructor(config?: MoneroOutputQuery | object);
+  copy(): MoneroOutputQuery;
+  toJson(): any;
+  getMinAmount(): BigInteger;
+  setMinAmount(minAmount: BigInteger): this;
+  getMaxAmount(): BigInteger;
+  setMaxAmount(maxAmount: BigInteger): this;
+  getTxQuery(): MoneroTxQuery;
+  setTxQuery(txQuery: MoneroTxQuery): this;
+  getSubaddressIndices(): number[];
+  setSubaddressIndices(subaddressIndices: number[]): this;
+  meetsCriteria(output: MoneroOutputWallet, queryParent?: boolean): boolean;
+}
+
+export class MoneroTxPriority {
+  static readonly DEFAULT: number;
+  static readonly UNIMPORTANT: number;
+  static readonly NORMAL: number;
+  static readonly ELEVATED: number;
+}
+
+export interface MoneroTxConfigObject {
+  address?: string;
+  amount?: BigInteger | string;
+  accountIndex?: number;
+  subaddressIndex?: number;
+  subaddressIndices?: number[];
+  relay?: boolean;
+  priority?: number;
+  destinations?: (MoneroDestination | {address: string, amount: BigInteger | string})[];
+  subtractFeeFrom?: number[];
+  paymentId?: string;
+  unlockTime?: BigInteger | string | number;
+  note?: string;
+  recipientName?: string;
+  canSplit?: boolean;
+  belowAmount?: BigInteger | string;
+  sweepEachSubaddress?: boolean;
+  keyImage?: string;
+  keyImages?: string[];
+}
+
+export class MoneroTxConfig {
+  static readonly SUPPORTED_FIELDS: string[];
+  constructor(config?: MoneroTxConfig | MoneroTxConfigObject, relaxValidation?: boolean);
+  copy(): MoneroTxConfig;
+  toJson(): any;
+  setAddress(address: string): this;
+  getAddress(): string;
+  setAmount(amount: BigInteger | string): this;
+  getAmount(): BigInteger;
+  addDestination(destinationOrAddress: MoneroDestination | string, amount?: BigInteger | string): this;
+  getDestinations(): MoneroDestination[];
+  setDestinations(...destinations: MoneroDestination[]): this;
+  setDestinations(destinations: MoneroDestination[]): this;
+  setDestination(destination: MoneroDestination): this;
+  getSubtractFeeFrom(): number[];
+  setSubtractFeeFrom(...destinationIndices: number[]): this;
+  setSubtractFeeFrom(destinationIndices: number[]): this;
+  getPaymentId(): string;
+  setPaymentId(paymentId: string): this;
+  getPriority(): number;
+  setPriority(priority: number): this;
+  getFee(): BigInteger;
+  setFee(fee: BigInteger): this;
+  getAccountIndex(): number;
+  setAccountIndex(accountIndex: number): this;
+  setSubaddressIndex(subaddressIndex: number): this;
+  getSubaddressIndices(): number[];
+  setSubaddressIndices(subaddressIndices: number[]): this;
+  getKeyImages(): string[] | undefined;
+  setKeyImages(...keyImages: string[]): this;
+  setKeyImages(keyImages: string[] | undefined): this;
+  getUnlockTime(): BigInteger;
+  setUnlockTime(unlockTime: BigInteger | string | number): this;
+  getRelay(): boolean;
+  setRelay(relay: boolean): this;
+  getCanSplit(): boolean;
+  setCanSplit(canSplit: boolean): this;
+  getNote(): string;
+  setNote(note: string): this;
+  getRecipientName(): string;
+  setRecipientName(recipientName: string): this;
+  getBelowAmount(): BigInteger;
+  setBelowAmount(belowAmount: BigInteger): this;
+  getSweepEachSubaddress(): boolean;
+  setSweepEachSubaddress(sweepEachSubaddress: boolean): this;
+  getKeyImage(): string;
+  setKeyImage(keyImage: string): this;
+}
+
+export class MoneroSubaddress {
+  constructor(stateOrAddress?: object | string, accountIndex?: number, index?: number);
+  toJson(): any;
+  getAccountIndex(): number;
+  setAccountIndex(accountIndex: number): this;
+  getIndex(): number;
+  setIndex(index: number): this;
+  getAddress(): string;
+  setAddress(address: string): this;
+  getLabel(): string;
+  setLabel(label: string): this;
+  getBalance(): BigInteger;
+  setBalance(balance: BigInteger): this;
+  getUnlockedBalance(): BigInteger;
+  setUnlockedBalance(unlockedBalance: BigInteger): this;
+  getNumUnspentOutputs(): number;
+  setNumUnspentOutputs(numUnspentOutputs: number): this;
+  isUsed(): boolean;
+  setIsUsed(isUsed: boolean): this;
+  getNumBlocksToUnlock(): number;
+  setNumBlocksToUnlock(numBlocksToUnlock: number): this;
+  toString(indent?: number): string;
+}
+
+export class MoneroSyncResult {
+  constructor(numBlocksFetched?: number, receivedMoney?: boolean);
+  getNumBlocksFetched(): number;
+  setNumBlocksFetched(numBlocksFetched: number): this;
+  getReceivedMoney(): boolean;
+  setReceivedMoney(receivedMoney: boolean): this;
+}
+
+export class MoneroTransfer {
+  constructor(state?: object);
+  copy(): MoneroTransfer;
+  toJson(): any;
+  getTx(): MoneroTxWallet;
+  setTx(tx: MoneroTxWallet): this;
+  isOutgoing(): boolean;
+  isIncoming(): boolean;
+  getAccountIndex(): number;
+  setAccountIndex(accountIndex: number): this;
+  getAmount(): BigInteger;
+  setAmount(amount: BigInteger): this;
+  merge(transfer: MoneroTransfer): MoneroTransfer;
+  toString(indent?: number): string;
+}
+
+export class MoneroIncomingTransfer extends MoneroTransfer {
+  constructor(state?: object);
+  isIncoming(): boolean;
+  getSubaddressIndex(): number;
+  setSubaddressIndex(subaddressIndex: number): this;
+  getAddress(): string;
+  setAddress(address: string): this;
+  getNumSuggestedConfirmations(): number;
+  setNumSuggestedConfirmations(numSuggestedConfirmations: number): this;
+  copy(): MoneroIncomingTransfer;
+  merge(transfer: MoneroIncomingTransfer): MoneroIncomingTransfer;
+  toString(): string;
+  toString(indent?: number): string;
+}
+
+export class MoneroOutgoingTransfer extends MoneroTransfer {
+  constructor(state?: object);
+  isIncoming(): boolean;
+  getSubaddressIndices(): number[];
+  setSubaddressIndices(subaddressIndices: number[]): this;
+  getAddresses(): string[];
+  setAddresses(addresses: string[]): this;
+  getDestinations(): MoneroDestination[];
+  setDestinations(destinations: MoneroDestination[]): this;
+  copy(): MoneroOutgoingTransfer;
+  toJson(): any;
+  merge(transfer: MoneroTransfer): MoneroOutgoingTransfer;
+  toString(indent?: number): string;
+}
+
+export class MoneroTransferQuery extends MoneroTransfer {
+  constructor(config?: MoneroTransferQuery | object);
+  copy(): MoneroTransferQuery;
+  toJson(): any;
+  getTxQuery(): MoneroTxQuery;
+  setTxQuery(txQuery: MoneroTxQuery): this;
+  isIncoming(): boolean;
+  setIsIncoming(isIncoming: boolean): this;
+  isOutgoing(): boolean;
+  setIsOutgoing(isOutgoing: boolean): this;
+  getAddress(): string;
+  setAddress(address: string): this;
+  getAddresses(): string[];
+  setAddresses(addresses: string[]): this;
+  getSubaddressIndex(): number;
+  setSubaddressIndex(subaddressIndex: number): this;
+  getSubaddressIndices(): number[];
+  setSubaddressIndices(subaddressIndices: number[]): this;
+  getDestinations(): MoneroDestination[];
+  setDestinations(destinations: MoneroDestination[]): this;
+  hasDestinations(): boolean;
+  setHasDestinations(hasDestinations: boolean): this;
+  getMinAmount(): BigInteger;
+  setMinAmount(minAmount: BigInteger): this;
+  getMaxAmount(): BigInteger;
+  setMaxAmount(maxAmount: BigInteger): this;
+  getDestinationAddresses(): string[];
+  setDestinationAddresses(destinationAddresses: string[]): this;
+  setDestinationAddress(destinationAddress: string): this;
+  getDestinationLabel(): string;
+  setDestinationLabel(destinationLabel: string): this;
+  getOffset(): number;
+  setOffset(offset: number): this;
+  getLimit(): number;
+  setLimit(limit: number): this;
+  isSortDescending(): boolean;
+  setSortDescending(sortDescending: boolean): this;
+  setIsLocked(isLocked: boolean): this;
+  meetsCriteria(transfer: MoneroTransfer, queryParent?: boolean): boolean;
+}
+
+export class MoneroTxSet {
+  constructor(state?: object);
+  toJson(): any;
+  getTxs(): MoneroTxWallet[];
+  setTxs(txs: MoneroTxWallet[]): this;
+  getMultisigTxHex(): string;
+  setMultisigTxHex(multisigTxHex: string): this;
+  getUnsignedTxHex(): string;
+  setUnsignedTxHex(unsignedTxHex: string): this;
+  getSignedTxHex(): string;
+  setSignedTxHex(signedTxHex: string): this;
+  merge(txSet: MoneroTxSet): MoneroTxSet;
+  toString(indent?: number): string;
+}
+
+export class MoneroTxWallet extends MoneroTx {
+  constructor(state?: object);
+  toJson(): any;
+  getTxSet(): MoneroTxSet;
+  setTxSet(txSet: MoneroTxSet): this;
+  isIncoming(): boolean;
+  setIsIncoming(isIncoming: boolean): this;
+  isOutgoing(): boolean;
+  setIsOutgoing(isOutgoing: boolean): this;
+  getIncomingAmount(): BigInteger;
+  getOutgoingAmount(): BigInteger;
+  getTransfers(transferQuery?: MoneroTransferQuery): MoneroTransfer[];
+  filterTransfers(transferQuery: MoneroTransferQuery): MoneroTransfer[];
+  getIncomingTransfers(): MoneroIncomingTransfer[];
+  setIncomingTransfers(incomingTransfers: MoneroIncomingTransfer[]): this;
+  getOutgoingTransfer(): MoneroOutgoingTransfer;
+  setOutgoingTransfer(outgoingTransfer: MoneroOutgoingTransfer): this;
+  getInputs(outputQuery?: MoneroOutputQuery): MoneroOutputWallet[];
+  setInputs(inputs: MoneroOutputWallet[]): this;
+  getOutputs(outputQuery?: MoneroOutputQuery): MoneroOutputWallet[];
+  setOutputs(outputs: MoneroOutputWallet[]): this;
+  filterOutputs(outputQuery: MoneroOutputQuery): MoneroOutputWallet[];
+  getNote(): string;
+  setNote(note: string): this;
+  isLocked(): boolean;
+  setIsLocked(isLocked: boolean): this;
+  getInputSum(): BigInteger;
+  setInputSum(inputSum: BigInteger): this;
+  getOutputSum(): BigInteger;
+  setOutputSum(outputSum: BigInteger): this;
+  getChangeAddress(): string;
+  setChangeAddress(changeAddress: string): this;
+  getChangeAmount(): BigInteger;
+  setChangeAmount(changeAmount: BigInteger): this;
+  getNumDummyOutputs(): number;
+  setNumDummyOutputs(numDummyOutputs: number): this;
+  getExtraHex(): string;
+  setExtraHex(extraHex: string): this;
+  copy(): MoneroTxWallet;
+  merge(tx: MoneroTxWallet): MoneroTxWallet;
+  toString(indent?: number, oneLine?: boolean): string;
+}
+
+export class MoneroTxQuery extends MoneroTxWallet {
+  constructor(config?: MoneroTxQuery | object);
+  copy(): MoneroTxQuery;
+  toJson(): any;
+  isIncoming(): boolean;
+  setIsIncoming(isIncoming: boolean): this;
+  isOutgoing(): boolean;
+  setIsOutgoing(isOutgoing: boolean): this;
+  getHashes(): string[];
+  setHashes(hashes: string[]): this;
+  setHash(hash: string): this;
+  hasPaymentId(): boolean;
+  setHasPaymentId(hasPaymentId: boolean): this;
+  getPaymentIds(): string[];
+  setPaymentIds(paymentIds: string[]): this;
+  setPaymentId(paymentId: string): this;
+  getHeight(): number;
+  setHeight(height: number): this;
+  getMinHeight(): number;
+  setMinHeight(minHeight: number): this;
+  getMaxHeight(): number;
+  setMaxHeight(maxHeight: number): this;
+  getMinTimestamp(): number;
+  setMinTimestamp(minTimestamp: number): this;
+  getMaxTimestamp(): number;
+  setMaxTimestamp(maxTimestamp: number): this;
+  getNoteContains(): string;
+  setNoteContains(noteContains: string): this;
+  getIncludeOutputs(): boolean;
+  setIncludeOutputs(includeOutputs: boolean): this;
+  getOffset(): number;
+  setOffset(offset: number): this;
+  getLimit(): number;
+  setLimit(limit: number): this;
+  isSortDescending(): boolean;
+  setSortDescending(sortDescending: boolean): this;
+  getTransferQuery(): MoneroTransferQuery;
+  setTransferQuery(transferQuery: MoneroTransferQuery): this;
+  getInputQuery(): MoneroOutputQuery;
+  setInputQuery(inputQuery: MoneroOutputQuery): this;
+  getOutputQuery(): MoneroOutputQuery;
+  setOutputQuery(outputQuery: MoneroOutputQuery): this;
+  meetsCriteria(tx: MoneroTxWallet, queryChildren?: boolean): boolean;
+}
+
+export class MoneroWalletListener {
+  onSyncProgress(height: number, startHeight: number, endHeight: number, percentDone: number, message: string): Promise<void>;
+  onNewBlock(height: number): Promise<void>;
+  onBalancesChanged(newBalance: BigInteger, newUnlockedBalance: BigInteger): Promise<void>;
+  onOutputReceived(output: MoneroOutputWallet): Promise<void>;
+  onOutputSpent(output: MoneroOutputWallet): Promise<void>;
+  onReorg(forkHeight: number, detachedTxHashes: string[]): Promise<void>;
+  onTxConfirmationsChanged(tx: MoneroTxWallet): Promise<void>;
+  getConfirmationThresholds(): number[];
+}
+
+export interface MoneroWalletConfigObject {
+  type?: "full" | "keys" | "rpc";
+  rpc?: string | string[] | MoneroRpcConnectionConfig | MoneroRpcConnection;
+  path?: string;
+  password?: string;
+  networkType?: string | number;
+  serverUri?: string;
+  serverUsername?: string;
+  serverPassword?: string;
+  rejectUnauthorized?: boolean;
+  server?: MoneroRpcConnectionConfig | MoneroRpcConnection;
+  seed?: string;
+  seedOffset?: string;
+  isMultisig?: boolean;
+  primaryAddress?: string;
+  privateViewKey?: string;
+  privateSpendKey?: string;
+  restoreHeight?: number;
+  language?: string;
+  saveCurrent?: boolean;
+  proxyToWorker?: boolean;
+  fs?: any;
+  storage?: MoneroWalletStorage;
+  keysData?: Uint8Array;
+  cacheData?: Uint8Array;
+  accountLookahead?: number;
+  subaddressLookahead?: number;
+}
+
+export class MoneroWalletConfig {
+  static readonly SUPPORTED_FIELDS: string[];
+  constructor(config?: MoneroWalletConfig | MoneroWalletConfigObject);
+  copy(): MoneroWalletConfig;
+  toJson(): any;
+  getType(): "full" | "keys" | "rpc" | undefined;
+  setType(type: "full" | "keys" | "rpc"): this;
+  getRpc(): string | string[] | MoneroRpcConnectionConfig | MoneroRpcConnection | undefined;
+  setRpc(rpc: string | string[] | MoneroRpcConnectionConfig | MoneroRpcConnection): this;
+  getPath(): string;
+  setPath(path: string): this;
+  getPassword(): string;
+  setPassword(password: string): this;
+  getNetworkType(): number;
+  setNetworkType(networkTypeOrStr: number | string): this;
+  getServer(): MoneroRpcConnection | undefined;
+  setServer(server: MoneroRpcConnectionConfig | MoneroRpcConnection | undefined): this;
+  getServerUri(): string;
+  setServerUri(serverUri: string): this;
+  getServerUsername(): string;
+  setServerUsername(serverUsername: string): this;
+  getServerPassword(): string;
+  setServerPassword(serverPassword: string): this;
+  getRejectUnauthorized(): boolean;
+  setRejectUnauthorized(rejectUnauthorized: boolean): this;
+  getSeed(): string;
+  setSeed(seed: string): this;
+  getSeedOffset(): string;
+  setSeedOffset(seedOffset: string): this;
+  isMultisig(): boolean;
+  setIsMultisig(isMultisig: boolean): this;
+  getPrimaryAddress(): string;
+  setPrimaryAddress(primaryAddress: string): this;
+  getPrivateViewKey(): string;
+  setPrivateViewKey(privateViewKey: string): this;
+  getPrivateSpendKey(): string;
+  setPrivateSpendKey(privateSpendKey: string): this;
+  getRestoreHeight(): number;
+  setRestoreHeight(restoreHeight: number): this;
+  getLanguage(): string;
+  setLanguage(language: string): this;
+  getSaveCurrent(): boolean;
+  setSaveCurrent(saveCurrent: boolean): this;
+  getProxyToWorker(): boolean;
+  setProxyToWorker(proxyToWorker: boolean): this;
+  getFs(): any;
+  setFs(fs: any): this;
+  getStorage(): MoneroWalletStorage | undefined;
+  setStorage(storage: MoneroWalletStorage | undefined): this;
+  getKeysData(): Uint8Array;
+  setKeysData(keysData: Uint8Array): this;
+  getCacheData(): Uint8Array;
+  setCacheData(cacheData: Uint8Array): this;
+  getAccountLookahead(): number;
+  setAccountLookahead(accountLookahead: number): this;
+  getSubaddressLookahead(): number;
+  setSubaddressLookahead(subaddressLookahead: number): this;
+}
+
+export class MoneroWalletRecovery {
+  constructor(state?: object);
+  toJson(): any;
+  getBackupIndex(): number;
+  setBackupIndex(backupIndex: number): this;
+  isKeysOnly(): boolean;
+  setIsKeysOnly(isKeysOnly: boolean): this;
+  getReason(): string;
+  setReason(reason: string): this;
+}
+
+export class MoneroMessageSignatureType {
+  static readonly SIGN_WITH_SPEND_KEY: number;
+  static readonly SIGN_WITH_VIEW_KEY: number;
+}
+
+export class MoneroMessageSignatureResult {
+  constructor(stateOrIsGood?: object | boolean, isOld?: boolean, signatureType?: number, version?: number);
+  toJson(): any;
+  isGood(): boolean;
+  setIsGood(isGood: boolean): this;
+  isOld(): boolean;
+  setIsOld(isOld: boolean): this;
+  getSignatureType(): number;
+  setSignatureType(signatureType: number): this;
+  getVersion(): number;
+  setVersion(version: number): this;
+}
+
+export interface MoneroBalancingRoute {
+  methods: (string | RegExp)[];
+  mode?: string;
+  hedgeDelayInMs?: number | null;
+  uris?: string[];
+}
+
+export interface MoneroBalancingConfig {
+  mode?: string;
+  hedgeDelayInMs?: number;
+  routes?: MoneroBalancingRoute[];
+}
+
+export class MoneroConnectionManager {
+  static readonly DEFAULT_TIMEOUT: number;
+  static readonly DEFAULT_CHECK_CONNECTION_PERIOD: number;
+  static readonly BALANCING_CURRENT: string;
+  static readonly BALANCING_WEIGHTED: string;
+  static readonly DEFAULT_BALANCING: MoneroBalancingConfig;
+  constructor(proxyToWorker?: boolean);
+  addListener(listener: MoneroConnectionManagerListener): this;
+  removeListener(listener: MoneroConnectionManagerListener): this;
+  removeListeners(): this;
+  addConnection(connection: MoneroRpcConnection): Promise<this>;
+  removeConnection(uri: string): Promise<this>;
+  isConnected(): boolean | undefined;
+  getConnection(): MoneroRpcConnection;
+  getConnectionByUri(uri: string): MoneroRpcConnection;
+  getConnections(): MoneroRpcConnection[];
+  getBestAvailableConnection(excludedConnections?: MoneroRpcConnection[]): Promise<MoneroRpcConnection>;
+  setConnection(uriOrConnection?: string | MoneroRpcConnection): this;
+  checkConnection(): Promise<this>;
+  checkConnections(): Promise<this>;
+  checkConnectionPromises(): Promise<void>[];
+  startCheckingConnection(periodMs?: number): Promise<this>;
+  stopCheckingConnection(): this;
+  setAutoSwitch(autoSwitch: boolean): this;
+  getAutoSwitch(): boolean;
+  setTimeout(timeoutInMs: number): this;
+  getTimeout(): number;
+  setBalancing(balancing?: MoneroBalancingConfig): this;
+  getBalancing(): MoneroBalancingConfig;
+  sendJsonRequest(method: string, params?: object, timeoutInMs?: number): Promise<any>;
+  sendPathRequest(path: string, params?: object, timeoutInMs?: number): Promise<any>;
+  sendBinaryRequest(path: string, params?: object, timeoutInMs?: number): Promise<Uint8Array>;
+  getPeerConnections(): Promise<MoneroRpcConnection[]>;
+  disconnect(): this;
+  clear(): this;
+  reset(): this;
+  getListeners(): MoneroConnectionManagerListener[];
+}
+
+export class MoneroConnectionManagerListener {
+  onConnectionChanged(connection: MoneroRpcConnection): Promise<void>;
+}
+
+export class MoneroUtils {
+  static readonly PROXY_TO_WORKER: boolean;
+  static readonly NUM_MNEMONIC_WORDS: number;
+  static readonly RING_SIZE: number;
+  static readonly MAX_REQUESTS_PER_SECOND: number;
+  static readonly AU_PER_XMR: number;
+  static getVersion(): string;
+  static setProxyToWorker(proxyToWorker: boolean): void;
+  static validateMnemonic(mnemonic: string): Promise<void>;
+  static isValidPrivateViewKey(privateViewKey: string): Promise<boolean>;
+  static isValidPublicViewKey(publicViewKey: string): Promise<boolean>;
+  static isValidPrivateSpendKey(privateSpendKey: string): Promise<boolean>;
+  static isValidPublicSpendKey(publicSpendKey: string): Promise<boolean>;
+  static validatePrivateViewKey(privateViewKey: string): Promise<void>;
+  static validatePublicViewKey(publicViewKey: string): Promise<void>;
+  static validatePrivateSpendKey(privateSpendKey: string): Promise<void>;
+  static validatePublicSpendKey(publicSpendKey: string): Promise<void>;
+  static getIntegratedAddress(networkType: number, standardAddress: string, paymentId?: string): Promise<MoneroIntegratedAddress>;
+  static isValidAddress(address: string, networkType: number): Promise<boolean>;
+  static validateAddress(address: string, networkType: number): Promise<void>;
+  static isValidPaymentId(paymentId: string): Promise<boolean>;
+  static validatePaymentId(paymentId: string): Promise<void>;
+  static getLastTxPubKey(txExtra: number[]): Promise<string>;
+  static paymentIdsEqual(paymentId1: string, paymentId2: string): boolean;
+  static mergeTx(txs: MoneroTx[], tx: MoneroTx): void;
+  static jsonToBinary(json: object): Promise<Uint8Array>;
+  static binaryToJson(uint8arr: Uint8Array): Promise<any>;
+  static binaryBlocksToJson(uint8arr: Uint8Array): Promise<any>;
+  static xmrToAtomicUnits(amountXmr: number | string): BigInteger;
+  static atomicUnitsToXmr(amountAtomicUnits: BigInteger | string): number;
+}
+
+export class MoneroDaemon {
+  addListener(listener: MoneroDaemonListener): Promise<void>;
+  removeListener(listener: MoneroDaemonListener): Promise<void>;
+  getListeners(): MoneroDaemonListener[];
+  isConnected(): Promise<boolean>;
+  getVersion(): Promise<MoneroVersion>;
+  isTrusted(): Promise<boolean>;
+  getHeight(): Promise<number>;
+  getBlockHash(height: number): Promise<string>;
+  getBlockTemplate(walletAddress: string, reserveSize?: number): Promise<MoneroBlockTemplate>;
+  getLastBlockHeader(): Promise<MoneroBlockHeader>;
+  getBlockHeaderByHash(blockHash: string): Promise<MoneroBlockHeader>;
+  getBlockHeaderByHeight(height: number): Promise<MoneroBlockHeader>;
+  getBlockHeadersByRange(startHeight?: number, endHeight?: number): Promise<MoneroBlockHeader[]>;
+  getBlockByHash(blockHash: string): Promise<MoneroBlock>;
+  getBlocksByHash(blockHashes: string[], startHeight: number, prune?: boolean): Promise<MoneroBlock[]>;
+  getBlockByHeight(height: number): Promise<MoneroBlock>;
+  getBlocksByHeight(heights: number[]): Promise<MoneroBlock[]>;
+  getBlocksByRange(startHeight?: number, endHeight?: number): Promise<MoneroBlock[]>;
+  getBlocksByRangeChunked(startHeight?: number, endHeight?: number, maxChunkSize?: number): Promise<MoneroBlock[]>;
+  getBlockHashes(blockHashes: string[], startHeight: number): Promise<string[]>;
+  getTx(txHash: string, prune?: boolean): Promise<MoneroTx>;
+  getTxs(txHashes: string[], prune?: boolean): Promise<MoneroTx[]>;
+  getTxHex(txHash: string, prune?: boolean): Promise<string>;
+  getTxHexes(txHashes: string[], prune?: boolean): Promise<string[]>;
+  getMinerTxSum(height: number, numBlocks: number): Promise<MoneroMinerTxSum>;
+  getFeeEstimate(graceBlocks?: number): Promise<MoneroFeeEstimate>;
+  submitTxHex(txHex: string, doNotRelay?: boolean): Promise<MoneroSubmitTxResult>;
+  relayTxByHash(txHash: string): Promise<void>;
+  relayTxsByHash(txHashes: string[]): Promise<void>;
+  getTxPool(): Promise<MoneroTx[]>;
+  getTxPoolHashes(): Promise<string[]>;
+  getTxPoolBacklog(): Promise<MoneroTxBacklogEntry[]>;
+  getTxPoolStats(): Promise<MoneroTxPoolStats>;
+  flushTxPool(hashes?: string | string[]): Promise<void>;
+  getKeyImageSpentStatus(keyImage: string): Promise<number>;
+  getKeyImageSpentStatuses(keyImages: string[]): Promise<number[]>;
+  getOutputs(outputs: MoneroOutput[]): Promise<MoneroOutput[]>;
+  getOutputHistogram(amounts: BigInteger[], minCount: number, maxCount: number, isUnlocked: boolean, recentCutoff: number): Promise<MoneroOutputHistogramEntry[]>;
+  getOutputDistribution(amounts?: BigInteger[], cumulative?: boolean, startHeight?: number, endHeight?: number): Promise<MoneroOutputDistributionEntry[]>;
+  getInfo(): Promise<MoneroDaemonInfo>;
+  getSyncInfo(): Promise<MoneroDaemonSyncInfo>;
+  getHardForkInfo(): Promise<MoneroHardForkInfo>;
+  getAltChains(): Promise<MoneroAltChain[]>;
+  getAltBlockHashes(): Promise<string[]>;
+  getDownloadLimit(): Promise<number>;
+  setDownloadLimit(limit: number): Promise<number>;
+  resetDownloadLimit(): Promise<number>;
+  getUploadLimit(): Promise<number>;
+  setUploadLimit(limit: number): Promise<number>;
+  resetUploadLimit(): Promise<number>;
+  getPeers(): Promise<MoneroPeer[]>;
+  getKnownPeers(): Promise<MoneroPeer[]>;
+  setOutgoingPeerLimit(limit: number): Promise<void>;
+  setIncomingPeerLimit(limit: number): Promise<void>;
+  getPeerBans(): Promise<MoneroBan[]>;
+  setPeerBan(ban: MoneroBan): Promise<void>;
+  setPeerBans(bans: MoneroBan[]): Promise<void>;
+  startMining(address: string, numThreads: number, isBackground: boolean, ignoreBattery: boolean): Promise<void>;
+  stopMining(): Promise<void>;
+  getMiningStatus(): Promise<MoneroMiningStatus>;
+  submitBlock(blockBlob: string): Promise<void>;
+  pruneBlockchain(check?: boolean): Promise<MoneroPruneResult>;
+  submitBlocks(blockBlobs: string[]): Promise<void>;
+  checkForUpdate(): Promise<MoneroDaemonUpdateCheckResult>;
+  downloadUpdate(path?: string): Promise<MoneroDaemonUpdateDownloadResult>;
+  stop(): Promise<void>;
+  waitForNextBlockHeader(): Promise<MoneroBlockHeader>;
+  static parseNetworkType(network: string): number;
+}
+
+export interface MoneroTransferExportConfig {
+  query?: MoneroTxQuery | object;
+  format?: string;
+  xmr?: boolean;
+  writer?: (line: string) => Promise<void>;
+}
+
+export class MoneroWallet {
+  static readonly DEFAULT_LANGUAGE: string;
+  static readonly DEFAULT_PAGE_SIZE: number;
+  static readonly DEFAULT_RING_SIZE: number;
+  static readonly EXPORT_FORMAT_CSV: string;
+  static readonly EXPORT_FORMAT_JSONL: string;
+  static readonly EXPORT_COLUMNS: string[];
+  static readonly FACTORY_FIELDS: {[type: string]: {create: string[], open: string[]}};
+  static create(config: MoneroWalletConfigObject & {type: "full"}): Promise<MoneroWalletFull>;
+  static create(config: MoneroWalletConfigObject & {type: "keys"}): Promise<MoneroWalletKeys>;
+  static create(config: MoneroWalletConfigObject & {type: "rpc"}): Promise<MoneroWalletRpc>;
+  static create(config: MoneroWalletConfig | MoneroWalletConfigObject): Promise<MoneroWallet>;
+  static open(config: MoneroWalletConfigObject & {type: "full"}): Promise<MoneroWalletFull>;
+  static open(config: MoneroWalletConfigObject & {type: "keys"}): Promise<MoneroWalletKeys>;
+  static open(config: MoneroWalletConfigObject & {type: "rpc"}): Promise<MoneroWalletRpc>;
+  static open(config: MoneroWalletConfig | MoneroWalletConfigObject): Promise<MoneroWallet>;
+  addListener(listener: MoneroWalletListener): Promise<void>;
+  removeListener(listener: MoneroWalletListener): Promise<void>;
+  getListeners(): MoneroWalletListener[];
+  isViewOnly(): Promise<boolean>;
+  setDaemonConnection(uriOrConnection?: string | MoneroRpcConnection, username?: string, password?: string): Promise<void>;
+  getDaemonConnection(): Promise<MoneroRpcConnection>;
+  isConnectedToDaemon(): Promise<boolean>;
+  getVersion(): Promise<MoneroVersion>;
+  getPath(): Promise<string>;
+  getSeed(): Promise<string>;
+  getSeedLanguage(): Promise<string>;
+  getPrivateViewKey(): Promise<string>;
+  getPrivateSpendKey(): Promise<string>;
+  getPublicViewKey(): Promise<string>;
+  getPublicSpendKey(): Promise<string>;
+  getPrimaryAddress(): Promise<string>;
+  getAddress(accountIdx: number, subaddressIdx: number): Promise<string>;
+  getAddressIndex(address: string): Promise<MoneroSubaddress>;
+  getIntegratedAddress(standardAddress: string, paymentId: string): Promise<MoneroIntegratedAddress>;
+  decodeIntegratedAddress(integratedAddress: string): Promise<MoneroIntegratedAddress>;
+  getHeight(): Promise<number>;
+  getDaemonHeight(): Promise<number>;
+  getHeightByDate(year: number, month: number, day: number): Promise<number>;
+  sync(listenerOrStartHeight?: MoneroWalletListener | number, startHeight?: number): Promise<MoneroSyncResult>;
+  startSyncing(syncPeriodInMs?: number): Promise<void>;
+  stopSyncing(): Promise<void>;
+  scanTxs(txHashes: string[]): Promise<void>;
+  rescanSpent(): Promise<void>;
+  rescanBlockchain(): Promise<void>;
+  getBalance(accountIdx?: number, subaddressIdx?: number): Promise<BigInteger>;
+  getUnlockedBalance(accountIdx?: number, subaddressIdx?: number): Promise<BigInteger>;
+  getNumBlocksToUnlock(): Promise<number[] | undefined>;
+  getAccounts(includeSubaddresses?: boolean, tag?: string): Promise<MoneroAccount[]>;
+  getAccount(accountIdx: number, includeSubaddresses?: boolean): Promise<MoneroAccount>;
+  createAccount(label?: string): Promise<MoneroAccount>;
+  setAccountLabel(accountIdx: number, label: string): Promise<void>;
+  getSubaddresses(accountIdx: number, subaddressIndices?: number[]): Promise<MoneroSubaddress[]>;
+  getSubaddress(accountIdx: number, subaddressIdx: number): Promise<MoneroSubaddress>;
+  createSubaddress(accountIdx: number, label?: string): Promise<MoneroSubaddress>;
+  setSubaddressLabel(accountIdx: number, subaddressIdx: number, label: string): Promise<void>;
+  getTx(txHash: string): Promise<MoneroTxWallet>;
+  getTxs(query?: MoneroTxQuery | string[] | object): Promise<MoneroTxWallet[]>;
+  getTransfers(query?: MoneroTransferQuery | object): Promise<MoneroTransfer[]>;
+  getIncomingTransfers(query?: MoneroTransferQuery | object): Promise<MoneroIncomingTransfer[]>;
+  getOutgoingTransfers(query?: MoneroTransferQuery | object): Promise<MoneroOutgoingTransfer[]>;
+  iterateTxs(query?: MoneroTxQuery | string[] | object, pageSize?: number): AsyncIterableIterator<MoneroTxWallet>;
+  iterateTransfers(query?: MoneroTransferQuery | object, pageSize?: number): AsyncIterableIterator<MoneroTransfer>;
+  exportTransfers(config?: MoneroTransferExportConfig): Promise<string | undefined>;
+  getOutputs(query?: MoneroOutputQuery | object): Promise<MoneroOutputWallet[]>;
+  exportOutputs(all?: boolean): Promise<string>;
+  importOutputs(outputsHex: string): Promise<number>;
+  exportKeyImages(all?: boolean): Promise<MoneroKeyImage[]>;
+  importKeyImages(keyImages: MoneroKeyImage[]): Promise<MoneroKeyImageImportResult>;
+  getNewKeyImagesFromLastImport(): Promise<MoneroKeyImage[]>;
+  freezeOutput(keyImage: string): Promise<void>;
+  thawOutput(keyImage: string): Promise<void>;
+  isOutputFrozen(keyImage: string): Promise<boolean>;
+  createTx(config: MoneroTxConfig | MoneroTxConfigObject): Promise<MoneroTxWallet>;
+  createTxs(config: MoneroTxConfig | MoneroTxConfigObject): Promise<MoneroTxWallet[]>;
+  estimateTxSizeAndWeight(numInputs: number, numOutputs: number, ringSize?: number, rct?: boolean): Promise<number[]>;
+  estimateFee(config: MoneroTxConfig | MoneroTxConfigObject, feeEstimate?: MoneroFeeEstimate): Promise<BigInteger>;
+  sweepOutput(config: MoneroTxConfig | MoneroTxConfigObject): Promise<MoneroTxWallet>;
+  sweepUnlocked(config: MoneroTxConfig | MoneroTxConfigObject): Promise<MoneroTxWallet[]>;
+  sweepDust(relay?: boolean): Promise<MoneroTxWallet[]>;
+  relayTx(txOrMetadata: MoneroTxWallet | string): Promise<string>;
+  relayTxs(txsOrMetadatas: MoneroTxWallet[] | string[]): Promise<string[]>;
+  describeUnsignedTxSet(unsignedTxHex: string): Promise<MoneroTxSet>;
+  describeMultisigTxSet(multisigTxHex: string): Promise<MoneroTxSet>;
+  describeTxSet(txSet: MoneroTxSet): Promise<MoneroTxSet>;
+  signTxs(unsignedTxHex: string): Promise<string>;
+  submitTxs(signedTxHex: string): Promise<string[]>;
+  signMessage(message: string, signatureType?: number, accountIdx?: number, subaddressIdx?: number): Promise<string>;
+  verifyMessage(message: string, address: string, signature: string): Promise<MoneroMessageSignatureResult>;
+  getTxKey(txHash: string): Promise<string>;
+  checkTxKey(txHash: string, txKey: string, address: string): Promise<MoneroCheckTx>;
+  getTxProof(txHash: string, address: string, message?: string): Promise<string>;
+  checkTxProof(txHash: string, address: string, message?: string, signature?: string): Promise<MoneroCheckTx>;
+  getSpendProof(txHash: string, message?: string): Promise<string>;
+  checkSpendProof(txHash: string, message?: string, signature?: string): Promise<boolean>;
+  getReserveProofWallet(message?: string): Promise<string>;
+  getReserveProofAccount(accountIdx: number, amount: BigInteger, message?: string): Promise<string>;
+  checkReserveProof(address: string, message?: string, signature?: string): Promise<MoneroCheckReserve>;
+  getTxNote(txHash: string): Promise<string>;
+  getTxNotes(txHashes: string[]): Promise<string[]>;
+  setTxNote(txHash: string, note: string): Promise<void>;
+  setTxNotes(txHashes: string[], notes: string[]): Promise<void>;
+  getAddressBookEntries(entryIndices?: number[]): Promise<MoneroAddressBookEntry[]>;
+  addAddressBookEntry(address: string, description?: string): Promise<number>;
+  editAddressBookEntry(index: number, setAddress: boolean, address: string, setDescription: boolean, description: string): Promise<void>;
+  deleteAddressBookEntry(entryIdx: number): Promise<void>;
+  tagAccounts(tag: string, accountIndices: number[]): Promise<void>;
+  untagAccounts(accountIndices: number[]): Promise<void>;
+  getAccountTags(): Promise<MoneroAccountTag[]>;
+  setAccountTagLabel(tag: string, label: string): Promise<void>;
+  getPaymentUri(config: MoneroTxConfig | MoneroTxConfigObject): Promise<string>;
+  parsePaymentUri(uri: string): Promise<MoneroTxConfig>;
+  getAttribute(key: string): Promise<string>;
+  setAttribute(key: string, val: string): Promise<void>;
+  startMining(numThreads?: number, backgroundMining?: boolean, ignoreBattery?: boolean): Promise<void>;
+  stopMining(): Promise<void>;
+  isMultisigImportNeeded(): Promise<boolean>;
+  isMultisig(): Promise<boolean>;
+  getMultisigInfo(): Promise<MoneroMultisigInfo>;
+  prepareMultisig(): Promise<string>;
+  makeMultisig(multisigHexes: string[], threshold: number, password: string): Promise<string>;
+  exchangeMultisigKeys(multisigHexes: string[], password: string): Promise<MoneroMultisigInitResult>;
+  exportMultisigHex(): Promise<string>;
+  importMultisigHex(multisigHexes: string[]): Promise<number>;
+  signMultisigTxHex(multisigTxHex: string): Promise<MoneroMultisigSignResult>;
+  submitMultisigTxHex(signedMultisigTxHex: string): Promise<string[]>;
+  changePassword(oldPassword: string, newPassword: string): Promise<void>;
+  save(): Promise<void>;
+  close(save?: boolean): Promise<void>;
+  isClosed(): Promise<boolean>;
+}
+
+export interface MoneroDaemonRpcConfig extends MoneroRpcConnectionConfig {
+  pollInterval?: number;
+  zmqUri?: string;
+  connectionManager?: MoneroConnectionManager;
+}
+
+export class MoneroDaemonRpc extends MoneroDaemon {
+  static readonly DEFAULT_ID: string;
+  static readonly MAX_REQ_SIZE: string;
+  static readonly NUM_HEADERS_PER_REQ: string;
+  protected constructor(uriOrConfig: string | MoneroDaemonRpcConfig | MoneroRpcConnection | MoneroConnectionManager, username?: string, password?: string, rejectUnauthorized?: boolean, pollInterval?: number, proxyToWorker?: boolean);
+  getProcess(): any;
+  stopProcess(force?: boolean): Promise<number | undefined>;
+  getRpcConnection(): Promise<MoneroRpcConnection>;
+}
+
+export class MoneroWalletRpc extends MoneroWallet {
+  static readonly DEFAULT_SYNC_PERIOD_IN_MS: number;
+  protected constructor(uriOrConfig: string | MoneroRpcConnectionConfig | MoneroRpcConnection, username?: string, password?: string, rejectUnauthorized?: boolean);
+  getProcess(): any;
+  stopProcess(force?: boolean): Promise<number | undefined>;
+  getRpcConnection(): MoneroRpcConnection;
+  openWallet(pathOrConfig: string | MoneroWalletConfig | MoneroWalletConfigObject, password?: string): Promise<MoneroWalletRpc>;
+  createWallet(config: MoneroWalletConfig | MoneroWalletConfigObject): Promise<MoneroWalletRpc>;
+  getSeedLanguages(): Promise<string[]>;
+  setDaemonConnection(uriOrConnection?: string | MoneroRpcConnection, isTrusted?: boolean, sslOptions?: SslOptions): Promise<void>;
+  setDaemonConnection(uriOrConnection?: string | MoneroRpcConnection, username?: string, password?: string): Promise<void>;
+  sync(startHeight?: number): Promise<MoneroSyncResult>;
+  getAccounts(includeSubaddresses?: boolean, tag?: string, skipBalances?: boolean): Promise<MoneroAccount[]>;
+  getAccount(accountIdx: number, includeSubaddresses?: boolean, skipBalances?: boolean): Promise<MoneroAccount>;
+  getSubaddresses(accountIdx: number, subaddressIndices?: number[], skipBalances?: boolean): Promise<MoneroSubaddress[]>;
+  getSubaddress(accountIdx: number, subaddressIdx: number, skipBalances?: boolean): Promise<MoneroSubaddress>;
+  stop(): Promise<void>;
+}
+
+export class MoneroWalletKeys extends MoneroWallet {
+  static createWallet(config: MoneroWalletConfig | MoneroWalletConfigObject): Promise<MoneroWalletKeys>;
+  static getSeedLanguages(): Promise<string[]>;
+  protected constructor(cppAddress: number);
+}
+
+export class MoneroWalletFull extends MoneroWalletKeys {
+  static readonly DEFAULT_SYNC_PERIOD_IN_MS: number;
+  static walletExists(path: string, fs?: any): boolean;
+  static openWallet(config: MoneroWalletConfig | MoneroWalletConfigObject): Promise<MoneroWalletFull>;
+  static openWallet(path: string, password: string, networkType: string | number, daemonUriOrConnection?: string | MoneroRpcConnection, proxyToWorker?: boolean, fs?: any): Promise<MoneroWalletFull>;
+  static createWallet(config: MoneroWalletConfig | MoneroWalletConfigObject): Promise<MoneroWalletFull>;
+  static getSeedLanguages(): Promise<string[]>;
+  protected constructor(cppAddress: number, path: string, password: string, storage: MoneroWalletStorage, rejectUnauthorized: boolean, rejectUnauthorizedFnId: string);
+  getDaemonMaxPeerHeight(): Promise<number>;
+  isDaemonSynced(): Promise<boolean>;
+  isSynced(): Promise<boolean>;
+  getNetworkType(): Promise<number>;
+  getRestoreHeight(): Promise<number>;
+  setRestoreHeight(restoreHeight: number): Promise<void>;
+  sync(listenerOrStartHeight?: MoneroWalletListener | number, startHeight?: number, allowConcurrentCalls?: boolean): Promise<MoneroSyncResult>;
+  moveTo(path: string): Promise<void>;
+  getRecovery(): Promise<MoneroWalletRecovery | undefined>;
+  getData(): Promise<DataView[]>;
+}
+
+export class MoneroWalletStorage {
+  exists(path: string): Promise<boolean>;
+  load(path: string): Promise<[Uint8Array, Uint8Array | string, MoneroWalletRecovery?]>;
+  save(path: string, keysData: Uint8Array, cacheData: Uint8Array, primaryAddress?: string): Promise<void>;
+  delete(path: string): Promise<void>;
+}
+
+export class MoneroWalletFileStorage extends MoneroWalletStorage {
+  static readonly DEFAULT_NUM_BACKUPS: number;
+  static readonly MANIFEST_VERSION: number;
+  constructor(fs?: any, numBackups?: number);
+  getFs(): any;
+  getNumBackups(): number;
+}
+
+export class MoneroWalletIndexedDbStorage extends MoneroWalletStorage {
+  static readonly DEFAULT_DB_NAME: string;
+  static readonly STORE_NAME: string;
+  constructor(dbName?: string, indexedDb?: IDBFactory);
+  close(): void;
+}
+
+export class MoneroDepositStore {
+  constructor();
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+}
+
+export interface MoneroDepositWatcherConfig {
+  accountIndex?: number;
+  numConfirmations?: number;
+  store?: MoneroDepositStore;
+}
+
+export class MoneroDepositWatcher {
+  static readonly STORE_KEY_EXTERNAL_IDS: string;
+  static readonly STORE_KEY_SCAN_HEIGHT: string;
+  static readonly STORE_KEY_PENDING_IDS: string;
+  static readonly STORE_KEY_DEPOSIT_PREFIX: string;
+  static readonly STORE_KEY_TX_PREFIX: string;
+  static readonly STATUS_RECEIVED: string;
+  static readonly STATUS_CONFIRMED: string;
+  static readonly STATUS_REVERSED: string;
+  constructor(wallet: MoneroWallet, config?: MoneroDepositWatcherConfig);
+  addListener(listener: MoneroDepositListener): Promise<void>;
+  removeListener(listener: MoneroDepositListener): Promise<void>;
+  getListeners(): MoneroDepositListener[];
+  createSubaddress(externalId: string, label?: string): Promise<MoneroSubaddress>;
+  setExternalId(subaddressIdx: number, externalId: string | undefined): Promise<void>;
+  getExternalId(subaddressIdx: number): Promise<string | undefined>;
+  start(): Promise<void>;
+  stop(): Promise<void>;
+  scan(): Promise<void>;
+}
+
+export class MoneroPayoutStore {
+  constructor();
+  get(key: string): Promise<any>;
+  set(key: string, value: any): Promise<void>;
+}
+
+export interface MoneroPayoutSchedulerConfig {
+  accountIndex?: number;
+  priority?: number;
+  maxDestinationsPerTx?: number;
+  maxTxWeight?: number;
+  maxAttempts?: number;
+  store?: MoneroPayoutStore;
+}
+
+export class MoneroPayoutScheduler {
+  static readonly DEFAULT_MAX_DESTINATIONS_PER_TX: number;
+  static readonly DEFAULT_MAX_TX_WEIGHT: number;
+  static readonly STORE_KEY_PENDING_IDS: string;
+  static readonly STORE_KEY_PAYOUT_PREFIX: string;
+  constructor(wallet: MoneroWallet, config?: MoneroPayoutSchedulerConfig);
+  addListener(listener: MoneroPayoutListener): Promise<void>;
+  removeListener(listener: MoneroPayoutListener): Promise<void>;
+  getListeners(): MoneroPayoutListener[];
+  addPayout(payout: MoneroPayout | {id: string, address: string, amount: BigIntegerValue}): Promise<MoneroPayout>;
+  getPayout(id: string): Promise<MoneroPayout | undefined>;
+  getPendingPayouts(): Promise<MoneroPayout[]>;
+  start(): Promise<void>;
+  stop(): Promise<void>;
+  process(): Promise<void>;
+}
+
+export class MoneroOfflineSigningCoordinator {
+  static readonly BUNDLE_FORMAT: string;
+  static readonly BUNDLE_VERSION: number;
+  static readonly BUNDLE_TYPE_OUTPUTS: string;
+  static readonly BUNDLE_TYPE_KEY_IMAGES: string;
+  static readonly BUNDLE_TYPE_UNSIGNED_TXS: string;
+  static readonly BUNDLE_TYPE_SIGNED_TXS: string;
+  constructor(wallet: MoneroWallet);
+  exportOutputs(all?: boolean): Promise<string>;
+  importOutputs(bundle: string): Promise<string>;
+  importKeyImages(bundle: string): Promise<MoneroKeyImageImportResult>;
+  createTxs(config: MoneroTxConfig | MoneroTxConfigObject): Promise<string>;
+  describeTxs(bundle: string): Promise<MoneroTxSet>;
+  signTxs(bundle: string): Promise<string>;
+  submitTxs(bundle: string): Promise<string[]>;
+  static getBundleType(bundle: string): string;
+}
+
+export class MoneroMultisigTransport {
+  send(message: any): Promise<void>;
+  receive(): Promise<any[]>;
+}
+
+export class MoneroMultisigMemoryTransport extends MoneroMultisigTransport {
+  constructor(messages?: string[]);
+  getMessages(): string[];
+}
+
+export interface MoneroMultisigSessionConfig {
+  sessionId: string;
+  participantId: string;
+  participantIds: string[];
+  threshold: number;
+  password: string;
+  transport: MoneroMultisigTransport;
+  approveTxs?: (txSet: MoneroTxSet) => Promise<boolean>;
+}
+
+export interface MoneroMultisigTxProposal {
+  txId: string;
+  signerIds: string[];
+  numSignatures: number;
+  status: string;
+  txHashes?: string[];
+  error?: string;
+}
+
+export class MoneroMultisigSession {
+  static readonly STATE_NEW: string;
+  static readonly STATE_PREPARING: string;
+  static readonly STATE_EXCHANGING_KEYS: string;
+  static readonly STATE_READY: string;
+  static readonly TX_STATUS_SIGNING: string;
+  static readonly TX_STATUS_SUBMITTED: string;
+  static readonly TX_STATUS_FAILED: string;
+  static readonly MESSAGE_PREPARE: string;
+  static readonly MESSAGE_KEX: string;
+  static readonly MESSAGE_SYNC: string;
+  static readonly MESSAGE_TX: string;
+  static readonly MESSAGE_TX_SUBMITTED: string;
+  static readonly MESSAGE_TX_FAILED: string;
+  constructor(wallet: MoneroWallet, config: MoneroMultisigSessionConfig);
+  getSessionId(): string;
+  getParticipantId(): string;
+  getParticipantIds(): string[];
+  getThreshold(): number;
+  getState(): string;
+  getRound(): number;
+  getNumRounds(): number;
+  getAddress(): string | undefined;
+  start(): Promise<string>;
+  poll(): Promise<string>;
+  syncParticipants(): Promise<string>;
+  proposeTxs(config: MoneroTxConfig | MoneroTxConfigObject, signerIds?: string[]): Promise<string>;
+  getTxProposal(txId: string): MoneroMultisigTxProposal | undefined;
+}
+
+// ---------------------------- GLOBAL FUNCTIONS ------------------------------
+
+export function getVersion(): string;
+export function connectToDaemonRpc(uriOrConfig: string | MoneroDaemonRpcConfig | MoneroRpcConnection | MoneroConnectionManager, username?: string, password?: string, rejectUnauthorized?: boolean, pollInterval?: number, proxyToWorker?: boolean): Promise<MoneroDaemonRpc>;
+export function connectToWalletRpc(uriOrConfig: string | string[] | MoneroRpcConnectionConfig | MoneroRpcConnection, username?: string, password?: string, rejectUnauthorized?: boolean): Promise<MoneroWalletRpc>;
+export function createWalletFull(config: MoneroWalletConfig | MoneroWalletConfigObject): Promise<MoneroWalletFull>;
+export function openWalletFull(config: MoneroWalletConfig | MoneroWalletConfigObject): Promise<MoneroWalletFull>;
+export function openWalletFull(path: string, password: string, networkType: string | number, daemonUriOrConnection?: string | MoneroRpcConnection, proxyToWorker?: boolean, fs?: any): Promise<MoneroWalletFull>;
+export function createWalletKeys(config: MoneroWalletConfig | MoneroWalletConfigObject): Promise<MoneroWalletKeys>;
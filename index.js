@@ -14,6 +14,8 @@ module.exports.Filter = require("./src/main/js/common/Filter");
 module.exports.MoneroError = require("./src/main/js/common/MoneroError");
 module.exports.HttpClient = require("./src/main/js/common/HttpClient");
 module.exports.LibraryUtils = require("./src/main/js/common/LibraryUtils");
+module.exports.MoneroLogger = require("./src/main/js/common/MoneroLogger");
+module.exports.MoneroMetrics = require("./src/main/js/common/MoneroMetrics");
 module.exports.MoneroRpcConnection = require("./src/main/js/common/MoneroRpcConnection");
 module.exports.MoneroRpcError = require("./src/main/js/common/MoneroRpcError");
 module.exports.SslOptions = require("./src/main/js/common/SslOptions");
@@ -40,10 +42,12 @@ module.exports.MoneroMinerTxSum = require("./src/main/js/daemon/model/MoneroMine
 module.exports.MoneroMiningStatus = require("./src/main/js/daemon/model/MoneroMiningStatus");
 module.exports.MoneroNetworkType = require("./src/main/js/daemon/model/MoneroNetworkType");
 module.exports.MoneroOutput = require("./src/main/js/daemon/model/MoneroOutput");
+module.exports.MoneroOutputDistributionEntry = require("./src/main/js/daemon/model/MoneroOutputDistributionEntry");
 module.exports.MoneroOutputHistogramEntry = require("./src/main/js/daemon/model/MoneroOutputHistogramEntry");
 module.exports.MoneroPruneResult = require("./src/main/js/daemon/model/MoneroPruneResult");
 module.exports.MoneroSubmitTxResult = require("./src/main/js/daemon/model/MoneroSubmitTxResult");
 module.exports.MoneroTx = require("./src/main/js/daemon/model/MoneroTx");
+module.exports.MoneroTxBacklogEntry = require("./src/main/js/daemon/model/MoneroTxBacklogEntry");
 module.exports.MoneroTxPoolStats = require("./src/main/js/daemon/model/MoneroTxPoolStats");
 module.exports.MoneroVersion = require("./src/main/js/daemon/model/MoneroVersion");
 module.exports.MoneroPeer = require("./src/main/js/daemon/model/MoneroPeer");
@@ -55,6 +59,8 @@ module.exports.MoneroAddressBookEntry = require("./src/main/js/wallet/model/Mone
 module.exports.MoneroCheck = require("./src/main/js/wallet/model/MoneroCheck");
 module.exports.MoneroCheckReserve = require("./src/main/js/wallet/model/MoneroCheckReserve");
 module.exports.MoneroCheckTx = require("./src/main/js/wallet/model/MoneroCheckTx");
+module.exports.MoneroDeposit = require("./src/main/js/wallet/model/MoneroDeposit");
+module.exports.MoneroDepositListener = require("./src/main/js/wallet/model/MoneroDepositListener");
 module.exports.MoneroDestination = require("./src/main/js/wallet/model/MoneroDestination");
 module.exports.MoneroIntegratedAddress = require("./src/main/js/wallet/model/MoneroIntegratedAddress");
 module.exports.MoneroKeyImageImportResult = require("./src/main/js/wallet/model/MoneroKeyImageImportResult");
@@ -63,6 +69,8 @@ module.exports.MoneroMultisigInitResult = require("./src/main/js/wallet/model/Mo
 module.exports.MoneroMultisigSignResult = require("./src/main/js/wallet/model/MoneroMultisigSignResult");
 module.exports.MoneroOutputWallet = require("./src/main/js/wallet/model/MoneroOutputWallet");
 module.exports.MoneroOutputQuery = require("./src/main/js/wallet/model/MoneroOutputQuery");
+module.exports.MoneroPayout = require("./src/main/js/wallet/model/MoneroPayout");
+module.exports.MoneroPayoutListener = require("./src/main/js/wallet/model/MoneroPayoutListener");
 module.exports.MoneroTxPriority = require("./src/main/js/wallet/model/MoneroTxPriority");
 module.exports.MoneroTxConfig = require("./src/main/js/wallet/model/MoneroTxConfig");
 module.exports.MoneroSubaddress = require("./src/main/js/wallet/model/MoneroSubaddress");
@@ -76,12 +84,14 @@ module.exports.MoneroTxWallet = require("./src/main/js/wallet/model/MoneroTxWall
 module.exports.MoneroTxQuery = require("./src/main/js/wallet/model/MoneroTxQuery");
 module.exports.MoneroWalletListener = require("./src/main/js/wallet/model/MoneroWalletListener");
 module.exports.MoneroWalletConfig = require("./src/main/js/wallet/model/MoneroWalletConfig");
+module.exports.MoneroWalletRecovery = require("./src/main/js/wallet/model/MoneroWalletRecovery");
 module.exports.MoneroMessageSignatureType = require("./src/main/js/wallet/model/MoneroMessageSignatureType");
 module.exports.MoneroMessageSignatureResult = require("./src/main/js/wallet/model/MoneroMessageSignatureResult");
 
 // export connection manager
 module.exports.MoneroConnectionManager = require("./src/main/js/common/MoneroConnectionManager");
 module.exports.MoneroConnectionManagerListener = require("./src/main/js/common/MoneroConnectionManagerListener");
+module.exports.MoneroRpcInterceptor = require("./src/main/js/common/MoneroRpcInterceptor");
 
 // export daemon, wallet, and utils classes
 module.exports.MoneroUtils = require("./src/main/js/common/MoneroUtils");
@@ -91,6 +101,17 @@ module.exports.MoneroDaemonRpc = require("./src/main/js/daemon/MoneroDaemonRpc")
 module.exports.MoneroWalletRpc = require("./src/main/js/wallet/MoneroWalletRpc");
 module.exports.MoneroWalletKeys = require("./src/main/js/wallet/MoneroWalletKeys");
 module.exports.MoneroWalletFull = require("./src/main/js/wallet/MoneroWalletFull");
+module.exports.MoneroWalletStorage = require("./src/main/js/wallet/MoneroWalletStorage");
+module.exports.MoneroWalletFileStorage = require("./src/main/js/wallet/MoneroWalletFileStorage");
+module.exports.MoneroWalletIndexedDbStorage = require("./src/main/js/wallet/MoneroWalletIndexedDbStorage");
+module.exports.MoneroDepositStore = require("./src/main/js/wallet/MoneroDepositStore");
+module.exports.MoneroDepositWatcher = require("./src/main/js/wallet/MoneroDepositWatcher");
+module.exports.MoneroPayoutStore = require("./src/main/js/wallet/MoneroPayoutStore");
+module.exports.MoneroPayoutScheduler = require("./src/main/js/wallet/MoneroPayoutScheduler");
+module.exports.MoneroOfflineSigningCoordinator = require("./src/main/js/wallet/MoneroOfflineSigningCoordinator");
+module.exports.MoneroMultisigTransport = require("./src/main/js/wallet/MoneroMultisigTransport");
+module.exports.MoneroMultisigMemoryTransport = require("./src/main/js/wallet/MoneroMultisigMemoryTransport");
+module.exports.MoneroMultisigSession = require("./src/main/js/wallet/MoneroMultisigSession");
 
 // ---------------------------- GLOBAL FUNCTIONS ------------------------------
 
@@ -118,13 +139,14 @@ module.exports.getVersion = function() {
  * });
  * </code>
  * 
- * @param {string|object|MoneroRpcConnection} uriOrConfig - uri of monerod or JS config object or MoneroRpcConnection
+ * @param {string|object|MoneroRpcConnection|MoneroConnectionManager} uriOrConfig - uri of monerod or JS config object or MoneroRpcConnection or MoneroConnectionManager
  * @param {string} uriOrConfig.uri - uri of monerod
  * @param {string} uriOrConfig.username - username to authenticate with monerod (optional)
  * @param {string} uriOrConfig.password - password to authenticate with monerod (optional)
  * @param {boolean} uriOrConfig.rejectUnauthorized - rejects self-signed certificates if true (default true)
  * @param {number} uriOrConfig.pollInterval - poll interval to query for updates in ms (default 5000)
  * @param {boolean} uriOrConfig.proxyToWorker - run the daemon client in a web worker if true (default true)
+ * @param {MoneroConnectionManager} uriOrConfig.connectionManager - send requests through the connection manager's balancing instead of to uri (optional, not proxied to worker)
  * @param {string} username - username to authenticate with monerod (optional)
  * @param {string} password - password to authenticate with monerod (optional)
  * @param {boolean} rejectUnauthorized - rejects self-signed certificates if true (default true)
@@ -211,6 +233,7 @@ module.exports.connectToWalletRpc = function() { return module.exports.MoneroWal
  * @param {MoneroRpcConnection|object} config.server - MoneroRpcConnection or equivalent JS object providing daemon configuration (optional)
  * @param {boolean} config.proxyToWorker - proxies wallet operations to a web worker in order to not block the main thread (default true)
  * @param {fs} config.fs - Node.js compatible file system to use (defaults to disk or in-memory FS if browser)
+ * @param {MoneroWalletStorage} config.storage - storage adapter to save the wallet with instead of a file system (optional)
  * @return {MoneroWalletFull} the created wallet
  */
 module.exports.createWalletFull = function() { return module.exports.MoneroWalletFull.createWallet(...arguments); }
@@ -251,6 +274,7 @@ module.exports.createWalletFull = function() { return module.exports.MoneroWalle
  * @param {MoneroRpcConnection|object} configOrPath.server - MoneroRpcConnection or equivalent JS object configuring the daemon connection (optional)
  * @param {boolean} configOrPath.proxyToWorker - proxies wallet operations to a web worker in order to not block the main thread (default true)
  * @param {fs} configOrPath.fs - Node.js compatible file system to use (defaults to disk or in-memory FS if browser)
+ * @param {MoneroWalletStorage} configOrPath.storage - storage adapter to load and save the wallet with instead of a file system (optional)
  * @param {string} password - password of the wallet to open
  * @param {string|number} networkType - network type of the wallet to open
  * @param {string|MoneroRpcConnection} daemonUriOrConnection - daemon URI or MoneroRpcConnection
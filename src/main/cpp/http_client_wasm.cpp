@@ -33,6 +33,9 @@ EM_JS(const char*, js_send_json_request, (const char* uri, const char* username,
       requestApi: GenUtils.isFirefox() ? "xhr" : "fetch"  // firefox issue: https://bugzilla.mozilla.org/show_bug.cgi?id=1491010
     }).then(resp => {
 
+      // count bytes received by the wallet
+      if (typeof resp.body === "string") LibraryUtils.addReceivedBytes(UTF8ToString(reject_unauthorized_fn_id), Module.lengthBytesUTF8(resp.body));
+
       // build response container
       let respContainer = {
         code: resp.statusCode,
@@ -106,6 +109,7 @@ EM_JS(const char*, js_send_binary_request, (const char* uri, const char* usernam
           console.error(respBin);
         }
         let nDataBytes = respBin.length * respBin.BYTES_PER_ELEMENT;
+        LibraryUtils.addReceivedBytes(UTF8ToString(reject_unauthorized_fn_id), nDataBytes); // count bytes received by the wallet
         let bodyPtr = Module._malloc(nDataBytes);
         let heap = new Uint8Array(Module.HEAPU8.buffer, bodyPtr, nDataBytes);
         heap.set(new Uint8Array(respBin.buffer, respBin.byteOffset, nDataBytes));
@@ -84,6 +84,8 @@ EMSCRIPTEN_BINDINGS(module)
   emscripten::function("thaw_output", &monero_wasm_bridge::thaw_output);
   emscripten::function("is_output_frozen", &monero_wasm_bridge::is_output_frozen);
   emscripten::function("create_txs", &monero_wasm_bridge::create_txs);
+  emscripten::function("create_txs_from_key_images", &monero_wasm_bridge::create_txs_from_key_images);
+  emscripten::function("estimate_tx_size_and_weight", &monero_wasm_bridge::estimate_tx_size_and_weight);
   emscripten::function("sweep_output", &monero_wasm_bridge::sweep_output);
   emscripten::function("sweep_unlocked", &monero_wasm_bridge::sweep_unlocked);
   emscripten::function("sweep_dust", &monero_wasm_bridge::sweep_dust);
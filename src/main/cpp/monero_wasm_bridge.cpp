@@ -4,6 +4,7 @@
 #include "utils/monero_utils.h"
 #include "wallet/monero_wallet_full.h"
 #include "http_client_wasm.h"
+#include "serialization/binary_utils.h"
 
 using namespace std;
 using namespace monero_wasm_bridge;
@@ -71,6 +72,166 @@ struct wallet_wasm_listener : public monero_wallet_listener {
   }
 };
 
+#if defined BUILD_WALLET_FULL
+/**
+ * Calculate the per byte fee of a transaction weight, rounded up to the fee
+ * quantization mask as wallet2 does.
+ */
+uint64_t calculate_fee_from_weight(uint64_t base_fee, uint64_t weight, uint64_t fee_quantization_mask) {
+  uint64_t fee = weight * base_fee;
+  fee = (fee + fee_quantization_mask - 1) / fee_quantization_mask * fee_quantization_mask;
+  return fee;
+}
+
+/**
+ * Create a transaction which spends exactly the outputs with the given key images.
+ *
+ * wallet2's create_transactions_2() selects its own inputs, so the selected
+ * transfers are passed to transfer_selected_rct() and the fee is re-estimated
+ * from each built transaction until it covers the transaction's weight.
+ */
+shared_ptr<monero_tx_set> create_tx_from_key_images(monero_wallet_full* wallet, const monero_tx_config& config, const vector<string>& key_images) {
+  tools::wallet2* w2 = wallet->get_wallet2();
+  if (w2->watch_only() || w2->multisig()) throw runtime_error("Cannot spend selected outputs from a view-only or multisig wallet");
+  if (config.m_account_index == boost::none) throw runtime_error("Must provide the account index of the outputs to spend");
+  if (config.m_payment_id != boost::none && !config.m_payment_id.get().empty()) throw runtime_error("Cannot specify payment id when spending selected outputs; use an integrated address");
+  if (config.m_can_split != boost::none && *config.m_can_split) throw runtime_error("Cannot split transactions which spend selected outputs");
+  if (!config.m_subtract_fee_from.empty()) throw runtime_error("Cannot subtract fee from destinations when spending selected outputs");
+  if (config.m_fee != boost::none) throw runtime_error("Cannot specify fee when spending selected outputs");
+  if (config.m_below_amount != boost::none) throw runtime_error("Cannot specify below amount when spending selected outputs");
+  if (config.m_sweep_each_subaddress != boost::none && *config.m_sweep_each_subaddress) throw runtime_error("Cannot sweep each subaddress when spending selected outputs");
+  if (config.m_key_image != boost::none) throw runtime_error("Key image defined; use sweepOutput() to sweep an output by its key image");
+  uint32_t account_idx = config.m_account_index.get();
+
+  // resolve key images to unlocked, unspent transfers of the account
+  vector<size_t> selected_transfers;
+  uint64_t input_amount = 0;
+  for (const string& key_image : key_images) {
+    boost::optional<size_t> transfer_idx = boost::none;
+    for (size_t i = 0; i < w2->get_num_transfer_details(); i++) {
+      const tools::wallet2::transfer_details& td = w2->get_transfer_details(i);
+      if (!td.m_key_image_known || epee::string_tools::pod_to_hex(td.m_key_image) != key_image) continue;
+      if (!td.m_spent && td.m_subaddr_index.major == account_idx) transfer_idx = i;
+      break;
+    }
+    if (transfer_idx == boost::none) throw runtime_error("Output to spend is not an unspent output of account " + to_string(account_idx) + ": " + key_image);
+    const tools::wallet2::transfer_details& td = w2->get_transfer_details(*transfer_idx);
+    if (!config.m_subaddress_indices.empty() && std::find(config.m_subaddress_indices.begin(), config.m_subaddress_indices.end(), td.m_subaddr_index.minor) == config.m_subaddress_indices.end()) throw runtime_error("Output to spend is not in the subaddresses to transfer from: " + key_image);
+    if (td.m_frozen) throw runtime_error("Output to spend is frozen: " + key_image);
+    if (!w2->is_transfer_unlocked(td)) throw runtime_error("Output to spend is locked: " + key_image);
+    selected_transfers.push_back(*transfer_idx);
+    input_amount += td.amount();
+  }
+
+  // build destinations and tx extra with the payment id of an integrated address as wallet2 does
+  vector<cryptonote::tx_destination_entry> dsts;
+  std::vector<uint8_t> extra;
+  bool payment_id_seen = false;
+  uint64_t amount = 0;
+  for (const shared_ptr<monero_destination>& destination : config.m_destinations) {
+    cryptonote::address_parse_info info;
+    if (!cryptonote::get_account_address_from_str(info, w2->nettype(), *destination->m_address)) throw runtime_error("Invalid destination address: " + *destination->m_address);
+    dsts.push_back(cryptonote::tx_destination_entry(*destination->m_amount, info.address, info.is_subaddress));
+    amount += *destination->m_amount;
+    if (info.has_payment_id) {
+      if (payment_id_seen) throw runtime_error("A single payment id is allowed per transaction");
+      payment_id_seen = true;
+      std::string extra_nonce;
+      cryptonote::set_encrypted_payment_id_to_tx_extra_nonce(extra_nonce, info.payment_id);
+      if (!cryptonote::add_extra_nonce_to_tx_extra(extra, extra_nonce)) throw runtime_error("Failed to add payment id to tx extra");
+    }
+  }
+
+  // estimate fee to spend the selected outputs to the destinations plus change
+  bool clsag = w2->use_fork_rules(HF_VERSION_CLSAG, -10);
+  bool bulletproof_plus = w2->use_fork_rules(HF_VERSION_BULLETPROOF_PLUS, -10);
+  bool use_view_tags = w2->use_fork_rules(HF_VERSION_VIEW_TAGS, -10);
+  uint32_t priority = w2->adjust_priority(config.m_priority == boost::none ? 0 : (uint32_t) *config.m_priority);
+  size_t fake_outs_count = w2->adjust_mixin(w2->default_mixin());
+  uint64_t base_fee = w2->get_base_fee(priority);
+  uint64_t fee_quantization_mask = w2->get_fee_quantization_mask();
+  uint64_t fee = tools::wallet2::estimate_fee(true, true, selected_transfers.size(), fake_outs_count, dsts.size() + 1, extra.size(), true, clsag, bulletproof_plus, use_view_tags, base_fee, fee_quantization_mask);
+
+  // build tx which spends exactly the selected transfers, raising the fee until it covers the built tx's weight
+  cryptonote::transaction tx;
+  tools::wallet2::pending_tx ptx;
+  std::vector<std::vector<tools::wallet2::get_outs_entry>> outs;
+  std::unordered_set<crypto::public_key> valid_public_keys_cache;
+  rct::RCTConfig rct_config = { rct::RangeProofPaddedBulletproof, bulletproof_plus ? 4 : 3 };
+  uint64_t unlock_time = config.m_unlock_time == boost::none ? 0 : *config.m_unlock_time;
+  while (true) {
+    if (input_amount < amount + fee) throw runtime_error("Outputs to spend do not cover amount plus fee: " + to_string(input_amount) + " < " + to_string(amount) + " plus fee " + to_string(fee));
+    w2->transfer_selected_rct(dsts, selected_transfers, fake_outs_count, outs, valid_public_keys_cache, unlock_time, fee, extra, tx, ptx, rct_config, use_view_tags);
+    uint64_t needed_fee = calculate_fee_from_weight(base_fee, cryptonote::get_transaction_weight(ptx.tx), fee_quantization_mask);
+    if (needed_fee <= fee) break;
+    fee = needed_fee;
+  }
+  if (ptx.selected_transfers.size() != selected_transfers.size()) throw runtime_error("Transaction does not spend every selected output");
+  for (size_t transfer_idx : selected_transfers) {
+    if (std::find(ptx.selected_transfers.begin(), ptx.selected_transfers.end(), transfer_idx) == ptx.selected_transfers.end()) throw runtime_error("Transaction does not spend every selected output");
+  }
+
+  // relay tx if requested
+  bool relay = config.m_relay != boost::none && *config.m_relay;
+  if (relay) w2->commit_tx(ptx);
+
+  // serialize pending tx as metadata to relay later
+  std::string ptx_blob;
+  if (!::serialization::dump_binary(ptx, ptx_blob)) throw runtime_error("Failed to serialize transaction metadata");
+
+  // convert pending tx to wallet tx
+  shared_ptr<monero_tx_wallet> tx_wallet = make_shared<monero_tx_wallet>();
+  string tx_key = epee::string_tools::pod_to_hex(unwrap(unwrap(ptx.tx_key)));
+  for (const crypto::secret_key& additional_tx_key : ptx.additional_tx_keys) tx_key += epee::string_tools::pod_to_hex(unwrap(unwrap(additional_tx_key)));
+  tx_wallet->m_hash = epee::string_tools::pod_to_hex(cryptonote::get_transaction_hash(ptx.tx));
+  tx_wallet->m_key = tx_key;
+  tx_wallet->m_full_hex = epee::string_tools::buff_to_hex_nodelimer(cryptonote::tx_to_blob(ptx.tx));
+  tx_wallet->m_metadata = epee::string_tools::buff_to_hex_nodelimer(ptx_blob);
+  tx_wallet->m_fee = ptx.fee;
+  tx_wallet->m_weight = cryptonote::get_transaction_weight(ptx.tx);
+  tx_wallet->m_ring_size = fake_outs_count + 1;
+  tx_wallet->m_unlock_time = unlock_time;
+  tx_wallet->m_change_amount = ptx.change_dts.amount;
+  tx_wallet->m_num_confirmations = 0;
+  tx_wallet->m_is_outgoing = true;
+  tx_wallet->m_is_incoming = false;
+  tx_wallet->m_is_confirmed = false;
+  tx_wallet->m_is_miner_tx = false;
+  tx_wallet->m_is_failed = false;
+  tx_wallet->m_is_locked = true;
+  tx_wallet->m_is_double_spend_seen = false;
+  tx_wallet->m_relay = relay;
+  tx_wallet->m_is_relayed = relay;
+  tx_wallet->m_in_tx_pool = relay;
+
+  // add inputs and outgoing transfer
+  shared_ptr<monero_outgoing_transfer> transfer = make_shared<monero_outgoing_transfer>();
+  transfer->m_tx = tx_wallet;
+  transfer->m_account_index = account_idx;
+  std::set<uint32_t> subaddress_indices;
+  for (size_t transfer_idx : ptx.selected_transfers) {
+    const tools::wallet2::transfer_details& td = w2->get_transfer_details(transfer_idx);
+    shared_ptr<monero_output_wallet> input = make_shared<monero_output_wallet>();
+    input->m_tx = tx_wallet;
+    input->m_key_image = make_shared<monero_key_image>();
+    input->m_key_image.get()->m_hex = epee::string_tools::pod_to_hex(td.m_key_image);
+    input->m_amount = td.amount();
+    tx_wallet->m_inputs.push_back(input);
+    subaddress_indices.insert(td.m_subaddr_index.minor);
+  }
+  transfer->m_subaddress_indices = vector<uint32_t>(subaddress_indices.begin(), subaddress_indices.end());
+  for (const shared_ptr<monero_destination>& destination : config.m_destinations) transfer->m_destinations.push_back(make_shared<monero_destination>(*destination->m_address, *destination->m_amount));
+  transfer->m_amount = amount;
+  tx_wallet->m_outgoing_transfer = transfer;
+
+  // return tx set
+  shared_ptr<monero_tx_set> tx_set = make_shared<monero_tx_set>();
+  tx_set->m_txs.push_back(tx_wallet);
+  tx_wallet->m_tx_set = tx_set;
+  return tx_set;
+}
+#endif
+
 // ------------------------------- UTILITIES ----------------------------------
 
 void monero_wasm_bridge::set_log_level(int level)
@@ -834,6 +995,55 @@ void monero_wasm_bridge::create_txs(int handle, const string& config_json, emscr
   }
 }
 
+void monero_wasm_bridge::create_txs_from_key_images(int handle, const string& config_json, emscripten::val callback) {
+#if defined BUILD_WALLET_FULL
+  monero_wallet_full* wallet = (monero_wallet_full*) handle;
+  try {
+
+    // deserialize tx config
+    shared_ptr<monero_tx_config> config = monero_tx_config::deserialize(config_json);
+
+    // get key images of outputs to spend from config
+    std::istringstream iss = std::istringstream(config_json);
+    boost::property_tree::ptree node;
+    boost::property_tree::read_json(iss, node);
+    vector<string> key_images;
+    boost::property_tree::ptree key_images_node = node.get_child("keyImages");
+    for (const auto& child : key_images_node) key_images.push_back(child.second.get_value<string>());
+
+    // create tx which spends selected outputs and return tx set
+    callback(create_tx_from_key_images(wallet, *config, key_images)->serialize());
+  } catch (exception& e) {
+    callback(string(e.what()));
+  }
+#else
+  throw runtime_error("monero_wallet_full not built");
+#endif
+}
+
+void monero_wasm_bridge::estimate_tx_size_and_weight(int handle, int num_inputs, int num_outputs, int ring_size, bool rct, emscripten::val callback) {
+#if defined BUILD_WALLET_FULL
+  monero_wallet_full* wallet = (monero_wallet_full*) handle;
+  try {
+
+    // estimate with wallet2 as monero-wallet-rpc does for estimate_tx_size_and_weight
+    size_t extra_size = 34 /* pubkey */ + 10 /* encrypted payment id */; // typical makeup
+    std::pair<size_t, uint64_t> size_and_weight = wallet->get_wallet2()->estimate_tx_size_and_weight(rct, num_inputs, ring_size - 1, num_outputs, extra_size);
+
+    // serialize size and weight
+    rapidjson::Document doc;
+    doc.SetObject();
+    doc.AddMember("size", rapidjson::Value().SetUint64(size_and_weight.first), doc.GetAllocator());
+    doc.AddMember("weight", rapidjson::Value().SetUint64(size_and_weight.second), doc.GetAllocator());
+    callback(monero_utils::serialize(doc));
+  } catch (exception& e) {
+    callback(string(e.what()));
+  }
+#else
+  throw runtime_error("monero_wallet_full not built");
+#endif
+}
+
 void monero_wasm_bridge::sweep_output(int handle, const string& config_json, emscripten::val callback) {
   monero_wallet* wallet = (monero_wallet*) handle;
   try {
@@ -102,6 +102,8 @@ namespace monero_wasm_bridge
   void thaw_output(int handle, const string& key_image, emscripten::val callback);
   void is_output_frozen(int handle, const string& key_image, emscripten::val callback);
   void create_txs(int handle, const string& config_json, emscripten::val callback);
+  void create_txs_from_key_images(int handle, const string& config_json, emscripten::val callback);
+  void estimate_tx_size_and_weight(int handle, int num_inputs, int num_outputs, int ring_size, bool rct, emscripten::val callback);
   void sweep_output(int handle, const string& config_json, emscripten::val callback);
   void sweep_unlocked(int handle, const string& config_json, emscripten::val callback);
   void sweep_dust(int handle, bool relay, emscripten::val callback);
@@ -1,5 +1,7 @@
 const GenUtils = require("../common/GenUtils");
 const LibraryUtils = require("./LibraryUtils");
+const MoneroLogger = require("./MoneroLogger");
+const MoneroMetrics = require("./MoneroMetrics");
 const MoneroUtils = require("./MoneroUtils");
 const ThreadPool = require("./ThreadPool");
 const PromiseThrottle = require("promise-throttle");
@@ -72,7 +74,11 @@ class HttpClient {
     
     // request using fetch or xhr with timeout
     let timeout = request.timeout === undefined ? HttpClient._DEFAULT_TIMEOUT : request.timeout === 0 ? HttpClient.MAX_TIMEOUT : request.timeout;
-    let requestPromise = request.requestApi === "fetch" ? HttpClient._requestFetch(request) : HttpClient._requestXhr(request);
+    let requestPromise = (request.requestApi === "fetch" ? HttpClient._requestFetch(request) : HttpClient._requestXhr(request)).then(function(resp) {
+      let numBytes = HttpClient._getNumBytes(resp.body);
+      if (numBytes) LibraryUtils.getMetrics().incrementCounter(MoneroMetrics.HTTP_RECEIVED_BYTES, {host: request.host}, numBytes);
+      return resp;
+    });
     let timeoutPromise = new Promise((resolve, reject) => {
       let id = setTimeout(() => {
         clearTimeout(id);
@@ -84,6 +90,11 @@ class HttpClient {
   
   // ----------------------------- PRIVATE HELPERS ----------------------------
   
+  static _getNumBytes(body) {
+    if (typeof body === "string") return typeof Buffer !== "undefined" ? Buffer.byteLength(body) : new TextEncoder().encode(body).length;
+    return body instanceof Uint8Array ? body.length : 0;
+  }
+  
   static async _requestFetch(req) {
     
     // build request options
@@ -91,6 +102,7 @@ class HttpClient {
       method: req.method,
       uri: req.uri,
       body: req.body,
+      headers: req.headers,
       agent: req.uri.startsWith("https") ? HttpClient._getHttpsAgent() : HttpClient._getHttpAgent(),
       rejectUnauthorized: req.rejectUnauthorized,
       resolveWithFullResponse: req.resolveWithFullResponse,
@@ -126,14 +138,13 @@ class HttpClient {
   }
   
   static async _requestXhr(req) {
-    if (req.headers) throw new Error("Custom headers not implemented in XHR request");  // TODO
-    
     // collect params from request which change on await
     let method = req.method;
     let uri = req.uri;
     let host = req.host;
     let username = req.username;
     let password = req.password;
+    let headers = req.headers;
     let body = req.body;
     let isBinary = body instanceof Uint8Array;
     
@@ -141,7 +152,7 @@ class HttpClient {
     let resp = await HttpClient._TASK_QUEUES[host].submit(async function() {
       return HttpClient._PROMISE_THROTTLES[host].add(function() {
         return new Promise(function(resolve, reject) {
-          let digestAuthRequest = new HttpClient.digestAuthRequest(method, uri, username, password);
+          let digestAuthRequest = new HttpClient.digestAuthRequest(method, uri, username, password, headers);
           digestAuthRequest.request(function(resp) {
             resolve(resp);
           }, function(resp) {
@@ -189,6 +200,10 @@ class HttpClient {
   }
   
   
+  static _collectMetrics(metrics) {
+    for (let host of Object.keys(HttpClient._TASK_QUEUES)) metrics.setGauge(MoneroMetrics.QUEUE_DEPTH, {queue: "http:" + host}, HttpClient._TASK_QUEUES[host].getQueueDepth());
+  }
+  
   static _parseXhrResponseHeaders(headersStr) {
     let headerMap = {};
     let headers = headersStr.trim().split(/[\r\n]+/);
@@ -207,7 +222,7 @@ class HttpClient {
  * 
  * MIT licensed.
  */
-HttpClient.digestAuthRequest = function(method, url, username, password) {
+HttpClient.digestAuthRequest = function(method, url, username, password, headers) {
   var self = this;
 
   if (typeof CryptoJS === 'undefined' && typeof require === 'function') {
@@ -244,7 +259,7 @@ HttpClient.digestAuthRequest = function(method, url, username, password) {
       try {
         self.data = data instanceof Uint8Array || typeof data === "string" ? data : JSON.stringify(data);
       } catch (err) {
-        console.error(err);
+        LibraryUtils.logError(MoneroLogger.COMPONENT_HTTP, "Failed to serialize request body", err);
         throw err;
       }
     }
@@ -261,6 +276,7 @@ HttpClient.digestAuthRequest = function(method, url, username, password) {
     self.firstRequest = new XMLHttpRequest();
     self.firstRequest.open(method, url, true);
     self.firstRequest.timeout = self.timeout;
+    self.setHeaders(self.firstRequest);
     // if we are posting, add appropriate headers
     if (self.post && data) {
       if (typeof data === "string") {
@@ -370,6 +386,7 @@ HttpClient.digestAuthRequest = function(method, url, username, password) {
     self.authenticatedRequest = new XMLHttpRequest();
     self.authenticatedRequest.open(method, url, true);
     self.authenticatedRequest.timeout = self.timeout;
+    self.setHeaders(self.authenticatedRequest);
     var digestAuthHeader = self.scheme+' '+
       'username="'+username+'", '+
       'realm="'+self.realm+'", '+
@@ -432,6 +449,11 @@ HttpClient.digestAuthRequest = function(method, url, username, password) {
     }
     self.log('Authenticated request to '+url);
   }
+  // set custom headers on a request
+  this.setHeaders = function(request) {
+    if (!headers) return;
+    for (var name in headers) request.setRequestHeader(name, headers[name]);
+  }
   // hash response based on server challenge
   this.formulateResponse = function() {
     var HA1 = CryptoJS.MD5(username+':'+self.realm+':'+password).toString();
@@ -492,5 +514,6 @@ HttpClient._PROMISE_THROTTLES = [];
 HttpClient._TASK_QUEUES = [];
 HttpClient._DEFAULT_TIMEOUT = 60000;
 HttpClient.MAX_TIMEOUT = 2147483647; // max 32-bit signed number
+LibraryUtils.getMetrics().addCollector(HttpClient._collectMetrics);
 
 module.exports = HttpClient;
\ No newline at end of file
@@ -1,6 +1,8 @@
 const assert = require("assert");
 const GenUtils = require("./GenUtils");
 const MoneroError = require("./MoneroError");
+const MoneroLogger = require("./MoneroLogger");
+const MoneroMetrics = require("./MoneroMetrics");
 const ThreadPool = require("./ThreadPool");
 
 /**
@@ -15,10 +17,53 @@ class LibraryUtils {
    *
    * @param {int} level - log level of the message
    * @param {string} msg - message to log
+   * @param {string} component - component which logs the message, e.g. MoneroLogger.COMPONENT_DAEMON (optional)
+   * @param {object} fields - structured fields to log with the message (optional)
    */
-  static log(level, msg) {
+  static log(level, msg, component, fields) {
     assert(level === parseInt(level, 10) && level >= 0, "Log level must be an integer >= 0");
-    if (LibraryUtils.LOG_LEVEL >= level) console.log(msg);
+    if (LibraryUtils.LOG_LEVEL >= level) LibraryUtils._logRecord({level: level, severity: MoneroLogger.SEVERITY_INFO, component: component, message: msg, fields: fields});
+  }
+  
+  /**
+   * Log a warning regardless of the log level.
+   *
+   * @param {string} component - component which logs the warning, e.g. MoneroLogger.COMPONENT_DAEMON
+   * @param {string} msg - warning to log
+   * @param {object} fields - structured fields to log with the warning (optional)
+   */
+  static logWarning(component, msg, fields) {
+    LibraryUtils._logRecord({level: 0, severity: MoneroLogger.SEVERITY_WARNING, component: component, message: msg, fields: fields});
+  }
+  
+  /**
+   * Log an error regardless of the log level.
+   *
+   * @param {string} component - component which logs the error, e.g. MoneroLogger.COMPONENT_DAEMON
+   * @param {string} msg - error message to log
+   * @param {Error} err - error which caused the message (optional)
+   * @param {object} fields - structured fields to log with the error (optional)
+   */
+  static logError(component, msg, err, fields) {
+    LibraryUtils._logRecord({level: 0, severity: MoneroLogger.SEVERITY_ERROR, component: component, message: msg, fields: fields, error: err});
+  }
+  
+  /**
+   * Set the logger which receives the library's log records.
+   *
+   * @param {MoneroLogger} logger - the logger to receive log records, or undefined to log to the console
+   */
+  static setLogger(logger) {
+    LibraryUtils.LOGGER = logger ? logger : new MoneroLogger();
+  }
+  
+  /**
+   * Get the logger which receives the library's log records.
+   *
+   * @return {MoneroLogger} the library's logger
+   */
+  static getLogger() {
+    return LibraryUtils.LOGGER;
   }
   
   /**
@@ -42,6 +87,28 @@ class LibraryUtils {
     return LibraryUtils.LOG_LEVEL;
   }
   
+  /**
+   * Get the registry which the library records its metrics to in the current
+   * context (nodejs, browser main thread or worker).
+   *
+   * @return {MoneroMetrics} the library's metrics
+   */
+  static getMetrics() {
+    return LibraryUtils.METRICS;
+  }
+  
+  /**
+   * Get a snapshot of the library's metrics merged with the metrics of the
+   * worker if it is running.
+   *
+   * @return {Promise<object>} snapshot of the library's metrics, which can be formatted with MoneroMetrics.toPrometheus()
+   */
+  static async getMetricsSnapshot() {
+    let snapshots = [LibraryUtils.METRICS.getSnapshot()];
+    if (LibraryUtils.WORKER) snapshots.push(await LibraryUtils.invokeWorker(GenUtils.getUUID(), "getMetricsSnapshot", []));
+    return snapshots.length === 1 ? snapshots[0] : MoneroMetrics.mergeSnapshots(snapshots);
+  }
+  
   /**
    * Get the total memory used by WebAssembly.
    * 
@@ -63,6 +130,9 @@ class LibraryUtils {
   
   /**
    * Load the WebAssembly keys module with caching.
+   * 
+   * The module is imported dynamically so bundlers split it from code which
+   * does not use WebAssembly, e.g. a daemon RPC client.
    */
   static async loadKeysModule() {
     
@@ -71,7 +141,7 @@ class LibraryUtils {
     
     // load module
     delete LibraryUtils.WASM_MODULE;
-    LibraryUtils.WASM_MODULE = require("../../../../dist/monero_wallet_keys")();
+    LibraryUtils.WASM_MODULE = import("../../../../dist/monero_wallet_keys.js").then(LibraryUtils._instantiateWasmModule);
     return new Promise(function(resolve, reject) {
       LibraryUtils.WASM_MODULE.then(module => {
         LibraryUtils.WASM_MODULE = module
@@ -96,7 +166,7 @@ class LibraryUtils {
     
     // load module
     delete LibraryUtils.WASM_MODULE;
-    LibraryUtils.WASM_MODULE = require("../../../../dist/monero_wallet_full")();
+    LibraryUtils.WASM_MODULE = import("../../../../dist/monero_wallet_full.js").then(LibraryUtils._instantiateWasmModule);
     return new Promise(function(resolve, reject) {
       LibraryUtils.WASM_MODULE.then(module => {
         LibraryUtils.WASM_MODULE = module;
@@ -131,6 +201,38 @@ class LibraryUtils {
     return LibraryUtils.REJECT_UNAUTHORIZED_FNS[fnId]();
   }
   
+  /**
+   * Add to the number of bytes received in HTTP response bodies by the
+   * wallet's HTTP client.
+   * 
+   * @param {string} fnId - id of the function registered by the wallet to inform if unauthorized reqs should be rejected
+   * @param {number} numBytes - the number of bytes received
+   */
+  static addReceivedBytes(fnId, numBytes) {
+    if (!LibraryUtils.RECEIVED_BYTES) LibraryUtils.RECEIVED_BYTES = {};
+    LibraryUtils.RECEIVED_BYTES[fnId] = LibraryUtils.getReceivedBytes(fnId) + numBytes;
+  }
+  
+  /**
+   * Get the number of bytes received in HTTP response bodies by the wallet's
+   * HTTP client.
+   * 
+   * @param {string} fnId - id of the function registered by the wallet to inform if unauthorized reqs should be rejected
+   * @return {number} the number of bytes received
+   */
+  static getReceivedBytes(fnId) {
+    return LibraryUtils.RECEIVED_BYTES && LibraryUtils.RECEIVED_BYTES[fnId] ? LibraryUtils.RECEIVED_BYTES[fnId] : 0;
+  }
+  
+  /**
+   * Clear the number of bytes received by the wallet's HTTP client.
+   * 
+   * @param {string} fnId - id of the function registered by the wallet to inform if unauthorized reqs should be rejected
+   */
+  static clearReceivedBytes(fnId) {
+    if (LibraryUtils.RECEIVED_BYTES) delete LibraryUtils.RECEIVED_BYTES[fnId];
+  }
+  
   /**
    * Set the path to load the worker. Defaults to "/monero_web_worker.js" in the browser
    * and "./MoneroWebWorker.js" in node.
@@ -159,10 +261,15 @@ class LibraryUtils {
       }
       LibraryUtils.WORKER_OBJECTS = {};  // store per object running in the worker
       
+      // receive log records from the worker
+      LibraryUtils.WORKER_OBJECTS[LibraryUtils.WORKER_LOGGER_ID] = {callbacks: {log: function(record) {
+        if (record.error && typeof record.error === "object") record.error = LibraryUtils.deserializeError(record.error);
+        LibraryUtils._logRecord(record);
+      }}};
+      
       // receive worker errors
       LibraryUtils.WORKER.onerror = function(err) {
-        console.error("Error posting message to MoneroWebWorker.js; is it copied to the app's build directory (e.g. in the root)?");
-        console.log(err);
+        LibraryUtils.logError(MoneroLogger.COMPONENT_WORKER, "Error posting message to MoneroWebWorker.js; is it copied to the app's build directory (e.g. in the root)?", err);
       };
       
       // receive worker messages
@@ -180,6 +287,9 @@ class LibraryUtils {
         // invoke callback function with this arg and arguments
         callbackFn.apply(thisArg, e.data.slice(2));
       }
+      
+      // sync log level with the worker
+      if (LibraryUtils.LOG_LEVEL > 0) await LibraryUtils.invokeWorker(GenUtils.getUUID(), "setLogLevel", [LibraryUtils.LOG_LEVEL]);
     }
     return LibraryUtils.WORKER;
   }
@@ -192,6 +302,7 @@ class LibraryUtils {
       LibraryUtils.WORKER.terminate();
       delete LibraryUtils.WORKER;
       LibraryUtils.WORKER = undefined;
+      LibraryUtils._numPendingWorkerInvocations = 0;
     }
   }
   
@@ -207,9 +318,14 @@ class LibraryUtils {
     assert(fnName.length >= 2);
     let worker = await LibraryUtils.getWorker();
     if (!LibraryUtils.WORKER_OBJECTS[objectId]) LibraryUtils.WORKER_OBJECTS[objectId] = {callbacks: {}};
+    LibraryUtils.METRICS.incrementCounter(MoneroMetrics.WORKER_INVOCATIONS, {function: fnName});
+    LibraryUtils._numPendingWorkerInvocations++;
+    let startTime = Date.now();
     return await new Promise(function(resolve, reject) {
       let callbackId = GenUtils.getUUID();
       LibraryUtils.WORKER_OBJECTS[objectId].callbacks[callbackId] = function(resp) {  // TODO: this defines function once per callback
+        LibraryUtils._numPendingWorkerInvocations--;
+        LibraryUtils.METRICS.observeHistogram(MoneroMetrics.WORKER_LATENCY, {function: fnName}, Date.now() - startTime);
         resp ? (resp.error ? reject(LibraryUtils.deserializeError(resp.error)) : resolve(resp.result)) : resolve();
         delete LibraryUtils.WORKER_OBJECTS[objectId].callbacks[callbackId];
       };
@@ -232,6 +348,28 @@ class LibraryUtils {
   
   // ------------------------------ PRIVATE HELPERS ---------------------------
   
+  static _instantiateWasmModule(imported) {
+    return (imported.default ? imported.default : imported)({
+      print: function(msg) { LibraryUtils.log(0, msg, MoneroLogger.COMPONENT_WASM); },  // output is filtered by the module's log level
+      printErr: function(msg) { LibraryUtils.logWarning(MoneroLogger.COMPONENT_WASM, msg); }
+    });
+  }
+  
+  static _collectMetrics(metrics) {
+    if (LibraryUtils.WORKER) metrics.setGauge(MoneroMetrics.WORKER_PENDING_INVOCATIONS, undefined, LibraryUtils._numPendingWorkerInvocations);
+    if (LibraryUtils.WASM_MODULE && LibraryUtils.WASM_MODULE.taskQueue) metrics.setGauge(MoneroMetrics.QUEUE_DEPTH, {queue: "wasm"}, LibraryUtils.WASM_MODULE.taskQueue.getQueueDepth());
+  }
+  
+  static _logRecord(record) {
+    if (record.timestamp === undefined) record.timestamp = Date.now();
+    try {
+      LibraryUtils.LOGGER.log(record);
+    } catch (err) {
+      console.error("Logger failed to log record: " + record.message);
+      console.error(err);
+    }
+  }
+  
   static _initWasmModule(wasmModule) {
     wasmModule.taskQueue = new ThreadPool(1);
     wasmModule.queueTask = async function(asyncFn) { return wasmModule.taskQueue.submit(asyncFn); }
@@ -244,6 +382,11 @@ class LibraryUtils {
 }
 
 LibraryUtils.LOG_LEVEL = 0;
+LibraryUtils.LOGGER = new MoneroLogger();
+LibraryUtils.WORKER_LOGGER_ID = "logger"; // id of worker object which forwards log records
+LibraryUtils.METRICS = new MoneroMetrics();
+LibraryUtils.METRICS.addCollector(LibraryUtils._collectMetrics);
+LibraryUtils._numPendingWorkerInvocations = 0;
 LibraryUtils.WORKER_DIST_PATH_DEFAULT = GenUtils.isBrowser() ? "/monero_web_worker.js" : function() {
     const path = require("path");
     return LibraryUtils._prefixWindowsPath(path.join(__dirname, "./MoneroWebWorker.js"));
@@ -1,5 +1,8 @@
 const GenUtils = require("./GenUtils");
+const LibraryUtils = require("./LibraryUtils");
 const MoneroError = require("./MoneroError");
+const MoneroLogger = require("./MoneroLogger");
+const MoneroMetrics = require("./MoneroMetrics");
 const MoneroRpcConnection = require("./MoneroRpcConnection");
 const TaskLooper = require("./TaskLooper");
 const ThreadPool = require("./ThreadPool");
@@ -51,6 +54,14 @@ const ThreadPool = require("./ThreadPool");
  * // check status of all connections<br>
  * await connectionManager.checkConnections();<br><br>
  * 
+ * // spread read requests across healthy connections and hedge slow requests<br>
+ * connectionManager.setBalancing({<br>
+ * &nbsp;&nbsp; mode: MoneroConnectionManager.BALANCING_WEIGHTED,<br>
+ * &nbsp;&nbsp; hedgeDelayInMs: 500,<br>
+ * &nbsp;&nbsp; routes: [{methods: ["get_transaction_pool"], mode: MoneroConnectionManager.BALANCING_CURRENT}]<br>
+ * });<br>
+ * let daemon = await monerojs.connectToDaemonRpc({connectionManager: connectionManager});<br><br>
+ * 
  * // get connections in order of current connection, online status from last check, priority, and name<br>
  * let connections = connectionManager.getConnections();<br><br>
  * 
@@ -70,6 +81,7 @@ class MoneroConnectionManager {
     this._timeoutInMs = MoneroConnectionManager.DEFAULT_TIMEOUT;
     this._connections = [];
     this._listeners = [];
+    this.setBalancing(undefined);
   }
   
   /**
@@ -179,6 +191,7 @@ class MoneroConnectionManager {
   
   /**
    * Get the best available connection in order of priority then response time.
+   * Connections whose circuit breaker is open are skipped.
    * 
    * @param {MoneroRpcConnection[]} excludedConnections - connections to be excluded from consideration (optional)
    * @return {Promise<MoneroRpcConnection>} the best available connection in order of priority then response time, undefined if no connections available
@@ -194,6 +207,7 @@ class MoneroConnectionManager {
         let checkPromises = [];
         for (let connection of prioritizedConnections) {
           if (excludedConnections && GenUtils.arrayContains(excludedConnections, connection)) continue;
+          if (connection.getCircuitState() === MoneroRpcConnection.CIRCUIT_OPEN) continue;
           checkPromises.push(new Promise(async function(resolve, reject) {
             await connection.checkConnection(that._timeoutInMs);
             if (connection.isConnected()) resolve(connection);
@@ -343,7 +357,7 @@ class MoneroConnectionManager {
         return;
       }
       try { await that.checkConnection(); }
-      catch (err) { console.error("Error checking connection: " + err); }
+      catch (err) { LibraryUtils.logError(MoneroLogger.COMPONENT_HTTP, "Error checking connection: " + err, err); }
     });
     this._checkLooper.start(periodMs);
     return this;
@@ -400,6 +414,93 @@ class MoneroConnectionManager {
     return this._timeoutInMs;
   }
   
+  /**
+   * <p>Set how requests sent through this connection manager, e.g. by a
+   * MoneroDaemonRpc created with the connection manager, are distributed across
+   * its connections.</p>
+   * 
+   * <p>In BALANCING_CURRENT mode, requests are sent to the current connection.
+   * In BALANCING_WEIGHTED mode, idempotent requests (see MoneroRpcConnection.isIdempotent())
+   * are spread across the connections which are not known to be disconnected and
+   * whose circuit breaker is not open, in proportion to their weights. Requests
+   * which are not idempotent are sent to the current connection unless a route
+   * matches them.</p>
+   * 
+   * <p>If a hedge delay is set, an idempotent request which has not completed
+   * within the delay is also sent to a second connection and the first response
+   * is used. The second request is sent immediately if the first fails to reach
+   * its endpoint. Requests which are not idempotent are never hedged.</p>
+   * 
+   * <p>Routes override the mode and hedge delay of the requests whose method or
+   * path they match. The first matching route applies.</p>
+   * 
+   * @param {object} balancing - the balancing configuration (default current connection only)
+   * @param {string} balancing.mode - BALANCING_CURRENT or BALANCING_WEIGHTED (default BALANCING_CURRENT)
+   * @param {number} balancing.hedgeDelayInMs - delay before a request is sent to a second connection (default not hedged)
+   * @param {object[]} balancing.routes - per-method routing rules (optional)
+   * @param {(string|RegExp)[]} balancing.routes[].methods - the methods or paths to route
+   * @param {string} balancing.routes[].mode - mode of the matching requests (default balancing.mode if idempotent, BALANCING_CURRENT otherwise)
+   * @param {number} balancing.routes[].hedgeDelayInMs - hedge delay of the matching requests or null to not hedge them (default balancing.hedgeDelayInMs)
+   * @param {string[]} balancing.routes[].uris - only balance and hedge the matching requests across connections with these uris (optional)
+   * @return {MoneroConnectionManager} this connection manager for chaining
+   */
+  setBalancing(balancing) {
+    balancing = Object.assign({}, MoneroConnectionManager.DEFAULT_BALANCING, balancing);
+    MoneroConnectionManager._validateBalancing(balancing);
+    balancing.routes = (balancing.routes || []).map(function(route) {
+      MoneroConnectionManager._validateBalancing(route);
+      if (!GenUtils.isArray(route.methods)) throw new MoneroError("Route must have an array of methods");
+      return Object.assign({}, route);
+    });
+    this._balancing = balancing;
+    return this;
+  }
+  
+  /**
+   * Get the balancing configuration.
+   * 
+   * @return {object} the balancing configuration
+   */
+  getBalancing() {
+    return this._balancing;
+  }
+  
+  /**
+   * Send a JSON RPC request to a connection selected by the balancing configuration.
+   * 
+   * @param {string} method - JSON RPC method to invoke
+   * @param {object} params - request parameters
+   * @param {int} timeoutInMs - request timeout in milliseconds
+   * @return {object} is the response map
+   */
+  async sendJsonRequest(method, params, timeoutInMs) {
+    return this._sendBalanced(method, function(connection) { return connection.sendJsonRequest(method, params, timeoutInMs); });
+  }
+  
+  /**
+   * Send a RPC request to the given path of a connection selected by the balancing configuration.
+   * 
+   * @param {string} path - the path of the RPC endpoint
+   * @param {object} params - request parameters
+   * @param {int} timeoutInMs - request timeout in milliseconds
+   * @return {object} is the response map
+   */
+  async sendPathRequest(path, params, timeoutInMs) {
+    return this._sendBalanced(path, function(connection) { return connection.sendPathRequest(path, params, timeoutInMs); });
+  }
+  
+  /**
+   * Send a binary RPC request to a connection selected by the balancing configuration.
+   * 
+   * @param {string} path - path of the binary RPC method
+   * @param {object} params - request parameters
+   * @param {int} timeoutInMs - request timeout in milliseconds
+   * @return {Uint8Array} the binary response
+   */
+  async sendBinaryRequest(path, params, timeoutInMs) {
+    return this._sendBalanced(path, function(connection) { return connection.sendBinaryRequest(path, params, timeoutInMs); });
+  }
+  
   /**
    * Collect connectable peers of the managed connections.
    *
@@ -444,6 +545,7 @@ class MoneroConnectionManager {
     this.clear();
     this._timeoutMs = MoneroConnectionManager.DEFAULT_TIMEOUT;
     this._autoSwitch = false;
+    this.setBalancing(undefined);
     return this;
   }
 
@@ -464,6 +566,71 @@ class MoneroConnectionManager {
     return Promise.all(promises);
   }
   
+  async _sendBalanced(method, sendRequest) {
+    
+    // apply first matching route
+    let route = this._balancing.routes.find(route => route.methods.some(pattern => pattern instanceof RegExp ? pattern.test(method) : pattern === method));
+    let isIdempotent = MoneroRpcConnection.isIdempotent(method);
+    let mode = route && route.mode !== undefined ? route.mode : isIdempotent ? this._balancing.mode : MoneroConnectionManager.BALANCING_CURRENT;
+    let hedgeDelayInMs = route && route.hedgeDelayInMs !== undefined ? route.hedgeDelayInMs : this._balancing.hedgeDelayInMs;
+    
+    // collect healthy connections
+    let connections = this._connections.filter(connection => {
+      if (route && route.uris && !route.uris.includes(connection.getUri())) return false;
+      return connection.isConnected() !== false && connection.getCircuitState() !== MoneroRpcConnection.CIRCUIT_OPEN;
+    });
+    
+    // select connection
+    let connection;
+    if (mode === MoneroConnectionManager.BALANCING_WEIGHTED) {
+      connection = MoneroConnectionManager._selectWeighted(connections);
+      if (!connection) throw new MoneroError("No connection is available to send request with method '" + method + "'");
+    } else {
+      connection = this._currentConnection;
+      if (!connection) throw new MoneroError("Connection manager does not have a current connection");
+    }
+    
+    // send request, hedged to a second connection if applicable
+    let hedgeConnections = connections.filter(aConnection => aConnection !== connection);
+    if (!isIdempotent || hedgeDelayInMs === undefined || hedgeDelayInMs === null || !hedgeConnections.length) return sendRequest(connection);
+    return new Promise(function(resolve, reject) {
+      let hedgeTimeout;
+      let isDone = false;
+      let isHedged = false;
+      let numPending = 0;
+      let firstErr;
+      let send = function(connection) {
+        numPending++;
+        sendRequest(connection).then(function(resp) {
+          if (isDone) return;
+          isDone = true;
+          clearTimeout(hedgeTimeout);
+          resolve(resp);
+        }, function(err) {
+          numPending--;
+          if (isDone) return;
+          if (firstErr === undefined) firstErr = err;
+          if (!isHedged && MoneroRpcConnection._isUnreachable(err)) hedge();
+          else if (!numPending) {
+            isDone = true;
+            clearTimeout(hedgeTimeout);
+            reject(firstErr);
+          }
+        });
+      };
+      let hedge = function() {
+        clearTimeout(hedgeTimeout);
+        isHedged = true;
+        let hedgeConnection = MoneroConnectionManager._selectWeighted(hedgeConnections);
+        LibraryUtils.getMetrics().incrementCounter(MoneroMetrics.RPC_HEDGED_REQUESTS, {connection: hedgeConnection.getUri(), method: method});
+        if (LibraryUtils.getLogLevel() >= 1) LibraryUtils.log(1, "Hedging request with method '" + method + "' to " + hedgeConnection.getUri(), MoneroLogger.COMPONENT_HTTP, {uri: hedgeConnection.getUri(), method: method});
+        send(hedgeConnection);
+      };
+      send(connection);
+      hedgeTimeout = setTimeout(hedge, hedgeDelayInMs);
+    });
+  }
+  
   _getConnectionsInAscendingPriority() {
     let connectionPriorities = new Map();
     for (let connection of this._connections) {
@@ -494,9 +661,38 @@ class MoneroConnectionManager {
         else return 1; // c1 is offline
       }
   }
+  
+  static _selectWeighted(connections) {
+    let totalWeight = 0;
+    for (let connection of connections) totalWeight += connection.getWeight();
+    if (!totalWeight) return connections[Math.floor(Math.random() * connections.length)]; // select uniformly if all weights are 0
+    let weight = Math.random() * totalWeight;
+    for (let connection of connections) {
+      weight -= connection.getWeight();
+      if (weight < 0) return connection;
+    }
+    return connections[connections.length - 1];
+  }
+  
+  static _validateBalancing(balancing) {
+    if (balancing.mode !== undefined && balancing.mode !== MoneroConnectionManager.BALANCING_CURRENT && balancing.mode !== MoneroConnectionManager.BALANCING_WEIGHTED) throw new MoneroError("Invalid balancing mode: " + balancing.mode);
+    if (balancing.hedgeDelayInMs !== undefined && balancing.hedgeDelayInMs !== null && !(balancing.hedgeDelayInMs >= 0)) throw new MoneroError("Hedge delay must be >= 0");
+  }
 }
 
 MoneroConnectionManager.DEFAULT_TIMEOUT = 5000;
 MoneroConnectionManager.DEFAULT_CHECK_CONNECTION_PERIOD = 15000;
 
+MoneroConnectionManager.BALANCING_CURRENT = "current";
+MoneroConnectionManager.BALANCING_WEIGHTED = "weighted";
+
+/**
+ * Default balancing configuration which is merged with a given configuration.
+ */
+MoneroConnectionManager.DEFAULT_BALANCING = {
+    mode: MoneroConnectionManager.BALANCING_CURRENT,
+    hedgeDelayInMs: undefined,
+    routes: []
+}
+
 module.exports = MoneroConnectionManager;
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * <p>Default logger which writes the library's log records to the console.</p>
+ *
+ * <p>Provide a custom logger with LibraryUtils.setLogger() to send the log
+ * records to another sink. Records logged in the web worker and by the
+ * WebAssembly module are forwarded to the same logger.</p>
+ *
+ * <p>Example usage:</p>
+ *
+ * <code>
+ * LibraryUtils.setLogger({<br>
+ * &nbsp;&nbsp; log: function(record) {<br>
+ * &nbsp;&nbsp;&nbsp;&nbsp; console.log(JSON.stringify(record)); // e.g. {"timestamp":1666137600000,"level":1,"severity":"info","component":"http","message":"...","fields":{...}}<br>
+ * &nbsp;&nbsp; }<br>
+ * });<br>
+ * await LibraryUtils.setLogLevel(1);
+ * </code>
+ */
+class MoneroLogger {
+
+  /**
+   * Log a record which passed the library's log level.
+   *
+   * @param {object} record - the record to log
+   * @param {number} record.timestamp - time of the record in milliseconds since the epoch
+   * @param {int} record.level - log level of the record, with 0 being least verbose
+   * @param {string} record.severity - severity of the record, e.g. MoneroLogger.SEVERITY_ERROR
+   * @param {string} record.component - component which logged the record, e.g. MoneroLogger.COMPONENT_DAEMON (optional)
+   * @param {string} record.message - the message to log
+   * @param {object} record.fields - structured fields of the record (optional)
+   * @param {Error} record.error - error which caused the record (optional)
+   */
+  log(record) {
+    let msg = (record.severity === MoneroLogger.SEVERITY_WARNING ? "WARNING: " : "") + record.message; // structured fields are omitted from console output
+    if (record.severity === MoneroLogger.SEVERITY_ERROR) {
+      console.error(msg);
+      if (record.error !== undefined) console.error(record.error);
+    } else {
+      console.log(msg);
+    }
+  }
+}
+
+MoneroLogger.SEVERITY_ERROR = "error";
+MoneroLogger.SEVERITY_WARNING = "warning";
+MoneroLogger.SEVERITY_INFO = "info";
+
+MoneroLogger.COMPONENT_DAEMON = "daemon";
+MoneroLogger.COMPONENT_WALLET = "wallet";
+MoneroLogger.COMPONENT_HTTP = "http";
+MoneroLogger.COMPONENT_WORKER = "worker";
+MoneroLogger.COMPONENT_WASM = "wasm";
+
+module.exports = MoneroLogger;
@@ -0,0 +1,270 @@
+const MoneroError = require("./MoneroError");
+
+/**
+ * <p>Registry of counters, gauges, and histograms which instrument the library.</p>
+ *
+ * <p>The library records its metrics to the registry returned by
+ * LibraryUtils.getMetrics(). Use LibraryUtils.getMetricsSnapshot() to get the
+ * metrics recorded in the main thread and in the web worker:</p>
+ *
+ * <code>
+ * let snapshot = await LibraryUtils.getMetricsSnapshot();<br>
+ * let rpcLatency = snapshot.metrics.find(metric => metric.name === MoneroMetrics.RPC_LATENCY);<br><br>
+ *
+ * // serve metrics in the Prometheus text format<br>
+ * let text = MoneroMetrics.toPrometheus(snapshot);
+ * </code>
+ */
+class MoneroMetrics {
+
+  /**
+   * Construct an empty metrics registry.
+   */
+  constructor() {
+    this._metrics = {};
+    this._collectors = [];
+  }
+
+  /**
+   * Increment a counter.
+   *
+   * @param {string} name - the name of the counter
+   * @param {object} labels - the labels of the counter's sample (optional)
+   * @param {number} value - the amount to increment by (default 1)
+   */
+  incrementCounter(name, labels, value) {
+    if (value === undefined) value = 1;
+    if (!(value >= 0)) throw new MoneroError("Counter can only be incremented by a value >= 0");
+    this._getSample(name, MoneroMetrics.TYPE_COUNTER, labels).value += value;
+  }
+
+  /**
+   * Set the value of a gauge.
+   *
+   * @param {string} name - the name of the gauge
+   * @param {object} labels - the labels of the gauge's sample (optional)
+   * @param {number} value - the value of the gauge
+   */
+  setGauge(name, labels, value) {
+    this._getSample(name, MoneroMetrics.TYPE_GAUGE, labels).value = value;
+  }
+
+  /**
+   * Observe a value in a histogram.
+   *
+   * @param {string} name - the name of the histogram
+   * @param {object} labels - the labels of the histogram's sample (optional)
+   * @param {number} value - the value to observe
+   */
+  observeHistogram(name, labels, value) {
+    let sample = this._getSample(name, MoneroMetrics.TYPE_HISTOGRAM, labels);
+    sample.count++;
+    sample.sum += value;
+    for (let bucket of sample.buckets) if (value <= bucket.le) bucket.count++;
+  }
+
+  /**
+   * Get the value of a counter or gauge.
+   *
+   * @param {string} name - the name of the counter or gauge
+   * @param {object} labels - the labels of the sample (optional)
+   * @return {number|undefined} the value of the sample or undefined if not recorded
+   */
+  getValue(name, labels) {
+    let metric = this._metrics[name];
+    if (!metric) return undefined;
+    let sample = metric.samples[MoneroMetrics._getLabelsKey(labels)];
+    return sample ? sample.value : undefined;
+  }
+
+  /**
+   * Add a function which is invoked to update gauges before each snapshot.
+   *
+   * @param {function} collector - function which is invoked with this registry
+   */
+  addCollector(collector) {
+    this._collectors.push(collector);
+  }
+
+  /**
+   * Remove a collector.
+   *
+   * @param {function} collector - the collector to remove
+   */
+  removeCollector(collector) {
+    let idx = this._collectors.indexOf(collector);
+    if (idx < 0) throw new MoneroError("Collector is not registered with metrics");
+    this._collectors.splice(idx, 1);
+  }
+
+  /**
+   * Get a snapshot of the recorded metrics.
+   *
+   * @return {object} snapshot with a list of metrics, each with a name, type, help text, and list of samples
+   */
+  getSnapshot() {
+    for (let collector of this._collectors.slice()) collector(this);
+    let snapshot = {timestamp: Date.now(), metrics: []};
+    for (let name of Object.keys(this._metrics).sort()) {
+      let metric = this._metrics[name];
+      snapshot.metrics.push({
+        name: metric.name,
+        type: metric.type,
+        help: metric.help,
+        samples: Object.values(metric.samples).map(sample => JSON.parse(JSON.stringify(sample)))
+      });
+    }
+    return snapshot;
+  }
+
+  /**
+   * Clear the recorded metrics.
+   */
+  reset() {
+    this._metrics = {};
+  }
+
+  /**
+   * Merge snapshots, e.g. from the main thread and the web worker, by adding
+   * the counters and histograms with the same name and labels.
+   *
+   * Gauges are not added; each gauge takes its value from the most recent
+   * snapshot which recorded it.
+   *
+   * @param {object[]} snapshots - the snapshots to merge
+   * @return {object} the merged snapshot
+   */
+  static mergeSnapshots(snapshots) {
+    let merged = new MoneroMetrics();
+    snapshots = snapshots.slice().sort((a, b) => a.timestamp - b.timestamp); // stable so later snapshots win ties
+    for (let snapshot of snapshots) {
+      for (let metric of snapshot.metrics) {
+        for (let sample of metric.samples) {
+          let mergedSample = merged._getSample(metric.name, metric.type, sample.labels, metric.help, sample.buckets ? sample.buckets.map(bucket => bucket.le) : undefined);
+          if (metric.type === MoneroMetrics.TYPE_HISTOGRAM) {
+            mergedSample.count += sample.count;
+            mergedSample.sum += sample.sum;
+            for (let i = 0; i < sample.buckets.length; i++) mergedSample.buckets[i].count += sample.buckets[i].count;
+          } else if (metric.type === MoneroMetrics.TYPE_GAUGE) {
+            mergedSample.value = sample.value;
+          } else {
+            mergedSample.value += sample.value;
+          }
+        }
+      }
+    }
+    return merged.getSnapshot();
+  }
+
+  /**
+   * Format a snapshot in the Prometheus text exposition format.
+   *
+   * @param {object} snapshot - the snapshot to format
+   * @return {string} the snapshot in the Prometheus text format
+   */
+  static toPrometheus(snapshot) {
+    let lines = [];
+    for (let metric of snapshot.metrics) {
+      if (metric.help !== undefined) lines.push("# HELP " + metric.name + " " + metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n"));
+      lines.push("# TYPE " + metric.name + " " + metric.type);
+      for (let sample of metric.samples) {
+        if (metric.type === MoneroMetrics.TYPE_HISTOGRAM) {
+          for (let bucket of sample.buckets) {
+            lines.push(metric.name + "_bucket" + MoneroMetrics._formatLabels(Object.assign({}, sample.labels, {le: "" + bucket.le})) + " " + bucket.count);
+          }
+          lines.push(metric.name + "_bucket" + MoneroMetrics._formatLabels(Object.assign({}, sample.labels, {le: "+Inf"})) + " " + sample.count);
+          lines.push(metric.name + "_sum" + MoneroMetrics._formatLabels(sample.labels) + " " + sample.sum);
+          lines.push(metric.name + "_count" + MoneroMetrics._formatLabels(sample.labels) + " " + sample.count);
+        } else {
+          lines.push(metric.name + MoneroMetrics._formatLabels(sample.labels) + " " + sample.value);
+        }
+      }
+    }
+    return lines.length ? lines.join("\n") + "\n" : "";
+  }
+
+  // ------------------------------ PRIVATE HELPERS ---------------------------
+
+  _getSample(name, type, labels, help, buckets) {
+    let metric = this._metrics[name];
+    if (!metric) {
+      let definition = MoneroMetrics.DEFINITIONS[name];
+      metric = this._metrics[name] = {
+        name: name,
+        type: type,
+        help: definition ? definition.help : help,
+        buckets: buckets ? buckets : definition && definition.buckets ? definition.buckets : MoneroMetrics.DEFAULT_BUCKETS,
+        samples: {}
+      };
+    } else if (metric.type !== type) {
+      throw new MoneroError("Metric '" + name + "' is a " + metric.type + ", not a " + type);
+    }
+    let key = MoneroMetrics._getLabelsKey(labels);
+    let sample = metric.samples[key];
+    if (!sample) {
+      sample = metric.samples[key] = {labels: Object.assign({}, labels)};
+      if (type === MoneroMetrics.TYPE_HISTOGRAM) {
+        sample.count = 0;
+        sample.sum = 0;
+        sample.buckets = metric.buckets.map(le => ({le: le, count: 0}));
+      } else {
+        sample.value = 0;
+      }
+    }
+    return sample;
+  }
+
+  static _getLabelsKey(labels) {
+    if (!labels) return "";
+    return Object.keys(labels).sort().map(key => key + "=" + labels[key]).join(",");
+  }
+
+  static _formatLabels(labels) {
+    let keys = labels ? Object.keys(labels) : [];
+    if (!keys.length) return "";
+    return "{" + keys.map(key => key + "=\"" + ("" + labels[key]).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n") + "\"").join(",") + "}";
+  }
+}
+
+MoneroMetrics.TYPE_COUNTER = "counter";
+MoneroMetrics.TYPE_GAUGE = "gauge";
+MoneroMetrics.TYPE_HISTOGRAM = "histogram";
+
+// default histogram buckets for latencies in milliseconds
+MoneroMetrics.DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+// names of the library's metrics
+MoneroMetrics.RPC_REQUESTS = "monero_rpc_requests_total";
+MoneroMetrics.RPC_ERRORS = "monero_rpc_errors_total";
+MoneroMetrics.RPC_LATENCY = "monero_rpc_latency_ms";
+MoneroMetrics.RPC_HEDGED_REQUESTS = "monero_rpc_hedged_requests_total";
+MoneroMetrics.HTTP_RECEIVED_BYTES = "monero_http_received_bytes_total";
+MoneroMetrics.QUEUE_DEPTH = "monero_queue_depth";
+MoneroMetrics.WORKER_INVOCATIONS = "monero_worker_invocations_total";
+MoneroMetrics.WORKER_PENDING_INVOCATIONS = "monero_worker_pending_invocations";
+MoneroMetrics.WORKER_LATENCY = "monero_worker_latency_ms";
+MoneroMetrics.WALLET_SYNCS = "monero_wallet_syncs_total";
+MoneroMetrics.WALLET_SYNC_BLOCKS = "monero_wallet_sync_blocks_total";
+MoneroMetrics.WALLET_SYNC_RECEIVED_BYTES = "monero_wallet_sync_received_bytes_total";
+MoneroMetrics.WALLET_SYNC_DURATION = "monero_wallet_sync_duration_ms";
+MoneroMetrics.WALLET_SYNC_BLOCKS_PER_SECOND = "monero_wallet_sync_blocks_per_second";
+
+// help text and histogram buckets of the library's metrics
+MoneroMetrics.DEFINITIONS = {
+  [MoneroMetrics.RPC_REQUESTS]: {help: "RPC requests sent by connection and method, including retries"},
+  [MoneroMetrics.RPC_ERRORS]: {help: "RPC requests which failed by connection, method, and error code"},
+  [MoneroMetrics.RPC_LATENCY]: {help: "Latency of RPC requests in milliseconds by connection and method"},
+  [MoneroMetrics.RPC_HEDGED_REQUESTS]: {help: "Duplicate RPC requests sent by connection managers to hedge slow or failed requests by connection and method"},
+  [MoneroMetrics.HTTP_RECEIVED_BYTES]: {help: "Bytes received in HTTP response bodies by host"},
+  [MoneroMetrics.QUEUE_DEPTH]: {help: "Tasks queued or running in the library's task queues by queue"},
+  [MoneroMetrics.WORKER_INVOCATIONS]: {help: "Functions invoked in the web worker by function"},
+  [MoneroMetrics.WORKER_PENDING_INVOCATIONS]: {help: "Functions invoked in the web worker which have not returned"},
+  [MoneroMetrics.WORKER_LATENCY]: {help: "Time for functions invoked in the web worker to return in milliseconds by function"},
+  [MoneroMetrics.WALLET_SYNCS]: {help: "Wallet synchronizations by wallet"},
+  [MoneroMetrics.WALLET_SYNC_BLOCKS]: {help: "Blocks fetched while synchronizing wallets by wallet"},
+  [MoneroMetrics.WALLET_SYNC_RECEIVED_BYTES]: {help: "Bytes received in HTTP response bodies while synchronizing wallets by wallet"},
+  [MoneroMetrics.WALLET_SYNC_DURATION]: {help: "Duration of wallet synchronizations in milliseconds by wallet", buckets: [100, 500, 1000, 5000, 10000, 30000, 60000, 300000, 600000, 1800000]},
+  [MoneroMetrics.WALLET_SYNC_BLOCKS_PER_SECOND]: {help: "Blocks fetched per second in the last synchronization by wallet"}
+};
+
+module.exports = MoneroMetrics;
@@ -2,6 +2,8 @@ const GenUtils = require("./GenUtils");
 const HttpClient = require("./HttpClient");
 const LibraryUtils = require("./LibraryUtils");
 const MoneroError = require("../common/MoneroError");
+const MoneroLogger = require("./MoneroLogger");
+const MoneroMetrics = require("./MoneroMetrics");
 const MoneroRpcError = require("../common/MoneroRpcError");
 const MoneroUtils = require("./MoneroUtils");
 
@@ -23,7 +25,9 @@ class MoneroRpcConnection {
    * &nbsp;&nbsp; username: "daemon_user",<br>
    * &nbsp;&nbsp; password: "daemon_password_123",<br>
    * &nbsp;&nbsp; rejectUnauthorized: false, // accept self-signed certificates e.g. for local development<br>
-   * &nbsp;&nbsp; proxyToWorker: true // proxy request to worker (default false)<br>
+   * &nbsp;&nbsp; proxyToWorker: true, // proxy request to worker (default false)<br>
+   * &nbsp;&nbsp; retryPolicy: {maxRetries: 3}, // retry idempotent requests with exponential backoff (default no retries)<br>
+   * &nbsp;&nbsp; circuitBreaker: {failureThreshold: 5} // fail fast after 5 consecutive failures (default disabled)<br>
    * });
    * </code>
    * 
@@ -33,11 +37,15 @@ class MoneroRpcConnection {
    * @param {string} uriOrConfigOrConnection.password - password to authenticate with the RPC endpoint (optional)
    * @param {boolean} uriOrConfigOrConnection.rejectUnauthorized - rejects self-signed certificates if true (default true)
    * @param {boolean} uriOrConfigOrConnection.proxyToWorker - proxy requests to worker
+   * @param {number} uriOrConfigOrConnection.weight - share of requests balanced across a connection manager's connections (default 1, see setWeight())
+   * @param {object} uriOrConfigOrConnection.retryPolicy - retry idempotent requests which fail to reach the endpoint (optional, see setRetryPolicy())
+   * @param {object} uriOrConfigOrConnection.circuitBreaker - fail fast after consecutive failures to reach the endpoint (optional, see setCircuitBreaker())
    * @param {string} username - username to authenticate with the RPC endpoint (optional)
    * @param {string} password - password to authenticate with the RPC endpoint (optional)
    * @param {boolean} rejectUnauthorized - reject self-signed certificates if true (default true)
    */
   constructor(uriOrConfigOrConnection, username, password, rejectUnauthorized, proxyToWorker) {
+    this._interceptors = [];
     
     // validate and normalize config
     if (typeof uriOrConfigOrConnection === "string") {
@@ -47,8 +55,10 @@ class MoneroRpcConnection {
       if (proxyToWorker !== undefined) this._config.proxyToWorker = proxyToWorker;
     } else if (typeof uriOrConfigOrConnection === "object") {
       if (username !== undefined || password !== undefined || rejectUnauthorized !== undefined || proxyToWorker !== undefined) throw new MoneroError("Can provide config object or params but not both");
-      if (uriOrConfigOrConnection instanceof MoneroRpcConnection) this._config = Object.assign({}, uriOrConfigOrConnection.getConfig());
-      else this._config = Object.assign({}, uriOrConfigOrConnection);
+      if (uriOrConfigOrConnection instanceof MoneroRpcConnection) {
+        this._config = Object.assign({}, uriOrConfigOrConnection.getConfig());
+        this._interceptors = uriOrConfigOrConnection.getInterceptors();
+      } else this._config = Object.assign({}, uriOrConfigOrConnection);
       this.setCredentials(this._config.username, this._config.password);
     } else if (uriOrConfigOrConnection !== undefined) {
       throw new MoneroError("Invalid configuration to MoneroRpcConnection; must be string or MoneroRpcConnection or equivalent JS object");
@@ -63,6 +73,10 @@ class MoneroRpcConnection {
       if (!new RegExp("^\\w+://.+").test(this._config.uri)) this._config.uri = "http://" + this._config.uri; // assume http if protocol not given
     }
     
+    // normalize retry policy and circuit breaker
+    this.setRetryPolicy(this._config.retryPolicy);
+    this.setCircuitBreaker(this._config.circuitBreaker);
+    
     // fail with friendly message if using old api
     if (this._config.user || this._config.pass) throw new MoneroError("Authentication fields 'user' and 'pass' have been renamed to 'username' and 'password'.  Please update to the new api");
     
@@ -138,6 +152,158 @@ class MoneroRpcConnection {
     return this;
   }
   
+  getWeight() {
+    return this._config.weight;
+  }
+  
+  /**
+   * Set the connection's share of the requests which a connection manager balances
+   * across its connections, relative to the weights of the other connections.
+   * 
+   * @param {number} weight - the connection weight (default 1)
+   * @return {MoneroRpcConnection} this connection
+   */
+  setWeight(weight) {
+    if (!(weight >= 0)) throw new MoneroError("Weight must be >= 0");
+    this._config.weight = weight;
+    return this;
+  }
+  
+  /**
+   * <p>Set the policy to retry requests which fail to reach the endpoint, i.e.
+   * which time out, fail to connect, or receive a HTTP 408, 429 or 5xx status.</p>
+   * 
+   * <p>Only idempotent methods are retried (see MoneroRpcConnection.isIdempotent()).
+   * The delay before each retry grows exponentially and is randomly reduced by
+   * up to the jitter fraction so clients do not retry in lockstep.</p>
+   * 
+   * @param {object} retryPolicy - the retry policy or undefined to not retry
+   * @param {int} retryPolicy.maxRetries - maximum number of retries per request (default 3)
+   * @param {int} retryPolicy.initialDelayInMs - delay before the first retry in milliseconds (default 250)
+   * @param {int} retryPolicy.maxDelayInMs - maximum delay before a retry in milliseconds (default 5000)
+   * @param {number} retryPolicy.multiplier - factor to increase the delay by after each retry (default 2)
+   * @param {number} retryPolicy.jitter - fraction of the delay which is randomized, from 0 to 1 (default 0.5)
+   * @return {MoneroRpcConnection} this connection
+   */
+  setRetryPolicy(retryPolicy) {
+    if (retryPolicy !== undefined) {
+      retryPolicy = Object.assign({}, MoneroRpcConnection.DEFAULT_RETRY_POLICY, retryPolicy);
+      if (!(retryPolicy.maxRetries >= 0)) throw new MoneroError("Max retries must be >= 0");
+      if (!(retryPolicy.initialDelayInMs >= 0) || !(retryPolicy.maxDelayInMs >= 0)) throw new MoneroError("Retry delays must be >= 0");
+      if (!(retryPolicy.multiplier >= 1)) throw new MoneroError("Retry delay multiplier must be >= 1");
+      if (!(retryPolicy.jitter >= 0 && retryPolicy.jitter <= 1)) throw new MoneroError("Retry jitter must be between 0 and 1");
+    }
+    this._config.retryPolicy = retryPolicy;
+    return this;
+  }
+  
+  getRetryPolicy() {
+    return this._config.retryPolicy;
+  }
+  
+  /**
+   * <p>Set the circuit breaker which fails requests fast after consecutive
+   * failures to reach the endpoint.</p>
+   * 
+   * <p>The circuit opens after the failure threshold is reached, after which
+   * requests fail immediately. After the reset timeout, the circuit is half
+   * open and allows one trial request, which closes the circuit if it reaches
+   * the endpoint or opens it again otherwise.</p>
+   * 
+   * @param {object} circuitBreaker - the circuit breaker configuration or undefined to disable
+   * @param {int} circuitBreaker.failureThreshold - number of consecutive failures to open the circuit (default 5)
+   * @param {int} circuitBreaker.resetTimeoutInMs - time the circuit is open before allowing a trial request (default 30000)
+   * @return {MoneroRpcConnection} this connection
+   */
+  setCircuitBreaker(circuitBreaker) {
+    if (circuitBreaker !== undefined) {
+      circuitBreaker = Object.assign({}, MoneroRpcConnection.DEFAULT_CIRCUIT_BREAKER, circuitBreaker);
+      if (!(circuitBreaker.failureThreshold >= 1)) throw new MoneroError("Circuit breaker failure threshold must be >= 1");
+      if (!(circuitBreaker.resetTimeoutInMs >= 0)) throw new MoneroError("Circuit breaker reset timeout must be >= 0");
+    }
+    this._config.circuitBreaker = circuitBreaker;
+    this.resetCircuitBreaker();
+    return this;
+  }
+  
+  getCircuitBreaker() {
+    return this._config.circuitBreaker;
+  }
+  
+  /**
+   * Get the state of the circuit breaker.
+   * 
+   * @return {string} MoneroRpcConnection.CIRCUIT_CLOSED, CIRCUIT_OPEN, or CIRCUIT_HALF_OPEN
+   */
+  getCircuitState() {
+    if (this._circuitState === MoneroRpcConnection.CIRCUIT_OPEN && Date.now() - this._circuitOpenedTime >= this._config.circuitBreaker.resetTimeoutInMs) {
+      this._circuitState = MoneroRpcConnection.CIRCUIT_HALF_OPEN;
+      this._isCircuitTrialPending = false;
+    }
+    return this._circuitState === undefined ? MoneroRpcConnection.CIRCUIT_CLOSED : this._circuitState;
+  }
+  
+  /**
+   * Get the number of consecutive failures to reach the endpoint.
+   * 
+   * @return {int} the number of consecutive failures
+   */
+  getNumConsecutiveFailures() {
+    return this._numConsecutiveFailures === undefined ? 0 : this._numConsecutiveFailures;
+  }
+  
+  /**
+   * Close the circuit breaker and reset its failure count.
+   * 
+   * @return {MoneroRpcConnection} this connection
+   */
+  resetCircuitBreaker() {
+    this._circuitState = MoneroRpcConnection.CIRCUIT_CLOSED;
+    this._circuitOpenedTime = undefined;
+    this._isCircuitTrialPending = false;
+    this._numConsecutiveFailures = 0;
+    return this;
+  }
+  
+  /**
+   * <p>Add an interceptor which is invoked around each HTTP request sent by
+   * this connection, including retries.</p>
+   * 
+   * <p>Requests sent within a worker, e.g. by a daemon or wallet client which
+   * is proxied to a worker, are not intercepted. Neither are the daemon
+   * requests of a full wallet (MoneroWalletFull), which its wasm module sends
+   * through its own HTTP client, whether or not it runs in a worker.</p>
+   * 
+   * @param {MoneroRpcInterceptor} interceptor - the interceptor to add
+   * @return {MoneroRpcConnection} this connection
+   */
+  addInterceptor(interceptor) {
+    this._interceptors.push(interceptor);
+    return this;
+  }
+  
+  /**
+   * Remove an interceptor.
+   * 
+   * @param {MoneroRpcInterceptor} interceptor - the interceptor to remove
+   * @return {MoneroRpcConnection} this connection
+   */
+  removeInterceptor(interceptor) {
+    let idx = this._interceptors.indexOf(interceptor);
+    if (idx < 0) throw new MoneroError("Interceptor is not registered with connection");
+    this._interceptors.splice(idx, 1);
+    return this;
+  }
+  
+  /**
+   * Get the interceptors invoked around each request.
+   * 
+   * @return {MoneroRpcInterceptor[]} the connection's interceptors
+   */
+  getInterceptors() {
+    return this._interceptors.slice();
+  }
+  
   setAttribute(key, value) {
     if (!this.attributes) this.attributes = new Map();
     this.attributes.put(key, value);
@@ -223,6 +389,11 @@ class MoneroRpcConnection {
    * @return {object} is the response map
    */
   async sendJsonRequest(method, params, timeoutInMs) {
+    let that = this;
+    return this._sendWithPolicy(method, params, function(context) { return that._sendJsonRequest(method, params, timeoutInMs, context); });
+  }
+  
+  async _sendJsonRequest(method, params, timeoutInMs, context) {
     try {
       
       // build request body
@@ -234,11 +405,11 @@ class MoneroRpcConnection {
       });
 
       // logging
-      if (LibraryUtils.getLogLevel() >= 2) LibraryUtils.log(2, "Sending json request with method '" + method + "' and body: " + body);
+      if (LibraryUtils.getLogLevel() >= 2) LibraryUtils.log(2, "Sending json request with method '" + method + "' and body: " + body, MoneroLogger.COMPONENT_HTTP, {uri: this.getUri(), method: method});
       
       // send http request
       let startTime = new Date().getTime();
-      let resp = await HttpClient.request({
+      let resp = await this._requestHttp(context, {
         method: "POST",
         uri: this.getUri() + '/json_rpc',
         username: this.getUsername(),
@@ -258,7 +429,7 @@ class MoneroRpcConnection {
       resp = JSON.parse(resp.body.replace(/("[^"]*"\s*:\s*)(\d{16,})/g, '$1"$2"'));  // replace 16 or more digits with strings and parse
       if (LibraryUtils.getLogLevel() >= 3) {
         let respStr = JSON.stringify(resp);
-        LibraryUtils.log(3, "Received response from method='" + method + "', response=" + respStr.substring(0, Math.min(1000, respStr.length) + "(" + (new Date().getTime() - startTime) + " ms)"));
+        LibraryUtils.log(3, "Received response from method='" + method + "', response=" + respStr.substring(0, Math.min(1000, respStr.length) + "(" + (new Date().getTime() - startTime) + " ms)"), MoneroLogger.COMPONENT_HTTP, {uri: this.getUri(), method: method, latencyInMs: new Date().getTime() - startTime});
       }
       
       // check rpc response for errors
@@ -281,14 +452,19 @@ class MoneroRpcConnection {
    * @return {object} is the response map
    */
   async sendPathRequest(path, params, timeoutInMs) {
+    let that = this;
+    return this._sendWithPolicy(path, params, function(context) { return that._sendPathRequest(path, params, timeoutInMs, context); });
+  }
+  
+  async _sendPathRequest(path, params, timeoutInMs, context) {
     try {
 
       // logging
-      if (LibraryUtils.getLogLevel() >= 2) LibraryUtils.log(2, "Sending path request with path '" + path + "' and params: " + JSON.stringify(params));
+      if (LibraryUtils.getLogLevel() >= 2) LibraryUtils.log(2, "Sending path request with path '" + path + "' and params: " + JSON.stringify(params), MoneroLogger.COMPONENT_HTTP, {uri: this.getUri(), method: path});
       
       // send http request
       let startTime = new Date().getTime();
-      let resp = await HttpClient.request({
+      let resp = await this._requestHttp(context, {
         method: "POST",
         uri: this.getUri() + '/' + path,
         username: this.getUsername(),
@@ -309,7 +485,7 @@ class MoneroRpcConnection {
       if (typeof resp === "string") resp = JSON.parse(resp);  // TODO: some responses returned as strings?
       if (LibraryUtils.getLogLevel() >= 3) {
         let respStr = JSON.stringify(resp);
-        LibraryUtils.log(3, "Received response from path='" + method + "', response=" + respStr.substring(0, Math.min(1000, respStr.length) + "(" + (new Date().getTime() - startTime) + " ms)"));
+        LibraryUtils.log(3, "Received response from path='" + path + "', response=" + respStr.substring(0, Math.min(1000, respStr.length) + "(" + (new Date().getTime() - startTime) + " ms)"), MoneroLogger.COMPONENT_HTTP, {uri: this.getUri(), method: path, latencyInMs: new Date().getTime() - startTime});
       }
       
       // check rpc response for errors
@@ -330,6 +506,11 @@ class MoneroRpcConnection {
    * @return {Uint8Array} the binary response
    */
   async sendBinaryRequest(path, params, timeoutInMs) {
+    let that = this;
+    return this._sendWithPolicy(path, params, function(context) { return that._sendBinaryRequest(path, params, timeoutInMs, context); });
+  }
+  
+  async _sendBinaryRequest(path, params, timeoutInMs, context) {
     
     // serialize params
     let paramsBin = await MoneroUtils.jsonToBinary(params);
@@ -337,10 +518,10 @@ class MoneroRpcConnection {
     try {
 
       // logging
-      if (LibraryUtils.getLogLevel() >= 2) LibraryUtils.log(2, "Sending binary request with path '" + path + "' and params: " + JSON.stringify(params));
+      if (LibraryUtils.getLogLevel() >= 2) LibraryUtils.log(2, "Sending binary request with path '" + path + "' and params: " + JSON.stringify(params), MoneroLogger.COMPONENT_HTTP, {uri: this.getUri(), method: path});
       
       // send http request
-      let resp = await HttpClient.request({
+      let resp = await this._requestHttp(context, {
         method: "POST",
         uri: this.getUri() + '/' + path,
         username: this.getUsername(),
@@ -357,10 +538,7 @@ class MoneroRpcConnection {
       
       // process response
       resp = resp.body;
-      if (!(resp instanceof Uint8Array)) {
-        console.error("resp is not uint8array");
-        console.error(resp);
-      }
+      if (!(resp instanceof Uint8Array)) LibraryUtils.logWarning(MoneroLogger.COMPONENT_HTTP, "Binary response is not Uint8Array: " + resp, {uri: this.getUri(), method: path});
       if (resp.error) throw new MoneroRpcError(resp.error.message, resp.error.code, path, params);
       return resp;
     } catch (err) {
@@ -373,8 +551,122 @@ class MoneroRpcConnection {
     return this.getUri() + " (username=" + this.getUsername() + ", password=" + (this.getPassword() ? "***" : this.getPassword()) + ", priority=" + this.getPriority() + ", isOnline=" + this.isOnline() + ", isAuthenticated=" + this.isAuthenticated() + ")";
   }
   
+  /**
+   * Indicates if a RPC method can be safely retried, i.e. it only reads state.
+   * 
+   * @param {string} method - the JSON RPC method or path of the request
+   * @return {boolean} true if the method is idempotent, false otherwise
+   */
+  static isIdempotent(method) {
+    method = method.replace(/^\//, "").replace(/\.bin$/, "");
+    return method.startsWith("get") || MoneroRpcConnection.IDEMPOTENT_METHODS.includes(method);
+  }
+  
   // ------------------------------ PRIVATE HELPERS --------------------------
   
+  async _sendWithPolicy(method, params, sendRequest) {
+    let retryPolicy = this._config.retryPolicy;
+    let maxRetries = retryPolicy && MoneroRpcConnection.isIdempotent(method) ? retryPolicy.maxRetries : 0;
+    for (let numRetries = 0; ; numRetries++) {
+      this._checkCircuit(method, params);
+      let startTime = Date.now();
+      try {
+        let resp = await this._sendIntercepted(method, params, numRetries, sendRequest);
+        this._recordMetrics(method, startTime);
+        this._onCircuitResult(true);
+        return resp;
+      } catch (err) {
+        if (!(err instanceof MoneroRpcError)) { // e.g. interceptor error, so endpoint's state is unknown
+          this._isCircuitTrialPending = false;
+          throw err;
+        }
+        this._recordMetrics(method, startTime, err);
+        let isUnreachable = MoneroRpcConnection._isUnreachable(err);
+        this._onCircuitResult(!isUnreachable);
+        if (!isUnreachable || numRetries >= maxRetries) throw err;
+        if (LibraryUtils.getLogLevel() >= 1) LibraryUtils.log(1, "Retrying request with method '" + method + "' to " + this.getUri() + " after error: " + err.message, MoneroLogger.COMPONENT_HTTP, {uri: this.getUri(), method: method, numRetries: numRetries + 1});
+        await GenUtils.waitFor(MoneroRpcConnection._getRetryDelay(retryPolicy, numRetries));
+      }
+    }
+  }
+  
+  async _sendIntercepted(method, params, numRetries, sendRequest) {
+    let interceptors = this._interceptors.slice();
+    if (!interceptors.length) return sendRequest();
+    let context = {connection: this, uri: this.getUri(), method: method, params: params, headers: {}, numRetries: numRetries};
+    for (let interceptor of interceptors) await interceptor.onRequest(context);
+    let startTime = Date.now();
+    try {
+      context.response = await sendRequest(context);
+    } catch (err) {
+      context.latencyInMs = Date.now() - startTime;
+      context.error = err;
+      for (let interceptor of interceptors) await interceptor.onError(context);
+      throw err;
+    }
+    context.latencyInMs = Date.now() - startTime;
+    for (let interceptor of interceptors) await interceptor.onResponse(context);
+    return context.response;
+  }
+  
+  async _requestHttp(context, request) {
+    if (!context) return HttpClient.request(request);
+    request.headers = Object.assign({}, context.headers);
+    try {
+      let resp = await HttpClient.request(request);
+      context.statusCode = resp.statusCode === undefined ? 200 : resp.statusCode; // body only is resolved on success
+      return resp;
+    } catch (err) {
+      context.statusCode = err.statusCode;
+      throw err;
+    }
+  }
+  
+  _recordMetrics(method, startTime, err) {
+    let metrics = LibraryUtils.getMetrics();
+    let labels = {connection: this.getUri(), method: method};
+    metrics.incrementCounter(MoneroMetrics.RPC_REQUESTS, labels);
+    metrics.observeHistogram(MoneroMetrics.RPC_LATENCY, labels, Date.now() - startTime);
+    if (err) metrics.incrementCounter(MoneroMetrics.RPC_ERRORS, Object.assign({code: err.getCode() === undefined ? "" : "" + err.getCode()}, labels));
+  }
+  
+  _checkCircuit(method, params) {
+    if (!this._config.circuitBreaker) return;
+    let state = this.getCircuitState();
+    if (state === MoneroRpcConnection.CIRCUIT_CLOSED) return;
+    if (state === MoneroRpcConnection.CIRCUIT_HALF_OPEN && !this._isCircuitTrialPending) {
+      this._isCircuitTrialPending = true; // allow one trial request
+      return;
+    }
+    throw new MoneroRpcError("Circuit breaker is open for " + this.getUri(), undefined, method, params);
+  }
+  
+  _onCircuitResult(isReachable) {
+    if (isReachable) {
+      this._numConsecutiveFailures = 0;
+      if (this._config.circuitBreaker) this.resetCircuitBreaker();
+      return;
+    }
+    this._numConsecutiveFailures = this.getNumConsecutiveFailures() + 1;
+    if (!this._config.circuitBreaker) return;
+    if (this.getCircuitState() === MoneroRpcConnection.CIRCUIT_HALF_OPEN || this._numConsecutiveFailures >= this._config.circuitBreaker.failureThreshold) {
+      this._circuitState = MoneroRpcConnection.CIRCUIT_OPEN;
+      this._circuitOpenedTime = Date.now();
+      this._isCircuitTrialPending = false;
+    }
+  }
+  
+  static _isUnreachable(err) {
+    if (!(err instanceof MoneroRpcError)) return false;
+    let code = err.getCode();
+    return code === undefined || code === 408 || code === 429 || (code >= 500 && code <= 599);
+  }
+  
+  static _getRetryDelay(retryPolicy, numRetries) {
+    let delay = Math.min(retryPolicy.maxDelayInMs, retryPolicy.initialDelayInMs * Math.pow(retryPolicy.multiplier, numRetries));
+    return Math.round(delay * (1 - retryPolicy.jitter * Math.random()));
+  }
+  
   static _validateHttpResponse(resp) {
     let code = resp.statusCode;
     if (code < 200 || code > 299) {
@@ -402,9 +694,38 @@ MoneroRpcConnection.DEFAULT_CONFIG = {
     password: undefined,
     rejectUnauthorized: true, // reject self-signed certificates if true
     proxyToWorker: false,
-    priority: 0
+    priority: 0,
+    weight: 1,
+    retryPolicy: undefined,
+    circuitBreaker: undefined
 }
 
-MoneroRpcConnection.SUPPORTED_FIELDS = ["uri", "username", "password", "rejectUnauthorized", "priority", "proxyToWorker"];
+MoneroRpcConnection.SUPPORTED_FIELDS = ["uri", "username", "password", "rejectUnauthorized", "priority", "weight", "proxyToWorker", "retryPolicy", "circuitBreaker"];
+
+/**
+ * Default retry policy which is merged with a given retry policy.
+ */
+MoneroRpcConnection.DEFAULT_RETRY_POLICY = {
+    maxRetries: 3,
+    initialDelayInMs: 250,
+    maxDelayInMs: 5000,
+    multiplier: 2,
+    jitter: 0.5
+}
+
+/**
+ * Default circuit breaker configuration which is merged with a given configuration.
+ */
+MoneroRpcConnection.DEFAULT_CIRCUIT_BREAKER = {
+    failureThreshold: 5,
+    resetTimeoutInMs: 30000
+}
+
+// RPC methods which only read state and can be retried, in addition to methods starting with "get"
+MoneroRpcConnection.IDEMPOTENT_METHODS = ["hard_fork_info", "sync_info", "mining_status", "on_get_block_hash", "is_key_image_spent", "query_key", "validate_address", "check_tx_key", "check_tx_proof", "check_spend_proof", "check_reserve_proof", "verify", "describe_transfer", "incoming_transfers", "estimate_tx_size_and_weight"];
+
+MoneroRpcConnection.CIRCUIT_CLOSED = "closed";
+MoneroRpcConnection.CIRCUIT_OPEN = "open";
+MoneroRpcConnection.CIRCUIT_HALF_OPEN = "halfOpen";
 
 module.exports = MoneroRpcConnection;
\ No newline at end of file
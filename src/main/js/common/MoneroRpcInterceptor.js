@@ -0,0 +1,69 @@
+/**
+ * <p>Default RPC interceptor which takes no action on requests.</p>
+ *
+ * <p>Interceptors are added to a MoneroRpcConnection to observe or modify each
+ * HTTP request it sends, e.g. to log or trace requests or to add custom
+ * headers. Each hook receives the context of the request:</p>
+ *
+ * <ul>
+ *   <li>connection - the MoneroRpcConnection sending the request</li>
+ *   <li>uri - the uri of the RPC endpoint</li>
+ *   <li>method - the JSON RPC method or path of the request</li>
+ *   <li>params - the request parameters</li>
+ *   <li>headers - the HTTP headers to send, which onRequest() can modify</li>
+ *   <li>numRetries - the number of times the request has been retried</li>
+ *   <li>statusCode - the HTTP status code, if the endpoint responded</li>
+ *   <li>latencyInMs - the time to receive the response or error in milliseconds</li>
+ *   <li>response - the response if the request succeeded</li>
+ *   <li>error - the MoneroRpcError if the request failed</li>
+ * </ul>
+ *
+ * <p>Requests sent within a worker and the daemon requests of a full wallet
+ * are not intercepted; see MoneroRpcConnection.addInterceptor().</p>
+ */
+class MoneroRpcInterceptor {
+
+  /**
+   * Invoked before a request is sent.
+   *
+   * @param {object} context - the context of the request whose headers can be modified
+   */
+  async onRequest(context) { }
+
+  /**
+   * Invoked after a request succeeds.
+   *
+   * @param {object} context - the context of the request with its status code, latency, and response
+   */
+  async onResponse(context) { }
+
+  /**
+   * Invoked after a request fails.
+   *
+   * @param {object} context - the context of the request with its status code, latency, and error
+   */
+  async onError(context) { }
+
+  /**
+   * Copy request parameters with secret values replaced by "***", e.g. to log them.
+   *
+   * @param {object} params - the request parameters to redact
+   * @param {string[]} secretKeys - the keys of secret values (default MoneroRpcInterceptor.SECRET_KEYS)
+   * @return {object} a copy of the parameters with secret values redacted
+   */
+  static redact(params, secretKeys) {
+    if (secretKeys === undefined) secretKeys = MoneroRpcInterceptor.SECRET_KEYS;
+    if (Array.isArray(params)) return params.map(param => MoneroRpcInterceptor.redact(param, secretKeys));
+    if (params === null || typeof params !== "object" || params instanceof Uint8Array) return params;
+    let redacted = {};
+    for (let key of Object.keys(params)) {
+      redacted[key] = secretKeys.includes(key) && params[key] !== undefined ? "***" : MoneroRpcInterceptor.redact(params[key], secretKeys);
+    }
+    return redacted;
+  }
+}
+
+// keys of request parameters with secret values
+MoneroRpcInterceptor.SECRET_KEYS = ["password", "old_password", "new_password", "seed", "seed_offset", "spendkey", "viewkey"];
+
+module.exports = MoneroRpcInterceptor;
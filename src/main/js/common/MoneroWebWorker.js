@@ -1,4 +1,5 @@
 const assert = require("assert");
+const BigInteger = require("./biginteger").BigInteger;
 const GenUtils = require("./GenUtils");
 const HttpClient = require("./HttpClient");
 const LibraryUtils = require("./LibraryUtils");
@@ -7,7 +8,9 @@ const MoneroBlock = require("../daemon/model/MoneroBlock");
 const MoneroDaemonListener = require("../daemon/model/MoneroDaemonListener");
 const MoneroDaemonRpc = require("../daemon/MoneroDaemonRpc");
 const MoneroError = require("./MoneroError");
+const MoneroFeeEstimate = require("../daemon/model/MoneroFeeEstimate");
 const MoneroKeyImage = require("../daemon/model/MoneroKeyImage");
+const MoneroOutput = require("../daemon/model/MoneroOutput");
 const MoneroRpcConnection = require("./MoneroRpcConnection");
 const MoneroTxConfig = require("../wallet/model/MoneroTxConfig");
 const MoneroTxSet = require("../wallet/model/MoneroTxSet");
@@ -53,6 +56,12 @@ self.initOneTime = async function() {
     self.WORKER_OBJECTS = {};
     self.isInitialized = true;
     MoneroUtils.PROXY_TO_WORKER = false;
+    
+    // forward log records to the main thread
+    LibraryUtils.setLogger({log: function(record) {
+      if (record.error !== undefined) record = Object.assign({}, record, {error: record.error instanceof Error ? LibraryUtils.serializeError(record.error) : "" + record.error});
+      postMessage([LibraryUtils.WORKER_LOGGER_ID, "log", record]);
+    }});
   }
 }
 
@@ -72,6 +81,10 @@ self.setLogLevel = async function(objectId, level) {
   return LibraryUtils.setLogLevel(level);
 }
 
+self.getMetricsSnapshot = async function(objectId) {
+  return LibraryUtils.getMetrics().getSnapshot();
+}
+
 self.getWasmMemoryUsed = async function(objectId) {
   return LibraryUtils.getWasmModule() && LibraryUtils.getWasmModule().HEAP8 ? LibraryUtils.getWasmModule().HEAP8.length : undefined;
 }
@@ -100,12 +113,20 @@ self.moneroUtilsBinaryBlocksToJson = async function(objectId, uint8arr) {
 
 // ---------------------------- DAEMON METHODS --------------------------------
 
-self.daemonAddListener = async function(daemonId, listenerId) {
+self.daemonAddListener = async function(daemonId, listenerId, isTxPoolListener, isReorgListener) {
   let listener = new class extends MoneroDaemonListener {
     async onBlockHeader(blockHeader) {
       self.postMessage([daemonId, "onBlockHeader_" + listenerId, blockHeader.toJson()]);
     }
   }
+  
+  // only forward optional notifications which are handled so the daemon does not fetch them otherwise
+  if (isTxPoolListener) listener.onTxPoolAdd = async function(tx) {
+    self.postMessage([daemonId, "onTxPoolAdd_" + listenerId, tx.toJson()]);
+  }
+  if (isReorgListener) listener.onChainReorg = async function(height, blockHeader) {
+    self.postMessage([daemonId, "onChainReorg_" + listenerId, height, blockHeader.toJson()]);
+  }
   if (!self.daemonListeners) self.daemonListeners = {};
   self.daemonListeners[listenerId] = listener;
   await self.WORKER_OBJECTS[daemonId].addListener(listener);
@@ -262,9 +283,11 @@ self.daemonGetTxPoolHashes = async function(daemonId) {
   return self.WORKER_OBJECTS[daemonId].getTxPoolHashes();
 }
 
-//async getTxPoolBacklog() {
-//  throw new MoneroError("Not implemented");
-//}
+self.daemonGetTxPoolBacklog = async function(daemonId) {
+  let entriesJson = [];
+  for (let entry of await self.WORKER_OBJECTS[daemonId].getTxPoolBacklog()) entriesJson.push(entry.toJson());
+  return entriesJson;
+}
 
 self.daemonGetTxPoolStats = async function(daemonId) {
   return (await self.WORKER_OBJECTS[daemonId].getTxPoolStats()).toJson();
@@ -278,10 +301,15 @@ self.daemonGetKeyImageSpentStatuses = async function(daemonId, keyImages) {
   return self.WORKER_OBJECTS[daemonId].getKeyImageSpentStatuses(keyImages);
 }
 
-//
-//async getOutputs(outputs) {
-//  throw new MoneroError("Not implemented");
-//}
+self.daemonGetOutputs = async function(daemonId, outputsJson) {
+  let outputs = [];
+  for (let outputJson of outputsJson) outputs.push(new MoneroOutput(outputJson));
+  
+  // serialize each output from its root block to preserve model relationships
+  let blocksJson = [];
+  for (let output of await self.WORKER_OBJECTS[daemonId].getOutputs(outputs)) blocksJson.push(output.getTx().getBlock().toJson());
+  return blocksJson;
+}
 
 self.daemonGetOutputHistogram = async function(daemonId, amounts, minCount, maxCount, isUnlocked, recentCutoff) {
   let entriesJson = [];
@@ -291,10 +319,14 @@ self.daemonGetOutputHistogram = async function(daemonId, amounts, minCount, maxC
   return entriesJson;
 }
 
-//
-//async getOutputDistribution(amounts, cumulative, startHeight, endHeight) {
-//  throw new MoneroError("Not implemented");
-//}
+self.daemonGetOutputDistribution = async function(daemonId, amounts, cumulative, startHeight, endHeight) {
+  if (amounts) amounts = amounts.map(amount => BigInteger.parse(amount));
+  let entriesJson = [];
+  for (let entry of await self.WORKER_OBJECTS[daemonId].getOutputDistribution(amounts, cumulative, startHeight, endHeight)) {
+    entriesJson.push(entry.toJson());
+  }
+  return entriesJson;
+}
 
 self.daemonGetInfo = async function(daemonId) {
   return (await self.WORKER_OBJECTS[daemonId].getInfo()).toJson();
@@ -530,7 +562,7 @@ self.getHeight = async function(walletId) {
   return self.WORKER_OBJECTS[walletId].getHeight();
 }
 
-self.addListener = async function(walletId, listenerId) {
+self.addListener = async function(walletId, listenerId, isReorgListener, confirmationThresholds) {
   
   /**
    * Internal listener to bridge notifications to external listeners.
@@ -578,6 +610,15 @@ self.addListener = async function(walletId, listenerId) {
   }
   
   let listener = new WalletWorkerHelperListener(walletId, listenerId, self);
+  if (isReorgListener) listener.onReorg = function(forkHeight, detachedTxHashes) { // only forward if handled so the wallet does not detect reorgs otherwise
+    self.postMessage([walletId, "onReorg_" + listenerId, forkHeight, detachedTxHashes]);
+  }
+  if (confirmationThresholds) {
+    listener.getConfirmationThresholds = function() { return confirmationThresholds; }
+    listener.onTxConfirmationsChanged = function(tx) {
+      self.postMessage([walletId, "onTxConfirmationsChanged_" + listenerId, tx.getBlock().toJson()]); // serialize from root block
+    }
+  }
   if (!self.listeners) self.listeners = [];
   self.listeners.push(listener);
   await self.WORKER_OBJECTS[walletId].addListener(listener);
@@ -785,6 +826,16 @@ self.createTxs = async function(walletId, config) {
   return txs[0].getTxSet().toJson();
 }
 
+self.estimateTxSizeAndWeight = async function(walletId, numInputs, numOutputs, ringSize, rct) {
+  return self.WORKER_OBJECTS[walletId].estimateTxSizeAndWeight(numInputs, numOutputs, ringSize, rct);
+}
+
+self.estimateFee = async function(walletId, config, feeEstimateJson) {
+  if (typeof config === "object") config = new MoneroTxConfig(config);
+  let fee = await self.WORKER_OBJECTS[walletId].estimateFee(config, feeEstimateJson === undefined ? undefined : new MoneroFeeEstimate(feeEstimateJson));
+  return fee.toString();
+}
+
 self.sweepOutput = async function(walletId, config) {
   if (typeof config === "object") config = new MoneroTxConfig(config);
   let tx = await self.WORKER_OBJECTS[walletId].sweepOutput(config);
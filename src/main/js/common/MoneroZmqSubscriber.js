@@ -0,0 +1,210 @@
+const GenUtils = require("./GenUtils");
+const MoneroError = require("./MoneroError");
+
+/**
+ * Subscribes to topics of a ZMQ publisher such as monerod's --zmq-pub endpoint.
+ *
+ * Speaks the subscriber side of ZMTP 3.0 with the NULL security mechanism over
+ * a TCP socket, which is what monerod publishes with, so no native ZMQ library
+ * is required. Messages are expected in monerod's "<topic>:<json>" format.
+ *
+ * Only supported in Node.js.
+ *
+ * @private
+ */
+class MoneroZmqSubscriber {
+
+  /**
+   * Construct the subscriber.
+   *
+   * @param {string} uri - uri of the publisher, e.g. "tcp://127.0.0.1:38083"
+   * @param {function} onMessage - called with (topic, json) for each received message
+   * @param {function} onError - called with an error if the connection fails or closes unexpectedly
+   */
+  constructor(uri, onMessage, onError) {
+    if (GenUtils.isBrowser()) throw new MoneroError("ZMQ subscriptions are only supported in Node.js");
+    let match = /^tcp:\/\/(.+):(\d+)$/.exec(uri);
+    if (!match) throw new MoneroError("Invalid ZMQ publisher uri, must be of format tcp://host:port: " + uri);
+    this._host = match[1].replace(/^\[(.*)\]$/, "$1"); // strip ipv6 brackets
+    this._port = parseInt(match[2]);
+    this._onMessage = onMessage;
+    this._onError = onError;
+    this._topics = [];
+  }
+
+  /**
+   * Connect to the publisher and subscribe to the given topics.
+   *
+   * @param {string[]} topics - topic prefixes to subscribe to
+   * @return {Promise} resolves when the handshake with the publisher completes
+   */
+  async connect(topics) {
+    if (this._socket) throw new MoneroError("ZMQ subscriber is already connected");
+    this._topics = topics;
+    this._buffer = Buffer.alloc(0);
+    this._isGreeted = false;
+    this._isClosed = false;
+    let that = this;
+    return new Promise(function(resolve, reject) {
+      that._connecting = {resolve: resolve, reject: reject};
+      that._socket = require("net").createConnection({host: that._host, port: that._port});
+      that._socket.on("connect", function() {
+        that._socket.write(MoneroZmqSubscriber._encodeGreeting());
+        that._socket.write(MoneroZmqSubscriber._encodeReady("SUB"));
+      });
+      that._socket.on("data", function(data) {
+        try {
+          that._onData(data);
+        } catch (err) {
+          that._fail(err);
+        }
+      });
+      that._socket.on("error", function(err) { that._fail(err); });
+      that._socket.on("close", function() { that._fail(new MoneroError("Connection to ZMQ publisher closed")); });
+    });
+  }
+
+  /**
+   * Indicates if connected to the publisher.
+   *
+   * @return {boolean} true if connected, false otherwise
+   */
+  isConnected() {
+    return this._socket !== undefined && !this._isClosed;
+  }
+
+  /**
+   * Disconnect from the publisher.
+   */
+  close() {
+    let connecting = this._connecting;
+    this._connecting = undefined;
+    this._isClosed = true;
+    if (this._socket) this._socket.destroy();
+    this._socket = undefined;
+    if (connecting) connecting.reject(new MoneroError("ZMQ subscriber closed before connecting"));
+  }
+
+  // ------------------------------ PRIVATE HELPERS ---------------------------
+
+  _fail(err) {
+    if (this._isClosed) return;
+    let connecting = this._connecting;
+    this._connecting = undefined;
+    this.close();
+    if (connecting) connecting.reject(err);
+    else if (this._onError) this._onError(err);
+  }
+
+  _onData(data) {
+    this._buffer = Buffer.concat([this._buffer, data]);
+
+    // read peer greeting
+    if (!this._isGreeted) {
+      if (this._buffer.length < MoneroZmqSubscriber.GREETING_LENGTH) return;
+      if (this._buffer[0] !== 0xff || this._buffer[9] !== 0x7f) throw new MoneroError("Invalid ZMTP greeting from publisher");
+      if (this._buffer[10] < 3) throw new MoneroError("Unsupported ZMTP version from publisher: " + this._buffer[10]);
+      this._buffer = this._buffer.slice(MoneroZmqSubscriber.GREETING_LENGTH);
+      this._isGreeted = true;
+    }
+
+    // read frames
+    let frame;
+    while ((frame = MoneroZmqSubscriber._decodeFrame(this._buffer)) !== undefined) {
+      this._buffer = this._buffer.slice(frame.length);
+      if (frame.isCommand) this._onCommand(frame.body);
+      else this._onFrame(frame);
+    }
+  }
+
+  _onCommand(body) {
+    let name = body.slice(1, 1 + body[0]).toString();
+    if (name === "READY") {
+      for (let topic of this._topics) this._socket.write(MoneroZmqSubscriber._encodeFrame(Buffer.concat([Buffer.from([1]), Buffer.from(topic)]), false, false));
+      if (this._connecting) {
+        let connecting = this._connecting;
+        this._connecting = undefined;
+        connecting.resolve();
+      }
+    } else if (name === "ERROR") {
+      throw new MoneroError("ZMQ publisher error: " + body.slice(2 + body[0], 2 + body[0] + body[1 + body[0]]).toString());
+    }
+  }
+
+  _onFrame(frame) {
+
+    // collect multipart messages and notify when complete
+    this._parts = this._parts ? Buffer.concat([this._parts, frame.body]) : frame.body;
+    if (frame.isMore) return;
+    let msg = this._parts.toString();
+    this._parts = undefined;
+
+    // split topic from json
+    let idx = msg.indexOf(":");
+    if (idx < 0) return;
+    let topic = msg.substring(0, idx);
+    let json;
+    try {
+      json = JSON.parse(msg.substring(idx + 1).replace(/("[^"]*"\s*:\s*)(\d{16,})/g, '$1"$2"')); // replace 16 or more digits with strings and parse
+    } catch (err) {
+      return;  // ignore malformed message
+    }
+    if (this._onMessage) this._onMessage(topic, json);
+  }
+
+  static _encodeGreeting(asServer) {
+    let greeting = Buffer.alloc(MoneroZmqSubscriber.GREETING_LENGTH);
+    greeting[0] = 0xff;
+    greeting[9] = 0x7f;
+    greeting[10] = 3;  // major version
+    greeting[11] = 0;  // minor version
+    greeting.write("NULL", 12);
+    greeting[32] = asServer ? 1 : 0;
+    return greeting;
+  }
+
+  static _encodeReady(socketType) {
+    let name = Buffer.from("READY");
+    let propName = Buffer.from("Socket-Type");
+    let propVal = Buffer.from(socketType);
+    let propValLen = Buffer.alloc(4);
+    propValLen.writeUInt32BE(propVal.length);
+    let body = Buffer.concat([Buffer.from([name.length]), name, Buffer.from([propName.length]), propName, propValLen, propVal]);
+    return MoneroZmqSubscriber._encodeFrame(body, false, true);
+  }
+
+  static _encodeFrame(body, isMore, isCommand) {
+    let isLong = body.length > 255;
+    let flags = (isMore ? 0x01 : 0) | (isLong ? 0x02 : 0) | (isCommand ? 0x04 : 0);
+    let header;
+    if (isLong) {
+      header = Buffer.alloc(9);
+      header[0] = flags;
+      header.writeUInt32BE(Math.floor(body.length / 0x100000000), 1);
+      header.writeUInt32BE(body.length % 0x100000000, 5);
+    } else {
+      header = Buffer.from([flags, body.length]);
+    }
+    return Buffer.concat([header, body]);
+  }
+
+  static _decodeFrame(buffer) {
+    if (buffer.length < 2) return undefined;
+    let flags = buffer[0];
+    let isLong = (flags & 0x02) !== 0;
+    let headerLength = isLong ? 9 : 2;
+    if (buffer.length < headerLength) return undefined;
+    let bodyLength = isLong ? buffer.readUInt32BE(1) * 0x100000000 + buffer.readUInt32BE(5) : buffer[1];
+    if (buffer.length < headerLength + bodyLength) return undefined;
+    return {
+      isMore: (flags & 0x01) !== 0,
+      isCommand: (flags & 0x04) !== 0,
+      body: buffer.slice(headerLength, headerLength + bodyLength),
+      length: headerLength + bodyLength
+    };
+  }
+}
+
+MoneroZmqSubscriber.GREETING_LENGTH = 64;
+
+module.exports = MoneroZmqSubscriber;
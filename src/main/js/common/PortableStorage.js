@@ -0,0 +1,168 @@
+const BigInteger = require("./biginteger").BigInteger;
+const GenUtils = require("./GenUtils");
+const MoneroError = require("./MoneroError");
+
+/**
+ * Parses epee's portable storage format which monerod uses for its binary
+ * (.bin) rpc responses.
+ *
+ * Unlike converting the response to json in WebAssembly, string fields are
+ * kept as raw bytes, so packed blobs such as compressed output distributions
+ * and tx pool backlogs survive intact.
+ *
+ * @private
+ */
+class PortableStorage {
+
+  /**
+   * Parse a portable storage buffer.
+   *
+   * 64-bit integers are parsed to BigInteger, other integers to numbers, and
+   * strings to Uint8Array which can be converted with bytesToString() or
+   * bytesToHex().
+   *
+   * @param {Uint8Array} bytes - the portable storage buffer to parse
+   * @return {object} the parsed root section
+   */
+  static parse(bytes) {
+    if (!(bytes instanceof Uint8Array)) throw new MoneroError("Portable storage must be a Uint8Array");
+    let reader = {bytes: bytes, view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), pos: 0};
+    if (bytes.length < 9 ||
+        reader.view.getUint32(0, true) !== PortableStorage.SIGNATURE_A ||
+        reader.view.getUint32(4, true) !== PortableStorage.SIGNATURE_B ||
+        bytes[8] !== PortableStorage.FORMAT_VERSION) {
+      throw new MoneroError("Invalid portable storage header");
+    }
+    reader.pos = 9;
+    let section = PortableStorage._readSection(reader);
+    if (reader.pos !== bytes.length) throw new MoneroError("Unexpected " + (bytes.length - reader.pos) + " bytes after portable storage");
+    return section;
+  }
+
+  /**
+   * Convert a parsed string field to text, one character per byte.
+   *
+   * @param {Uint8Array} bytes - the string field
+   * @return {string} the text
+   */
+  static bytesToString(bytes) {
+    if (bytes === undefined) return undefined;
+    let str = "";
+    for (let i = 0; i < bytes.length; i++) str += String.fromCharCode(bytes[i]);
+    return str;
+  }
+
+  /**
+   * Convert a parsed string field holding binary data to hex.
+   *
+   * @param {Uint8Array} bytes - the string field
+   * @return {string} the hex
+   */
+  static bytesToHex(bytes) {
+    if (bytes === undefined) return undefined;
+    let hex = "";
+    for (let i = 0; i < bytes.length; i++) hex += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+    return hex;
+  }
+
+  /**
+   * Read a little-endian uint64 from bytes.
+   *
+   * @param {Uint8Array} bytes - the bytes to read from
+   * @param {number} offset - the offset of the uint64 in the bytes
+   * @return {BigInteger} the uint64
+   */
+  static readUint64(bytes, offset) {
+    let hex = "";
+    for (let i = offset + 7; i >= offset; i--) hex += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+    return BigInteger.parse(hex, 16);
+  }
+
+  // --------------------------------- PRIVATE --------------------------------
+
+  static _readSection(reader) {
+    let section = {};
+    let numEntries = PortableStorage._readVarint(reader);
+    for (let i = 0; i < numEntries; i++) {
+      let nameLength = PortableStorage._readBytes(reader, 1)[0];
+      let name = PortableStorage.bytesToString(PortableStorage._readBytes(reader, nameLength));
+      let type = PortableStorage._readBytes(reader, 1)[0];
+      section[name] = PortableStorage._readEntry(reader, type);
+    }
+    return section;
+  }
+
+  static _readEntry(reader, type) {
+    if (type & PortableStorage.TYPE_FLAG_ARRAY) {
+      let elementType = type & ~PortableStorage.TYPE_FLAG_ARRAY;
+      let numElements = PortableStorage._readVarint(reader);
+      let elements = [];
+      for (let i = 0; i < numElements; i++) elements.push(PortableStorage._readValue(reader, elementType));
+      return elements;
+    }
+    return PortableStorage._readValue(reader, type);
+  }
+
+  static _readValue(reader, type) {
+    let offset = reader.pos;
+    switch (type) {
+      case PortableStorage.TYPE_INT64: PortableStorage._readBytes(reader, 8); return PortableStorage._readInt64(reader.bytes, offset);
+      case PortableStorage.TYPE_INT32: PortableStorage._readBytes(reader, 4); return reader.view.getInt32(offset, true);
+      case PortableStorage.TYPE_INT16: PortableStorage._readBytes(reader, 2); return reader.view.getInt16(offset, true);
+      case PortableStorage.TYPE_INT8: PortableStorage._readBytes(reader, 1); return reader.view.getInt8(offset);
+      case PortableStorage.TYPE_UINT64: PortableStorage._readBytes(reader, 8); return PortableStorage.readUint64(reader.bytes, offset);
+      case PortableStorage.TYPE_UINT32: PortableStorage._readBytes(reader, 4); return reader.view.getUint32(offset, true);
+      case PortableStorage.TYPE_UINT16: PortableStorage._readBytes(reader, 2); return reader.view.getUint16(offset, true);
+      case PortableStorage.TYPE_UINT8: PortableStorage._readBytes(reader, 1); return reader.view.getUint8(offset);
+      case PortableStorage.TYPE_DOUBLE: PortableStorage._readBytes(reader, 8); return reader.view.getFloat64(offset, true);
+      case PortableStorage.TYPE_STRING: return PortableStorage._readBytes(reader, PortableStorage._readVarint(reader));
+      case PortableStorage.TYPE_BOOL: return PortableStorage._readBytes(reader, 1)[0] !== 0;
+      case PortableStorage.TYPE_OBJECT: return PortableStorage._readSection(reader);
+      case PortableStorage.TYPE_ARRAY: return PortableStorage._readEntry(reader, PortableStorage._readBytes(reader, 1)[0]);
+      default: throw new MoneroError("Unsupported portable storage type: " + type);
+    }
+  }
+
+  static _readInt64(bytes, offset) {
+    let value = PortableStorage.readUint64(bytes, offset);
+    if (bytes[offset + 7] & 0x80) value = value.subtract(BigInteger.parse("10000000000000000", 16));
+    return value;
+  }
+
+  static _readVarint(reader) {
+    let size = 1 << (reader.bytes[reader.pos] & 0x03);
+    let bytes = PortableStorage._readBytes(reader, size);
+    let value = 0;
+    for (let i = size - 1; i >= 0; i--) value = value * 256 + bytes[i];
+    value = Math.floor(value / 4);
+    if (!GenUtils.isInt(value) || value > Number.MAX_SAFE_INTEGER) throw new MoneroError("Portable storage varint is too large");
+    return value;
+  }
+
+  static _readBytes(reader, length) {
+    if (reader.pos + length > reader.bytes.length) throw new MoneroError("Portable storage is truncated");
+    let bytes = reader.bytes.subarray(reader.pos, reader.pos + length);
+    reader.pos += length;
+    return bytes;
+  }
+}
+
+PortableStorage.SIGNATURE_A = 0x01011101;
+PortableStorage.SIGNATURE_B = 0x01020101;
+PortableStorage.FORMAT_VERSION = 1;
+PortableStorage.TYPE_INT64 = 1;
+PortableStorage.TYPE_INT32 = 2;
+PortableStorage.TYPE_INT16 = 3;
+PortableStorage.TYPE_INT8 = 4;
+PortableStorage.TYPE_UINT64 = 5;
+PortableStorage.TYPE_UINT32 = 6;
+PortableStorage.TYPE_UINT16 = 7;
+PortableStorage.TYPE_UINT8 = 8;
+PortableStorage.TYPE_DOUBLE = 9;
+PortableStorage.TYPE_STRING = 10;
+PortableStorage.TYPE_BOOL = 11;
+PortableStorage.TYPE_OBJECT = 12;
+PortableStorage.TYPE_ARRAY = 13;
+PortableStorage.TYPE_FLAG_ARRAY = 0x80;
+
+module.exports = PortableStorage;
@@ -45,6 +45,15 @@ class ThreadPool {
     });
   }
   
+  /**
+   * Get the number of submitted functions which have not completed.
+   * 
+   * @return {int} the number of functions queued or running
+   */
+  getQueueDepth() {
+    return this.taskQueue.length() + this.taskQueue.running();
+  }
+  
   /**
    * Await all functions to complete.
    * 
@@ -424,10 +424,10 @@ class MoneroDaemon {
   }
   
   /**
-   * Creates an output distribution.
+   * Creates an output distribution. RingCT outputs count as 0 amount.
    * 
-   * @param {BigInteger[]} amounts - amounts of outputs to make the distribution with
-   * @param {boolean} cumulative - specifies if the results should be cumulative (defaults to TODO)
+   * @param {BigInteger[]} amounts - amounts of outputs to make the distribution with (default [0] for RingCT outputs)
+   * @param {boolean} cumulative - specifies if the results should be cumulative (default false)
    * @param {int} startHeight - start height lower bound inclusive (optional)
    * @param {int} endHeight - end height upper bound inclusive (optional)
    * @return {MoneroOutputDistributionEntry[]} are entries meeting the parameters
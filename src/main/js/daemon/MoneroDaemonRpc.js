@@ -8,6 +8,7 @@ const MoneroBan = require("./model/MoneroBan");
 const MoneroBlock = require("./model/MoneroBlock");
 const MoneroBlockHeader = require("./model/MoneroBlockHeader");
 const MoneroBlockTemplate = require("./model/MoneroBlockTemplate");
+const MoneroConnectionManager = require("../common/MoneroConnectionManager");
 const MoneroDaemon = require("./MoneroDaemon");
 const MoneroDaemonInfo = require("./model/MoneroDaemonInfo");
 const MoneroDaemonListener = require("./model/MoneroDaemonListener");
@@ -16,19 +17,26 @@ const MoneroError = require("../common/MoneroError");
 const MoneroFeeEstimate = require("./model/MoneroFeeEstimate");
 const MoneroHardForkInfo = require("./model/MoneroHardForkInfo");
 const MoneroKeyImage = require("./model/MoneroKeyImage");
+const MoneroLogger = require("../common/MoneroLogger");
 const MoneroMinerTxSum = require("./model/MoneroMinerTxSum");
 const MoneroMiningStatus = require("./model/MoneroMiningStatus");
 const MoneroNetworkType = require("./model/MoneroNetworkType");
 const MoneroOutput = require("./model/MoneroOutput");
+const MoneroOutputDistributionEntry = require("./model/MoneroOutputDistributionEntry");
 const MoneroOutputHistogramEntry = require("./model/MoneroOutputHistogramEntry");
 const MoneroPeer = require("./model/MoneroPeer");
 const MoneroPruneResult = require("./model/MoneroPruneResult");
 const MoneroRpcConnection = require("../common/MoneroRpcConnection");
+const MoneroRpcError = require("../common/MoneroRpcError");
 const MoneroSubmitTxResult = require("./model/MoneroSubmitTxResult");
 const MoneroTx = require("./model/MoneroTx");
+const MoneroTxBacklogEntry = require("./model/MoneroTxBacklogEntry");
 const MoneroTxPoolStats = require("./model/MoneroTxPoolStats");
 const MoneroUtils = require("../common/MoneroUtils");
 const MoneroVersion = require("./model/MoneroVersion");
+const MoneroZmqSubscriber = require("../common/MoneroZmqSubscriber");
+const PortableStorage = require("../common/PortableStorage");
+const ThreadPool = require("../common/ThreadPool");
 
 /**
  * Copyright (c) woodser
@@ -63,12 +71,14 @@ class MoneroDaemonRpc extends MoneroDaemon {
   /**
    * <p>Construct a daemon RPC client (for internal use).<p>
    * 
-   * @param {string|object|MoneroRpcConnection} uriOrConfig - uri of monerod or JS config object or MoneroRpcConnection
+   * @param {string|object|MoneroRpcConnection|MoneroConnectionManager} uriOrConfig - uri of monerod or JS config object or MoneroRpcConnection or MoneroConnectionManager
    * @param {string} uriOrConfig.uri - uri of monerod
    * @param {string} uriOrConfig.username - username to authenticate with monerod (optional)
    * @param {string} uriOrConfig.password - password to authenticate with monerod (optional)
    * @param {boolean} uriOrConfig.rejectUnauthorized - rejects self-signed certificates if true (default true)
    * @param {number} uriOrConfig.pollInterval - poll interval to query for updates in ms (default 5000)
+   * @param {string} uriOrConfig.zmqUri - uri of monerod's --zmq-pub endpoint to receive notifications from instead of polling, e.g. "tcp://127.0.0.1:18083" (optional, Node.js only)
+   * @param {MoneroConnectionManager} uriOrConfig.connectionManager - send requests through the connection manager's balancing instead of to uri (optional, not proxied to worker)
    * @param {string} username - username to authenticate with monerod (optional)
    * @param {string} password - password to authenticate with monerod (optional)
    * @param {boolean} rejectUnauthorized - rejects self-signed certificates if true (default true)
@@ -80,10 +90,15 @@ class MoneroDaemonRpc extends MoneroDaemon {
     if (GenUtils.isArray(uriOrConfig)) throw new Error("Use monerojs.connectToDaemonRpc(...) to use terminal parameters");
     this.config = MoneroDaemonRpc._normalizeConfig(uriOrConfig, username, password, rejectUnauthorized, pollInterval, proxyToWorker);
     if (this.config.proxyToWorker) throw new Error("Use monerojs.connectToDaemonRpc(...) to proxy to worker");
-    let rpcConfig = Object.assign({}, this.config);
-    delete rpcConfig.proxyToWorker;
-    delete rpcConfig.pollInterval;
-    this.rpc = new MoneroRpcConnection(rpcConfig);
+    if (this.config.connectionManager) this.rpc = this.config.connectionManager; // send requests through connection manager's balancing
+    else {
+      let rpcConfig = Object.assign({}, this.config);
+      delete rpcConfig.proxyToWorker;
+      delete rpcConfig.pollInterval;
+      delete rpcConfig.zmqUri;
+      this.rpc = new MoneroRpcConnection(rpcConfig);
+      if (uriOrConfig instanceof MoneroRpcConnection) for (let interceptor of uriOrConfig.getInterceptors()) this.rpc.addInterceptor(interceptor);
+    }
     this.listeners = [];      // block listeners
     this.cachedHeaders = {};  // cached headers for fetching blocks in bound chunks
   }
@@ -91,13 +106,15 @@ class MoneroDaemonRpc extends MoneroDaemon {
   /**
    * <p>Create a client connected to monerod (for internal use).</p>
    * 
-   * @param {string|string[]|object|MoneroRpcConnection} uriOrConfig - uri of monerod or terminal parameters or JS config object or MoneroRpcConnection
+   * @param {string|string[]|object|MoneroRpcConnection|MoneroConnectionManager} uriOrConfig - uri of monerod or terminal parameters or JS config object or MoneroRpcConnection or MoneroConnectionManager
    * @param {string} uriOrConfig.uri - uri of monerod
    * @param {string} uriOrConfig.username - username to authenticate with monerod (optional)
    * @param {string} uriOrConfig.password - password to authenticate with monerod (optional)
    * @param {boolean} uriOrConfig.rejectUnauthorized - rejects self-signed certificates if true (default true)
    * @param {number} uriOrConfig.pollInterval - poll interval to query for updates in ms (default 5000)
    * @param {boolean} uriOrConfig.proxyToWorker - run the daemon client in a worker if true (default true)
+   * @param {string} uriOrConfig.zmqUri - uri of monerod's --zmq-pub endpoint to receive notifications from instead of polling, e.g. "tcp://127.0.0.1:18083" (optional, Node.js only)
+   * @param {MoneroConnectionManager} uriOrConfig.connectionManager - send requests through the connection manager's balancing instead of to uri (optional, not proxied to worker)
    * @param {string} username - username to authenticate with monerod (optional)
    * @param {string} password - password to authenticate with monerod (optional)
    * @param {boolean} rejectUnauthorized - rejects self-signed certificates if true (default true)
@@ -129,7 +146,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       // handle stdout
       that.process.stdout.on('data', async function(data) {
         let line = data.toString();
-        LibraryUtils.log(2, line);
+        LibraryUtils.log(2, line, MoneroLogger.COMPONENT_DAEMON);
         output += line + '\n'; // capture output in case of error
         
         // extract uri from e.g. "I Binding on 127.0.0.1 (IPv4):38085"
@@ -165,7 +182,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       
       // handle stderr
       that.process.stderr.on('data', function(data) {
-        if (LibraryUtils.getLogLevel() >= 2) console.error(data);
+        LibraryUtils.log(2, data.toString(), MoneroLogger.COMPONENT_DAEMON);
       });
       
       // handle exit
@@ -181,8 +198,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       
       // handle uncaught exception
       that.process.on("uncaughtException", function(err, origin) {
-        console.error("Uncaught exception in monerod process: " + err.message);
-        console.error(origin);
+        LibraryUtils.logError(MoneroLogger.COMPONENT_DAEMON, "Uncaught exception in monerod process: " + err.message, err, {origin: origin});
         reject(err);
       });
     });
@@ -234,7 +250,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
    * @return {MoneroRpcConnection} the daemon's rpc connection
    */
   async getRpcConnection() {
-    return this.rpc;
+    return this.config.connectionManager ? this.config.connectionManager.getConnection() : this.rpc;
   }
   
   async isConnected() {
@@ -496,11 +512,21 @@ class MoneroDaemonRpc extends MoneroDaemon {
   }
   
   async getTxPoolHashes() {
-    throw new MoneroError("Not implemented");
+    let resp = await this.rpc.sendPathRequest("get_transaction_pool_hashes");
+    MoneroDaemonRpc._checkResponseStatus(resp);
+    return resp.tx_hashes ? resp.tx_hashes : [];
   }
   
   async getTxPoolBacklog() {
-    throw new MoneroError("Not implemented");
+    
+    // fetch backlog in binary
+    let respBin = await this.rpc.sendBinaryRequest("get_txpool_backlog.bin", {});
+    
+    // parse binary response which keeps the packed backlog as raw bytes
+    let resp = PortableStorage.parse(respBin);
+    resp.status = PortableStorage.bytesToString(resp.status);
+    MoneroDaemonRpc._checkResponseStatus(resp);
+    return MoneroDaemonRpc._convertRpcTxBacklog(resp.backlog);
   }
 
   async getTxPoolStats() {
@@ -522,6 +548,52 @@ class MoneroDaemonRpc extends MoneroDaemon {
     return resp.spent_status;
   }
   
+  async getOutputs(outputs) {
+    
+    // validate input
+    assert(Array.isArray(outputs) && outputs.length > 0, "Must provide an array of outputs identified by amount and index");
+    let rpcOutputs = [];
+    for (let output of outputs) {
+      assert(output instanceof MoneroOutput, "Outputs must be instances of MoneroOutput");
+      if (output.getAmount() === undefined) throw new MoneroError("Must provide amount of output to get");
+      if (output.getIndex() === undefined) throw new MoneroError("Must provide index of output to get");
+      rpcOutputs.push({amount: output.getAmount().toJSValue(), index: output.getIndex()});
+    }
+    
+    // fetch outputs in binary
+    let params = {outputs: rpcOutputs, get_txid: true};
+    let resp;
+    let respBin;
+    try {
+      respBin = await this.rpc.sendBinaryRequest("get_outs.bin", params);
+    } catch (err) {
+      if (err instanceof MoneroRpcError) throw err;
+      
+      // serializing a binary request needs WebAssembly, so clients loaded without it use json
+      LibraryUtils.log(1, "Falling back to get_outs as json: " + err.message, MoneroLogger.COMPONENT_DAEMON);
+      resp = await this.rpc.sendPathRequest("get_outs", params);
+    }
+    
+    // parse binary response and convert its keys and hashes to hex
+    if (respBin) {
+      resp = PortableStorage.parse(respBin);
+      resp.status = PortableStorage.bytesToString(resp.status);
+      if (resp.outs) resp.outs = resp.outs.map(MoneroDaemonRpc._convertBinaryOutKey);
+    }
+    MoneroDaemonRpc._checkResponseStatus(resp);
+    
+    // build outputs from response
+    if (!resp.outs || resp.outs.length !== outputs.length) throw new MoneroError("Daemon returned " + (resp.outs ? resp.outs.length : 0) + " outputs but " + outputs.length + " were requested");
+    let outs = [];
+    for (let i = 0; i < resp.outs.length; i++) {
+      let output = MoneroDaemonRpc._convertRpcOutKey(resp.outs[i]);
+      output.setAmount(outputs[i].getAmount());
+      output.setIndex(outputs[i].getIndex());
+      outs.push(output);
+    }
+    return outs;
+  }
+  
   async getOutputHistogram(amounts, minCount, maxCount, isUnlocked, recentCutoff) {
     
     // send rpc request
@@ -544,36 +616,40 @@ class MoneroDaemonRpc extends MoneroDaemon {
   }
   
   async getOutputDistribution(amounts, cumulative, startHeight, endHeight) {
-    throw new MoneroError("Not implemented (response 'distribution' field is binary)");
     
-//    let amountStrs = [];
-//    for (let amount of amounts) amountStrs.push(amount.toJSValue());
-//    console.log(amountStrs);
-//    console.log(cumulative);
-//    console.log(startHeight);
-//    console.log(endHeight);
-//    
-//    // send rpc request
-//    console.log("*********** SENDING REQUEST *************");
-//    if (startHeight === undefined) startHeight = 0;
-//    let resp = await this.rpc.sendJsonRequest("get_output_distribution", {
-//      amounts: amountStrs,
-//      cumulative: cumulative,
-//      from_height: startHeight,
-//      to_height: endHeight
-//    });
-//    
-//    console.log("RESPONSE");
-//    console.log(resp);
-//    
-//    // build distribution entries from response
-//    let entries = [];
-//    if (!resp.result.distributions) return entries; 
-//    for (let rpcEntry of resp.result.distributions) {
-//      let entry = MoneroDaemonRpc._convertRpcOutputDistributionEntry(rpcEntry);
-//      entries.push(entry);
-//    }
-//    return entries;
+    // normalize and validate input
+    if (amounts === undefined) amounts = [new BigInteger(0)];
+    assert(Array.isArray(amounts) && amounts.length > 0, "Must provide an array of amounts to get the output distribution of");
+    assert(cumulative === undefined || typeof cumulative === "boolean", "Cumulative must be a boolean or undefined");
+    if (cumulative === undefined) cumulative = false;
+    if (startHeight === undefined) startHeight = 0;
+    if (endHeight === undefined) endHeight = 0; // 0 is up to the blockchain height
+    else assert(endHeight >= startHeight, "End height must be >= start height");
+    
+    // fetch compressed distributions in binary
+    let respBin = await this.rpc.sendBinaryRequest("get_output_distribution.bin", {
+      amounts: amounts.map(amount => amount instanceof BigInteger ? amount.toJSValue() : amount),
+      cumulative: cumulative,
+      from_height: startHeight,
+      to_height: endHeight,
+      binary: true,
+      compress: true
+    });
+    
+    // parse binary response which keeps compressed data as raw bytes
+    let resp = PortableStorage.parse(respBin);
+    resp.status = PortableStorage.bytesToString(resp.status);
+    MoneroDaemonRpc._checkResponseStatus(resp);
+    
+    // build distribution entries from response
+    let entries = [];
+    if (!resp.distributions) return entries;
+    for (let rpcEntry of resp.distributions) {
+      let entry = MoneroDaemonRpc._convertRpcOutputDistributionEntry(rpcEntry);
+      entry.setIsCumulative(cumulative);
+      entries.push(entry);
+    }
+    return entries;
   }
   
   async getInfo() {
@@ -809,8 +885,28 @@ class MoneroDaemonRpc extends MoneroDaemon {
   // ------------------------------- PRIVATE ----------------------------------
   
   _refreshListening() {
-    if (this.pollListener == undefined && this.listeners.length) this.pollListener = new DaemonPoller(this);
-    if (this.pollListener !== undefined) this.pollListener.setIsPolling(this.listeners.length > 0);
+    let isListening = this.listeners.length > 0;
+    if (this.config.zmqUri && !this._isZmqFailed) {
+      if (this.zmqListener === undefined && isListening) this.zmqListener = new DaemonZmqListener(this);
+      if (this.zmqListener !== undefined) this.zmqListener.setIsListening(isListening);
+    } else {
+      if (this.pollListener == undefined && isListening) this.pollListener = new DaemonPoller(this);
+      if (this.pollListener !== undefined) this.pollListener.setIsPolling(isListening);
+    }
+  }
+  
+  _onZmqFailed(err) {
+    LibraryUtils.logError(MoneroLogger.COMPONENT_DAEMON, "Failed to receive daemon notifications from " + this.config.zmqUri + ", falling back to polling", err, {zmqUri: this.config.zmqUri});
+    this._isZmqFailed = true;
+    this.zmqListener = undefined;
+    this._refreshListening();
+  }
+  
+  _isListeningTo(fnName) {
+    for (let listener of this.listeners) {
+      if (listener[fnName] !== MoneroDaemonListener.prototype[fnName]) return true;
+    }
+    return false;
   }
   
   async _getBandwidthLimits() {
@@ -895,6 +991,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       if (typeof uriOrConfigOrConnection !== "object") throw new MoneroError("Invalid configuration to create rpc client; must be string, object, or MoneroRpcConnection");
       if (username || password || rejectUnauthorized || pollInterval || proxyToWorker) throw new MoneroError("Can provide config object or params or new MoneroDaemonRpc(...) but not both");
       if (uriOrConfigOrConnection instanceof MoneroRpcConnection) config = Object.assign({}, uriOrConfigOrConnection.getConfig());
+      else if (uriOrConfigOrConnection instanceof MoneroConnectionManager) config = {connectionManager: uriOrConfigOrConnection};
       else config = Object.assign({}, uriOrConfigOrConnection);
     }
     if (config.server) {
@@ -902,6 +999,10 @@ class MoneroDaemonRpc extends MoneroDaemon {
       delete config.server;
     }
     if (config.pollInterval === undefined) config.pollInterval = 5000; // TODO: move to config
+    if (config.connectionManager) {
+      if (config.proxyToWorker) throw new MoneroError("Cannot proxy daemon client which uses a connection manager to worker");
+      config.proxyToWorker = false;
+    }
     if (config.proxyToWorker === undefined) config.proxyToWorker = true;
     return config;
   }
@@ -939,7 +1040,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "tx_hashes") {}  // used in block model, not header model
       else if (key === "miner_tx") {}   // used in block model, not header model
       else if (key === "miner_tx_hash") header.setMinerTxHash(val);
-      else console.log("WARNING: ignoring unexpected block header field: '" + key + "': " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected block header field: '" + key + "': " + val);
     }
     return header;
   }
@@ -1002,7 +1103,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "double_spend_seen") GenUtils.safeSet(tx, tx.isDoubleSpendSeen, tx.setIsDoubleSpend, val);
       else if (key === "version") GenUtils.safeSet(tx, tx.getVersion, tx.setVersion, val);
       else if (key === "extra") {
-        if (typeof val === "string") console.log("WARNING: extra field as string not being asigned to int[]: " + key + ": " + val); // TODO: how to set string to int[]? - or, extra is string which can encode int[]
+        if (typeof val === "string") LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Extra field as string not being asigned to int[]: " + key + ": " + val); // TODO: how to set string to int[]? - or, extra is string which can encode int[]
         else GenUtils.safeSet(tx, tx.getExtra, tx.setExtra, val);
       }
       else if (key === "vin") {
@@ -1046,7 +1147,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "prunable_hash") GenUtils.safeSet(tx, tx.getPrunableHash, tx.setPrunableHash, val ? val : undefined);
       else if (key === "prunable_as_hex") GenUtils.safeSet(tx, tx.getPrunableHex, tx.setPrunableHex, val ? val : undefined);
       else if (key === "pruned_as_hex") GenUtils.safeSet(tx, tx.getPrunedHex, tx.setPrunedHex, val ? val : undefined);
-      else console.log("WARNING: ignoring unexpected field in rpc tx: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in rpc tx: " + key + ": " + val);
     }
     
     // link block and tx
@@ -1081,6 +1182,15 @@ class MoneroDaemonRpc extends MoneroDaemon {
     return tx;
   }
   
+  static _convertZmqTxPoolAdd(zmqTx) {
+    let rpcTx = {in_pool: true};
+    for (let key of Object.keys(zmqTx)) {
+      if (key === "id") rpcTx.id_hash = zmqTx[key];
+      else rpcTx[key] = zmqTx[key];
+    }
+    return MoneroDaemonRpc._convertRpcTx(rpcTx, new MoneroTx().setIsMinerTx(false));
+  }
+  
   static _convertRpcOutput(rpcOutput, tx) {
     let output = new MoneroOutput();
     output.setTx(tx);
@@ -1097,7 +1207,47 @@ class MoneroDaemonRpc extends MoneroDaemon {
         let pubKey = val.key === undefined ? val.tagged_key.key : val.key; // TODO (monerod): rpc json uses {tagged_key={key=...}}, binary blocks use {key=...}
         GenUtils.safeSet(output, output.getStealthPublicKey, output.setStealthPublicKey, pubKey);
       }
-      else console.log("WARNING: ignoring unexpected field output: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field output: " + key + ": " + val);
+    }
+    return output;
+  }
+  
+  /**
+   * Converts an output key from get_outs to a MoneroOutput linked to its tx and block.
+   * 
+   * @param {object} rpcOutKey - output key from daemon rpc
+   * @return {MoneroOutput} the output linked to its tx and block
+   */
+  /**
+   * Converts an output key from get_outs.bin to the json form of get_outs.
+   * 
+   * @param {object} binOutKey - output key parsed from portable storage
+   * @return {object} the output key as returned by json get_outs
+   */
+  static _convertBinaryOutKey(binOutKey) {
+    let rpcOutKey = {};
+    for (let key of Object.keys(binOutKey)) {
+      let val = binOutKey[key];
+      if (key === "key" || key === "mask" || key === "txid") rpcOutKey[key] = PortableStorage.bytesToHex(val);
+      else if (key === "height") rpcOutKey[key] = val.toJSValue();
+      else rpcOutKey[key] = val;
+    }
+    return rpcOutKey;
+  }
+  
+  static _convertRpcOutKey(rpcOutKey) {
+    let output = new MoneroOutput();
+    let tx = new MoneroTx().setIsConfirmed(true).setInTxPool(false);
+    output.setTx(tx);
+    tx.setOutputs([output]);
+    for (let key of Object.keys(rpcOutKey)) {
+      let val = rpcOutKey[key];
+      if (key === "key") output.setStealthPublicKey(val);
+      else if (key === "mask") output.setMask(val);
+      else if (key === "unlocked") output.setIsUnlocked(val);
+      else if (key === "txid") tx.setHash(val === "" || val === MoneroDaemonRpc.DEFAULT_ID ? undefined : val);
+      else if (key === "height") tx.setBlock(new MoneroBlock().setHeight(val).setTxs([tx]));
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in output key: " + key + ": " + val);
     }
     return output;
   }
@@ -1121,7 +1271,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "seed_height") template.setSeedHeight(val);
       else if (key === "seed_hash") template.setSeedHash(val);
       else if (key === "next_seed_hash") template.setNextSeedHash(val);
-      else console.log("WARNING: ignoring unexpected field in block template: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in block template: " + key + ": " + val);
     }
     if ("" === template.getNextSeedHash()) template.setNextSeedHash(undefined);
     return template;
@@ -1175,7 +1325,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "busy_syncing") info.setIsBusySyncing(val);
       else if (key === "synchronized") info.setIsSynchronized(val);
       else if (key === "restricted") info.setIsRestricted(val);
-      else console.log("WARNING: Ignoring unexpected info field: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected info field: " + key + ": " + val);
     }
     return info;
   }
@@ -1211,15 +1361,15 @@ class MoneroDaemonRpc extends MoneroDaemon {
         let overview;
         try {
           overview = JSON.parse(val);
-          if (overview !== undefined && overview.length > 0) console.error("Ignoring non-empty 'overview' field (not implemented): " + overview); // TODO
+          if (overview !== undefined && overview.length > 0) LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring non-empty 'overview' field (not implemented): " + overview); // TODO
         } catch (e) {
-          console.error("Failed to parse 'overview' field: " + overview + ": " + e.message);
+          LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Failed to parse 'overview' field: " + overview + ": " + e.message);
         }
       }
       else if (key === "credits") syncInfo.setCredits(BigInteger.parse(val));
       else if (key === "top_hash") syncInfo.setTopBlockHash("" === val ? undefined : val);
       else if (key === "untrusted") {}  // handled elsewhere
-      else console.log("WARNING: ignoring unexpected field in sync info: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in sync info: " + key + ": " + val);
     }
     return syncInfo;
   }
@@ -1240,7 +1390,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "window") info.setWindow(val);
       else if (key === "credits") info.setCredits(BigInteger.parse(val));
       else if (key === "top_hash") info.setTopBlockHash("" === val ? undefined : val);
-      else console.log("WARNING: ignoring unexpected field in hard fork info: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in hard fork info: " + key + ": " + val);
     }
     return info;
   }
@@ -1256,7 +1406,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "size") span.setSize(val);
       else if (key === "speed") span.setSpeed(val);
       else if (key === "start_block_height") span.setStartHeight(val);
-      else console.log("WARNING: ignoring unexpected field in daemon connection span: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in daemon connection span: " + key + ": " + val);
     }
     return span;
   }
@@ -1269,11 +1419,27 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "total_instances") entry.setNumInstances(val);
       else if (key === "unlocked_instances") entry.setNumUnlockedInstances(val);
       else if (key === "recent_instances") entry.setNumRecentInstances(val);
-      else console.log("WARNING: ignoring unexpected field in output histogram: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in output histogram: " + key + ": " + val);
     }
     return entry;
   }
   
+  static _convertRpcOutputDistributionEntry(rpcEntry) {
+    let entry = new MoneroOutputDistributionEntry();
+    for (let key of Object.keys(rpcEntry)) {
+      let val = rpcEntry[key];
+      if (key === "amount") entry.setAmount(val instanceof BigInteger ? val : BigInteger.parse(val));
+      else if (key === "base") entry.setBase(val instanceof BigInteger ? val.toJSValue() : val);
+      else if (key === "start_height") entry.setStartHeight(val instanceof BigInteger ? val.toJSValue() : val);
+      else if (key === "distribution") entry.setDistribution(Array.isArray(val) ? val.map(count => count instanceof BigInteger ? count.toJSValue() : count) : MoneroDaemonRpc._decodeRpcUint64Blob(val).map(count => count.toJSValue()));
+      else if (key === "compressed_data") entry.setDistribution(MoneroDaemonRpc._decodeRpcVarintBlob(val));
+      else if (key === "binary" || key === "compress") {}  // handled by distribution or compressed_data
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in output distribution: " + key + ": " + val);
+    }
+    if (entry.getDistribution() === undefined) entry.setDistribution([]);
+    return entry;
+  }
+  
   static _convertRpcSubmitTxResult(rpcResult) {
     assert(rpcResult);
     let result = new MoneroSubmitTxResult();
@@ -1294,7 +1460,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "status" || key === "untrusted") {}  // handled elsewhere
       else if (key === "top_hash") result.setTopBlockHash("" === val ? undefined : val);
       else if (key === "tx_extra_too_big") result.setIsTxExtraTooBig(val);
-      else console.log("WARNING: ignoring unexpected field in submit tx hex result: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in submit tx hex result: " + key + ": " + val);
     }
     return result;
   }
@@ -1320,7 +1486,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
         stats.setHisto(new Map());
         for (let elem of val) stats.getHisto().set(elem.bytes, elem.txs);
       }
-      else console.log("WARNING: ignoring unexpected field in tx pool stats: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in tx pool stats: " + key + ": " + val);
     }
 
     // uninitialize some stats if not applicable
@@ -1336,6 +1502,27 @@ class MoneroDaemonRpc extends MoneroDaemon {
     return stats;
   }
   
+  /**
+   * Converts the tx pool backlog from get_txpool_backlog.bin which is a blob
+   * of packed weight, fee and time in pool uint64 values per entry.
+   * 
+   * @param {Uint8Array} rpcBacklog - backlog blob from daemon rpc
+   * @return {MoneroTxBacklogEntry[]} the backlog entries
+   */
+  static _convertRpcTxBacklog(rpcBacklog) {
+    let entries = [];
+    if (!rpcBacklog) return entries;
+    let values = MoneroDaemonRpc._decodeRpcUint64Blob(rpcBacklog);
+    if (values.length % 3 !== 0) throw new MoneroError("Invalid tx pool backlog blob with " + values.length + " values");
+    for (let i = 0; i < values.length; i += 3) {
+      entries.push(new MoneroTxBacklogEntry()
+          .setWeight(values[i].toJSValue())
+          .setFee(values[i + 1])
+          .setTimeInPool(values[i + 2].toJSValue()));
+    }
+    return entries;
+  }
+  
   static _convertRpcAltChain(rpcChain) {
     assert(rpcChain);
     let chain = new MoneroAltChain();
@@ -1349,7 +1536,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "length") chain.setLength(val);
       else if (key === "block_hashes") chain.setBlockHashes(val);
       else if (key === "main_chain_parent_block") chain.setMainChainParentBlockHash(val);
-      else console.log("WARNING: ignoring unexpected field in alternative chain: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in alternative chain: " + key + ": " + val);
     }
     return chain;
   }
@@ -1367,7 +1554,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "rpc_port") peer.setRpcPort(val);
       else if (key === "pruning_seed") peer.setPruningSeed(val);
       else if (key === "rpc_credits_per_hash") peer.setRpcCreditsPerHash(BigInteger.parse(val));
-      else console.log("WARNING: ignoring unexpected field in rpc peer: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in rpc peer: " + key + ": " + val);
     }
     return peer;
   }
@@ -1402,7 +1589,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "pruning_seed") peer.setPruningSeed(val);
       else if (key === "rpc_credits_per_hash") peer.setRpcCreditsPerHash(BigInteger.parse(val));
       else if (key === "address_type") peer.setType(val);
-      else console.log("WARNING: ignoring unexpected field in peer: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in peer: " + key + ": " + val);
     }
     return peer;
   }
@@ -1441,7 +1628,7 @@ class MoneroDaemonRpc extends MoneroDaemon {
       else if (key === "user_uri") result.setUserUri(val);
       else if (key === "version") result.setVersion(val);
       else if (key === "untrusted") {} // handled elsewhere
-      else console.log("WARNING: ignoring unexpected field in rpc check update result: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Ignoring unexpected field in rpc check update result: " + key + ": " + val);
     }
     if (result.getAutoUri() === "") result.setAutoUri(undefined);
     if (result.getUserUri() === "") result.setUserUri(undefined);
@@ -1457,6 +1644,50 @@ class MoneroDaemonRpc extends MoneroDaemon {
     return result;
   }
 
+  /**
+   * Decodes a portable storage blob of little-endian uint64 values.
+   * 
+   * @param {Uint8Array} blob - blob bytes from a binary response
+   * @return {BigInteger[]} the decoded values
+   */
+  static _decodeRpcUint64Blob(blob) {
+    let bytes = MoneroDaemonRpc._blobToBytes(blob);
+    if (bytes.length % 8 !== 0) throw new MoneroError("Invalid uint64 blob length: " + bytes.length);
+    let values = [];
+    for (let i = 0; i < bytes.length; i += 8) values.push(PortableStorage.readUint64(bytes, i));
+    return values;
+  }
+  
+  /**
+   * Decodes a blob of varint encoded integers (e.g. compressed output distribution data).
+   * 
+   * @param {Uint8Array} blob - blob bytes from a binary response
+   * @return {number[]} the decoded values
+   */
+  static _decodeRpcVarintBlob(blob) {
+    let bytes = MoneroDaemonRpc._blobToBytes(blob);
+    let values = [];
+    let value = 0;
+    let multiplier = 1;
+    for (let i = 0; i < bytes.length; i++) {
+      value += (bytes[i] & 0x7f) * multiplier;
+      if (bytes[i] & 0x80) multiplier *= 128;
+      else {
+        values.push(value);
+        value = 0;
+        multiplier = 1;
+      }
+    }
+    if (multiplier !== 1) throw new MoneroError("Invalid varint blob: last value is truncated");
+    return values;
+  }
+  
+  static _blobToBytes(blob) {
+    if (blob instanceof Uint8Array) return blob;
+    if (Array.isArray(blob)) return Uint8Array.from(blob);
+    throw new MoneroError("Blob must be a Uint8Array from a binary response");
+  }
+  
   /**
    * Converts a '0x' prefixed hexidecimal string to a BigInteger.
    * 
@@ -1514,8 +1745,12 @@ class MoneroDaemonRpcProxy extends MoneroDaemon {
     let wrappedListener = new DaemonWorkerListener(listener);
     let listenerId = wrappedListener.getId();
     LibraryUtils.WORKER_OBJECTS[this.daemonId].callbacks["onBlockHeader_" + listenerId] = [wrappedListener.onBlockHeader, wrappedListener];
+    LibraryUtils.WORKER_OBJECTS[this.daemonId].callbacks["onTxPoolAdd_" + listenerId] = [wrappedListener.onTxPoolAdd, wrappedListener];
+    LibraryUtils.WORKER_OBJECTS[this.daemonId].callbacks["onChainReorg_" + listenerId] = [wrappedListener.onChainReorg, wrappedListener];
     this.wrappedListeners.push(wrappedListener);
-    return this._invokeWorker("daemonAddListener", [listenerId]);
+    let isTxPoolListener = listener.onTxPoolAdd !== MoneroDaemonListener.prototype.onTxPoolAdd;
+    let isReorgListener = listener.onChainReorg !== MoneroDaemonListener.prototype.onChainReorg;
+    return this._invokeWorker("daemonAddListener", [listenerId, isTxPoolListener, isReorgListener]);
   }
   
   async removeListener(listener) {
@@ -1524,6 +1759,8 @@ class MoneroDaemonRpcProxy extends MoneroDaemon {
         let listenerId = this.wrappedListeners[i].getId();
         await this._invokeWorker("daemonRemoveListener", [listenerId]);
         delete LibraryUtils.WORKER_OBJECTS[this.daemonId].callbacks["onBlockHeader_" + listenerId];
+        delete LibraryUtils.WORKER_OBJECTS[this.daemonId].callbacks["onTxPoolAdd_" + listenerId];
+        delete LibraryUtils.WORKER_OBJECTS[this.daemonId].callbacks["onChainReorg_" + listenerId];
         this.wrappedListeners.splice(i, 1);
         return;
       }
@@ -1677,7 +1914,9 @@ class MoneroDaemonRpcProxy extends MoneroDaemon {
   }
   
   async getTxPoolBacklog() {
-    throw new MoneroError("Not implemented");
+    let entries = [];
+    for (let entryJson of await this._invokeWorker("daemonGetTxPoolBacklog")) entries.push(new MoneroTxBacklogEntry(entryJson));
+    return entries;
   }
   
   async getTxPoolStats() {
@@ -1693,7 +1932,13 @@ class MoneroDaemonRpcProxy extends MoneroDaemon {
   }
   
   async getOutputs(outputs) {
-    throw new MoneroError("Not implemented");
+    let outputsJson = [];
+    for (let output of outputs) outputsJson.push(output.toJson());
+    let outs = [];
+    for (let blockJson of await this._invokeWorker("daemonGetOutputs", [outputsJson])) {
+      outs.push(new MoneroBlock(blockJson).getTxs()[0].getOutputs()[0]);
+    }
+    return outs;
   }
   
   async getOutputHistogram(amounts, minCount, maxCount, isUnlocked, recentCutoff) {
@@ -1705,7 +1950,12 @@ class MoneroDaemonRpcProxy extends MoneroDaemon {
   }
   
   async getOutputDistribution(amounts, cumulative, startHeight, endHeight) {
-    throw new MoneroError("Not implemented");
+    if (amounts) amounts = amounts.map(amount => amount.toString());
+    let entries = [];
+    for (let entryJson of await this._invokeWorker("daemonGetOutputDistribution", [amounts, cumulative, startHeight, endHeight])) {
+      entries.push(new MoneroOutputDistributionEntry(entryJson));
+    }
+    return entries;
   }
   
   async getInfo() {
@@ -1842,6 +2092,7 @@ class DaemonPoller {
   constructor(daemon) {
     let that = this;
     this._daemon = daemon;
+    this._blockHashes = {}; // recent block hashes by height to detect reorgs
     this._looper = new TaskLooper(async function() { await that.poll(); });
   }
   
@@ -1859,24 +2110,185 @@ class DaemonPoller {
       
       // save first header for comparison
       if (!this._lastHeader) {
-        this._lastHeader = await this._daemon.getLastBlockHeader();
+        this._setLastHeader(header);
         return;
       }
       
       // compare header to last
       if (header.getHash() !== this._lastHeader.getHash()) {
-        this._lastHeader = header;
-        for (let listener of this._daemon.getListeners()) {
+        let reorgHeight;
+        if (this._daemon._isListeningTo("onChainReorg")) {
+          reorgHeight = await this._getReorgHeight(header);
+          await this._addBlockHashes(header, reorgHeight);
+        } else {
+          this._blockHashes = {}; // hashes are only kept contiguous while listening for reorgs
+        }
+        this._setLastHeader(header);
+        for (let listener of GenUtils.copyArray(this._daemon.getListeners())) {
+          if (reorgHeight !== undefined) await listener.onChainReorg(reorgHeight, header);
           await listener.onBlockHeader(header); // notify listener
         }
       }
+      
+      // notify listeners of txs added to the pool
+      if (this._daemon._isListeningTo("onTxPoolAdd")) await this._pollTxPool();
+      else this._txPoolHashes = undefined;
     } catch (err) {
-      console.error("Failed to background poll daemon header");
-      console.error(err);
+      LibraryUtils.logError(MoneroLogger.COMPONENT_DAEMON, "Failed to background poll daemon header", err);
+    }
+  }
+  
+  _setLastHeader(header) {
+    this._lastHeader = header;
+    for (let height of Object.keys(this._blockHashes)) {
+      if (height >= header.getHeight() || height <= header.getHeight() - DaemonPoller.MAX_BLOCK_HASHES) delete this._blockHashes[height];
+    }
+    this._blockHashes[header.getHeight()] = header.getHash();
+  }
+  
+  async _getReorgHeight(header) {
+    
+    // walk back from the last known tip until a known block hash is on the chain, which relies on hashes being contiguous
+    let reorgHeight;
+    for (let height = Math.min(header.getHeight(), this._lastHeader.getHeight()); this._blockHashes[height] !== undefined; height--) {
+      let hash;
+      if (height === header.getHeight()) hash = header.getHash();
+      else if (height === header.getHeight() - 1) hash = header.getPrevHash();
+      else hash = await this._daemon.getBlockHash(height);
+      if (hash === this._blockHashes[height]) break;
+      reorgHeight = height;
+    }
+    
+    // blocks popped from the chain without replacement
+    if (reorgHeight === undefined && header.getHeight() < this._lastHeader.getHeight()) reorgHeight = header.getHeight() + 1;
+    return reorgHeight;
+  }
+  
+  async _addBlockHashes(header, reorgHeight) {
+    
+    // store hashes of blocks added below the new tip since the last poll so fork points can be found
+    let startHeight = reorgHeight === undefined ? this._lastHeader.getHeight() + 1 : reorgHeight;
+    startHeight = Math.max(startHeight, header.getHeight() - DaemonPoller.MAX_BLOCK_HASHES + 1);
+    if (startHeight >= header.getHeight()) return;
+    for (let rangeHeader of await this._daemon.getBlockHeadersByRange(startHeight, header.getHeight() - 1)) {
+      this._blockHashes[rangeHeader.getHeight()] = rangeHeader.getHash();
+    }
+  }
+  
+  async _pollTxPool() {
+    let txHashes = await this._daemon.getTxPoolHashes();
+    let lastTxHashes = this._txPoolHashes;
+    this._txPoolHashes = new Set(txHashes);
+    if (lastTxHashes === undefined) return; // save first pool for comparison
+    let addedHashes = txHashes.filter(txHash => !lastTxHashes.has(txHash));
+    if (!addedHashes.length) return;
+    for (let tx of await this._daemon.getTxs(addedHashes, true)) {
+      if (!tx.inTxPool()) continue; // confirmed since fetching hashes
+      for (let listener of GenUtils.copyArray(this._daemon.getListeners())) await listener.onTxPoolAdd(tx);
     }
   }
 }
 
+DaemonPoller.MAX_BLOCK_HASHES = 100; // maximum number of recent block hashes to compare against
+
+/**
+ * Receives notifications from monerod's ZMQ publisher and notifies listeners
+ * as they occur.
+ * 
+ * @class
+ * @ignore
+ */
+class DaemonZmqListener {
+  
+  constructor(daemon) {
+    this._daemon = daemon;
+    this._queue = new ThreadPool(1); // process messages in order
+  }
+  
+  setIsListening(isListening) {
+    if (isListening && this._subscriber === undefined) this._subscribe();
+    else if (!isListening && this._subscriber !== undefined) this._unsubscribe();
+  }
+  
+  async _subscribe() {
+    let that = this;
+    let subscriber;
+    try {
+      subscriber = new MoneroZmqSubscriber(this._daemon.config.zmqUri, function(topic, json) {
+        that._queue.submit(async function() {
+          if (that._subscriber === subscriber) await that._onMessage(topic, json);
+        });
+      }, function(err) {
+        if (that._subscriber === subscriber) that._onError(err);
+      });
+      this._subscriber = subscriber;
+      this._lastHeader = await this._daemon.getLastBlockHeader();
+      if (this._subscriber !== subscriber) return; // unsubscribed while fetching header
+      await subscriber.connect(DaemonZmqListener.TOPICS);
+    } catch (err) {
+      if (subscriber === undefined || this._subscriber === subscriber) this._onError(err);
+    }
+  }
+  
+  _unsubscribe() {
+    if (this._subscriber) this._subscriber.close();
+    this._subscriber = undefined;
+  }
+  
+  _onError(err) {
+    this._unsubscribe();
+    this._daemon._onZmqFailed(err);
+  }
+  
+  async _onMessage(topic, json) {
+    try {
+      if (topic === "json-full-chain_main") await this._onChainMain(json);
+      else if (topic === "json-full-miner_data") await this._onMinerData(json);
+      else if (topic === "json-minimal-txpool_add") {
+        for (let zmqTx of json) {
+          let tx = MoneroDaemonRpc._convertZmqTxPoolAdd(zmqTx);
+          for (let listener of GenUtils.copyArray(this._daemon.getListeners())) await listener.onTxPoolAdd(tx);
+        }
+      }
+    } catch (err) {
+      LibraryUtils.logError(MoneroLogger.COMPONENT_DAEMON, "Failed to process daemon notification: " + topic, err, {topic: topic});
+    }
+  }
+  
+  async _onChainMain(blocks) {
+    
+    // heights of full blocks are only in their miner tx inputs
+    let firstHeight = blocks[0].miner_tx.inputs[0].gen.height;
+    let header = await this._daemon.getBlockHeaderByHeight(firstHeight + blocks.length - 1);
+    
+    // blocks at or below the last tip were replaced if reorged
+    let reorgHeight = this._lastHeader && firstHeight <= this._lastHeader.getHeight() ? firstHeight : undefined;
+    await this._onTip(header, reorgHeight);
+  }
+  
+  async _onMinerData(minerData) {
+    
+    // miner data is published on every new tip, including when blocks are popped without replacement
+    if (this._lastHeader && minerData.prev_id === this._lastHeader.getHash()) return;
+    let header = await this._daemon.getBlockHeaderByHash(minerData.prev_id);
+    
+    // blocks above the new tip were popped
+    let reorgHeight = this._lastHeader && header.getHeight() <= this._lastHeader.getHeight() ? header.getHeight() + 1 : undefined;
+    await this._onTip(header, reorgHeight);
+  }
+  
+  async _onTip(header, reorgHeight) {
+    if (this._lastHeader && header.getHash() === this._lastHeader.getHash()) return;
+    this._lastHeader = header;
+    for (let listener of GenUtils.copyArray(this._daemon.getListeners())) {
+      if (reorgHeight !== undefined) await listener.onChainReorg(reorgHeight, header);
+      await listener.onBlockHeader(header);
+    }
+  }
+}
+
+DaemonZmqListener.TOPICS = ["json-full-chain_main", "json-full-miner_data", "json-minimal-txpool_add"];
+
 /**
  * Internal listener to bridge notifications to external listeners.
  * 
@@ -1900,6 +2312,14 @@ class DaemonWorkerListener {
   async onBlockHeader(headerJson) {
     return this._listener.onBlockHeader(new MoneroBlockHeader(headerJson));
   }
+  
+  async onTxPoolAdd(txJson) {
+    return this._listener.onTxPoolAdd(new MoneroTx(txJson));
+  }
+  
+  async onChainReorg(height, headerJson) {
+    return this._listener.onChainReorg(height, new MoneroBlockHeader(headerJson));
+  }
 }
 
 module.exports = MoneroDaemonRpc;
\ No newline at end of file
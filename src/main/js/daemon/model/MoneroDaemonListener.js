@@ -12,6 +12,22 @@ class MoneroDaemonListener {
     this.lastHeader = header;
   }
   
+  /**
+   * Called when a transaction is added to the pool.
+   * 
+   * @param {MoneroTx} tx - the transaction added to the pool
+   */
+  async onTxPoolAdd(tx) { }
+  
+  /**
+   * Called when blocks are detached from the chain because of a reorg, before
+   * onBlockHeader() is called with the new chain tip.
+   * 
+   * @param {number} height - the height of the first block detached from the chain
+   * @param {MoneroBlockHeader} header - the header of the new chain tip
+   */
+  async onChainReorg(height, header) { }
+  
   /**
    * Get the last notified block header.
    * 
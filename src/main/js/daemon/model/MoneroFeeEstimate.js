@@ -61,7 +61,7 @@ class MoneroFeeEstimate {
   toJson() {
     let json = Object.assign({}, this.state);
     if (this.getFee()) json.fee = this.getFee().toString();
-    if (this.getFees()) for (let i = 0; i < this.getFees().length; i++) json.fees[i] = this.getFees()[i].toString();
+    if (this.getFees()) json.fees = this.getFees().map(fee => fee.toString());
     if (this.getQuantizationMask()) json.quantizationMask = this.getQuantizationMask().toString();
     return json;
   }
@@ -84,6 +84,34 @@ class MoneroOutput {
     return this;
   }
   
+  /**
+   * Get the output's commitment mask.
+   * 
+   * @return {string} the output's commitment mask
+   */
+  getMask() {
+    return this.state.mask;
+  }
+  
+  setMask(mask) {
+    this.state.mask = mask;
+    return this;
+  }
+  
+  /**
+   * Indicates if the output is unlocked according to the daemon.
+   * 
+   * @return {boolean} true if the output is unlocked, false otherwise
+   */
+  isUnlocked() {
+    return this.state.isUnlocked;
+  }
+  
+  setIsUnlocked(isUnlocked) {
+    this.state.isUnlocked = isUnlocked;
+    return this;
+  }
+  
   copy() {
     return new MoneroOutput(this);
   }
@@ -109,6 +137,8 @@ class MoneroOutput {
       else if (output.getKeyImage() !== undefined) this.getKeyImage().merge(output.getKeyImage());
       this.setAmount(GenUtils.reconcile(this.getAmount(), output.getAmount()));
       this.setIndex(GenUtils.reconcile(this.getIndex(), output.getIndex()));
+      this.setMask(GenUtils.reconcile(this.getMask(), output.getMask()));
+      this.setIsUnlocked(GenUtils.reconcile(this.isUnlocked(), output.isUnlocked(), {resolveTrue: true})); // output can become unlocked
     }
 
     return this;
@@ -124,6 +154,8 @@ class MoneroOutput {
     str += GenUtils.kvLine("Index", this.getIndex(), indent);
     str += GenUtils.kvLine("Ring output indices", this.getRingOutputIndices(), indent);
     str += GenUtils.kvLine("Stealth public key", this.getStealthPublicKey(), indent);
+    str += GenUtils.kvLine("Mask", this.getMask(), indent);
+    str += GenUtils.kvLine("Is unlocked", this.isUnlocked(), indent);
     return str === "" ? str : str.slice(0, str.length - 1);  // strip last newline
   }
 }
@@ -0,0 +1,78 @@
+const BigInteger = require("../../common/biginteger").BigInteger;
+
+/**
+ * Entry in a Monero output distribution (see get_output_distribution of Daemon RPC documentation).
+ */
+class MoneroOutputDistributionEntry {
+
+  constructor(state) {
+    this.state = Object.assign({}, state);
+    if (this.state.amount !== undefined && !(this.state.amount instanceof BigInteger)) this.state.amount = BigInteger.parse(this.state.amount);
+    if (this.state.distribution !== undefined) this.state.distribution = this.state.distribution.slice();
+  }
+
+  toJson() {
+    let json = Object.assign({}, this.state);
+    if (json.amount) json.amount = json.amount.toString();
+    return json;
+  }
+
+  getAmount() {
+    return this.state.amount;
+  }
+
+  setAmount(amount) {
+    this.state.amount = amount;
+    return this;
+  }
+
+  /**
+   * Get the number of outputs on the chain before the start height, which
+   * offsets the first element of a cumulative distribution.
+   *
+   * @return {number} the number of outputs before the start height
+   */
+  getBase() {
+    return this.state.base;
+  }
+
+  setBase(base) {
+    this.state.base = base;
+    return this;
+  }
+
+  /**
+   * Get the number of outputs per block starting at the start height, or
+   * the running total of outputs per block if the distribution is cumulative.
+   *
+   * @return {number[]} the output distribution per block
+   */
+  getDistribution() {
+    return this.state.distribution;
+  }
+
+  setDistribution(distribution) {
+    this.state.distribution = distribution;
+    return this;
+  }
+
+  getStartHeight() {
+    return this.state.startHeight;
+  }
+
+  setStartHeight(startHeight) {
+    this.state.startHeight = startHeight;
+    return this;
+  }
+
+  isCumulative() {
+    return this.state.isCumulative;
+  }
+
+  setIsCumulative(isCumulative) {
+    this.state.isCumulative = isCumulative;
+    return this;
+  }
+}
+
+module.exports = MoneroOutputDistributionEntry;
@@ -0,0 +1,66 @@
+const BigInteger = require("../../common/biginteger").BigInteger;
+
+/**
+ * Entry in the transaction pool backlog (see get_txpool_backlog of Daemon RPC documentation).
+ */
+class MoneroTxBacklogEntry {
+
+  constructor(state) {
+    this.state = Object.assign({}, state);
+    if (this.state.fee !== undefined && !(this.state.fee instanceof BigInteger)) this.state.fee = BigInteger.parse(this.state.fee);
+  }
+
+  toJson() {
+    let json = Object.assign({}, this.state);
+    if (json.fee) json.fee = json.fee.toString();
+    return json;
+  }
+
+  /**
+   * Get the size of the transaction blob in bytes (only reported by older daemons).
+   *
+   * @return {number} the size of the transaction blob in bytes
+   */
+  getBlobSize() {
+    return this.state.blobSize;
+  }
+
+  setBlobSize(blobSize) {
+    this.state.blobSize = blobSize;
+    return this;
+  }
+
+  getWeight() {
+    return this.state.weight;
+  }
+
+  setWeight(weight) {
+    this.state.weight = weight;
+    return this;
+  }
+
+  getFee() {
+    return this.state.fee;
+  }
+
+  setFee(fee) {
+    this.state.fee = fee;
+    return this;
+  }
+
+  /**
+   * Get the number of seconds the transaction has been in the pool.
+   *
+   * @return {number} the number of seconds the transaction has been in the pool
+   */
+  getTimeInPool() {
+    return this.state.timeInPool;
+  }
+
+  setTimeInPool(timeInPool) {
+    this.state.timeInPool = timeInPool;
+    return this;
+  }
+}
+
+module.exports = MoneroTxBacklogEntry;
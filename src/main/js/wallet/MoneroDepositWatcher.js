@@ -0,0 +1,325 @@
+const assert = require("assert");
+const GenUtils = require("../common/GenUtils");
+const LibraryUtils = require("../common/LibraryUtils");
+const MoneroDeposit = require("./model/MoneroDeposit");
+const MoneroDepositStore = require("./MoneroDepositStore");
+const MoneroError = require("../common/MoneroError");
+const MoneroLogger = require("../common/MoneroLogger");
+const MoneroWalletListener = require("./model/MoneroWalletListener");
+const ThreadPool = require("../common/ThreadPool");
+
+/**
+ * <p>Watches a wallet for deposits to subaddresses which are mapped to external
+ * identifiers, e.g. one subaddress per customer.</p>
+ *
+ * <p>Deposits are notified when received, when they reach the required number
+ * of confirmations, and when they are reversed because their transaction is
+ * detached by a reorg or fails. Notifications are checkpointed to a store after
+ * listeners return, so they are delivered at least once across restarts: a
+ * notification interrupted by a crash is delivered again, so credit deposits
+ * idempotently by their id.</p>
+ *
+ * <p>Each scan only queries transfers at or above the height checkpointed by
+ * the previous scan, which trails the wallet height by the number of
+ * confirmations, so deposits still being confirmed are always rescanned.</p>
+ *
+ * <p>Example usage:</p>
+ *
+ * <code>
+ * // create deposit watcher which credits deposits after 10 confirmations<br>
+ * let watcher = new MoneroDepositWatcher(wallet, {accountIndex: 0, numConfirmations: 10, store: new MyDatabaseStore()});<br><br>
+ *
+ * // create a subaddress per customer<br>
+ * let subaddress = await watcher.createSubaddress("customer-123");<br>
+ * console.log("Pay to " + subaddress.getAddress());<br><br>
+ *
+ * // credit confirmed deposits and debit reversed deposits<br>
+ * await watcher.addListener(new class extends MoneroDepositListener {<br>
+ * &nbsp;&nbsp; async onDepositConfirmed(deposit) {<br>
+ * &nbsp;&nbsp;&nbsp;&nbsp; await credit(deposit.getExternalId(), deposit.getAmount(), deposit.getId());<br>
+ * &nbsp;&nbsp; }<br>
+ * &nbsp;&nbsp; async onDepositReversed(deposit) {<br>
+ * &nbsp;&nbsp;&nbsp;&nbsp; await uncredit(deposit.getExternalId(), deposit.getId());<br>
+ * &nbsp;&nbsp; }<br>
+ * });<br><br>
+ *
+ * // scan for deposits as the wallet syncs<br>
+ * await watcher.start();
+ * </code>
+ */
+class MoneroDepositWatcher {
+
+  /**
+   * Construct a deposit watcher.
+   *
+   * @param {MoneroWallet} wallet - the wallet to watch for deposits
+   * @param {object} config - configures the watcher (optional)
+   * @param {number} config.accountIndex - index of the account to watch (default 0)
+   * @param {number} config.numConfirmations - number of confirmations before a deposit is confirmed (default 10)
+   * @param {MoneroDepositStore} config.store - store to checkpoint subaddress mappings and notified deposits (default in memory)
+   */
+  constructor(wallet, config) {
+    assert(wallet, "Must provide wallet to watch");
+    config = Object.assign({accountIndex: 0, numConfirmations: 10}, config);
+    assert(config.accountIndex >= 0, "Account index must be >= 0");
+    assert(config.numConfirmations >= 0, "Number of confirmations must be >= 0");
+    this._wallet = wallet;
+    this._accountIdx = config.accountIndex;
+    this._numConfirmations = config.numConfirmations;
+    this._store = config.store ? config.store : new MoneroDepositStore();
+    this._listeners = [];
+    this._threadPool = new ThreadPool(1); // synchronize scans
+    this._numScansQueued = 0;
+  }
+
+  /**
+   * Add a listener to receive deposit notifications.
+   *
+   * @param {MoneroDepositListener} listener - the listener to add
+   */
+  async addListener(listener) {
+    this._listeners.push(listener);
+  }
+
+  /**
+   * Remove a listener.
+   *
+   * @param {MoneroDepositListener} listener - the listener to remove
+   */
+  async removeListener(listener) {
+    if (!GenUtils.remove(this._listeners, listener)) throw new MoneroError("Deposit watcher does not contain listener to remove");
+  }
+
+  /**
+   * Get the listeners.
+   *
+   * @return {MoneroDepositListener[]} the registered listeners
+   */
+  getListeners() {
+    return this._listeners;
+  }
+
+  /**
+   * Create a subaddress in the watched account and map it to an external identifier.
+   *
+   * @param {string} externalId - the external identifier to map the subaddress to
+   * @param {string} label - the label for the subaddress (optional)
+   * @return {Promise<MoneroSubaddress>} the created subaddress
+   */
+  async createSubaddress(externalId, label) {
+    let subaddress = await this._wallet.createSubaddress(this._accountIdx, label);
+    await this.setExternalId(subaddress.getIndex(), externalId);
+    return subaddress;
+  }
+
+  /**
+   * Map a subaddress of the watched account to an external identifier.
+   *
+   * @param {number} subaddressIdx - the index of the subaddress to map
+   * @param {string} externalId - the external identifier to map the subaddress to, or undefined to stop watching it
+   */
+  async setExternalId(subaddressIdx, externalId) {
+    assert(subaddressIdx >= 0, "Subaddress index must be >= 0");
+    let that = this;
+    return this._threadPool.submit(async function() {
+      let externalIds = await that._getExternalIds();
+      if (externalId === undefined) delete externalIds[subaddressIdx];
+      else externalIds[subaddressIdx] = externalId;
+      await that._store.set(MoneroDepositWatcher.STORE_KEY_EXTERNAL_IDS, externalIds);
+    });
+  }
+
+  /**
+   * Get the external identifier mapped to a subaddress.
+   *
+   * @param {number} subaddressIdx - the index of the subaddress
+   * @return {Promise<string|undefined>} the mapped external identifier or undefined if not mapped
+   */
+  async getExternalId(subaddressIdx) {
+    return (await this._getExternalIds())[subaddressIdx];
+  }
+
+  /**
+   * Start scanning for deposits as the wallet receives outputs and blocks.
+   */
+  async start() {
+    if (this._walletListener) return;
+    let that = this;
+    this._walletListener = new class extends MoneroWalletListener {
+      async onNewBlock(height) { that._scanInBackground(); }
+      async onOutputReceived(output) { that._scanInBackground(); }
+      async onReorg(forkHeight, detachedTxHashes) {
+        that._threadPool.submit(async function() { await that._onReorg(forkHeight, detachedTxHashes); }).catch(function(err) {
+          LibraryUtils.logError(MoneroLogger.COMPONENT_WALLET, "Failed to reverse deposits detached by reorg", err);
+        });
+      }
+    }
+    await this._wallet.addListener(this._walletListener);
+    await this.scan();
+  }
+
+  /**
+   * Stop scanning for deposits.
+   */
+  async stop() {
+    if (!this._walletListener) return;
+    await this._wallet.removeListener(this._walletListener);
+    this._walletListener = undefined;
+  }
+
+  /**
+   * Scan the wallet for new, confirmed and failed deposits and notify listeners.
+   */
+  async scan() {
+    let that = this;
+    return this._threadPool.submit(async function() {
+      that._numScansQueued = Math.max(0, that._numScansQueued - 1);
+      let externalIds = await that._getExternalIds();
+      let subaddressIndices = Object.keys(externalIds).map(idx => parseInt(idx));
+      if (!subaddressIndices.length) return;
+
+      // query transfers from the checkpoint, which includes unconfirmed transfers
+      let height = await that._wallet.getHeight();
+      let scanHeight = await that._store.get(MoneroDepositWatcher.STORE_KEY_SCAN_HEIGHT);
+      let query = {accountIndex: that._accountIdx, subaddressIndices: subaddressIndices};
+      if (scanHeight !== undefined) query.txQuery = {minHeight: scanHeight};
+
+      // collect deposits by tx and subaddress
+      let deposits = new Map();
+      let failedTxHashes = [];
+      for (let transfer of await that._wallet.getIncomingTransfers(query)) {
+        let tx = transfer.getTx();
+        if (tx.isFailed()) {
+          failedTxHashes.push(tx.getHash());
+          continue;
+        }
+        let id = MoneroDeposit.getId(tx.getHash(), transfer.getAccountIndex(), transfer.getSubaddressIndex());
+        let deposit = deposits.get(id);
+        if (deposit) {
+          deposit.setAmount(deposit.getAmount().add(transfer.getAmount()));
+          continue;
+        }
+        deposits.set(id, new MoneroDeposit()
+            .setExternalId(externalIds[transfer.getSubaddressIndex()])
+            .setTxHash(tx.getHash())
+            .setAccountIndex(transfer.getAccountIndex())
+            .setSubaddressIndex(transfer.getSubaddressIndex())
+            .setAmount(transfer.getAmount())
+            .setHeight(tx.getHeight())
+            .setNumConfirmations(tx.isConfirmed() ? tx.getNumConfirmations() : 0)
+            .setIsLocked(tx.isLocked()));
+      }
+
+      // notify and checkpoint deposits
+      for (let deposit of deposits.values()) await that._processDeposit(deposit);
+
+      // reverse deposits of failed txs and of pending deposits which are no longer in the wallet
+      await that._reverseDeposits(failedTxHashes);
+      for (let id of await that._getPendingIds()) {
+        if (!deposits.has(id) && externalIds[MoneroDepositWatcher._getSubaddressIndex(id)] !== undefined) await that._reverseDeposit(id);
+      }
+
+      // checkpoint height below which deposits are confirmed
+      let nextScanHeight = Math.max(0, height - that._numConfirmations);
+      if (scanHeight === undefined || nextScanHeight > scanHeight) await that._store.set(MoneroDepositWatcher.STORE_KEY_SCAN_HEIGHT, nextScanHeight);
+    });
+  }
+
+  // ------------------------------- PRIVATE ----------------------------------
+
+  async _getExternalIds() {
+    let externalIds = await this._store.get(MoneroDepositWatcher.STORE_KEY_EXTERNAL_IDS);
+    return externalIds ? externalIds : {};
+  }
+
+  async _getPendingIds() {
+    let pendingIds = await this._store.get(MoneroDepositWatcher.STORE_KEY_PENDING_IDS);
+    return pendingIds ? pendingIds : [];
+  }
+
+  async _setIsPending(id, isPending) {
+    let pendingIds = await this._getPendingIds();
+    let isStored = pendingIds.includes(id);
+    if (isPending && !isStored) pendingIds.push(id);
+    else if (!isPending && isStored) GenUtils.remove(pendingIds, id);
+    else return;
+    await this._store.set(MoneroDepositWatcher.STORE_KEY_PENDING_IDS, pendingIds);
+  }
+
+  _scanInBackground() {
+    if (this._numScansQueued > 0) return; // next scan is already queued
+    this._numScansQueued++;
+    this.scan().catch(function(err) {
+      LibraryUtils.logError(MoneroLogger.COMPONENT_WALLET, "Failed to scan for deposits", err);
+    });
+  }
+
+  async _processDeposit(deposit) {
+    let key = MoneroDepositWatcher.STORE_KEY_DEPOSIT_PREFIX + deposit.getId();
+    let record = await this._store.get(key);
+    let status = record === undefined ? undefined : record.status;
+    if (status === undefined || status === MoneroDepositWatcher.STATUS_REVERSED) {
+      for (let listener of GenUtils.copyArray(this._listeners)) await listener.onDepositReceived(deposit);
+      status = MoneroDepositWatcher.STATUS_RECEIVED;
+      await this._store.set(key, {status: status, deposit: deposit.toJson()});
+      await this._addTxDepositId(deposit);
+    }
+    if (status === MoneroDepositWatcher.STATUS_RECEIVED && deposit.getNumConfirmations() >= this._numConfirmations) {
+      for (let listener of GenUtils.copyArray(this._listeners)) await listener.onDepositConfirmed(deposit);
+      status = MoneroDepositWatcher.STATUS_CONFIRMED;
+      await this._store.set(key, {status: status, deposit: deposit.toJson()});
+    }
+
+    // deposits are pending until confirmed in a block so they can be reversed if they disappear
+    await this._setIsPending(deposit.getId(), status !== MoneroDepositWatcher.STATUS_CONFIRMED || deposit.getHeight() === undefined);
+  }
+
+  async _addTxDepositId(deposit) {
+    let key = MoneroDepositWatcher.STORE_KEY_TX_PREFIX + deposit.getTxHash();
+    let ids = await this._store.get(key);
+    if (ids === undefined) ids = [];
+    if (ids.includes(deposit.getId())) return;
+    ids.push(deposit.getId());
+    await this._store.set(key, ids);
+  }
+
+  async _onReorg(forkHeight, detachedTxHashes) {
+
+    // rescan from the fork so deposits of detached txs are notified again if they confirm again
+    let scanHeight = await this._store.get(MoneroDepositWatcher.STORE_KEY_SCAN_HEIGHT);
+    if (scanHeight !== undefined && forkHeight < scanHeight) await this._store.set(MoneroDepositWatcher.STORE_KEY_SCAN_HEIGHT, forkHeight);
+    await this._reverseDeposits(detachedTxHashes);
+  }
+
+  async _reverseDeposits(txHashes) {
+    for (let txHash of txHashes) {
+      let ids = await this._store.get(MoneroDepositWatcher.STORE_KEY_TX_PREFIX + txHash);
+      if (ids) for (let id of ids) await this._reverseDeposit(id);
+    }
+  }
+
+  static _getSubaddressIndex(id) {
+    return parseInt(id.substring(id.lastIndexOf(":") + 1));
+  }
+
+  async _reverseDeposit(id) {
+    let key = MoneroDepositWatcher.STORE_KEY_DEPOSIT_PREFIX + id;
+    let record = await this._store.get(key);
+    if (record === undefined || record.status === MoneroDepositWatcher.STATUS_REVERSED) return;
+    let deposit = new MoneroDeposit(record.deposit);
+    for (let listener of GenUtils.copyArray(this._listeners)) await listener.onDepositReversed(deposit);
+    await this._store.set(key, {status: MoneroDepositWatcher.STATUS_REVERSED, deposit: record.deposit});
+    await this._setIsPending(id, false);
+  }
+}
+
+MoneroDepositWatcher.STORE_KEY_EXTERNAL_IDS = "externalIds";
+MoneroDepositWatcher.STORE_KEY_SCAN_HEIGHT = "scanHeight";
+MoneroDepositWatcher.STORE_KEY_PENDING_IDS = "pendingIds";
+MoneroDepositWatcher.STORE_KEY_DEPOSIT_PREFIX = "deposit:";
+MoneroDepositWatcher.STORE_KEY_TX_PREFIX = "txDeposits:";
+MoneroDepositWatcher.STATUS_RECEIVED = "received";
+MoneroDepositWatcher.STATUS_CONFIRMED = "confirmed";
+MoneroDepositWatcher.STATUS_REVERSED = "reversed";
+
+module.exports = MoneroDepositWatcher;
@@ -0,0 +1,48 @@
+const MoneroMultisigTransport = require("./MoneroMultisigTransport");
+
+/**
+ * <p>Delivers the messages of a MoneroMultisigSession between participants in
+ * the same process, e.g. for testing.</p>
+ *
+ * <p>Each participant uses its own transport which shares the messages of the
+ * first participant's transport:</p>
+ *
+ * <code>
+ * let transport1 = new MoneroMultisigMemoryTransport();<br>
+ * let transport2 = new MoneroMultisigMemoryTransport(transport1.getMessages());
+ * </code>
+ */
+class MoneroMultisigMemoryTransport extends MoneroMultisigTransport {
+
+  /**
+   * Construct an in-memory transport.
+   *
+   * @param {string[]} messages - the serialized messages to share with other participants (optional)
+   */
+  constructor(messages) {
+    super();
+    this._messages = messages ? messages : [];
+    this._numReceived = 0;
+  }
+
+  /**
+   * Get the serialized messages shared by the participants.
+   *
+   * @return {string[]} the serialized messages
+   */
+  getMessages() {
+    return this._messages;
+  }
+
+  async send(message) {
+    this._messages.push(JSON.stringify(message));
+  }
+
+  async receive() {
+    let messages = this._messages.slice(this._numReceived).map(message => JSON.parse(message));
+    this._numReceived += messages.length;
+    return messages;
+  }
+}
+
+module.exports = MoneroMultisigMemoryTransport;
@@ -0,0 +1,441 @@
+const assert = require("assert");
+const GenUtils = require("../common/GenUtils");
+const MoneroError = require("../common/MoneroError");
+const MoneroTxConfig = require("./model/MoneroTxConfig");
+const ThreadPool = require("../common/ThreadPool");
+
+/**
+ * <p>Coordinates one participant of an M-of-N multisig group through setting
+ * up the multisig wallet, synchronizing multisig info and signing transactions.</p>
+ *
+ * <p>Each participant runs a session with its own wallet. Sessions exchange
+ * messages through a pluggable MoneroMultisigTransport and advance their
+ * state machine as messages from the other participants arrive:</p>
+ *
+ * <ol>
+ *   <li>STATE_PREPARING: the prepared multisig hex of each participant is exchanged, then the wallet is made multisig.</li>
+ *   <li>STATE_EXCHANGING_KEYS: multisig keys are exchanged for N - M + 1 rounds.</li>
+ *   <li>STATE_READY: the multisig wallet is created. Participants synchronize their multisig info and propose transactions,
+ *   which are signed by each signer in turn and submitted by the last signer.</li>
+ * </ol>
+ *
+ * <p>Example usage:</p>
+ *
+ * <code>
+ * // start a 2-of-3 multisig session with a message transport<br>
+ * let session = new MoneroMultisigSession(wallet, {<br>
+ * &nbsp;&nbsp; sessionId: "treasury",<br>
+ * &nbsp;&nbsp; participantId: "alice",<br>
+ * &nbsp;&nbsp; participantIds: ["alice", "bob", "carol"],<br>
+ * &nbsp;&nbsp; threshold: 2,<br>
+ * &nbsp;&nbsp; password: "supersecretpassword123",<br>
+ * &nbsp;&nbsp; transport: new MyMessageQueueTransport()<br>
+ * });<br>
+ * await session.start();<br><br>
+ *
+ * // poll for messages until the multisig wallet is created<br>
+ * while (await session.poll() !== MoneroMultisigSession.STATE_READY) await sleep(1000);<br><br>
+ *
+ * // synchronize participants and propose a transaction which bob signs and submits<br>
+ * await session.syncParticipants();<br>
+ * let txId = await session.proposeTxs({accountIndex: 0, address: address, amount: "250000000000"});
+ * </code>
+ */
+class MoneroMultisigSession {
+
+  /**
+   * Construct a multisig session for one participant.
+   *
+   * @param {MoneroWallet} wallet - the participant's wallet
+   * @param {object} config - configures the session
+   * @param {string} config.sessionId - identifies the session's messages on the transport (required)
+   * @param {string} config.participantId - identifier of this participant (required)
+   * @param {string[]} config.participantIds - identifiers of all N participants including this one (required)
+   * @param {number} config.threshold - number of signatures M needed to sign transactions (required)
+   * @param {string} config.password - the wallet's password (required)
+   * @param {MoneroMultisigTransport} config.transport - transport to exchange messages with participants (required)
+   * @param {function} config.approveTxs - async function given the MoneroTxSet of a proposal which returns true to sign it (default signs all proposals)
+   */
+  constructor(wallet, config) {
+    assert(wallet, "Must provide wallet for multisig session");
+    config = Object.assign({}, config);
+    if (!config.sessionId) throw new MoneroError("Must provide multisig session id");
+    if (!Array.isArray(config.participantIds) || config.participantIds.length < 2) throw new MoneroError("Must provide at least 2 participant ids");
+    if (new Set(config.participantIds).size !== config.participantIds.length) throw new MoneroError("Participant ids must be unique");
+    if (!config.participantIds.includes(config.participantId)) throw new MoneroError("Participant ids must include this participant's id: " + config.participantId);
+    if (!(config.threshold >= 2 && config.threshold <= config.participantIds.length)) throw new MoneroError("Multisig threshold must be between 2 and the number of participants");
+    if (config.password === undefined) throw new MoneroError("Must provide the wallet's password");
+    if (!config.transport) throw new MoneroError("Must provide transport to exchange messages with participants");
+    this._wallet = wallet;
+    this._sessionId = config.sessionId;
+    this._participantId = config.participantId;
+    this._participantIds = GenUtils.copyArray(config.participantIds);
+    this._threshold = config.threshold;
+    this._password = config.password;
+    this._transport = config.transport;
+    this._approveTxs = config.approveTxs;
+    this._state = MoneroMultisigSession.STATE_NEW;
+    this._round = 0;
+    this._messages = new Map();   // message key -> participant id -> message
+    this._txs = new Map();        // tx proposal id -> proposal
+    this._signedKeys = new Set(); // keys of tx messages this participant signed
+    this._maxSyncEpoch = 0;
+    this._exportedEpoch = 0;
+    this._importedEpoch = 0;
+    this._threadPool = new ThreadPool(1); // synchronize state transitions
+  }
+
+  getSessionId() {
+    return this._sessionId;
+  }
+
+  getParticipantId() {
+    return this._participantId;
+  }
+
+  getParticipantIds() {
+    return GenUtils.copyArray(this._participantIds);
+  }
+
+  getThreshold() {
+    return this._threshold;
+  }
+
+  /**
+   * Get the state of the session.
+   *
+   * @return {string} STATE_NEW, STATE_PREPARING, STATE_EXCHANGING_KEYS, or STATE_READY
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Get the current round of exchanging multisig keys.
+   *
+   * @return {number} the current round starting at 1, or 0 before exchanging keys
+   */
+  getRound() {
+    return this._round;
+  }
+
+  /**
+   * Get the number of rounds to exchange multisig keys, which is N - M + 1.
+   *
+   * @return {number} the number of rounds to exchange multisig keys
+   */
+  getNumRounds() {
+    return this._participantIds.length - this._threshold + 1;
+  }
+
+  /**
+   * Get the address of the multisig wallet.
+   *
+   * @return {string} the multisig address, or undefined if not ready
+   */
+  getAddress() {
+    return this._address;
+  }
+
+  /**
+   * Start the session by sending this participant's prepared multisig hex.
+   *
+   * @return {Promise<string>} the state of the session
+   */
+  async start() {
+    let that = this;
+    return this._threadPool.submit(async function() {
+      if (that._state !== MoneroMultisigSession.STATE_NEW) throw new MoneroError("Multisig session is already started");
+      if (await that._wallet.isMultisig()) throw new MoneroError("Wallet is already multisig");
+      let multisigHex = await that._wallet.prepareMultisig();
+      that._state = MoneroMultisigSession.STATE_PREPARING;
+      await that._send({type: MoneroMultisigSession.MESSAGE_PREPARE, hex: multisigHex});
+      return that._poll();
+    });
+  }
+
+  /**
+   * Receive messages from the participants and advance the session as far as
+   * they allow.
+   *
+   * Invalid messages are skipped and the first is reported by throwing an
+   * error after the valid messages are processed.
+   *
+   * @return {Promise<string>} the state of the session
+   */
+  async poll() {
+    let that = this;
+    return this._threadPool.submit(async function() {
+      return that._poll();
+    });
+  }
+
+  /**
+   * Start a round of exchanging multisig info with the participants, which is
+   * needed after the multisig wallet receives or spends outputs.
+   *
+   * Each participant exports its multisig info when it receives the first
+   * message of a round and imports the multisig info of the others when
+   * received from all of them.
+   *
+   * @return {Promise<string>} the state of the session
+   */
+  async syncParticipants() {
+    let that = this;
+    return this._threadPool.submit(async function() {
+      that._assertReady();
+      await that._exportMultisigHex(Math.max(that._maxSyncEpoch, that._exportedEpoch) + 1);
+      return that._poll();
+    });
+  }
+
+  /**
+   * Create multisig transactions and send them to the signers, who sign them
+   * in turn. The last signer submits the transactions.
+   *
+   * @param {MoneroTxConfig|object} config - configures the transactions to create, as with MoneroWallet.createTxs()
+   * @param {string[]} signerIds - ids of the M participants to sign in order, starting with this participant (default this participant followed by the next participants in order)
+   * @return {Promise<string>} the id of the transaction proposal
+   */
+  async proposeTxs(config, signerIds) {
+    let that = this;
+    return this._threadPool.submit(async function() {
+      that._assertReady();
+      config = new MoneroTxConfig(config);
+      if (config.getRelay() === true) throw new MoneroError("Cannot relay multisig transactions until signed by the signers");
+      if (signerIds === undefined) signerIds = [that._participantId].concat(that._participantIds.filter(id => id !== that._participantId).slice(0, that._threshold - 1));
+      if (!Array.isArray(signerIds) || signerIds.length !== that._threshold) throw new MoneroError("Must provide " + that._threshold + " signer ids");
+      if (signerIds[0] !== that._participantId) throw new MoneroError("First signer must be the participant which proposes the transactions");
+      that._validateSignerIds(signerIds);
+      if (await that._wallet.isMultisigImportNeeded()) throw new MoneroError("Must synchronize participants with syncParticipants() before proposing transactions");
+      let txs = await that._wallet.createTxs(config);
+      let txId = GenUtils.getUUID();
+      await that._send({type: MoneroMultisigSession.MESSAGE_TX, txId: txId, signerIds: signerIds, numSignatures: 1, hex: txs[0].getTxSet().getMultisigTxHex()});
+      await that._poll();
+      return txId;
+    });
+  }
+
+  /**
+   * Get the status of a transaction proposal.
+   *
+   * @param {string} txId - the id of the transaction proposal
+   * @return {object} the proposal's status as {txId, signerIds, numSignatures, status, txHashes, error}, or undefined if not known
+   */
+  getTxProposal(txId) {
+    let proposal = this._txs.get(txId);
+    return proposal === undefined ? undefined : Object.assign({}, proposal);
+  }
+
+  // ------------------------------- PRIVATE ----------------------------------
+
+  _assertReady() {
+    if (this._state !== MoneroMultisigSession.STATE_READY) throw new MoneroError("Multisig session is not ready; current state is " + this._state);
+  }
+
+  async _poll() {
+    let err;
+    for (let message of await this._transport.receive()) {
+      try {
+        this._receive(message);
+      } catch (e) {
+        if (!err) err = e;
+      }
+    }
+    while (await this._advance());
+    if (err) throw err;
+    return this._state;
+  }
+
+  async _send(message) {
+    message = Object.assign({sessionId: this._sessionId, from: this._participantId}, message);
+    this._trackTx(message);
+    await this._transport.send(message);
+  }
+
+  /**
+   * Validate and store a message from a participant.
+   */
+  _receive(message) {
+    if (!message || message.sessionId !== this._sessionId || message.from === this._participantId) return; // ignore other sessions and own messages
+    if (!this._participantIds.includes(message.from)) throw new MoneroError("Multisig message from unknown participant: " + message.from);
+    let key;
+    switch (message.type) {
+      case MoneroMultisigSession.MESSAGE_PREPARE:
+        MoneroMultisigSession._validateHex(message);
+        key = message.type;
+        break;
+      case MoneroMultisigSession.MESSAGE_KEX:
+        MoneroMultisigSession._validateHex(message);
+        if (!Number.isInteger(message.round) || message.round < 1 || message.round > this.getNumRounds()) throw new MoneroError("Invalid key exchange round from " + message.from + ": " + message.round);
+        key = message.type + ":" + message.round;
+        break;
+      case MoneroMultisigSession.MESSAGE_SYNC:
+        MoneroMultisigSession._validateHex(message);
+        if (!Number.isInteger(message.epoch) || message.epoch < 1) throw new MoneroError("Invalid multisig sync epoch from " + message.from + ": " + message.epoch);
+        this._maxSyncEpoch = Math.max(this._maxSyncEpoch, message.epoch);
+        key = message.type + ":" + message.epoch;
+        break;
+      case MoneroMultisigSession.MESSAGE_TX:
+        MoneroMultisigSession._validateHex(message);
+        if (typeof message.txId !== "string") throw new MoneroError("Multisig tx message from " + message.from + " has no tx id");
+        this._validateSignerIds(message.signerIds);
+        if (!Number.isInteger(message.numSignatures) || message.numSignatures < 1 || message.numSignatures >= this._threshold) throw new MoneroError("Invalid number of signatures from " + message.from + ": " + message.numSignatures);
+        if (message.signerIds[message.numSignatures - 1] !== message.from) throw new MoneroError("Multisig tx message is not from its last signer: " + message.from);
+        key = message.type + ":" + message.txId + ":" + message.numSignatures;
+        break;
+      case MoneroMultisigSession.MESSAGE_TX_SUBMITTED:
+        if (typeof message.txId !== "string" || !Array.isArray(message.txHashes)) throw new MoneroError("Invalid multisig tx submitted message from " + message.from);
+        key = message.type + ":" + message.txId;
+        break;
+      case MoneroMultisigSession.MESSAGE_TX_FAILED:
+        if (typeof message.txId !== "string" || typeof message.error !== "string") throw new MoneroError("Invalid multisig tx failed message from " + message.from);
+        key = message.type + ":" + message.txId;
+        break;
+      default:
+        throw new MoneroError("Unknown multisig message type from " + message.from + ": " + message.type);
+    }
+
+    // store message unless it conflicts with a previous message
+    if (!this._messages.has(key)) this._messages.set(key, new Map());
+    let previous = this._messages.get(key).get(message.from);
+    if (previous !== undefined && JSON.stringify(previous) !== JSON.stringify(message)) throw new MoneroError("Conflicting multisig messages from " + message.from + " for " + key);
+    this._messages.get(key).set(message.from, message);
+    this._trackTx(message);
+  }
+
+  /**
+   * Take the next step in the state machine if the received messages allow.
+   *
+   * @return {boolean} true if a step was taken, false otherwise
+   */
+  async _advance() {
+
+    // make wallet multisig with the prepared hex of each peer
+    if (this._state === MoneroMultisigSession.STATE_PREPARING) {
+      let peerHexes = this._getPeerHexes(MoneroMultisigSession.MESSAGE_PREPARE);
+      if (!peerHexes) return false;
+      let multisigHex = await this._wallet.makeMultisig(peerHexes, this._threshold, this._password);
+      this._state = MoneroMultisigSession.STATE_EXCHANGING_KEYS;
+      this._round = 1;
+      await this._send({type: MoneroMultisigSession.MESSAGE_KEX, round: this._round, hex: multisigHex});
+      return true;
+    }
+
+    // exchange keys with the multisig hex of each peer from the current round
+    if (this._state === MoneroMultisigSession.STATE_EXCHANGING_KEYS) {
+      let peerHexes = this._getPeerHexes(MoneroMultisigSession.MESSAGE_KEX + ":" + this._round);
+      if (!peerHexes) return false;
+      let result = await this._wallet.exchangeMultisigKeys(peerHexes, this._password);
+      if (this._round === this.getNumRounds()) {
+        if (!result.getAddress()) throw new MoneroError("Multisig address was not created after the last round of exchanging keys");
+        this._address = result.getAddress();
+        this._state = MoneroMultisigSession.STATE_READY;
+      } else {
+        this._round++;
+        await this._send({type: MoneroMultisigSession.MESSAGE_KEX, round: this._round, hex: result.getMultisigHex()});
+      }
+      return true;
+    }
+
+    // synchronize multisig info and sign txs when ready
+    if (this._state !== MoneroMultisigSession.STATE_READY) return false;
+    if (this._maxSyncEpoch > this._exportedEpoch) {
+      await this._exportMultisigHex(this._maxSyncEpoch);
+      return true;
+    }
+    if (this._exportedEpoch > this._importedEpoch) {
+      let peerHexes = this._getPeerHexes(MoneroMultisigSession.MESSAGE_SYNC + ":" + this._exportedEpoch);
+      if (peerHexes) {
+        await this._wallet.importMultisigHex(peerHexes);
+        this._importedEpoch = this._exportedEpoch;
+        return true;
+      }
+    }
+    for (let [key, messages] of this._messages) {
+      if (!key.startsWith(MoneroMultisigSession.MESSAGE_TX + ":") || this._signedKeys.has(key)) continue;
+      let message = messages.values().next().value;
+      if (message.signerIds[message.numSignatures] !== this._participantId) continue;
+      this._signedKeys.add(key);
+      await this._signTxs(message);
+      return true;
+    }
+    return false;
+  }
+
+  async _exportMultisigHex(epoch) {
+    await this._wallet.sync();
+    let multisigHex = await this._wallet.exportMultisigHex();
+    this._exportedEpoch = epoch;
+    await this._send({type: MoneroMultisigSession.MESSAGE_SYNC, epoch: epoch, hex: multisigHex});
+  }
+
+  async _signTxs(message) {
+    try {
+      if (this._approveTxs && !(await this._approveTxs(await this._wallet.describeMultisigTxSet(message.hex)))) throw new MoneroError("Transactions rejected by " + this._participantId);
+      let signedHex = (await this._wallet.signMultisigTxHex(message.hex)).getSignedMultisigTxHex();
+      let numSignatures = message.numSignatures + 1;
+      if (numSignatures < this._threshold) {
+        await this._send({type: MoneroMultisigSession.MESSAGE_TX, txId: message.txId, signerIds: message.signerIds, numSignatures: numSignatures, hex: signedHex});
+      } else {
+        let txHashes = await this._wallet.submitMultisigTxHex(signedHex);
+        await this._send({type: MoneroMultisigSession.MESSAGE_TX_SUBMITTED, txId: message.txId, txHashes: txHashes});
+      }
+    } catch (err) {
+      await this._send({type: MoneroMultisigSession.MESSAGE_TX_FAILED, txId: message.txId, error: err.message});
+    }
+  }
+
+  _trackTx(message) {
+    if (message.type === MoneroMultisigSession.MESSAGE_TX) {
+      let proposal = this._txs.get(message.txId);
+      if (!proposal) {
+        proposal = {txId: message.txId, signerIds: message.signerIds, numSignatures: 0, status: MoneroMultisigSession.TX_STATUS_SIGNING};
+        this._txs.set(message.txId, proposal);
+      }
+      proposal.numSignatures = Math.max(proposal.numSignatures, message.numSignatures);
+    } else if (message.type === MoneroMultisigSession.MESSAGE_TX_SUBMITTED || message.type === MoneroMultisigSession.MESSAGE_TX_FAILED) {
+      let proposal = this._txs.get(message.txId);
+      if (!proposal) return; // proposal not received
+      if (message.type === MoneroMultisigSession.MESSAGE_TX_SUBMITTED) {
+        proposal.numSignatures = this._threshold;
+        proposal.status = MoneroMultisigSession.TX_STATUS_SUBMITTED;
+        proposal.txHashes = message.txHashes;
+      } else {
+        proposal.status = MoneroMultisigSession.TX_STATUS_FAILED;
+        proposal.error = message.error;
+      }
+    }
+  }
+
+  _getPeerHexes(key) {
+    let messages = this._messages.get(key);
+    if (!messages || messages.size < this._participantIds.length - 1) return undefined;
+    return this._participantIds.filter(id => id !== this._participantId).map(id => messages.get(id).hex);
+  }
+
+  _validateSignerIds(signerIds) {
+    if (!Array.isArray(signerIds) || signerIds.length !== this._threshold || new Set(signerIds).size !== signerIds.length) throw new MoneroError("Must have " + this._threshold + " unique signers");
+    for (let signerId of signerIds) if (!this._participantIds.includes(signerId)) throw new MoneroError("Signer is not a participant: " + signerId);
+  }
+
+  static _validateHex(message) {
+    if (typeof message.hex !== "string" || !message.hex.length) throw new MoneroError("Multisig " + message.type + " message from " + message.from + " has no multisig hex");
+  }
+}
+
+MoneroMultisigSession.STATE_NEW = "new";
+MoneroMultisigSession.STATE_PREPARING = "preparing";
+MoneroMultisigSession.STATE_EXCHANGING_KEYS = "exchangingKeys";
+MoneroMultisigSession.STATE_READY = "ready";
+MoneroMultisigSession.TX_STATUS_SIGNING = "signing";
+MoneroMultisigSession.TX_STATUS_SUBMITTED = "submitted";
+MoneroMultisigSession.TX_STATUS_FAILED = "failed";
+MoneroMultisigSession.MESSAGE_PREPARE = "prepare";
+MoneroMultisigSession.MESSAGE_KEX = "kex";
+MoneroMultisigSession.MESSAGE_SYNC = "sync";
+MoneroMultisigSession.MESSAGE_TX = "tx";
+MoneroMultisigSession.MESSAGE_TX_SUBMITTED = "txSubmitted";
+MoneroMultisigSession.MESSAGE_TX_FAILED = "txFailed";
+
+module.exports = MoneroMultisigSession;
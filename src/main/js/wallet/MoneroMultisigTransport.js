@@ -0,0 +1,36 @@
+const MoneroError = require("../common/MoneroError");
+
+/**
+ * <p>Transport which delivers the messages of a MoneroMultisigSession between
+ * the participants of a multisig group.</p>
+ *
+ * <p>Extend this class and override its methods to exchange messages over a
+ * network, e.g. a message queue or a shared database table. Messages are
+ * JSON-serializable objects which are delivered to every participant,
+ * including the sender.</p>
+ *
+ * @interface
+ */
+class MoneroMultisigTransport {
+
+  /**
+   * Send a message to every participant of the group.
+   *
+   * @param {object} message - the JSON-serializable message to send
+   */
+  async send(message) {
+    throw new MoneroError("Not supported");
+  }
+
+  /**
+   * Receive the messages sent to the group since the last call, in the order
+   * they were sent.
+   *
+   * @return {Promise<object[]>} the received messages
+   */
+  async receive() {
+    throw new MoneroError("Not supported");
+  }
+}
+
+module.exports = MoneroMultisigTransport;
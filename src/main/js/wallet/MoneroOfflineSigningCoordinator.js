@@ -0,0 +1,197 @@
+const assert = require("assert");
+const CryptoJS = require("crypto-js");
+const MoneroError = require("../common/MoneroError");
+const MoneroKeyImage = require("../daemon/model/MoneroKeyImage");
+const MoneroTxConfig = require("./model/MoneroTxConfig");
+const MoneroTxSet = require("./model/MoneroTxSet");
+
+/**
+ * <p>Coordinates offline (cold) signing between a view-only wallet which is
+ * connected to a daemon and an offline wallet which has the private spend key.</p>
+ *
+ * <p>Each step produces a bundle for the other wallet as a string which can be
+ * saved to a file and carried across the air gap. Bundles are versioned and
+ * checksummed, and are only accepted by the wallet they were created for.</p>
+ *
+ * <p>Example usage:</p>
+ *
+ * <code>
+ * let online = new MoneroOfflineSigningCoordinator(viewOnlyWallet);<br>
+ * let offline = new MoneroOfflineSigningCoordinator(offlineWallet);<br><br>
+ *
+ * // sync outputs and key images so the view-only wallet knows its balance<br>
+ * let keyImagesBundle = await offline.importOutputs(await online.exportOutputs());<br>
+ * await online.importKeyImages(keyImagesBundle);<br><br>
+ *
+ * // create unsigned txs online, review and sign them offline, then submit them online<br>
+ * let unsignedTxsBundle = await online.createTxs({accountIndex: 0, address: address, amount: "250000000000"});<br>
+ * let txSet = await offline.describeTxs(unsignedTxsBundle);<br>
+ * let signedTxsBundle = await offline.signTxs(unsignedTxsBundle);<br>
+ * let txHashes = await online.submitTxs(signedTxsBundle);
+ * </code>
+ */
+class MoneroOfflineSigningCoordinator {
+
+  /**
+   * Construct a coordinator for the online or offline side of offline signing.
+   *
+   * @param {MoneroWallet} wallet - the view-only wallet or the offline wallet with the private spend key
+   */
+  constructor(wallet) {
+    assert(wallet, "Must provide wallet to coordinate offline signing");
+    this._wallet = wallet;
+  }
+
+  /**
+   * Export the view-only wallet's outputs to import into the offline wallet.
+   *
+   * @param {boolean} all - export all outputs if true, else export the outputs since the last export (default true)
+   * @return {Promise<string>} the outputs bundle
+   */
+  async exportOutputs(all) {
+    await this._assertViewOnly(true);
+    return this._createBundle(MoneroOfflineSigningCoordinator.BUNDLE_TYPE_OUTPUTS, {outputsHex: await this._wallet.exportOutputs(all === undefined ? true : all)});
+  }
+
+  /**
+   * Import outputs into the offline wallet and export their signed key images
+   * to import into the view-only wallet.
+   *
+   * @param {string} bundle - the outputs bundle from exportOutputs()
+   * @return {Promise<string>} the key images bundle
+   */
+  async importOutputs(bundle) {
+    await this._assertViewOnly(false);
+    let data = await this._readBundle(bundle, MoneroOfflineSigningCoordinator.BUNDLE_TYPE_OUTPUTS);
+    await this._wallet.importOutputs(data.outputsHex);
+    let keyImages = await this._wallet.exportKeyImages(true);
+    return this._createBundle(MoneroOfflineSigningCoordinator.BUNDLE_TYPE_KEY_IMAGES, {keyImages: keyImages.map(keyImage => ({hex: keyImage.getHex(), signature: keyImage.getSignature()}))});
+  }
+
+  /**
+   * Import signed key images into the view-only wallet so it can determine
+   * which outputs are spent.
+   *
+   * @param {string} bundle - the key images bundle from importOutputs()
+   * @return {Promise<MoneroKeyImageImportResult>} results of the import
+   */
+  async importKeyImages(bundle) {
+    await this._assertViewOnly(true);
+    let data = await this._readBundle(bundle, MoneroOfflineSigningCoordinator.BUNDLE_TYPE_KEY_IMAGES);
+    return this._wallet.importKeyImages(data.keyImages.map(keyImage => new MoneroKeyImage(keyImage.hex, keyImage.signature)));
+  }
+
+  /**
+   * Create unsigned transactions with the view-only wallet to sign with the
+   * offline wallet.
+   *
+   * @param {MoneroTxConfig|object} config - configures the transactions to create, as with MoneroWallet.createTxs()
+   * @return {Promise<string>} the unsigned transactions bundle
+   */
+  async createTxs(config) {
+    await this._assertViewOnly(true);
+    config = new MoneroTxConfig(config);
+    if (config.getRelay() === true) throw new MoneroError("Cannot relay unsigned transactions; submit them with submitTxs() after signing");
+    let txs = await this._wallet.createTxs(config);
+    return this._createBundle(MoneroOfflineSigningCoordinator.BUNDLE_TYPE_UNSIGNED_TXS, {unsignedTxHex: txs[0].getTxSet().getUnsignedTxHex()});
+  }
+
+  /**
+   * Describe unsigned transactions with the offline wallet so they can be
+   * reviewed before signing.
+   *
+   * @param {string} bundle - the unsigned transactions bundle from createTxs()
+   * @return {Promise<MoneroTxSet>} the tx set containing the structured transactions
+   */
+  async describeTxs(bundle) {
+    let data = await this._readBundle(bundle, MoneroOfflineSigningCoordinator.BUNDLE_TYPE_UNSIGNED_TXS);
+    return this._wallet.describeTxSet(new MoneroTxSet().setUnsignedTxHex(data.unsignedTxHex));
+  }
+
+  /**
+   * Sign unsigned transactions with the offline wallet.
+   *
+   * @param {string} bundle - the unsigned transactions bundle from createTxs()
+   * @return {Promise<string>} the signed transactions bundle
+   */
+  async signTxs(bundle) {
+    await this._assertViewOnly(false);
+    let data = await this._readBundle(bundle, MoneroOfflineSigningCoordinator.BUNDLE_TYPE_UNSIGNED_TXS);
+    return this._createBundle(MoneroOfflineSigningCoordinator.BUNDLE_TYPE_SIGNED_TXS, {signedTxHex: await this._wallet.signTxs(data.unsignedTxHex)});
+  }
+
+  /**
+   * Submit signed transactions with the view-only wallet.
+   *
+   * @param {string} bundle - the signed transactions bundle from signTxs()
+   * @return {Promise<string[]>} the hashes of the submitted transactions
+   */
+  async submitTxs(bundle) {
+    await this._assertViewOnly(true);
+    let data = await this._readBundle(bundle, MoneroOfflineSigningCoordinator.BUNDLE_TYPE_SIGNED_TXS);
+    return this._wallet.submitTxs(data.signedTxHex);
+  }
+
+  /**
+   * Read a bundle's type without validating it against a wallet.
+   *
+   * @param {string} bundle - the bundle to read
+   * @return {string} the bundle's type, e.g. MoneroOfflineSigningCoordinator.BUNDLE_TYPE_OUTPUTS
+   */
+  static getBundleType(bundle) {
+    return MoneroOfflineSigningCoordinator._parseBundle(bundle).type;
+  }
+
+  // ------------------------------- PRIVATE ----------------------------------
+
+  async _assertViewOnly(isViewOnly) {
+    if (await this._wallet.isViewOnly() === isViewOnly) return;
+    throw new MoneroError(isViewOnly ? "Wallet must be view-only to perform this step" : "Wallet must have the private spend key to perform this step");
+  }
+
+  async _createBundle(type, data) {
+    let bundle = {
+      format: MoneroOfflineSigningCoordinator.BUNDLE_FORMAT,
+      version: MoneroOfflineSigningCoordinator.BUNDLE_VERSION,
+      type: type,
+      primaryAddress: await this._wallet.getPrimaryAddress(),
+      data: data
+    };
+    bundle.checksum = MoneroOfflineSigningCoordinator._getChecksum(bundle);
+    return JSON.stringify(bundle);
+  }
+
+  async _readBundle(bundle, type) {
+    bundle = MoneroOfflineSigningCoordinator._parseBundle(bundle);
+    if (bundle.type !== type) throw new MoneroError("Expected " + type + " bundle but got " + bundle.type + " bundle");
+    if (bundle.primaryAddress !== await this._wallet.getPrimaryAddress()) throw new MoneroError("Bundle is for a different wallet: " + bundle.primaryAddress);
+    return bundle.data;
+  }
+
+  static _parseBundle(bundle) {
+    if (typeof bundle !== "string") throw new MoneroError("Bundle must be a string");
+    try {
+      bundle = JSON.parse(bundle);
+    } catch (err) {
+      throw new MoneroError("Invalid offline signing bundle: " + err.message);
+    }
+    if (!bundle || bundle.format !== MoneroOfflineSigningCoordinator.BUNDLE_FORMAT) throw new MoneroError("Invalid offline signing bundle");
+    if (bundle.version !== MoneroOfflineSigningCoordinator.BUNDLE_VERSION) throw new MoneroError("Unsupported offline signing bundle version: " + bundle.version);
+    let checksum = MoneroOfflineSigningCoordinator._getChecksum({format: bundle.format, version: bundle.version, type: bundle.type, primaryAddress: bundle.primaryAddress, data: bundle.data});
+    if (bundle.checksum !== checksum) throw new MoneroError("Offline signing bundle checksum does not match; the bundle is corrupt");
+    return bundle;
+  }
+
+  static _getChecksum(bundle) {
+    return CryptoJS.SHA256(JSON.stringify(bundle)).toString();
+  }
+}
+
+MoneroOfflineSigningCoordinator.BUNDLE_FORMAT = "monero-offline-signing";
+MoneroOfflineSigningCoordinator.BUNDLE_VERSION = 1;
+MoneroOfflineSigningCoordinator.BUNDLE_TYPE_OUTPUTS = "outputs";
+MoneroOfflineSigningCoordinator.BUNDLE_TYPE_KEY_IMAGES = "keyImages";
+MoneroOfflineSigningCoordinator.BUNDLE_TYPE_UNSIGNED_TXS = "unsignedTxs";
+MoneroOfflineSigningCoordinator.BUNDLE_TYPE_SIGNED_TXS = "signedTxs";
+
+module.exports = MoneroOfflineSigningCoordinator;
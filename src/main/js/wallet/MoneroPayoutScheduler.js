@@ -0,0 +1,448 @@
+const assert = require("assert");
+const BigInteger = require("../common/biginteger").BigInteger;
+const GenUtils = require("../common/GenUtils");
+const LibraryUtils = require("../common/LibraryUtils");
+const MoneroDestination = require("./model/MoneroDestination");
+const MoneroError = require("../common/MoneroError");
+const MoneroKeyImage = require("../daemon/model/MoneroKeyImage");
+const MoneroLogger = require("../common/MoneroLogger");
+const MoneroOutputQuery = require("./model/MoneroOutputQuery");
+const MoneroPayout = require("./model/MoneroPayout");
+const MoneroPayoutStore = require("./MoneroPayoutStore");
+const MoneroTxConfig = require("./model/MoneroTxConfig");
+const MoneroTxQuery = require("./model/MoneroTxQuery");
+const MoneroWalletListener = require("./model/MoneroWalletListener");
+const ThreadPool = require("../common/ThreadPool");
+
+/**
+ * <p>Sends payouts from a wallet in batched transactions.</p>
+ *
+ * <p>Pending payouts are sent in the order they are added. Each pass packs as
+ * many payouts into a transaction as the unlocked balance, maximum number of
+ * destinations and maximum transaction weight allow. A batch which cannot be
+ * sent is split in half until the payouts which cannot be sent are isolated,
+ * which are retried on later passes up to a maximum number of attempts.
+ * Payouts which the unlocked balance does not cover plus the estimated fee
+ * wait for funds to unlock.</p>
+ *
+ * <p>Payouts are checkpointed to a store before their transaction is relayed
+ * and stay relaying until the wallet sees the transaction or it is rejected,
+ * so a relay which times out or is interrupted is resolved on a later pass
+ * and payouts are not sent twice after restarting. Errors from an offline
+ * daemon do not count as failed attempts.</p>
+ *
+ * <p>Example usage:</p>
+ *
+ * <code>
+ * // create payout scheduler which persists payouts to a database<br>
+ * let scheduler = new MoneroPayoutScheduler(wallet, {accountIndex: 0, store: new MyDatabaseStore()});<br><br>
+ *
+ * // record sent payouts<br>
+ * await scheduler.addListener(new class extends MoneroPayoutListener {<br>
+ * &nbsp;&nbsp; async onPayoutSent(payout) {<br>
+ * &nbsp;&nbsp;&nbsp;&nbsp; await recordPayout(payout.getId(), payout.getTxHash(), payout.getFee());<br>
+ * &nbsp;&nbsp; }<br>
+ * });<br><br>
+ *
+ * // schedule payouts idempotently by id<br>
+ * await scheduler.addPayout({id: "withdrawal-123", address: address, amount: "250000000000"});<br><br>
+ *
+ * // send payouts as the wallet's funds unlock<br>
+ * await scheduler.start();
+ * </code>
+ */
+class MoneroPayoutScheduler {
+
+  /**
+   * Construct a payout scheduler.
+   *
+   * @param {MoneroWallet} wallet - the wallet to send payouts from
+   * @param {object} config - configures the scheduler (optional)
+   * @param {number} config.accountIndex - index of the account to send payouts from (default 0)
+   * @param {MoneroTxPriority} config.priority - priority of the payout transactions (default MoneroTxPriority.NORMAL)
+   * @param {number} config.maxDestinationsPerTx - maximum number of payouts per transaction (default 15)
+   * @param {number} config.maxTxWeight - maximum weight of a payout transaction in bytes (default 149400)
+   * @param {number} config.maxAttempts - maximum number of attempts to send a payout before it fails (default 3)
+   * @param {MoneroPayoutStore} config.store - store to checkpoint payouts (default in memory)
+   */
+  constructor(wallet, config) {
+    assert(wallet, "Must provide wallet to send payouts from");
+    config = Object.assign({accountIndex: 0, maxDestinationsPerTx: MoneroPayoutScheduler.DEFAULT_MAX_DESTINATIONS_PER_TX, maxTxWeight: MoneroPayoutScheduler.DEFAULT_MAX_TX_WEIGHT, maxAttempts: 3}, config);
+    assert(config.accountIndex >= 0, "Account index must be >= 0");
+    assert(config.maxDestinationsPerTx >= 1 && config.maxDestinationsPerTx <= MoneroPayoutScheduler.DEFAULT_MAX_DESTINATIONS_PER_TX, "Maximum destinations per transaction must be between 1 and " + MoneroPayoutScheduler.DEFAULT_MAX_DESTINATIONS_PER_TX);
+    assert(config.maxTxWeight > 0, "Maximum transaction weight must be > 0");
+    assert(config.maxAttempts >= 1, "Maximum number of attempts must be >= 1");
+    this._wallet = wallet;
+    this._accountIdx = config.accountIndex;
+    this._priority = config.priority;
+    this._maxDestinationsPerTx = config.maxDestinationsPerTx;
+    this._maxTxWeight = config.maxTxWeight;
+    this._maxAttempts = config.maxAttempts;
+    this._store = config.store ? config.store : new MoneroPayoutStore();
+    this._listeners = [];
+    this._threadPool = new ThreadPool(1); // synchronize passes
+    this._numPassesQueued = 0;
+  }
+
+  /**
+   * Add a listener to receive payout notifications.
+   *
+   * @param {MoneroPayoutListener} listener - the listener to add
+   */
+  async addListener(listener) {
+    this._listeners.push(listener);
+  }
+
+  /**
+   * Remove a listener.
+   *
+   * @param {MoneroPayoutListener} listener - the listener to remove
+   */
+  async removeListener(listener) {
+    if (!GenUtils.remove(this._listeners, listener)) throw new MoneroError("Payout scheduler does not contain listener to remove");
+  }
+
+  /**
+   * Get the listeners.
+   *
+   * @return {MoneroPayoutListener[]} the registered listeners
+   */
+  getListeners() {
+    return this._listeners;
+  }
+
+  /**
+   * Schedule a payout to be sent.
+   *
+   * Adding a payout with the id of an existing payout to the same address
+   * and amount returns the existing payout, so payouts can be added
+   * idempotently.
+   *
+   * @param {MoneroPayout|object} payout - the payout to schedule
+   * @param {string} payout.id - unique identifier of the payout (required)
+   * @param {string} payout.address - address to send the payout to (required)
+   * @param {BigInteger|string} payout.amount - amount to send (required)
+   * @return {Promise<MoneroPayout>} the scheduled payout
+   */
+  async addPayout(payout) {
+    payout = new MoneroPayout(payout instanceof MoneroPayout ? payout.toJson() : payout);
+    if (typeof payout.getId() !== "string" || !payout.getId().length) throw new MoneroError("Must provide payout id");
+    if (!payout.getAddress()) throw new MoneroError("Must provide payout address");
+    if (!payout.getAmount() || payout.getAmount().compare(new BigInteger(0)) <= 0) throw new MoneroError("Payout amount must be > 0");
+    let that = this;
+    return this._threadPool.submit(async function() {
+      let existing = await that.getPayout(payout.getId());
+      if (existing) {
+        if (existing.getAddress() !== payout.getAddress() || existing.getAmount().compare(payout.getAmount()) !== 0) throw new MoneroError("Payout already exists with id: " + payout.getId());
+        return existing;
+      }
+      payout = new MoneroPayout({id: payout.getId(), address: payout.getAddress(), amount: payout.getAmount(), status: MoneroPayout.STATUS_PENDING, numAttempts: 0});
+      await that._savePayout(payout);
+      await that._store.set(MoneroPayoutScheduler.STORE_KEY_PENDING_IDS, (await that._getPendingIds()).concat(payout.getId()));
+      return payout;
+    });
+  }
+
+  /**
+   * Get a payout by id.
+   *
+   * @param {string} id - the id of the payout to get
+   * @return {Promise<MoneroPayout|undefined>} the payout or undefined if not scheduled
+   */
+  async getPayout(id) {
+    let json = await this._store.get(MoneroPayoutScheduler.STORE_KEY_PAYOUT_PREFIX + id);
+    return json === undefined ? undefined : new MoneroPayout(json);
+  }
+
+  /**
+   * Get the payouts which are not yet sent or failed, in the order they are sent.
+   *
+   * @return {Promise<MoneroPayout[]>} the pending and relaying payouts
+   */
+  async getPendingPayouts() {
+    let payouts = [];
+    for (let id of await this._getPendingIds()) payouts.push(await this.getPayout(id));
+    return payouts;
+  }
+
+  /**
+   * Start sending payouts as the wallet's balances change and blocks are added.
+   */
+  async start() {
+    if (this._walletListener) return;
+    let that = this;
+    this._walletListener = new class extends MoneroWalletListener {
+      async onNewBlock(height) { that._processInBackground(); }
+      async onBalancesChanged(newBalance, newUnlockedBalance) { that._processInBackground(); }
+    }
+    await this._wallet.addListener(this._walletListener);
+    await this.process();
+  }
+
+  /**
+   * Stop sending payouts, waiting for a pass in progress to finish.
+   *
+   * Must not be awaited from a payout listener, which is notified during a pass.
+   */
+  async stop() {
+    if (!this._walletListener) return;
+    await this._wallet.removeListener(this._walletListener);
+    this._walletListener = undefined;
+    await this._threadPool.submit(async function() {}); // wait for queued passes
+  }
+
+  /**
+   * Send pending payouts which the unlocked balance covers and notify listeners.
+   */
+  async process() {
+    let that = this;
+    return this._threadPool.submit(async function() {
+      that._numPassesQueued = Math.max(0, that._numPassesQueued - 1);
+      let payouts = await that.getPendingPayouts();
+
+      // resolve txs which were being relayed, waiting until they are sent or failed
+      let relayingTxs = new Map();
+      for (let payout of payouts) {
+        if (payout.getStatus() !== MoneroPayout.STATUS_RELAYING) continue;
+        if (!relayingTxs.has(payout.getTxHash())) relayingTxs.set(payout.getTxHash(), []);
+        relayingTxs.get(payout.getTxHash()).push(payout);
+      }
+      for (let batch of relayingTxs.values()) {
+        if (!(await that._relay(batch))) return;
+      }
+
+      // send pending payouts in order as unlocked funds allow
+      let pending = payouts.filter(payout => payout.getStatus() === MoneroPayout.STATUS_PENDING);
+      while (pending.length) {
+        let unlockedBalance = await that._wallet.getUnlockedBalance(that._accountIdx);
+        let batch = [];
+        let amount = new BigInteger(0);
+        for (let payout of pending) {
+          if (batch.length === that._maxDestinationsPerTx || amount.add(payout.getAmount()).compare(unlockedBalance) >= 0) break;
+          batch.push(payout);
+          amount = amount.add(payout.getAmount());
+        }
+        if (!batch.length || !(await that._send(batch))) return;
+        pending = pending.slice(batch.length);
+      }
+    });
+  }
+
+  // ------------------------------- PRIVATE ----------------------------------
+
+  async _getPendingIds() {
+    let ids = await this._store.get(MoneroPayoutScheduler.STORE_KEY_PENDING_IDS);
+    return ids ? ids : [];
+  }
+
+  async _savePayout(payout) {
+    await this._store.set(MoneroPayoutScheduler.STORE_KEY_PAYOUT_PREFIX + payout.getId(), payout.toJson());
+  }
+
+  _processInBackground() {
+    if (this._numPassesQueued > 0) return; // next pass is already queued
+    this._numPassesQueued++;
+    this.process().catch(function(err) {
+      LibraryUtils.logError(MoneroLogger.COMPONENT_WALLET, "Failed to process payouts", err);
+    });
+  }
+
+  /**
+   * Send a batch of payouts in one transaction, splitting the batch in half
+   * if the unlocked balance does not cover it plus the estimated fee or the
+   * transaction cannot be created within the maximum weight.
+   *
+   * @return {boolean} true if the next payouts can be sent, false to wait for unlocked funds or the daemon
+   */
+  async _send(batch) {
+    let config = new MoneroTxConfig()
+        .setAccountIndex(this._accountIdx)
+        .setDestinations(batch.map(payout => new MoneroDestination(payout.getAddress(), payout.getAmount())))
+        .setPriority(this._priority)
+        .setCanSplit(false)
+        .setRelay(false);
+    
+    // wait for unlocked funds unless they cover the batch plus its estimated fee
+    if (!(await this._isFunded(config))) {
+      if (batch.length === 1) return false;
+      return this._sendSplit(batch);
+    }
+    
+    // create tx within the maximum weight, counting an error which reaches the daemon as a failed attempt
+    let tx;
+    try {
+      let minWeight = (await this._wallet.estimateTxSizeAndWeight(1, batch.length + 1))[1];
+      if (minWeight > this._maxTxWeight) throw new MoneroError("Estimated transaction weight " + minWeight + " exceeds maximum of " + this._maxTxWeight);
+      tx = (await this._wallet.createTxs(config))[0];
+      if (tx.getWeight() !== undefined && tx.getWeight() > this._maxTxWeight) throw new MoneroError("Transaction weight " + tx.getWeight() + " exceeds maximum of " + this._maxTxWeight);
+    } catch (err) {
+      if (await this._isTransientError(err)) {
+        LibraryUtils.log(1, "Cannot create payout transaction: " + err.message, MoneroLogger.COMPONENT_WALLET);
+        return false;
+      }
+      if (batch.length > 1) return this._sendSplit(batch);
+      await this._recordFailedAttempt(batch, err);
+      return true;
+    }
+
+    // checkpoint tx and split its fee evenly before relaying
+    let fee = tx.getFee().divide(batch.length);
+    let remainder = tx.getFee().subtract(fee.multiply(batch.length));
+    let keyImages = tx.getInputs() === undefined ? undefined : tx.getInputs().map(input => input.getKeyImage().getHex());
+    for (let i = 0; i < batch.length; i++) {
+      batch[i].setStatus(MoneroPayout.STATUS_RELAYING).setTxHash(tx.getHash()).setTxMetadata(tx.getMetadata()).setKeyImages(keyImages).setFee(i === 0 ? fee.add(remainder) : fee);
+      await this._savePayout(batch[i]);
+    }
+    return this._relay(batch);
+  }
+  
+  async _sendSplit(batch) {
+    let numFirst = Math.ceil(batch.length / 2);
+    return await this._send(batch.slice(0, numFirst)) && await this._send(batch.slice(numFirst));
+  }
+
+  /**
+   * Determine if the account's unlocked balance covers the amount of a
+   * transaction plus its estimated fee.
+   *
+   * @return {boolean} true if the unlocked balance covers the transaction, false if the fee cannot be estimated from the unlocked outputs
+   */
+  async _isFunded(config) {
+    let amount = new BigInteger(0);
+    for (let destination of config.getDestinations()) amount = amount.add(destination.getAmount());
+    let fee;
+    try {
+      fee = await this._wallet.estimateFee(config);
+    } catch (err) {
+      LibraryUtils.log(1, "Cannot estimate fee of payouts: " + err.message, MoneroLogger.COMPONENT_WALLET);
+      return false;
+    }
+    return amount.add(fee).compare(await this._wallet.getUnlockedBalance(this._accountIdx)) <= 0;
+  }
+
+  /**
+   * Relay the checkpointed transaction of a batch of payouts.
+   *
+   * A relay which errors may still have reached the network, e.g. if it
+   * timed out or an earlier pass was interrupted, so the payouts stay
+   * relaying with their transaction's metadata, which is relayed again on
+   * later passes until the wallet sees the transaction or the transaction
+   * is rejected because it failed or the outputs it spends are spent by
+   * another transaction. Only a rejected transaction counts as a failed
+   * attempt, after which the payouts are sent in a new transaction.
+   *
+   * @return {boolean} true if the next payouts can be sent, false to wait for the daemon
+   */
+  async _relay(batch) {
+    let status = await this._getRelayStatus(batch);
+    if (status === undefined) {
+      try {
+        await this._wallet.relayTxs([batch[0].getTxMetadata()]);
+      } catch (err) {
+        if (await this._isTransientError(err)) {
+          LibraryUtils.log(1, "Cannot relay payout transaction " + batch[0].getTxHash() + ": " + err.message, MoneroLogger.COMPONENT_WALLET);
+          return false;
+        }
+        for (let payout of batch) {
+          payout.setError(err.message);
+          await this._savePayout(payout);
+        }
+      }
+      status = await this._getRelayStatus(batch);
+    }
+    
+    // payouts stay relaying until their transaction is seen or rejected
+    if (status === undefined) return true;
+    
+    // send payouts of rejected transaction again
+    if (status === MoneroPayout.STATUS_FAILED) {
+      let err = new MoneroError("Payout transaction " + batch[0].getTxHash() + " was rejected" + (batch[0].getError() ? ": " + batch[0].getError() : ""));
+      for (let payout of batch) payout.setStatus(MoneroPayout.STATUS_PENDING).setTxHash(undefined).setTxMetadata(undefined).setKeyImages(undefined).setFee(undefined);
+      await this._recordFailedAttempt(batch, err);
+      return true;
+    }
+    
+    // record sent payouts
+    for (let payout of batch) {
+      payout.setStatus(MoneroPayout.STATUS_SENT).setTxMetadata(undefined).setKeyImages(undefined).setError(undefined);
+      await this._savePayout(payout);
+    }
+    await this._removePendingIds(batch);
+    for (let payout of batch) await this._notify("onPayoutSent", payout);
+    return true;
+  }
+  
+  /**
+   * Get the status of a batch's transaction from the wallet.
+   *
+   * @return {string} MoneroPayout.STATUS_SENT if the wallet has the transaction, STATUS_FAILED if it is rejected, or undefined if unknown
+   */
+  async _getRelayStatus(batch) {
+    let txs = await this._wallet.getTxs(new MoneroTxQuery().setHash(batch[0].getTxHash()));
+    if (txs.length && txs[0].isFailed()) return MoneroPayout.STATUS_FAILED;
+    if (txs.length && (txs[0].inTxPool() || txs[0].isConfirmed())) return MoneroPayout.STATUS_SENT;
+    if (batch[0].getKeyImages() === undefined) return undefined;
+    for (let keyImage of batch[0].getKeyImages()) {
+      let outputs = await this._wallet.getOutputs(new MoneroOutputQuery().setAccountIndex(this._accountIdx).setKeyImage(new MoneroKeyImage(keyImage)));
+      if (outputs.length && outputs[0].isSpent()) return MoneroPayout.STATUS_FAILED; // spent by another transaction
+    }
+    return undefined;
+  }
+  
+  /**
+   * Determine if an error is from not reaching the daemon, e.g. because it
+   * is offline or the request timed out.
+   */
+  async _isTransientError(err) {
+    if (err.message && /timed out|timeout|without response|ECONNREFUSED|ECONNRESET|socket hang up|not connected to daemon|no connection to daemon/i.test(err.message)) return true;
+    try {
+      return !(await this._wallet.isConnectedToDaemon());
+    } catch (err) {
+      return true;
+    }
+  }
+
+  /**
+   * Record a failed attempt to send payouts, failing those which reached the
+   * maximum number of attempts.
+   *
+   * @return {boolean} true if the payouts failed, false if they are attempted again
+   */
+  async _recordFailedAttempt(batch, err) {
+    let failed = [];
+    for (let payout of batch) {
+      payout.setNumAttempts(payout.getNumAttempts() + 1).setError(err.message);
+      if (payout.getNumAttempts() >= this._maxAttempts) {
+        payout.setStatus(MoneroPayout.STATUS_FAILED).setTxMetadata(undefined);
+        failed.push(payout);
+      }
+      await this._savePayout(payout);
+    }
+    await this._removePendingIds(failed);
+    for (let payout of failed) await this._notify("onPayoutFailed", payout);
+    return failed.length === batch.length;
+  }
+
+  async _removePendingIds(payouts) {
+    if (!payouts.length) return;
+    let ids = new Set(payouts.map(payout => payout.getId()));
+    await this._store.set(MoneroPayoutScheduler.STORE_KEY_PENDING_IDS, (await this._getPendingIds()).filter(id => !ids.has(id)));
+  }
+
+  async _notify(fnName, payout) {
+    for (let listener of GenUtils.copyArray(this._listeners)) {
+      try {
+        await listener[fnName](payout);
+      } catch (err) {
+        LibraryUtils.logError(MoneroLogger.COMPONENT_WALLET, "Payout listener failed on " + fnName + " for payout " + payout.getId(), err, {payoutId: payout.getId()});
+      }
+    }
+  }
+}
+
+MoneroPayoutScheduler.DEFAULT_MAX_DESTINATIONS_PER_TX = 15; // 16 outputs per tx including change
+MoneroPayoutScheduler.DEFAULT_MAX_TX_WEIGHT = 149400;       // daemon's tx weight limit
+MoneroPayoutScheduler.STORE_KEY_PENDING_IDS = "pendingIds";
+MoneroPayoutScheduler.STORE_KEY_PAYOUT_PREFIX = "payout:";
+
+module.exports = MoneroPayoutScheduler;
@@ -0,0 +1,35 @@
+/**
+ * <p>Stores the state of a MoneroPayoutScheduler in memory.</p>
+ *
+ * <p>Extend this class and override get() and set() to persist the state to a
+ * database or file so payouts are not sent again after restarting.</p>
+ */
+class MoneroPayoutStore {
+
+  constructor() {
+    this._values = new Map();
+  }
+
+  /**
+   * Get a stored value.
+   *
+   * @param {string} key - the key of the value to get
+   * @return {Promise<object|undefined>} the stored value or undefined if not stored
+   */
+  async get(key) {
+    let value = this._values.get(key);
+    return value === undefined ? undefined : JSON.parse(value);
+  }
+
+  /**
+   * Store a value.
+   *
+   * @param {string} key - the key of the value to store
+   * @param {object} value - the JSON-serializable value to store
+   */
+  async set(key, value) {
+    this._values.set(key, JSON.stringify(value));
+  }
+}
+
+module.exports = MoneroPayoutStore;
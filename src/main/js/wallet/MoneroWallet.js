@@ -5,8 +5,11 @@ const MoneroError = require("../common/MoneroError");
 const MoneroOutputQuery = require("./model/MoneroOutputQuery");
 const MoneroTransferQuery = require("./model/MoneroTransferQuery");
 const MoneroTxConfig = require("./model/MoneroTxConfig");
+const MoneroTxPriority = require("./model/MoneroTxPriority");
 const MoneroTxQuery = require("./model/MoneroTxQuery");
 const MoneroTxSet = require("./model/MoneroTxSet");
+const MoneroUtils = require("../common/MoneroUtils");
+const MoneroWalletConfig = require("./model/MoneroWalletConfig");
 
 /**
  * Copyright (c) woodser
@@ -37,6 +40,78 @@ const MoneroTxSet = require("./model/MoneroTxSet");
  */
 class MoneroWallet {
   
+  // --------------------------- STATIC UTILITIES -----------------------------
+  
+  /**
+   * <p>Create a full, keys-only, or RPC wallet.</p>
+   * 
+   * <p>Examples:</p>
+   * 
+   * <code>
+   * let walletFull = await MoneroWallet.create({<br>
+   * &nbsp;&nbsp; type: "full",<br>
+   * &nbsp;&nbsp; path: "./wallets/wallet1",<br>
+   * &nbsp;&nbsp; password: "supersecretpassword",<br>
+   * &nbsp;&nbsp; networkType: MoneroNetworkType.STAGENET,<br>
+   * &nbsp;&nbsp; seed: "coexist igloo pamphlet lagoon...",<br>
+   * &nbsp;&nbsp; restoreHeight: 1543218,<br>
+   * &nbsp;&nbsp; serverUri: "http://localhost:38081"<br>
+   * });<br><br>
+   * 
+   * let walletRpc = await MoneroWallet.create({<br>
+   * &nbsp;&nbsp; type: "rpc",<br>
+   * &nbsp;&nbsp; rpc: {uri: "http://localhost:38084", username: "rpc_user", password: "abc123"},<br>
+   * &nbsp;&nbsp; path: "wallet2",<br>
+   * &nbsp;&nbsp; password: "supersecretpassword"<br>
+   * });
+   * </code>
+   * 
+   * <p>Fields which the wallet type does not support are rejected. See
+   * MoneroWalletFull.createWallet(), MoneroWalletKeys.createWallet(), and
+   * MoneroWalletRpc.createWallet() for the fields supported by each type.</p>
+   * 
+   * @param {MoneroWalletConfig|object} config - MoneroWalletConfig or equivalent config object
+   * @param {string} config.type - type of wallet to create: "full", "keys" or "rpc"
+   * @param {string|string[]|object|MoneroRpcConnection} config.rpc - uri, connection, or command line to start monero-wallet-rpc (required if type is "rpc")
+   * @return {Promise<MoneroWallet>} the created wallet
+   */
+  static async create(config) {
+    config = MoneroWallet._normalizeFactoryConfig(config, true);
+    if (config.getType() === "full") return (await import("./MoneroWalletFull.js")).default.createWallet(config);
+    if (config.getType() === "keys") return (await import("./MoneroWalletKeys.js")).default.createWallet(config);
+    return MoneroWallet._invokeWalletRpc(config, function(walletRpc) { return walletRpc.createWallet(config); });
+  }
+  
+  /**
+   * <p>Open an existing full or RPC wallet.</p>
+   * 
+   * <p>Example:</p>
+   * 
+   * <code>
+   * let wallet = await MoneroWallet.open({<br>
+   * &nbsp;&nbsp; type: "full",<br>
+   * &nbsp;&nbsp; path: "./wallets/wallet1",<br>
+   * &nbsp;&nbsp; password: "supersecretpassword",<br>
+   * &nbsp;&nbsp; networkType: MoneroNetworkType.STAGENET,<br>
+   * &nbsp;&nbsp; serverUri: "http://localhost:38081"<br>
+   * });
+   * </code>
+   * 
+   * <p>Fields which the wallet type does not support are rejected. See
+   * MoneroWalletFull.openWallet() and MoneroWalletRpc.openWallet() for the
+   * fields supported by each type.</p>
+   * 
+   * @param {MoneroWalletConfig|object} config - MoneroWalletConfig or equivalent config object
+   * @param {string} config.type - type of wallet to open: "full" or "rpc"
+   * @param {string|string[]|object|MoneroRpcConnection} config.rpc - uri, connection, or command line to start monero-wallet-rpc (required if type is "rpc")
+   * @return {Promise<MoneroWallet>} the opened wallet
+   */
+  static async open(config) {
+    config = MoneroWallet._normalizeFactoryConfig(config, false);
+    if (config.getType() === "full") return (await import("./MoneroWalletFull.js")).default.openWallet(config);
+    return MoneroWallet._invokeWalletRpc(config, function(walletRpc) { return walletRpc.openWallet(config); });
+  }
+  
   /**
    * Register a listener to receive wallet notifications.
    * 
@@ -490,6 +565,10 @@ class MoneroWallet {
    * meet every criteria defined in the query in order to be returned.  All
    * criteria are optional and no filtering is applied when not defined.</p>
    * 
+   * <p>The timestamp and note criteria, and the amount range, destination
+   * address and destination label criteria of the transfer query, always run
+   * client-side after the wallet's transactions are fetched.</p>
+   * 
    * @param {(MoneroTxQuery|string[]|object)} query - configures the query (optional)
    * @param {boolean} query.isConfirmed - get txs that are confirmed or not (optional)
    * @param {boolean} query.inTxPool - get txs that are in the tx pool or not (optional)
@@ -503,10 +582,16 @@ class MoneroWallet {
    * @param {boolean} query.hasPaymentId - get transactions with a payment id or not (optional)
    * @param {int} query.minHeight - get txs with height >= the given height (optional)
    * @param {int} query.maxHeight - get txs with height <= the given height (optional)
+   * @param {int} query.minTimestamp - get txs with a block timestamp >= the given timestamp in seconds (optional)
+   * @param {int} query.maxTimestamp - get txs with a block timestamp <= the given timestamp in seconds (optional)
+   * @param {string} query.noteContains - get txs with a note which contains the text, ignoring case (optional)
    * @param {boolean} query.isOutgoing - get txs with an outgoing transfer or not (optional)
    * @param {boolean} query.isIncoming - get txs with an incoming transfer or not (optional)
    * @param {MoneroTransferQuery} query.transferQuery - get txs that have a transfer that meets this query (optional)
    * @param {boolean} query.includeOutputs - specifies that tx outputs should be returned with tx results (optional)
+   * @param {boolean} query.sortDescending - sort txs by height in descending order if true or ascending order if false, with unconfirmed txs as the newest (optional)
+   * @param {int} query.offset - skip this many txs which meet the query (default 0)
+   * @param {int} query.limit - get at most this many txs (optional)
    * @return {MoneroTxWallet[]} wallet transactions per the configuration
    */
   async getTxs(query) {
@@ -525,6 +610,12 @@ class MoneroWallet {
    * meet every criteria defined in the query in order to be returned.  All
    * criteria are optional and no filtering is applied when not defined.</p>
    * 
+   * <p>The amount range, destination address and destination label criteria,
+   * and the timestamp and note criteria of the tx query, always run
+   * client-side after the wallet's transfers are fetched (e.g. with
+   * get_transfers from monero-wallet-rpc). The destination label is resolved
+   * to addresses through getAddressBookEntries().</p>
+   * 
    * @param {(MoneroTransferQuery|object)} query - configures the query (optional)
    * @param {boolean} query.isOutgoing - get transfers that are outgoing or not (optional)
    * @param {boolean} query.isIncoming - get transfers that are incoming or not (optional)
@@ -533,9 +624,16 @@ class MoneroWallet {
    * @param {int} query.subaddressIndex - get transfers that either originated from (if outgoing) or are destined for (if incoming) a specific subaddress index (optional)
    * @param {int[]} query.subaddressIndices - get transfers that either originated from (if outgoing) or are destined for (if incoming) specific subaddress indices (optional)
    * @param {BigInteger} query.amount - amount being transferred (optional)
+   * @param {BigInteger} query.minAmount - get transfers with an amount >= the given amount (optional)
+   * @param {BigInteger} query.maxAmount - get transfers with an amount <= the given amount (optional)
+   * @param {string[]} query.destinationAddresses - get outgoing transfers with a destination to one of the addresses (optional)
+   * @param {string} query.destinationLabel - get outgoing transfers with a destination whose address book description contains the text, ignoring case (optional)
    * @param {MoneroDestination[]} query.destinations - individual destinations of an outgoing transfer, which is local wallet data and NOT recoverable from the blockchain (optional)
    * @param {boolean} query.hasDestinations - get transfers that have destinations or not (optional)
    * @param {MoneroTxQuery} query.txQuery - get transfers whose transaction meets this query (optional)
+   * @param {boolean} query.sortDescending - sort transfers by tx height in descending order if true or ascending order if false, with unconfirmed txs as the newest (optional)
+   * @param {int} query.offset - skip this many transfers which meet the query (default 0)
+   * @param {int} query.limit - get at most this many transfers (optional)
    * @return {MoneroTransfer[]} wallet transfers that meet the query
    */
   async getTransfers(query) {
@@ -582,6 +680,134 @@ class MoneroWallet {
     return this.getTransfers(query);
   }
   
+  /**
+   * <p>Iterate over wallet transactions which meet a query, loading one page
+   * of transactions at a time.</p>
+   * 
+   * <p>Each page is loaded with getTxs() by offset and limit within the
+   * query's own offset and limit. Transactions are sorted by height in
+   * ascending order unless the query specifies otherwise. Transactions added
+   * while iterating may shift later pages.</p>
+   * 
+   * @param {(MoneroTxQuery|string[]|object)} query - configures the query as with getTxs(), including offset and limit (optional)
+   * @param {int} pageSize - number of transactions to load per page (default MoneroWallet.DEFAULT_PAGE_SIZE)
+   * @return {AsyncIterator<MoneroTxWallet>} iterator over the wallet transactions which meet the query
+   */
+  async *iterateTxs(query, pageSize) {
+    query = MoneroWallet._normalizeTxQuery(query);
+    pageSize = MoneroWallet._normalizePageSize(pageSize);
+    if (query.isSortDescending() === undefined) query.setSortDescending(false); // pages require stable order
+    let offset = query.getOffset() === undefined ? 0 : query.getOffset();
+    let remaining = query.getLimit();
+    while (remaining === undefined || remaining > 0) {
+      let limit = remaining === undefined ? pageSize : Math.min(remaining, pageSize);
+      let txs = await this.getTxs(query.setOffset(offset).setLimit(limit));
+      for (let tx of txs) yield tx;
+      if (txs.length < limit) break;
+      offset += limit;
+      if (remaining !== undefined) remaining -= limit;
+    }
+  }
+  
+  /**
+   * <p>Iterate over wallet transfers which meet a query, loading one page of
+   * transfers at a time.</p>
+   * 
+   * <p>Each page is loaded with getTransfers() by offset and limit within the
+   * query's own offset and limit. Transfers are sorted by height in ascending
+   * order unless the query specifies otherwise. Transfers added while
+   * iterating may shift later pages.</p>
+   * 
+   * @param {(MoneroTransferQuery|object)} query - configures the query as with getTransfers(), including offset and limit (optional)
+   * @param {int} pageSize - number of transfers to load per page (default MoneroWallet.DEFAULT_PAGE_SIZE)
+   * @return {AsyncIterator<MoneroTransfer>} iterator over the wallet transfers which meet the query
+   */
+  async *iterateTransfers(query, pageSize) {
+    query = MoneroWallet._normalizeTransferQuery(query);
+    pageSize = MoneroWallet._normalizePageSize(pageSize);
+    if (query.isSortDescending() === undefined) query.setSortDescending(false); // pages require stable order
+    let offset = query.getOffset() === undefined ? 0 : query.getOffset();
+    let remaining = query.getLimit();
+    while (remaining === undefined || remaining > 0) {
+      let limit = remaining === undefined ? pageSize : Math.min(remaining, pageSize);
+      let transfers = await this.getTransfers(query.setOffset(offset).setLimit(limit));
+      for (let transfer of transfers) yield transfer;
+      if (transfers.length < limit) break;
+      offset += limit;
+      if (remaining !== undefined) remaining -= limit;
+    }
+  }
+  
+  /**
+   * <p>Export the wallet's transfers as a statement in CSV or JSON Lines format.</p>
+   * 
+   * <p>Each record is a transfer with the columns MoneroWallet.EXPORT_COLUMNS:
+   * the date and height of its transaction, the transaction hash, direction
+   * ("in" or "out"), account and subaddress indices, amount, fee (outgoing
+   * only), destination addresses, their address book labels and the
+   * transaction's note. Records are ordered by height with unconfirmed
+   * transactions last.</p>
+   * 
+   * <p>Transfers are loaded one page at a time with iterateTransfers(), so
+   * lines are passed to a writer as each page is exported. CSV values which
+   * start with =, +, -, @, tab or carriage return are prefixed with ' so
+   * spreadsheets do not evaluate them as formulas.</p>
+   * 
+   * @param {object} config - configures the export (optional)
+   * @param {(MoneroTxQuery|object)} config.query - export transfers whose transaction meets this query (optional)
+   * @param {string} config.format - MoneroWallet.EXPORT_FORMAT_CSV or MoneroWallet.EXPORT_FORMAT_JSONL (default csv)
+   * @param {boolean} config.xmr - convert amounts and fees from atomic units to XMR (default false)
+   * @param {function} config.writer - async function(string) which is called with each line as it is exported (optional)
+   * @return {string|undefined} the exported lines unless a writer is given
+   */
+  async exportTransfers(config) {
+    config = Object.assign({}, config);
+    if (config.format === undefined) config.format = MoneroWallet.EXPORT_FORMAT_CSV;
+    if (config.format !== MoneroWallet.EXPORT_FORMAT_CSV && config.format !== MoneroWallet.EXPORT_FORMAT_JSONL) throw new MoneroError("Unsupported export format: " + config.format);
+    if (config.writer !== undefined && typeof config.writer !== "function") throw new MoneroError("Export writer must be a function");
+    
+    // get transfers whose tx meets the query
+    let txQuery = MoneroWallet._normalizeTxQuery(config.query);
+    let query = txQuery.getTransferQuery() === undefined ? new MoneroTransferQuery() : txQuery.getTransferQuery();
+    query.setTxQuery(txQuery);
+    txQuery.setTransferQuery(query);
+    query.setSortDescending(false); // sort transfers by height with unconfirmed txs last
+    
+    // get address book labels
+    let labels = new Map();
+    for (let entry of await this.getAddressBookEntries()) {
+      if (entry.getDescription() && !labels.has(entry.getAddress())) labels.set(entry.getAddress(), entry.getDescription());
+    }
+    
+    // write records of a page of transfers with their tx notes
+    let lines = [];
+    let write = config.writer ? config.writer : async function(line) { lines.push(line); };
+    let that = this;
+    let writePage = async function(transfers) {
+      let txHashes = Array.from(new Set(transfers.map(transfer => transfer.getTx().getHash())));
+      let notes = txHashes.length ? await that.getTxNotes(txHashes) : [];
+      let notesByHash = new Map();
+      for (let i = 0; i < txHashes.length; i++) notesByHash.set(txHashes[i], notes[i]);
+      for (let transfer of transfers) {
+        let record = MoneroWallet._getExportRecord(transfer, notesByHash.get(transfer.getTx().getHash()), labels, config.xmr);
+        if (config.format === MoneroWallet.EXPORT_FORMAT_JSONL) await write(JSON.stringify(record));
+        else await write(MoneroWallet.EXPORT_COLUMNS.map(column => MoneroWallet._toCsvValue(record[column])).join(","));
+      }
+    }
+    
+    // write records page by page
+    if (config.format === MoneroWallet.EXPORT_FORMAT_CSV) await write(MoneroWallet.EXPORT_COLUMNS.join(","));
+    let page = [];
+    for await (let transfer of this.iterateTransfers(query)) {
+      page.push(transfer);
+      if (page.length < MoneroWallet.DEFAULT_PAGE_SIZE) continue;
+      await writePage(page);
+      page = [];
+    }
+    await writePage(page);
+    return config.writer ? undefined : lines.map(line => line + "\n").join("");
+  }
+  
   /**
    * <p>Get outputs created from previous transactions that belong to the wallet
    * (i.e. that the wallet can spend one time).  Outputs are part of
@@ -693,6 +919,7 @@ class MoneroWallet {
    * @param {int} config.accountIndex - source account index to transfer funds from (required)
    * @param {int} config.subaddressIndex - source subaddress index to transfer funds from (optional)
    * @param {int[]} config.subaddressIndices - source subaddress indices to transfer funds from (optional)
+   * @param {string[]} config.keyImages - key images of the outputs to spend, which must cover the amount plus fee (optional)
    * @param {boolean} config.relay - relay the transaction to peers to commit to the blockchain (default false)
    * @param {MoneroTxPriority} config.priority - transaction priority (default MoneroTxPriority.NORMAL)
    * @param {MoneroDestination[]} config.destinations - addresses and amounts in a multi-destination tx (required unless `address` and `amount` provided)
@@ -717,6 +944,7 @@ class MoneroWallet {
    * @param {int} config.accountIndex - source account index to transfer funds from (required)
    * @param {int} config.subaddressIndex - source subaddress index to transfer funds from (optional)
    * @param {int[]} config.subaddressIndices - source subaddress indices to transfer funds from (optional)
+   * @param {string[]} config.keyImages - key images of the outputs to spend in one transaction, which must cover the amounts plus fees (optional)
    * @param {boolean} config.relay - relay the transactions to peers to commit to the blockchain (default false)
    * @param {MoneroTxPriority} config.priority - transaction priority (default MoneroTxPriority.NORMAL)
    * @param {MoneroDestination[]} config.destinations - addresses and amounts in a multi-destination tx (required unless `address` and `amount` provided)
@@ -729,6 +957,37 @@ class MoneroWallet {
     throw new MoneroError("Not supported");
   }
   
+  /**
+   * Estimate the size and weight of a transaction without creating it.
+   * 
+   * @param {int} numInputs - number of outputs spent by the transaction
+   * @param {int} numOutputs - number of outputs created by the transaction, including change
+   * @param {int} ringSize - ring size of each input (default 16)
+   * @param {boolean} rct - estimate a RingCT transaction (default true)
+   * @return {number[]} the estimated size and weight of the transaction in bytes as [size, weight]
+   */
+  async estimateTxSizeAndWeight(numInputs, numOutputs, ringSize, rct) {
+    throw new MoneroError("Not supported");
+  }
+  
+  /**
+   * Estimate the fee of a transaction without signing or relaying it.
+   * 
+   * The number of inputs spent is the number of key images if given, otherwise
+   * it is a heuristic which takes the account's largest unlocked outputs until
+   * they cover the amount plus fee. The wallet's own input selection in
+   * createTx() may spend different outputs, so its fee can differ. The fee per
+   * byte at the config's priority is taken from the daemon's fee estimate
+   * unless one is provided.
+   * 
+   * @param {MoneroTxConfig|object} config - configures the transaction to estimate, as with createTx() (required)
+   * @param {MoneroFeeEstimate} feeEstimate - fee estimate from the daemon (optional, fetched from the wallet's daemon by default)
+   * @return {BigInteger} the estimated fee of the transaction
+   */
+  async estimateFee(config, feeEstimate) {
+    throw new MoneroError("Not supported");
+  }
+  
   /**
    * Sweep an output by key image.
    * 
@@ -1290,6 +1549,60 @@ class MoneroWallet {
   
   // -------------------------------- PRIVATE ---------------------------------
   
+  static _normalizeFactoryConfig(config, isCreate) {
+    let action = isCreate ? "create" : "open";
+    if (config === undefined) throw new MoneroError("Must provide config to " + action + " wallet");
+    config = config instanceof MoneroWalletConfig ? config : new MoneroWalletConfig(config);
+    
+    // validate type
+    let type = config.getType();
+    if (!Object.keys(MoneroWallet.FACTORY_FIELDS).includes(type)) throw new MoneroError("Must provide wallet type 'full', 'keys' or 'rpc' but got '" + type + "'");
+    MoneroWallet._validateConfigFields(config, type, isCreate);
+    
+    // validate fields common to types
+    if (config.getSeed() !== undefined && (config.getPrimaryAddress() !== undefined || config.getPrivateViewKey() !== undefined || config.getPrivateSpendKey() !== undefined)) {
+      throw new MoneroError("Wallet may be initialized with a seed or keys but not both");
+    }
+    if (type === "rpc") {
+      if (config.getRpc() === undefined) throw new MoneroError("Must provide rpc connection to monero-wallet-rpc to " + action + " rpc wallet");
+      if (!config.getPath()) throw new MoneroError("Must provide path of rpc wallet to " + action);
+    } else {
+      if (config.getNetworkType() === undefined) throw new MoneroError("Must provide a networkType: 'mainnet', 'testnet' or 'stagenet'");
+      if (!isCreate && !config.getPath() && !config.getKeysData()) throw new MoneroError("Must provide path or keys data of " + type + " wallet to open");
+    }
+    return config;
+  }
+  
+  /**
+   * Reject fields of a wallet config which the wallet type does not support
+   * when creating or opening it, as listed in MoneroWallet.FACTORY_FIELDS.
+   *
+   * @param {MoneroWalletConfig} config - the wallet config to validate
+   * @param {string} type - the wallet type: "full", "keys" or "rpc"
+   * @param {boolean} isCreate - validates the config to create the wallet if true, to open it otherwise
+   */
+  static _validateConfigFields(config, type, isCreate) {
+    let supportedFields = MoneroWallet.FACTORY_FIELDS[type][isCreate ? "create" : "open"];
+    if (!supportedFields) throw new MoneroError("Cannot open " + type + " wallet; create it from a seed or keys instead");
+    let fields = Object.assign(config.toJson(), {fs: config.getFs(), storage: config.getStorage()});
+    for (let field of Object.keys(fields)) {
+      if (fields[field] !== undefined && field !== "type" && !supportedFields.includes(field)) {
+        throw new MoneroError("Cannot specify '" + field + "' when " + (isCreate ? "creating " : "opening ") + type + " wallet");
+      }
+    }
+  }
+  
+  static async _invokeWalletRpc(config, fn) {
+    const MoneroWalletRpc = (await import("./MoneroWalletRpc.js")).default;
+    let walletRpc = await MoneroWalletRpc._connectToWalletRpc(config.getRpc());
+    try {
+      return await fn(walletRpc);
+    } catch (err) {
+      if (walletRpc.getProcess()) await walletRpc.stopProcess(); // stop process started for wallet
+      throw err;
+    }
+  }
+  
   static _normalizeTxQuery(query) {
     if (query instanceof MoneroTxQuery) query = query.copy();
     else if (Array.isArray(query)) query = new MoneroTxQuery().setHashes(query);
@@ -1349,15 +1662,202 @@ class MoneroWallet {
     return query;
   }
   
+  static _normalizeTxSizeArgs(numInputs, numOutputs, ringSize, rct) {
+    if (!(numInputs > 0)) throw new MoneroError("Invalid number of inputs: " + numInputs);
+    if (!(numOutputs > 0)) throw new MoneroError("Invalid number of outputs: " + numOutputs);
+    if (ringSize === undefined) ringSize = MoneroWallet.DEFAULT_RING_SIZE;
+    if (!(ringSize > 0)) throw new MoneroError("Invalid ring size: " + ringSize);
+    if (rct === undefined) rct = true;
+    return [numInputs, numOutputs, ringSize, rct];
+  }
+  
   static _normalizeCreateTxsConfig(config) {
     if (config === undefined || !(config instanceof Object)) throw new MoneroError("Must provide MoneroTxConfig or equivalent JS object");
     config = new MoneroTxConfig(config);
     assert(config.getDestinations() && config.getDestinations().length > 0, "Must provide destinations");
     assert.equal(config.getSweepEachSubaddress(), undefined);
     assert.equal(config.getBelowAmount(), undefined);
+    if (config.getKeyImages() !== undefined) {
+      if (config.getKeyImages().length === 0) throw new MoneroError("Must provide at least one key image of an output to spend");
+      if (new Set(config.getKeyImages()).size !== config.getKeyImages().length) throw new MoneroError("Key images of outputs to spend must be unique");
+      if (config.getAccountIndex() === undefined) throw new MoneroError("Must provide the account index of the outputs to spend");
+      if (config.getCanSplit() === true) throw new MoneroError("Cannot split transactions which spend selected outputs");
+      if (config.getSubtractFeeFrom() !== undefined && config.getSubtractFeeFrom().length > 0) throw new MoneroError("Cannot subtract fee from destinations when spending selected outputs");
+      if (config.getPaymentId() !== undefined) throw new MoneroError("Cannot specify payment id when spending selected outputs; use an integrated address");
+    }
     return config;
   }
   
+  /**
+   * Estimate the fee of a transaction from the wallet's outputs and a fee estimate.
+   * 
+   * @param {MoneroWallet} wallet - the wallet to estimate the fee with
+   * @param {MoneroTxConfig|object} config - configures the transaction to estimate
+   * @param {MoneroFeeEstimate} feeEstimate - fee estimate from the daemon
+   * @return {BigInteger} the estimated fee of the transaction
+   */
+  static async _estimateFee(wallet, config, feeEstimate) {
+    config = MoneroWallet._normalizeCreateTxsConfig(config);
+    if (config.getAccountIndex() === undefined) throw new MoneroError("Must provide the account index to estimate the fee from");
+    
+    // get fee per byte at priority
+    let priority = config.getPriority() === undefined || config.getPriority() === MoneroTxPriority.DEFAULT ? MoneroTxPriority.NORMAL : config.getPriority();
+    let fees = feeEstimate.getFees();
+    let feePerByte = fees && fees.length ? fees[Math.min(priority, fees.length) - 1] : feeEstimate.getFee();
+    let quantizationMask = feeEstimate.getQuantizationMask() ? feeEstimate.getQuantizationMask() : new BigInteger(1);
+    let getFee = async function(numInputs) {
+      let weight = (await wallet.estimateTxSizeAndWeight(numInputs, Math.max(2, config.getDestinations().length + 1)))[1];
+      let fee = feePerByte.multiply(weight);
+      return fee.add(quantizationMask).subtract(1).divide(quantizationMask).multiply(quantizationMask);
+    }
+    
+    // estimate fee to spend selected outputs
+    if (config.getKeyImages() !== undefined) return getFee(config.getKeyImages().length);
+    
+    // otherwise estimate number of inputs by taking largest unlocked outputs until they cover amount plus fee
+    let query = new MoneroOutputQuery().setAccountIndex(config.getAccountIndex()).setIsSpent(false).setIsFrozen(false).setTxQuery(new MoneroTxQuery().setIsLocked(false));
+    if (config.getSubaddressIndices() !== undefined) query.setSubaddressIndices(config.getSubaddressIndices());
+    let outputs = await wallet.getOutputs(query);
+    outputs.sort((output1, output2) => output2.getAmount().compare(output1.getAmount()));
+    let amount = new BigInteger(0);
+    for (let destination of config.getDestinations()) amount = amount.add(destination.getAmount());
+    let subtractFee = config.getSubtractFeeFrom() !== undefined && config.getSubtractFeeFrom().length > 0;
+    let inputAmount = new BigInteger(0);
+    for (let i = 0; i < outputs.length; i++) {
+      inputAmount = inputAmount.add(outputs[i].getAmount());
+      let fee = await getFee(i + 1);
+      if (inputAmount.compare(subtractFee ? amount : amount.add(fee)) >= 0) return fee;
+    }
+    throw new MoneroError("Not enough unlocked money to estimate fee: " + inputAmount + " < " + amount + " plus fee");
+  }
+  
+  static _sortTxs(txs, sortDescending) {
+    if (sortDescending === undefined) return txs;
+    let getHeight = tx => tx.getHeight() === undefined ? Number.MAX_SAFE_INTEGER : tx.getHeight(); // unconfirmed txs are newest
+    return txs.slice().sort((tx1, tx2) => sortDescending ? getHeight(tx2) - getHeight(tx1) : getHeight(tx1) - getHeight(tx2));
+  }
+  
+  static _sortTransfers(transfers, sortDescending) {
+    if (sortDescending === undefined) return transfers;
+    let sortedTxs = MoneroWallet._sortTxs(transfers.map(transfer => transfer.getTx()), sortDescending);
+    let txIndices = new Map();
+    for (let i = 0; i < sortedTxs.length; i++) if (!txIndices.has(sortedTxs[i])) txIndices.set(sortedTxs[i], i);
+    return transfers.slice().sort((transfer1, transfer2) => txIndices.get(transfer1.getTx()) - txIndices.get(transfer2.getTx()));
+  }
+  
+  /**
+   * Sort txs and get the page which meets the query's offset and limit.
+   * 
+   * Txs which are not returned are removed from their blocks so they are not
+   * serialized with the returned txs, e.g. across the worker boundary.
+   * 
+   * @param {MoneroTxWallet[]} txs - the txs which meet the query
+   * @param {MoneroTxQuery} query - the query with sort, offset and limit options
+   * @return {MoneroTxWallet[]} the page of txs
+   */
+  static _pageTxs(txs, query) {
+    txs = MoneroWallet._sortTxs(txs, query.isSortDescending());
+    let page = MoneroWallet._getPage(txs, query);
+    if (page.length === txs.length) return page;
+    let pageSet = new Set(page);
+    for (let tx of txs) {
+      if (pageSet.has(tx) || tx.getBlock() === undefined) continue;
+      let txIdx = tx.getBlock().getTxs().indexOf(tx);
+      if (txIdx >= 0) tx.getBlock().getTxs().splice(txIdx, 1);
+    }
+    return page;
+  }
+  
+  /**
+   * Sort transfers and get the page which meets the query's offset and limit.
+   * 
+   * Transfers which are not returned are removed from their txs, and txs
+   * without remaining transfers are removed from their blocks.
+   * 
+   * @param {MoneroTransfer[]} transfers - the transfers which meet the query
+   * @param {MoneroTransferQuery} query - the query with sort, offset and limit options
+   * @return {MoneroTransfer[]} the page of transfers
+   */
+  static _pageTransfers(transfers, query) {
+    transfers = MoneroWallet._sortTransfers(transfers, query.isSortDescending());
+    let page = MoneroWallet._getPage(transfers, query);
+    if (page.length === transfers.length) return page;
+    let pageSet = new Set(page);
+    for (let transfer of transfers) {
+      if (pageSet.has(transfer)) continue;
+      let tx = transfer.getTx();
+      if (transfer.isOutgoing()) tx.setOutgoingTransfer(undefined);
+      else {
+        tx.setIncomingTransfers(tx.getIncomingTransfers().filter(incomingTransfer => incomingTransfer !== transfer));
+        if (tx.getIncomingTransfers().length === 0) tx.setIncomingTransfers(undefined);
+      }
+      if (tx.getOutgoingTransfer() === undefined && tx.getIncomingTransfers() === undefined && tx.getBlock() !== undefined) {
+        let txIdx = tx.getBlock().getTxs().indexOf(tx);
+        if (txIdx >= 0) tx.getBlock().getTxs().splice(txIdx, 1);
+      }
+    }
+    return page;
+  }
+  
+  static _getPage(items, query) {
+    let offset = query.getOffset() === undefined ? 0 : query.getOffset();
+    if (!Number.isInteger(offset) || offset < 0) throw new MoneroError("Query offset must be an integer >= 0 but was " + query.getOffset());
+    if (query.getLimit() !== undefined && (!Number.isInteger(query.getLimit()) || query.getLimit() < 0)) throw new MoneroError("Query limit must be an integer >= 0 but was " + query.getLimit());
+    if (offset === 0 && query.getLimit() === undefined) return items;
+    return items.slice(offset, query.getLimit() === undefined ? undefined : offset + query.getLimit());
+  }
+  
+  /**
+   * Resolve a transfer query's destination label to the addresses of the
+   * address book entries whose descriptions contain it.
+   * 
+   * @param {MoneroWallet} wallet - the wallet whose address book is searched
+   * @param {MoneroTransferQuery} query - the normalized transfer query to resolve (optional)
+   */
+  static async _resolveDestinationLabel(wallet, query) {
+    if (query === undefined || query.getDestinationLabel() === undefined) return;
+    let label = query.getDestinationLabel().toLowerCase();
+    let addresses = new Set();
+    for (let entry of await wallet.getAddressBookEntries()) {
+      if (entry.getDescription() === undefined || !entry.getDescription().toLowerCase().includes(label)) continue;
+      if (query.getDestinationAddresses() === undefined || query.getDestinationAddresses().includes(entry.getAddress())) addresses.add(entry.getAddress());
+    }
+    query.setDestinationAddresses(Array.from(addresses)).setDestinationLabel(undefined);
+  }
+  
+  static _normalizePageSize(pageSize) {
+    if (pageSize === undefined) return MoneroWallet.DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(pageSize) || pageSize < 1) throw new MoneroError("Page size must be an integer >= 1 but was " + pageSize);
+    return pageSize;
+  }
+  
+  static _getExportRecord(transfer, note, labels, xmr) {
+    let tx = transfer.getTx();
+    let timestamp = tx.getBlock() && tx.getBlock().getTimestamp() !== undefined ? tx.getBlock().getTimestamp() : tx.getReceivedTimestamp();
+    let addresses = transfer.isIncoming() ? (transfer.getAddress() === undefined ? [] : [transfer.getAddress()]) : (transfer.getDestinations() ? transfer.getDestinations().map(destination => destination.getAddress()) : []);
+    let toAmount = amount => amount === undefined ? undefined : xmr ? MoneroUtils.atomicUnitsToXmr(amount) : amount.toString();
+    return {
+      date: timestamp === undefined ? undefined : new Date(timestamp * 1000).toISOString(),
+      height: tx.getHeight(),
+      txHash: tx.getHash(),
+      direction: transfer.isIncoming() ? "in" : "out",
+      accountIndex: transfer.getAccountIndex(),
+      subaddressIndex: transfer.isIncoming() ? transfer.getSubaddressIndex() : (transfer.getSubaddressIndices() ? transfer.getSubaddressIndices().join(";") : undefined),
+      amount: toAmount(transfer.getAmount()),
+      fee: transfer.isOutgoing() ? toAmount(tx.getFee()) : undefined,
+      destination: addresses.length ? addresses.join(";") : undefined,
+      label: addresses.some(address => labels.has(address)) ? addresses.map(address => labels.has(address) ? labels.get(address) : "").join(";") : undefined,
+      note: note ? note : undefined
+    };
+  }
+  
+  static _toCsvValue(value) {
+    if (value === undefined) return "";
+    value = "" + value;
+    if (/^[=+\-@\t\r]/.test(value)) value = "'" + value; // prevent formula injection
+    return /[",\r\n]/.test(value) ? "\"" + value.replace(/"/g, "\"\"") + "\"" : value;
+  }
+  
   static _normalizeSweepOutputConfig(config) {
     if (config === undefined || !(config instanceof Object)) throw new MoneroError("Must provide MoneroTxConfig or equivalent JS object");
     config = new MoneroTxConfig(config);
@@ -1366,6 +1866,7 @@ class MoneroWallet {
     assert.equal(config.getCanSplit(), undefined, "Cannot split transactions when sweeping an output");
     if (!config.getDestinations() || config.getDestinations().length !== 1 || !config.getDestinations()[0].getAddress()) throw new MoneroError("Must provide exactly one destination address to sweep output to");
     if (config.getSubtractFeeFrom() && config.getSubtractFeeFrom().length > 0) throw new MoneroError("Sweep transfers do not support subtracting fees from destinations");
+    if (config.getKeyImages() !== undefined) throw new MoneroError("Key images of outputs to spend are not supported when sweeping an output; use keyImage");
     return config;  
   }
   
@@ -1376,6 +1877,7 @@ class MoneroWallet {
     if (config.getDestinations()[0].getAddress() === undefined) throw new MoneroError("Must provide destination address to sweep to");
     if (config.getDestinations()[0].getAmount() !== undefined) throw new MoneroError("Cannot provide amount in sweep config");
     if (config.getKeyImage() !== undefined) throw new MoneroError("Key image defined; use sweepOutput() to sweep an output by its key image");
+    if (config.getKeyImages() !== undefined) throw new MoneroError("Key images of outputs to spend are not supported when sweeping unlocked funds; use createTxs()");
     if (config.getSubaddressIndices() !== undefined && config.getSubaddressIndices().length === 0) config.setSubaddressIndices(undefined);
     if (config.getAccountIndex() === undefined && config.getSubaddressIndices() !== undefined) throw new MoneroError("Must provide account index if subaddress indices are provided");
     return config;
@@ -1383,5 +1885,26 @@ class MoneroWallet {
 }
 
 MoneroWallet.DEFAULT_LANGUAGE = "English";
+MoneroWallet.DEFAULT_PAGE_SIZE = 100;
+MoneroWallet.DEFAULT_RING_SIZE = 16;
+MoneroWallet.EXPORT_FORMAT_CSV = "csv";
+MoneroWallet.EXPORT_FORMAT_JSONL = "jsonl";
+MoneroWallet.EXPORT_COLUMNS = ["date", "height", "txHash", "direction", "accountIndex", "subaddressIndex", "amount", "fee", "destination", "label", "note"];
+
+// fields supported by MoneroWallet.create() and open() per wallet type
+let serverFields = ["serverUri", "serverUsername", "serverPassword", "rejectUnauthorized"];
+MoneroWallet.FACTORY_FIELDS = {
+  full: {
+    create: ["path", "password", "networkType", "seed", "seedOffset", "isMultisig", "primaryAddress", "privateViewKey", "privateSpendKey", "restoreHeight", "language", "accountLookahead", "subaddressLookahead", "proxyToWorker", "fs", "storage"].concat(serverFields),
+    open: ["path", "password", "networkType", "keysData", "cacheData", "proxyToWorker", "fs", "storage"].concat(serverFields)
+  },
+  keys: {
+    create: ["password", "networkType", "seed", "seedOffset", "primaryAddress", "privateViewKey", "privateSpendKey", "restoreHeight", "language"]
+  },
+  rpc: {
+    create: ["rpc", "path", "password", "seed", "seedOffset", "isMultisig", "primaryAddress", "privateViewKey", "privateSpendKey", "restoreHeight", "language", "saveCurrent"].concat(serverFields),
+    open: ["rpc", "path", "password"].concat(serverFields)
+  }
+};
 
 module.exports = MoneroWallet;
\ No newline at end of file
@@ -0,0 +1,219 @@
+const GenUtils = require("../common/GenUtils");
+const MoneroError = require("../common/MoneroError");
+const MoneroWalletRecovery = require("./model/MoneroWalletRecovery");
+const MoneroWalletStorage = require("./MoneroWalletStorage");
+
+/**
+ * <p>Stores wallets as files using a Node.js compatible file system.</p>
+ *
+ * <p>A wallet at a path is stored as the files &lt;path&gt;.keys, &lt;path&gt;
+ * and &lt;path&gt;.address.txt, which are compatible with monero-wallet-cli and
+ * monero-wallet-rpc. The keys and cache files are encrypted with the wallet's
+ * password.</p>
+ *
+ * <p>Saving is transactional. The new files and a manifest of their checksums
+ * are written to &lt;path&gt;.new* before being moved into place, so a save
+ * which is interrupted is completed or rolled back the next time the wallet
+ * is loaded or saved. The previous files are kept as rotating backups at
+ * &lt;path&gt;.bak1* (most recent) through &lt;path&gt;.bakN*.</p>
+ *
+ * <p>If the wallet's files do not match their manifest when loaded, the most
+ * recent intact backup is loaded, or the keys alone if no backup is intact.</p>
+ */
+class MoneroWalletFileStorage extends MoneroWalletStorage {
+
+  /**
+   * Construct file storage.
+   *
+   * @param {fs} fs - Node.js compatible file system to use (defaults to disk if nodejs)
+   * @param {number} numBackups - number of backups to keep of each wallet (default 2)
+   */
+  constructor(fs, numBackups) {
+    super();
+    if (!fs && !GenUtils.isBrowser()) fs = require('fs');
+    if (!fs) throw new MoneroError("Must provide file system to store wallets in");
+    if (numBackups === undefined) numBackups = MoneroWalletFileStorage.DEFAULT_NUM_BACKUPS;
+    if (!(numBackups >= 0)) throw new MoneroError("Number of backups must be >= 0");
+    this._fs = fs;
+    this._numBackups = numBackups;
+  }
+
+  /**
+   * Get the file system the wallets are stored in.
+   *
+   * @return {fs} the Node.js compatible file system
+   */
+  getFs() {
+    return this._fs;
+  }
+
+  /**
+   * Get the number of backups kept of each wallet.
+   *
+   * @return {number} the number of backups kept
+   */
+  getNumBackups() {
+    return this._numBackups;
+  }
+
+  async exists(path) {
+    return this._fs.existsSync(path + ".keys") || this._fs.existsSync(path + ".new.manifest");
+  }
+
+  async load(path) {
+    this._recover(path);
+    if (!this._fs.existsSync(path + ".keys")) throw new MoneroError("Wallet does not exist at path: " + path);
+
+    // load wallet files if intact or no manifest to verify
+    let reason = this._verify(path);
+    if (reason === undefined) return this._read(path);
+
+    // otherwise load most recent intact backup
+    for (let i = 1; i <= this._numBackups; i++) {
+      let backupPath = MoneroWalletFileStorage._getBackupPath(path, i);
+      if (this._fs.existsSync(backupPath + ".manifest") && this._verify(backupPath) === undefined) {
+        return this._read(backupPath).concat(new MoneroWalletRecovery().setBackupIndex(i).setIsKeysOnly(false).setReason(reason));
+      }
+    }
+
+    // otherwise load intact keys without cache
+    if (this._verify(path, true) === undefined) {
+      return [this._fs.readFileSync(path + ".keys"), "", new MoneroWalletRecovery().setIsKeysOnly(true).setReason(reason)];
+    }
+    throw new MoneroError("Wallet at path " + path + " is corrupt and has no intact backup: " + reason);
+  }
+
+  async save(path, keysData, cacheData, primaryAddress) {
+    this._recover(path);
+
+    // create directory if it doesn't exist
+    const Path = require("path");
+    let walletDir = Path.dirname(path);
+    if (!this._fs.existsSync(walletDir)) {
+      try { this._fs.mkdirSync(walletDir); }
+      catch (err) { throw new MoneroError("Destination path " + path + " does not exist and cannot be created: " + err.message); }
+    }
+
+    // write wallet files to *.new followed by their manifest
+    let pathNew = path + ".new";
+    this._fs.writeFileSync(pathNew + ".keys", keysData, "binary");
+    this._fs.writeFileSync(pathNew, cacheData, "binary");
+    if (primaryAddress !== undefined) this._fs.writeFileSync(pathNew + ".address.txt", primaryAddress);
+    this._fs.writeFileSync(pathNew + ".manifest", JSON.stringify(MoneroWalletFileStorage._getManifest(keysData, cacheData)));
+
+    // rotate backups if current wallet files are intact
+    if (this._numBackups > 0 && this._fs.existsSync(path + ".keys") && this._verify(path) === undefined) {
+      this._delete(MoneroWalletFileStorage._getBackupPath(path, this._numBackups));
+      for (let i = this._numBackups - 1; i >= 1; i--) this._move(MoneroWalletFileStorage._getBackupPath(path, i), MoneroWalletFileStorage._getBackupPath(path, i + 1));
+      this._move(path, MoneroWalletFileStorage._getBackupPath(path, 1));
+    }
+
+    // move new files into place with manifest last
+    this._commit(path);
+  }
+
+  async delete(path) {
+    this._delete(path + ".new");
+    this._delete(path);
+    for (let i = 1; i <= this._numBackups; i++) this._delete(MoneroWalletFileStorage._getBackupPath(path, i));
+  }
+
+  // ------------------------------- PRIVATE ----------------------------------
+
+  /**
+   * Complete or roll back a save which was interrupted.
+   */
+  _recover(path) {
+    let pathNew = path + ".new";
+    if (!this._fs.existsSync(pathNew + ".manifest")) {
+      this._delete(pathNew); // interrupted before manifest was written
+      return;
+    }
+
+    // complete save if every file matches the new manifest, wherever it was interrupted
+    let manifest = this._readManifest(pathNew);
+    let keysPath = this._fs.existsSync(pathNew + ".keys") ? pathNew + ".keys" : path + ".keys";
+    let cachePath = this._fs.existsSync(pathNew) ? pathNew : path;
+    if (manifest && this._fs.existsSync(keysPath) && this._fs.existsSync(cachePath) &&
+        MoneroWalletFileStorage._getChecksum(this._fs.readFileSync(keysPath)) === manifest.keys &&
+        MoneroWalletFileStorage._getChecksum(this._fs.readFileSync(cachePath)) === manifest.cache) {
+      this._commit(path);
+    } else {
+      this._delete(pathNew);
+    }
+  }
+
+  /**
+   * Move new wallet files into place, ending with the manifest which commits the save.
+   */
+  _commit(path) {
+    let pathNew = path + ".new";
+    for (let suffix of ["", ".keys", ".address.txt", ".manifest"]) {
+      if (this._fs.existsSync(pathNew + suffix)) this._fs.renameSync(pathNew + suffix, path + suffix);
+    }
+  }
+
+  /**
+   * Verify wallet files against their manifest.
+   *
+   * @return {string|undefined} the reason the files are not intact or undefined if intact or not verifiable
+   */
+  _verify(path, keysOnly) {
+    if (!this._fs.existsSync(path + ".manifest")) return undefined; // saved without manifest
+    let manifest = this._readManifest(path);
+    if (!manifest) return "Manifest is corrupt";
+    if (!this._fs.existsSync(path + ".keys") || MoneroWalletFileStorage._getChecksum(this._fs.readFileSync(path + ".keys")) !== manifest.keys) return "Keys file does not match manifest";
+    if (keysOnly) return undefined;
+    if (!this._fs.existsSync(path) || MoneroWalletFileStorage._getChecksum(this._fs.readFileSync(path)) !== manifest.cache) return "Cache file does not match manifest";
+    return undefined;
+  }
+
+  _read(path) {
+    let keysData = this._fs.readFileSync(path + ".keys");
+    let cacheData = this._fs.existsSync(path) ? this._fs.readFileSync(path) : "";
+    return [keysData, cacheData];
+  }
+
+  _readManifest(path) {
+    try {
+      let manifest = JSON.parse(this._fs.readFileSync(path + ".manifest").toString());
+      return manifest.version === MoneroWalletFileStorage.MANIFEST_VERSION ? manifest : undefined;
+    } catch (err) {
+      return undefined;
+    }
+  }
+
+  _move(fromPath, toPath) {
+    this._delete(toPath);
+    for (let suffix of ["", ".keys", ".address.txt", ".manifest"]) {
+      if (this._fs.existsSync(fromPath + suffix)) this._fs.renameSync(fromPath + suffix, toPath + suffix);
+    }
+  }
+
+  _delete(path) {
+    for (let suffix of [".manifest", ".address.txt", ".keys", ""]) {
+      if (this._fs.existsSync(path + suffix)) this._fs.unlinkSync(path + suffix);
+    }
+  }
+
+  static _getBackupPath(path, backupIdx) {
+    return path + ".bak" + backupIdx;
+  }
+
+  static _getManifest(keysData, cacheData) {
+    return {
+      version: MoneroWalletFileStorage.MANIFEST_VERSION,
+      keys: MoneroWalletFileStorage._getChecksum(keysData),
+      cache: MoneroWalletFileStorage._getChecksum(cacheData)
+    };
+  }
+
+  static _getChecksum(data) {
+    return require("crypto").createHash("sha256").update(typeof data === "string" ? Buffer.from(data, "binary") : data).digest("hex");
+  }
+}
+
+MoneroWalletFileStorage.DEFAULT_NUM_BACKUPS = 2;
+MoneroWalletFileStorage.MANIFEST_VERSION = 1;
+
+module.exports = MoneroWalletFileStorage;
@@ -13,6 +13,8 @@ const MoneroError = require("../common/MoneroError");
 const MoneroIntegratedAddress = require("./model/MoneroIntegratedAddress");
 const MoneroKeyImage = require("../daemon/model/MoneroKeyImage");
 const MoneroKeyImageImportResult = require("./model/MoneroKeyImageImportResult");
+const MoneroLogger = require("../common/MoneroLogger");
+const MoneroMetrics = require("../common/MoneroMetrics");
 const MoneroMultisigInfo = require("./model/MoneroMultisigInfo");
 const MoneroMultisigInitResult = require("./model/MoneroMultisigInitResult");
 const MoneroMultisigSignResult = require("./model/MoneroMultisigSignResult");
@@ -26,10 +28,13 @@ const MoneroTxSet = require("./model/MoneroTxSet");
 const MoneroTxWallet = require("./model/MoneroTxWallet");
 const MoneroWallet = require("./MoneroWallet");
 const MoneroWalletConfig = require("./model/MoneroWalletConfig");
+const MoneroWalletFileStorage = require("./MoneroWalletFileStorage");
 const MoneroWalletKeys = require("./MoneroWalletKeys");
 const MoneroWalletListener = require("./model/MoneroWalletListener");
 const MoneroMessageSignatureType = require("./model/MoneroMessageSignatureType");
 const MoneroMessageSignatureResult = require("./model/MoneroMessageSignatureResult");
+const WalletConfirmationTracker = require("./WalletConfirmationTracker");
+const WalletReorgDetector = require("./WalletReorgDetector");
 
 /**
  * Implements a Monero wallet using fully client-side WebAssembly bindings to monero-project's wallet2 in C++.
@@ -54,13 +59,18 @@ class MoneroWalletFull extends MoneroWalletKeys {
     if (!fs) fs = MoneroWalletFull._getFs();
     if (!fs) throw new MoneroError("Must provide file system to check if wallet exists");
     let exists = fs.existsSync(path + ".keys");
-    LibraryUtils.log(1, "Wallet exists at " + path + ": " + exists);
+    LibraryUtils.log(1, "Wallet exists at " + path + ": " + exists, MoneroLogger.COMPONENT_WALLET);
     return exists;
   }
   
   /**
    * <p>Open an existing wallet using WebAssembly bindings to wallet2.h.</p>
    * 
+   * <p>If the stored wallet data does not match its manifest, the most recent
+   * intact backup or the keys alone are opened instead (see getRecovery()).
+   * A recovered wallet is not saved until save() is called, so the stored
+   * data and backups are kept until then.</p>
+   * 
    * <p>Examples:<p>
    * 
    * <code>
@@ -94,6 +104,7 @@ class MoneroWalletFull extends MoneroWalletKeys {
    * @param {MoneroRpcConnection|object} configOrPath.server - MoneroRpcConnection or equivalent JS object configuring the daemon connection (optional)
    * @param {boolean} configOrPath.proxyToWorker - proxies wallet operations to a worker in order to not block the main thread (default true)
    * @param {fs} configOrPath.fs - Node.js compatible file system to use (defaults to disk or in-memory FS if browser)
+   * @param {MoneroWalletStorage} configOrPath.storage - storage adapter to load and save the wallet with instead of a file system (optional)
    * @param {string} password - password of the wallet to open
    * @param {string|number} networkType - network type of the wallet to open
    * @param {string|MoneroRpcConnection} daemonUriOrConnection - daemon URI or MoneroRpcConnection
@@ -123,17 +134,25 @@ class MoneroWalletFull extends MoneroWalletKeys {
     if (config.getLanguage() !== undefined) throw new MoneroError("Cannot specify language when opening wallet");
     if (config.getSaveCurrent() === true) throw new MoneroError("Cannot save current wallet when opening JNI wallet");
     
-    // read wallet data from disk if not provided
+    // read wallet data from storage if not provided, recovering it if its manifest shows it is corrupt
+    let storage = MoneroWalletFull._getStorage(config);
+    let recovery;
     if (!config.getKeysData()) {
-      let fs = config.getFs() ? config.getFs() : MoneroWalletFull._getFs();
-      if (!fs) throw new MoneroError("Must provide file system to read wallet data from");
-      if (!this.walletExists(config.getPath(), fs)) throw new MoneroError("Wallet does not exist at path: " + config.getPath());
-      config.setKeysData(fs.readFileSync(config.getPath() + ".keys"));
-      config.setCacheData(fs.existsSync(config.getPath()) ? fs.readFileSync(config.getPath()) : "");
+      if (!storage) throw new MoneroError("Must provide file system or storage to read wallet data from");
+      if (!(await storage.exists(config.getPath()))) throw new MoneroError("Wallet does not exist at path: " + config.getPath());
+      let data = await storage.load(config.getPath());
+      config.setKeysData(data[0]);
+      config.setCacheData(data[1]);
+      recovery = data[2];
     }
     
-    // open wallet from data
-    return MoneroWalletFull._openWalletData(config.getPath(), config.getPassword(), config.getNetworkType(), config.getKeysData(), config.getCacheData(), config.getServer(), config.getProxyToWorker(), config.getFs());
+    // open wallet from data, which is not saved over the stored data if recovered
+    let wallet = await MoneroWalletFull._openWalletData(config.getPath(), config.getPassword(), config.getNetworkType(), config.getKeysData(), config.getCacheData(), config.getServer(), config.getProxyToWorker(), storage, recovery);
+    
+    // report recovered data
+    wallet._recovery = recovery;
+    if (recovery) LibraryUtils.logWarning(MoneroLogger.COMPONENT_WALLET, "Recovered " + (recovery.isKeysOnly() ? "keys only" : "backup " + recovery.getBackupIndex()) + " of wallet at " + config.getPath() + ": " + recovery.getReason(), {path: config.getPath()});
+    return wallet;
   }
   
   /**
@@ -173,6 +192,7 @@ class MoneroWalletFull extends MoneroWalletKeys {
    * @param {MoneroRpcConnection|object} config.server - MoneroRpcConnection or equivalent JS object providing daemon configuration (optional)
    * @param {boolean} config.proxyToWorker - proxies wallet operations to a worker in order to not block the main thread (default true)
    * @param {fs} config.fs - Node.js compatible file system to use (defaults to disk or in-memory FS if browser)
+   * @param {MoneroWalletStorage} config.storage - storage adapter to save the wallet with instead of a file system (optional)
    * @return {MoneroWalletFull} the created wallet
    */
   static async createWallet(config) {
@@ -187,7 +207,9 @@ class MoneroWalletFull extends MoneroWalletKeys {
     MoneroNetworkType.validate(config.getNetworkType());
     if (config.getSaveCurrent() === true) throw new MoneroError("Cannot save current wallet when creating full WASM wallet");
     if (config.getPath() === undefined) config.setPath("");
-    if (config.getPath() && MoneroWalletFull.walletExists(config.getPath(), config.getFs())) throw new MoneroError("Wallet already exists: " + config.getPath());
+    let storage = MoneroWalletFull._getStorage(config);
+    if (config.getPath() && !storage) throw new MoneroError("Must provide file system or storage to save wallet to");
+    if (config.getPath() && await storage.exists(config.getPath())) throw new MoneroError("Wallet already exists: " + config.getPath());
     if (config.getPassword() === undefined) config.setPassword("");
     
     // create wallet
@@ -228,7 +250,7 @@ class MoneroWalletFull extends MoneroWalletKeys {
         // define callback for wasm
         let callbackFn = async function(cppAddress) {
           if (typeof cppAddress === "string") reject(new MoneroError(cppAddress));
-          else resolve(new MoneroWalletFull(cppAddress, config.getPath(), config.getPassword(), config.getFs(), config.getRejectUnauthorized(), rejectUnauthorizedFnId));
+          else resolve(new MoneroWalletFull(cppAddress, config.getPath(), config.getPassword(), MoneroWalletFull._getStorage(config), config.getRejectUnauthorized(), rejectUnauthorizedFnId));
         };
         
         // create wallet in wasm and invoke callback when done
@@ -269,7 +291,7 @@ class MoneroWalletFull extends MoneroWalletKeys {
         // define callback for wasm
         let callbackFn = async function(cppAddress) {
           if (typeof cppAddress === "string") reject(new MoneroError(cppAddress));
-          else resolve(new MoneroWalletFull(cppAddress, config.getPath(), config.getPassword(), config.getFs(), config.getRejectUnauthorized(), rejectUnauthorizedFnId));
+          else resolve(new MoneroWalletFull(cppAddress, config.getPath(), config.getPassword(), MoneroWalletFull._getStorage(config), config.getRejectUnauthorized(), rejectUnauthorizedFnId));
         };
         
         // create wallet in wasm and invoke callback when done
@@ -305,7 +327,7 @@ class MoneroWalletFull extends MoneroWalletKeys {
         // define callback for wasm
         let callbackFn = async function(cppAddress) {
           if (typeof cppAddress === "string") reject(new MoneroError(cppAddress));
-          else resolve(new MoneroWalletFull(cppAddress, config.getPath(), config.getPassword(), config.getFs(), config.getRejectUnauthorized(), rejectUnauthorizedFnId));
+          else resolve(new MoneroWalletFull(cppAddress, config.getPath(), config.getPassword(), MoneroWalletFull._getStorage(config), config.getRejectUnauthorized(), rejectUnauthorizedFnId));
         };
         
         // create wallet in wasm and invoke callback when done
@@ -337,19 +359,20 @@ class MoneroWalletFull extends MoneroWalletKeys {
    * @param {int} cppAddress - address of the wallet instance in C++
    * @param {string} path - path of the wallet instance
    * @param {string} password - password of the wallet instance
-   * @param {FileSystem} fs - node.js-compatible file system to read/write wallet files
+   * @param {MoneroWalletStorage} storage - storage adapter to read/write wallet data
    * @param {boolean} rejectUnauthorized - specifies if unauthorized requests (e.g. self-signed certificates) should be rejected
    * @param {string} rejectUnauthorizedFnId - unique identifier for http_client_wasm to query rejectUnauthorized
    */
-  constructor(cppAddress, path, password, fs, rejectUnauthorized, rejectUnauthorizedFnId) {
+  constructor(cppAddress, path, password, storage, rejectUnauthorized, rejectUnauthorizedFnId) {
     super(cppAddress);
     this._path = path;
     this._password = password;
     this._listeners = [];
-    this._fs = fs ? fs : (path ? MoneroWalletFull._getFs() : undefined);
+    this._storage = storage;
     this._isClosed = false;
     this._fullListener = new WalletFullListener(this); // receives notifications from wasm c++
     this._fullListenerHandle = 0;                      // memory address of the wallet listener in c++
+    this._reorgDetector = new WalletReorgDetector(this); // compares recent txs after syncing to detect reorgs
     this._rejectUnauthorized = rejectUnauthorized;
     this._rejectUnauthorizedConfigId = rejectUnauthorizedFnId;
     this._syncPeriodInMs = MoneroWalletFull.DEFAULT_SYNC_PERIOD_IN_MS;
@@ -671,12 +694,17 @@ class MoneroWalletFull extends MoneroWalletKeys {
     // register listener if given
     if (listener) await this.addListener(listener);
     
+    // track sync duration and received bytes for metrics
+    let startTime = Date.now();
+    let startBytes = LibraryUtils.getReceivedBytes(this._rejectUnauthorizedConfigId);
+    
     // sync wallet
     let err;
     let result;
     try {
       let that = this;
       result = await (allowConcurrentCalls ? syncWasm() : that._module.queueTask(async function() { return syncWasm(); }));
+      this._recordSyncMetrics(result, Date.now() - startTime, LibraryUtils.getReceivedBytes(this._rejectUnauthorizedConfigId) - startBytes);
       function syncWasm() {
         that._assertNotClosed();
         return new Promise(function(resolve, reject) {
@@ -694,6 +722,11 @@ class MoneroWalletFull extends MoneroWalletKeys {
           that._module.sync(that._cppAddress, startHeight, callbackFn);
         });
       }
+      
+      // notify listeners if blocks with wallet txs were detached or txs crossed confirmation thresholds
+      let height = await this.getHeight();
+      await this._reorgDetector.checkForReorg(height);
+      await this._fullListener.onSyncEnd(height);
     } catch (e) {
       err = e;
     }
@@ -747,6 +780,8 @@ class MoneroWalletFull extends MoneroWalletKeys {
   }
   
   async rescanBlockchain() {
+    this._reorgDetector.reset();
+    this._fullListener.resetConfirmations();
     let that = this;
     return that._module.queueTask(async function() {
       that._assertNotClosed();
@@ -871,6 +906,7 @@ class MoneroWalletFull extends MoneroWalletKeys {
     
     // copy and normalize query up to block
     query = MoneroWallet._normalizeTxQuery(query);
+    await MoneroWallet._resolveDestinationLabel(this, query.getTransferQuery());
     
     // schedule task
     let that = this;
@@ -887,9 +923,9 @@ class MoneroWalletFull extends MoneroWalletKeys {
             return;
           }
           
-          // resolve with deserialized txs
+          // resolve with deserialized, sorted and paged txs
           try {
-            resolve(MoneroWalletFull._deserializeTxs(query, blocksJsonStr));
+            resolve(MoneroWallet._pageTxs(MoneroWalletFull._filterTxs(query, MoneroWalletFull._deserializeTxs(query, blocksJsonStr)), query));
           } catch (err) {
             reject(err);
           }
@@ -906,6 +942,7 @@ class MoneroWalletFull extends MoneroWalletKeys {
     
     // copy and normalize query up to block
     query = MoneroWallet._normalizeTransferQuery(query);
+    await MoneroWallet._resolveDestinationLabel(this, query);
     
     // return promise which resolves on callback
     let that = this;
@@ -922,9 +959,9 @@ class MoneroWalletFull extends MoneroWalletKeys {
             return;
           }
            
-          // resolve with deserialized transfers 
+          // resolve with deserialized, sorted and paged transfers
           try {
-            resolve(MoneroWalletFull._deserializeTransfers(query, blocksJsonStr));
+            resolve(MoneroWallet._pageTransfers(MoneroWalletFull._filterTransfers(query, MoneroWalletFull._deserializeTransfers(query, blocksJsonStr)), query));
           } catch (err) {
             reject(err);
           }
@@ -1066,7 +1103,7 @@ class MoneroWalletFull extends MoneroWalletKeys {
     
     // validate, copy, and normalize config
     config = MoneroWallet._normalizeCreateTxsConfig(config);
-    if (config.getCanSplit() === undefined) config.setCanSplit(true);
+    if (config.getCanSplit() === undefined) config.setCanSplit(config.getKeyImages() === undefined);
     
     // return promise which resolves on callback
     let that = this;
@@ -1080,12 +1117,42 @@ class MoneroWalletFull extends MoneroWalletKeys {
           else resolve(new MoneroTxSet(JSON.parse(GenUtils.stringifyBIs(txSetJsonStr))).getTxs());
         }
         
-        // create txs in wasm and invoke callback when done
-        that._module.create_txs(that._cppAddress, JSON.stringify(config.toJson()), callbackFn);
+        // create txs in wasm and invoke callback when done, spending exactly the selected outputs if given
+        if (config.getKeyImages() !== undefined) that._module.create_txs_from_key_images(that._cppAddress, JSON.stringify(config.toJson()), callbackFn);
+        else that._module.create_txs(that._cppAddress, JSON.stringify(config.toJson()), callbackFn);
+      });
+    });
+  }
+  
+  async estimateTxSizeAndWeight(numInputs, numOutputs, ringSize, rct) {
+    [numInputs, numOutputs, ringSize, rct] = MoneroWallet._normalizeTxSizeArgs(numInputs, numOutputs, ringSize, rct);
+    let that = this;
+    return that._module.queueTask(async function() {
+      that._assertNotClosed();
+      return new Promise(function(resolve, reject) {
+        let callbackFn = function(resp) {
+          if (resp.charAt(0) !== '{') reject(new MoneroError(resp));
+          else {
+            let sizeAndWeight = JSON.parse(resp);
+            resolve([sizeAndWeight.size, sizeAndWeight.weight]);
+          }
+        }
+        that._module.estimate_tx_size_and_weight(that._cppAddress, numInputs, numOutputs, ringSize, rct, callbackFn);
       });
     });
   }
   
+  async estimateFee(config, feeEstimate) {
+    this._assertNotClosed();
+    if (feeEstimate === undefined) {
+      let connection = await this.getDaemonConnection();
+      if (!connection) throw new MoneroError("Wallet is not connected to daemon");
+      let daemon = new MoneroDaemonRpc(Object.assign(connection.getConfig(), {proxyToWorker: false}));
+      feeEstimate = await daemon.getFeeEstimate();
+    }
+    return MoneroWallet._estimateFee(this, config, feeEstimate);
+  }
+  
   async sweepOutput(config) {
     this._assertNotClosed();
     
@@ -1637,6 +1704,15 @@ class MoneroWalletFull extends MoneroWalletKeys {
     });
   }
   
+  /**
+   * Get what was recovered if the wallet's stored data was corrupt when opened.
+   * 
+   * @return {MoneroWalletRecovery} the recovered data or undefined if the wallet opened normally
+   */
+  async getRecovery() {
+    return this._recovery;
+  }
+  
   /**
    * Get the wallet's keys and cache data.
    * 
@@ -1718,6 +1794,7 @@ class MoneroWalletFull extends MoneroWalletKeys {
     delete this._listeners;
     delete this._fullListener;
     LibraryUtils.setRejectUnauthorizedFn(this._rejectUnauthorizedConfigId, undefined); // unregister fn informing if unauthorized reqs should be rejected
+    LibraryUtils.clearReceivedBytes(this._rejectUnauthorizedConfigId);
   }
   
   // ----------- ADD JSDOC FOR SUPPORTED DEFAULT IMPLEMENTATIONS --------------
@@ -1738,8 +1815,17 @@ class MoneroWalletFull extends MoneroWalletKeys {
     return MoneroWalletFull.FS;
   }
   
-  static async _openWalletData(path, password, networkType, keysData, cacheData, daemonUriOrConnection, proxyToWorker, fs) {
-    if (proxyToWorker) return MoneroWalletFullProxy.openWalletData(path, password, networkType, keysData, cacheData, daemonUriOrConnection, fs);
+  static _getStorage(config) {
+    if (config.getStorage()) {
+      if (config.getFs()) throw new MoneroError("Cannot specify both file system and storage");
+      return config.getStorage();
+    }
+    let fs = config.getFs() ? config.getFs() : MoneroWalletFull._getFs();
+    return fs ? new MoneroWalletFileStorage(fs) : undefined;
+  }
+  
+  static async _openWalletData(path, password, networkType, keysData, cacheData, daemonUriOrConnection, proxyToWorker, storage, recovery) {
+    if (proxyToWorker) return MoneroWalletFullProxy.openWalletData(path, password, networkType, keysData, cacheData, daemonUriOrConnection, storage, recovery);
     
     // validate and normalize parameters
     if (networkType === undefined) throw new MoneroError("Must provide the wallet's network type");
@@ -1764,7 +1850,7 @@ class MoneroWalletFull extends MoneroWalletKeys {
         // define callback for wasm
         let callbackFn = async function(cppAddress) {
           if (typeof cppAddress === "string") reject(new MoneroError(cppAddress));
-          else resolve(new MoneroWalletFull(cppAddress, path, password, fs, rejectUnauthorized, rejectUnauthorizedFnId));
+          else resolve(new MoneroWalletFull(cppAddress, path, password, storage, rejectUnauthorized, rejectUnauthorizedFnId));
         };
         
         // create wallet in wasm and invoke callback when done
@@ -1773,11 +1859,21 @@ class MoneroWalletFull extends MoneroWalletKeys {
     });
   }
   
+  _recordSyncMetrics(result, durationMs, numBytes) {
+    let metrics = LibraryUtils.getMetrics();
+    let labels = {wallet: this._path ? this._path : (this._browserMainPath ? this._browserMainPath : "in-memory wallet")};
+    metrics.incrementCounter(MoneroMetrics.WALLET_SYNCS, labels);
+    metrics.incrementCounter(MoneroMetrics.WALLET_SYNC_BLOCKS, labels, result.getNumBlocksFetched());
+    metrics.incrementCounter(MoneroMetrics.WALLET_SYNC_RECEIVED_BYTES, labels, numBytes);
+    metrics.observeHistogram(MoneroMetrics.WALLET_SYNC_DURATION, labels, durationMs);
+    metrics.setGauge(MoneroMetrics.WALLET_SYNC_BLOCKS_PER_SECOND, labels, durationMs > 0 ? result.getNumBlocksFetched() * 1000 / durationMs : 0);
+  }
+  
   async _backgroundSync() {
     let label = this._path ? this._path : (this._browserMainPath ? this._browserMainPath : "in-memory wallet"); // label for log
-    LibraryUtils.log(1, "Background synchronizing " + label);
+    LibraryUtils.log(1, "Background synchronizing " + label, MoneroLogger.COMPONENT_WALLET);
     try { await this.sync(); }
-    catch (err) { if (!this._isClosed) console.error("Failed to background synchronize " + label + ": " + err.message); }
+    catch (err) { if (!this._isClosed) LibraryUtils.logError(MoneroLogger.COMPONENT_WALLET, "Failed to background synchronize " + label + ": " + err.message, err); }
   }
   
   async _refreshListening() {
@@ -1885,6 +1981,50 @@ class MoneroWalletFull extends MoneroWalletKeys {
     return transfers;
   }
   
+  /**
+   * Filter txs by the query's criteria which are not applied by the wasm module
+   * (timestamps, notes, amount ranges and destination addresses).
+   * 
+   * @param {MoneroTxQuery} query - the query which the txs must meet
+   * @param {MoneroTxWallet[]} txs - the txs from the wasm module
+   * @return {MoneroTxWallet[]} the txs which meet the query
+   */
+  static _filterTxs(query, txs) {
+    if (!MoneroWalletFull._hasJsCriteria(query)) return txs;
+    let txsQueried = [];
+    for (let tx of txs) {
+      if (query.meetsCriteria(tx)) txsQueried.push(tx);
+      else if (tx.getBlock() !== undefined && tx.getBlock().getTxs().indexOf(tx) >= 0) tx.getBlock().getTxs().splice(tx.getBlock().getTxs().indexOf(tx), 1);
+    }
+    return txsQueried;
+  }
+  
+  /**
+   * Filter transfers by the query's criteria which are not applied by the
+   * wasm module, erasing excluded transfers from their txs.
+   * 
+   * @param {MoneroTransferQuery} query - the query which the transfers must meet
+   * @param {MoneroTransfer[]} transfers - the transfers from the wasm module
+   * @return {MoneroTransfer[]} the transfers which meet the query
+   */
+  static _filterTransfers(query, transfers) {
+    if (!MoneroWalletFull._hasJsCriteria(query.getTxQuery())) return transfers;
+    let transfersQueried = [];
+    for (let tx of new Set(transfers.map(transfer => transfer.getTx()))) {
+      for (let transfer of tx.filterTransfers(query)) transfersQueried.push(transfer);
+      if (tx.getOutgoingTransfer() === undefined && tx.getIncomingTransfers() === undefined && tx.getBlock() !== undefined && tx.getBlock().getTxs().indexOf(tx) >= 0) {
+        tx.getBlock().getTxs().splice(tx.getBlock().getTxs().indexOf(tx), 1);
+      }
+    }
+    return transfersQueried;
+  }
+  
+  static _hasJsCriteria(txQuery) {
+    if (txQuery.getMinTimestamp() !== undefined || txQuery.getMaxTimestamp() !== undefined || txQuery.getNoteContains() !== undefined) return true;
+    let transferQuery = txQuery.getTransferQuery();
+    return transferQuery !== undefined && (transferQuery.getMinAmount() !== undefined || transferQuery.getMaxAmount() !== undefined || transferQuery.getDestinationAddresses() !== undefined);
+  }
+  
   static _deserializeOutputs(query, blocksJsonStr) {
     
     // deserialize blocks
@@ -1922,27 +2062,15 @@ class MoneroWalletFull extends MoneroWalletKeys {
       return;
     }
     
-    // create destination directory if it doesn't exist
-    let walletDir = Path.dirname(path);
-    if (!wallet._fs.existsSync(walletDir)) {
-      try { wallet._fs.mkdirSync(walletDir); }
-      catch (err) { throw new MoneroError("Destination path " + path + " does not exist and cannot be created: " + err.message); }
-    }
-    
-    // write wallet files
+    // save wallet data to new path
+    if (!wallet._storage) throw new MoneroError("Cannot move wallet because file system or storage is not set");
     let data = await wallet.getData();
-    wallet._fs.writeFileSync(path + ".keys", data[0], "binary");
-    wallet._fs.writeFileSync(path, data[1], "binary");
-    wallet._fs.writeFileSync(path + ".address.txt", await wallet.getPrimaryAddress());
+    await wallet._storage.save(path, data[0], data[1], await wallet.getPrimaryAddress());
     let oldPath = wallet._path;
     wallet._path = path;
     
-    // delete old wallet files
-    if (oldPath) {
-      wallet._fs.unlinkSync(oldPath + ".address.txt");
-      wallet._fs.unlinkSync(oldPath + ".keys");
-      wallet._fs.unlinkSync(oldPath);
-    }
+    // delete old wallet data
+    if (oldPath) await wallet._storage.delete(oldPath);
   }
   
   static async _save(wallet) {
@@ -1951,18 +2079,11 @@ class MoneroWalletFull extends MoneroWalletKeys {
     // path must be set
     let path = await wallet.getPath();
     if (!path) throw new MoneroError("Cannot save wallet because path is not set");
+    if (!wallet._storage) throw new MoneroError("Cannot save wallet because file system or storage is not set");
     
-    // write wallet files to *.new
-    let pathNew = path + ".new";
+    // save wallet data
     let data = await wallet.getData();
-    wallet._fs.writeFileSync(pathNew + ".keys", data[0], "binary");
-    wallet._fs.writeFileSync(pathNew, data[1], "binary");
-    wallet._fs.writeFileSync(pathNew + ".address.txt", await wallet.getPrimaryAddress());
-    
-    // replace old wallet files with new
-    wallet._fs.renameSync(pathNew + ".keys", path + ".keys");
-    wallet._fs.renameSync(pathNew, path, path + ".keys");
-    wallet._fs.renameSync(pathNew + ".address.txt", path + ".address.txt", path + ".keys");
+    await wallet._storage.save(path, data[0], data[1], await wallet.getPrimaryAddress());
   }
 }
 
@@ -1980,21 +2101,23 @@ class MoneroWalletFullProxy extends MoneroWallet {
   
   // -------------------------- WALLET STATIC UTILS ---------------------------
   
-  static async openWalletData(path, password, networkType, keysData, cacheData, daemonUriOrConnection, fs) {
+  static async openWalletData(path, password, networkType, keysData, cacheData, daemonUriOrConnection, storage, recovery) {
     let walletId = GenUtils.getUUID();
     if (password === undefined) password = "";
     let daemonUriOrConfig = daemonUriOrConnection instanceof MoneroRpcConnection ? daemonUriOrConnection.getConfig() : daemonUriOrConnection;
     await LibraryUtils.invokeWorker(walletId, "openWalletData", [path, password, networkType, keysData, cacheData, daemonUriOrConfig]);
-    let wallet = new MoneroWalletFullProxy(walletId, await LibraryUtils.getWorker(), path, fs);
-    if (path) await wallet.save();
+    let wallet = new MoneroWalletFullProxy(walletId, await LibraryUtils.getWorker(), path, storage);
+    if (path && !recovery) await wallet.save(); // keep stored data and backups until recovered wallet is saved explicitly
     return wallet;
   }
   
   static async _createWallet(config) {
-    if (config.getPath() && MoneroWalletFull.walletExists(config.getPath(), config.getFs())) throw new MoneroError("Wallet already exists: " + path);
+    let storage = MoneroWalletFull._getStorage(config);
+    if (config.getPath() && !storage) throw new MoneroError("Must provide file system or storage to save wallet to");
+    if (config.getPath() && await storage.exists(config.getPath())) throw new MoneroError("Wallet already exists: " + config.getPath());
     let walletId = GenUtils.getUUID();
     await LibraryUtils.invokeWorker(walletId, "_createWallet", [config.toJson()]);
-    let wallet = new MoneroWalletFullProxy(walletId, await LibraryUtils.getWorker(), config.getPath(), config.getFs());
+    let wallet = new MoneroWalletFullProxy(walletId, await LibraryUtils.getWorker(), config.getPath(), storage);
     if (config.getPath()) await wallet.save();
     return wallet;
   }
@@ -2009,13 +2132,15 @@ class MoneroWalletFullProxy extends MoneroWallet {
    * 
    * @param {string} walletId - identifies the wallet with the worker
    * @param {Worker} worker - worker to communicate with via messages
+   * @param {string} path - path of the wallet
+   * @param {MoneroWalletStorage} storage - storage adapter to read/write wallet data
    */
-  constructor(walletId, worker, path, fs) {
+  constructor(walletId, worker, path, storage) {
     super();
     this._walletId = walletId;
     this._worker = worker;
     this._path = path;
-    this._fs = fs ? fs : (path ? MoneroWalletFull._getFs() : undefined);
+    this._storage = storage;
     this._wrappedListeners = [];
   }
   
@@ -2137,8 +2262,12 @@ class MoneroWalletFullProxy extends MoneroWallet {
     LibraryUtils.WORKER_OBJECTS[this._walletId].callbacks["onBalancesChanged_" + listenerId] = [wrappedListener.onBalancesChanged, wrappedListener];
     LibraryUtils.WORKER_OBJECTS[this._walletId].callbacks["onOutputReceived_" + listenerId] = [wrappedListener.onOutputReceived, wrappedListener];
     LibraryUtils.WORKER_OBJECTS[this._walletId].callbacks["onOutputSpent_" + listenerId] = [wrappedListener.onOutputSpent, wrappedListener];
+    LibraryUtils.WORKER_OBJECTS[this._walletId].callbacks["onReorg_" + listenerId] = [wrappedListener.onReorg, wrappedListener];
+    LibraryUtils.WORKER_OBJECTS[this._walletId].callbacks["onTxConfirmationsChanged_" + listenerId] = [wrappedListener.onTxConfirmationsChanged, wrappedListener];
     this._wrappedListeners.push(wrappedListener);
-    return this._invokeWorker("addListener", [listenerId]);
+    let isReorgListener = listener.onReorg !== MoneroWalletListener.prototype.onReorg;
+    let confirmationThresholds = listener.onTxConfirmationsChanged !== MoneroWalletListener.prototype.onTxConfirmationsChanged ? listener.getConfirmationThresholds() : undefined;
+    return this._invokeWorker("addListener", [listenerId, isReorgListener, confirmationThresholds]);
   }
   
   async removeListener(listener) {
@@ -2151,6 +2280,8 @@ class MoneroWalletFullProxy extends MoneroWallet {
         delete LibraryUtils.WORKER_OBJECTS[this._walletId].callbacks["onBalancesChanged_" + listenerId];
         delete LibraryUtils.WORKER_OBJECTS[this._walletId].callbacks["onOutputReceived_" + listenerId];
         delete LibraryUtils.WORKER_OBJECTS[this._walletId].callbacks["onOutputSpent_" + listenerId];
+        delete LibraryUtils.WORKER_OBJECTS[this._walletId].callbacks["onReorg_" + listenerId];
+        delete LibraryUtils.WORKER_OBJECTS[this._walletId].callbacks["onTxConfirmationsChanged_" + listenerId];
         this._wrappedListeners.splice(i, 1);
         return;
       }
@@ -2260,13 +2391,15 @@ class MoneroWalletFullProxy extends MoneroWallet {
   async getTxs(query) {
     query = MoneroWallet._normalizeTxQuery(query);
     let respJson = await this._invokeWorker("getTxs", [query.getBlock().toJson()]);
-    return MoneroWalletFull._deserializeTxs(query, JSON.stringify({blocks: respJson.blocks})); // initialize txs from blocks json string TODO: this stringifies then utility parses, avoid
+    let txs = MoneroWalletFull._deserializeTxs(query, JSON.stringify({blocks: respJson.blocks})); // initialize txs from blocks json string TODO: this stringifies then utility parses, avoid
+    return MoneroWallet._sortTxs(txs, query.isSortDescending()); // worker pages txs but order is lost over serialization
   }
   
   async getTransfers(query) {
     query = MoneroWallet._normalizeTransferQuery(query);
     let blockJsons = await this._invokeWorker("getTransfers", [query.getTxQuery().getBlock().toJson()]);
-    return MoneroWalletFull._deserializeTransfers(query, JSON.stringify({blocks: blockJsons})); // initialize transfers from blocks json string TODO: this stringifies then utility parses, avoid
+    let transfers = MoneroWalletFull._deserializeTransfers(query, JSON.stringify({blocks: blockJsons})); // initialize transfers from blocks json string TODO: this stringifies then utility parses, avoid
+    return MoneroWallet._sortTransfers(transfers, query.isSortDescending()); // worker pages transfers but order is lost over serialization
   }
   
   async getOutputs(query) {
@@ -2317,6 +2450,15 @@ class MoneroWalletFullProxy extends MoneroWallet {
     return new MoneroTxSet(txSetJson).getTxs();
   }
   
+  async estimateTxSizeAndWeight(numInputs, numOutputs, ringSize, rct) {
+    return this._invokeWorker("estimateTxSizeAndWeight", Array.from(arguments));
+  }
+  
+  async estimateFee(config, feeEstimate) {
+    config = MoneroWallet._normalizeCreateTxsConfig(config);
+    return BigInteger.parse(await this._invokeWorker("estimateFee", [config.toJson(), feeEstimate === undefined ? undefined : feeEstimate.toJson()]));
+  }
+  
   async sweepOutput(config) {
     config = MoneroWallet._normalizeSweepOutputConfig(config);
     let txSetJson = await this._invokeWorker("sweepOutput", [config.toJson()]);
@@ -2514,6 +2656,10 @@ class MoneroWalletFullProxy extends MoneroWallet {
     return this._invokeWorker("getData");
   }
   
+  async getRecovery() {
+    return this._recovery;
+  }
+  
   async moveTo(path) {
     return MoneroWalletFull._moveTo(path, this);
   }
@@ -2556,6 +2702,7 @@ class WalletFullListener {
   
   constructor(wallet) {
     this._wallet = wallet;
+    this._confirmationTracker = new WalletConfirmationTracker(wallet);
   }
   
   async onSyncProgress(height, startHeight, endHeight, percentDone, message) {
@@ -2563,9 +2710,20 @@ class WalletFullListener {
   }
   
   async onNewBlock(height) {
+    this._hasNewBlocks = true; // check confirmations when sync ends
     for (let listener of this._wallet.getListeners()) await listener.onNewBlock(height);
   }
   
+  async onSyncEnd(height) {
+    if (!this._hasNewBlocks && this._confirmationTracker.isTracking()) return; // confirmations only change with new blocks
+    this._hasNewBlocks = false;
+    await this._confirmationTracker.checkForChanges(height);
+  }
+  
+  resetConfirmations() {
+    this._confirmationTracker.reset();
+  }
+  
   async onBalancesChanged(newBalanceStr, newUnlockedBalanceStr) {
     for (let listener of this._wallet.getListeners()) await listener.onBalancesChanged(BigInteger.parse(newBalanceStr), BigInteger.parse(newUnlockedBalanceStr));
   }
@@ -2673,6 +2831,15 @@ class WalletWorkerListener {
     let block = new MoneroBlock(blockJson, MoneroBlock.DeserializationType.TX_WALLET);
     await this._listener.onOutputSpent(block.getTxs()[0].getInputs()[0]);
   }
+  
+  async onReorg(forkHeight, detachedTxHashes) {
+    await this._listener.onReorg(forkHeight, detachedTxHashes);
+  }
+  
+  async onTxConfirmationsChanged(blockJson) {
+    let block = new MoneroBlock(blockJson, MoneroBlock.DeserializationType.TX_WALLET);
+    await this._listener.onTxConfirmationsChanged(block.getTxs()[0]);
+  }
 }
 
 MoneroWalletFull.DEFAULT_SYNC_PERIOD_IN_MS = 10000; // 10 second sync period by default
@@ -0,0 +1,81 @@
+const MoneroError = require("../common/MoneroError");
+const MoneroWalletStorage = require("./MoneroWalletStorage");
+
+/**
+ * <p>Stores wallets in the browser's IndexedDB so they persist across page reloads.</p>
+ *
+ * <p>Each wallet is stored as one record keyed by its path, so saving a wallet
+ * replaces its keys and cache data atomically. The keys and cache data are
+ * encrypted with the wallet's password.</p>
+ */
+class MoneroWalletIndexedDbStorage extends MoneroWalletStorage {
+
+  /**
+   * Construct IndexedDB storage.
+   *
+   * @param {string} dbName - name of the database to store wallets in (default "monero-javascript")
+   * @param {IDBFactory} indexedDb - IndexedDB implementation to use (defaults to the global indexedDB)
+   */
+  constructor(dbName, indexedDb) {
+    super();
+    this._dbName = dbName ? dbName : MoneroWalletIndexedDbStorage.DEFAULT_DB_NAME;
+    this._indexedDb = indexedDb ? indexedDb : (typeof indexedDB === "undefined" ? undefined : indexedDB);
+    if (!this._indexedDb) throw new MoneroError("IndexedDB is not available");
+  }
+
+  async exists(path) {
+    return (await this._request("readonly", store => store.count(path))) > 0;
+  }
+
+  async load(path) {
+    let record = await this._request("readonly", store => store.get(path));
+    if (!record) throw new MoneroError("Wallet does not exist at path: " + path);
+    return [record.keysData, record.cacheData];
+  }
+
+  async save(path, keysData, cacheData, primaryAddress) {
+    await this._request("readwrite", store => store.put({keysData: new Uint8Array(keysData), cacheData: new Uint8Array(cacheData), primaryAddress: primaryAddress}, path));
+  }
+
+  async delete(path) {
+    await this._request("readwrite", store => store.delete(path));
+  }
+
+  /**
+   * Close the database connection.
+   */
+  close() {
+    if (this._db) this._db.close();
+    this._db = undefined;
+  }
+
+  // ------------------------------- PRIVATE ----------------------------------
+
+  async _getDb() {
+    if (this._db) return this._db;
+    let that = this;
+    this._db = await new Promise(function(resolve, reject) {
+      let request = that._indexedDb.open(that._dbName, 1);
+      request.onupgradeneeded = function() { request.result.createObjectStore(MoneroWalletIndexedDbStorage.STORE_NAME); };
+      request.onsuccess = function() { resolve(request.result); };
+      request.onerror = function() { reject(new MoneroError("Cannot open IndexedDB database " + that._dbName + ": " + request.error)); };
+    });
+    return this._db;
+  }
+
+  async _request(mode, requestFn) {
+    let db = await this._getDb();
+    return new Promise(function(resolve, reject) {
+      let tx = db.transaction(MoneroWalletIndexedDbStorage.STORE_NAME, mode);
+      let request = requestFn(tx.objectStore(MoneroWalletIndexedDbStorage.STORE_NAME));
+      tx.oncomplete = function() { resolve(request.result); };
+      tx.onerror = function() { reject(new MoneroError("IndexedDB request failed: " + tx.error)); };
+      tx.onabort = function() { reject(new MoneroError("IndexedDB request aborted: " + tx.error)); };
+    });
+  }
+}
+
+MoneroWalletIndexedDbStorage.DEFAULT_DB_NAME = "monero-javascript";
+MoneroWalletIndexedDbStorage.STORE_NAME = "wallets";
+
+module.exports = MoneroWalletIndexedDbStorage;
@@ -10,12 +10,14 @@ const MoneroBlock = require("../daemon/model/MoneroBlock");
 const MoneroBlockHeader = require("../daemon/model/MoneroBlockHeader");
 const MoneroCheckReserve = require("./model/MoneroCheckReserve");
 const MoneroCheckTx = require("./model/MoneroCheckTx");
+const MoneroDaemonRpc = require("../daemon/MoneroDaemonRpc");
 const MoneroDestination = require("./model/MoneroDestination");
 const MoneroError = require("../common/MoneroError");
 const MoneroIncomingTransfer = require("./model/MoneroIncomingTransfer");
 const MoneroIntegratedAddress = require("./model/MoneroIntegratedAddress");
 const MoneroKeyImage = require("../daemon/model/MoneroKeyImage");
 const MoneroKeyImageImportResult = require("./model/MoneroKeyImageImportResult");
+const MoneroLogger = require("../common/MoneroLogger");
 const MoneroMultisigInfo = require("./model/MoneroMultisigInfo");
 const MoneroMultisigInitResult = require("./model/MoneroMultisigInitResult");
 const MoneroMultisigSignResult = require("./model/MoneroMultisigSignResult");
@@ -40,6 +42,8 @@ const MoneroMessageSignatureType = require("./model/MoneroMessageSignatureType")
 const MoneroMessageSignatureResult = require("./model/MoneroMessageSignatureResult");
 const ThreadPool = require("../common/ThreadPool");
 const SslOptions = require("../common/SslOptions");
+const WalletConfirmationTracker = require("./WalletConfirmationTracker");
+const WalletReorgDetector = require("./WalletReorgDetector");
 
 /**
  * Copyright (c) woodser
@@ -88,6 +92,7 @@ class MoneroWalletRpc extends MoneroWallet {
     if (GenUtils.isArray(uriOrConfig)) throw new MoneroError("Array with command parameters is invalid first parameter, use `await monerojs.connectToWalletRpc(...)`");
     this.config = MoneroWalletRpc._normalizeConfig(uriOrConfig, username, password, rejectUnauthorized);
     this.rpc = new MoneroRpcConnection(this.config);
+    if (uriOrConfig instanceof MoneroRpcConnection) for (let interceptor of uriOrConfig.getInterceptors()) this.rpc.addInterceptor(interceptor);
     this.addressCache = {}; // avoid unecessary requests for addresses
     this.syncPeriodInMs = MoneroWalletRpc.DEFAULT_SYNC_PERIOD_IN_MS;
     this.listeners = [];
@@ -128,7 +133,7 @@ class MoneroWalletRpc extends MoneroWallet {
       // handle stdout
       that.process.stdout.on('data', function(data) {
         let line = data.toString();
-        LibraryUtils.log(2, line);
+        LibraryUtils.log(2, line, MoneroLogger.COMPONENT_WALLET);
         output += line + '\n'; // capture output in case of error
         
         // extract uri from e.g. "I Binding on 127.0.0.1 (IPv4):38085"
@@ -164,7 +169,7 @@ class MoneroWalletRpc extends MoneroWallet {
       
       // handle stderr
       that.process.stderr.on('data', function(data) {
-        if (LibraryUtils.getLogLevel() >= 2) console.error(data);
+        LibraryUtils.log(2, data.toString(), MoneroLogger.COMPONENT_WALLET);
       });
       
       // handle exit
@@ -180,8 +185,7 @@ class MoneroWalletRpc extends MoneroWallet {
       
       // handle uncaught exception
       that.process.on("uncaughtException", function(err, origin) {
-        console.error("Uncaught exception in monero-wallet-rpc process: " + err.message);
-        console.error(origin);
+        LibraryUtils.logError(MoneroLogger.COMPONENT_WALLET, "Uncaught exception in monero-wallet-rpc process: " + err.message, err, {origin: origin});
         reject(err);
       });
     });
@@ -620,6 +624,7 @@ class MoneroWalletRpc extends MoneroWallet {
   
   async rescanBlockchain() {
     await this.rpc.sendJsonRequest("rescan_blockchain", undefined, 0);
+    if (this.walletPoller !== undefined) this.walletPoller.resetTracking();
   }
   
   async getBalance(accountIdx, subaddressIdx) {
@@ -789,6 +794,7 @@ class MoneroWalletRpc extends MoneroWallet {
     
     // copy query
     query = MoneroWallet._normalizeTxQuery(query);
+    await MoneroWallet._resolveDestinationLabel(this, query.getTransferQuery());
     
     // temporarily disable transfer and output queries in order to collect all tx information
     let transferQuery = query.getTransferQuery();
@@ -851,7 +857,7 @@ class MoneroWalletRpc extends MoneroWallet {
     // special case: re-fetch txs if inconsistency caused by needing to make multiple rpc calls
     for (let tx of txs) {
       if (tx.isConfirmed() && tx.getBlock() === undefined) {
-        console.error("Inconsistency detected building txs from multiple rpc calls, re-fetching txs");
+        LibraryUtils.logWarning(MoneroLogger.COMPONENT_WALLET, "Inconsistency detected building txs from multiple rpc calls, re-fetching txs");
         return this.getTxs(query);
       }
     }
@@ -864,26 +870,30 @@ class MoneroWalletRpc extends MoneroWallet {
       for (let hash of query.getHashes()) if (txsById.get(hash)) orderedTxs.push(txsById.get(hash));
       txs = orderedTxs;
     }
-    return txs;
+    
+    // sort and page txs
+    return MoneroWallet._pageTxs(txs, query);
   }
   
   async getTransfers(query) {
     
     // copy and normalize query up to block
     query = MoneroWallet._normalizeTransferQuery(query);
+    await MoneroWallet._resolveDestinationLabel(this, query);
     
     // get transfers directly if query does not require tx context (other transfers, outputs)
-    if (!MoneroWalletRpc._isContextual(query)) return this._getTransfersAux(query);
+    if (!MoneroWalletRpc._isContextual(query)) return MoneroWallet._pageTransfers(await this._getTransfersAux(query), query);
     
     // otherwise get txs with full models to fulfill query
     let transfers = [];
-    for (let tx of await this.getTxs(query.getTxQuery())) {
+    for (let tx of await this.getTxs(query.getTxQuery().copy().setOffset(undefined).setLimit(undefined).setSortDescending(undefined))) {
       for (let transfer of tx.filterTransfers(query)) {
         transfers.push(transfer);
       }
     }
     
-    return transfers;
+    // sort and page transfers
+    return MoneroWallet._pageTransfers(transfers, query);
   }
   
   async getOutputs(query) {
@@ -955,8 +965,9 @@ class MoneroWalletRpc extends MoneroWallet {
     
     // validate, copy, and normalize config
     config = MoneroWallet._normalizeCreateTxsConfig(config);
-    if (config.getCanSplit() === undefined) config.setCanSplit(true);
+    if (config.getCanSplit() === undefined) config.setCanSplit(config.getKeyImages() === undefined);
     if (config.getRelay() === true && await this.isMultisig()) throw new MoneroError("Cannot relay multisig transaction until co-signed");
+    if (config.getKeyImages() !== undefined) return this._createTxFromKeyImages(config);
 
     // determine account and subaddresses to send from
     let accountIdx = config.getAccountIndex();
@@ -1020,6 +1031,21 @@ class MoneroWalletRpc extends MoneroWallet {
     else return MoneroWalletRpc._convertRpcTxToTxSet(result, txs === undefined ? undefined : txs[0], true, config).getTxs();
   }
   
+  async estimateTxSizeAndWeight(numInputs, numOutputs, ringSize, rct) {
+    [numInputs, numOutputs, ringSize, rct] = MoneroWallet._normalizeTxSizeArgs(numInputs, numOutputs, ringSize, rct);
+    let resp = await this.rpc.sendJsonRequest("estimate_tx_size_and_weight", {n_inputs: numInputs, n_outputs: numOutputs, ring_size: ringSize, rct: rct});
+    return [resp.result.size, resp.result.weight];
+  }
+  
+  async estimateFee(config, feeEstimate) {
+    if (feeEstimate === undefined) {
+      if (!this.daemonConnection) throw new MoneroError("Must set daemon connection or provide fee estimate to estimate fee");
+      let daemon = new MoneroDaemonRpc(Object.assign(this.daemonConnection.getConfig(), {proxyToWorker: false}));
+      feeEstimate = await daemon.getFeeEstimate();
+    }
+    return MoneroWallet._estimateFee(this, config, feeEstimate);
+  }
+  
   async sweepOutput(config) {
     
     // normalize and validate config
@@ -1587,8 +1613,8 @@ class MoneroWalletRpc extends MoneroWallet {
     // build params for get_transfers rpc call
     let txQuery = query.getTxQuery();
     let canBeConfirmed = txQuery.isConfirmed() !== false && txQuery.inTxPool() !== true && txQuery.isFailed() !== true && txQuery.isRelayed() !== false;
-    let canBeInTxPool = txQuery.isConfirmed() !== true && txQuery.inTxPool() !== false && txQuery.isFailed() !== true && txQuery.getHeight() === undefined && txQuery.getMaxHeight() === undefined && txQuery.isLocked() !== false;
-    let canBeIncoming = query.isIncoming() !== false && query.isOutgoing() !== true && query.hasDestinations() !== true;
+    let canBeInTxPool = txQuery.isConfirmed() !== true && txQuery.inTxPool() !== false && txQuery.isFailed() !== true && txQuery.getHeight() === undefined && txQuery.getMaxHeight() === undefined && txQuery.getMaxTimestamp() === undefined && txQuery.isLocked() !== false;
+    let canBeIncoming = query.isIncoming() !== false && query.isOutgoing() !== true && query.hasDestinations() !== true && query.getDestinationAddresses() === undefined;
     let canBeOutgoing = query.isOutgoing() !== false && query.isIncoming() !== true;
 
     // check if fetching pool txs contradicted by configuration
@@ -1749,6 +1775,67 @@ class MoneroWalletRpc extends MoneroWallet {
     return resp.result.signed_key_images.map(rpcImage => new MoneroKeyImage(rpcImage.key_image, rpcImage.signature));
   }
   
+  /**
+   * Create a transaction which spends exactly the outputs with the given key
+   * images.
+   * 
+   * monero-wallet-rpc selects its own inputs, so the account's other unfrozen
+   * outputs are frozen while the transaction is created and thawed after.
+   * 
+   * @param {MoneroTxConfig} config - normalized config with the key images of the outputs to spend
+   * @return {MoneroTxWallet[]} the created transaction
+   */
+  async _createTxFromKeyImages(config) {
+    
+    // validate selected outputs are spendable from the account
+    let outputs = await this.getOutputs(new MoneroOutputQuery().setAccountIndex(config.getAccountIndex()).setIsSpent(false));
+    let outputsByKeyImage = new Map();
+    for (let output of outputs) if (output.getKeyImage() && output.getKeyImage().getHex()) outputsByKeyImage.set(output.getKeyImage().getHex(), output);
+    for (let keyImage of config.getKeyImages()) {
+      let output = outputsByKeyImage.get(keyImage);
+      if (!output) throw new MoneroError("Output to spend is not an unspent output of account " + config.getAccountIndex() + ": " + keyImage);
+      if (config.getSubaddressIndices() !== undefined && !config.getSubaddressIndices().includes(output.getSubaddressIndex())) throw new MoneroError("Output to spend is not in the subaddresses to transfer from: " + keyImage);
+      if (output.isFrozen()) throw new MoneroError("Output to spend is frozen: " + keyImage);
+      if (output.isLocked()) throw new MoneroError("Output to spend is locked: " + keyImage);
+    }
+    
+    // create tx without relaying while every other output is frozen
+    let relay = config.getRelay() === true;
+    let txs;
+    let frozenKeyImages = [];
+    try {
+      for (let [keyImage, output] of outputsByKeyImage) {
+        if (output.isFrozen() || config.getKeyImages().includes(keyImage)) continue;
+        await this.freezeOutput(keyImage);
+        frozenKeyImages.push(keyImage);
+      }
+      txs = await this.createTxs(config.copy().setKeyImages(undefined).setCanSplit(false).setRelay(false));
+    } catch (err) {
+      if (err.message && err.message.toLowerCase().includes("not enough")) throw new MoneroError("Outputs to spend do not cover amount plus fee: " + err.message);
+      throw err;
+    } finally {
+      for (let keyImage of frozenKeyImages) await this.thawOutput(keyImage);
+    }
+    
+    // wallet selects only the outputs it needs, so check every selected output is spent
+    let tx = txs[0];
+    let spentKeyImages = tx.getInputs() === undefined ? [] : tx.getInputs().map(input => input.getKeyImage().getHex());
+    for (let keyImage of config.getKeyImages()) {
+      if (!spentKeyImages.includes(keyImage)) throw new MoneroError("Transaction does not spend every selected output; reduce the outputs to spend: " + keyImage);
+    }
+    
+    // relay tx if requested
+    if (relay) {
+      await this.relayTxs([tx]);
+      tx.setRelay(true);
+      tx.setIsRelayed(true);
+      tx.setInTxPool(true);
+      tx.setLastRelayedTimestamp(+new Date().getTime());
+      tx.setIsDoubleSpend(false);
+    }
+    return txs;
+  }
+  
   async _rpcSweepAccount(config) {
     
     // validate config
@@ -1892,7 +1979,7 @@ class MoneroWalletRpc extends MoneroWallet {
       else if (key === "base_address") account.setPrimaryAddress(val);
       else if (key === "tag") account.setTag(val);
       else if (key === "label") { } // label belongs to first subaddress
-      else console.log("WARNING: ignoring unexpected account field: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_WALLET, "Ignoring unexpected account field: " + key + ": " + val);
     }
     if ("" === account.getTag()) account.setTag(undefined);
     return account;
@@ -1912,7 +1999,7 @@ class MoneroWalletRpc extends MoneroWallet {
       else if (key === "used") subaddress.setIsUsed(val);
       else if (key === "blocks_to_unlock") subaddress.setNumBlocksToUnlock(val);
       else if (key == "time_to_unlock") {}  // ignoring
-      else console.log("WARNING: ignoring unexpected subaddress field: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_WALLET, "Ignoring unexpected subaddress field: " + key + ": " + val);
     }
     return subaddress;
   }
@@ -2048,7 +2135,7 @@ class MoneroWalletRpc extends MoneroWallet {
         }
         assert(config.getDestinations().length, destinationIdx);
       }
-      else console.log("WARNING: ignoring unexpected transaction field: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_WALLET, "Ignoring unexpected transaction field: " + key + ": " + val);
     }
     
     return txSet;
@@ -2195,7 +2282,7 @@ class MoneroWalletRpc extends MoneroWallet {
           transfer.getDestinations().push(new MoneroDestination(config.getDestinations()[i].getAddress(), new BigInteger(amountsByDest[i])));
         }
       }
-      else console.log("WARNING: ignoring unexpected transaction field with transfer: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_WALLET, "Ignoring unexpected transaction field with transfer: " + key + ": " + val);
     }
     
     // link block and tx
@@ -2247,7 +2334,7 @@ class MoneroWalletRpc extends MoneroWallet {
         output.setSubaddressIndex(val.minor);
       }
       else if (key === "block_height") tx.setBlock(new MoneroBlock().setHeight(val).setTxs([tx]));
-      else console.log("WARNING: ignoring unexpected transaction field: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_WALLET, "Ignoring unexpected transaction field: " + key + ": " + val);
     }
     
     // initialize tx with output
@@ -2268,7 +2355,7 @@ class MoneroWalletRpc extends MoneroWallet {
         }
       }
       else if (key === "summary") { } // TODO: support tx set summary fields?
-      else console.log("WARNING: ignoring unexpected descdribe transfer field: " + key + ": " + val);
+      else LibraryUtils.logWarning(MoneroLogger.COMPONENT_WALLET, "Ignoring unexpected descdribe transfer field: " + key + ": " + val);
     }
     return txSet;
   }
@@ -2420,6 +2507,8 @@ class WalletPoller {
     this._prevConfirmedNotifications = new Set(); // tx hashes of previously confirmed but not yet unlocked notifications
     this._threadPool = new ThreadPool(1); // synchronize polls
     this._numPolling = 0;
+    this._reorgDetector = new WalletReorgDetector(wallet);
+    this._confirmationTracker = new WalletConfirmationTracker(wallet);
   }
   
   setIsPolling(isPolling) {
@@ -2432,6 +2521,11 @@ class WalletPoller {
     this._looper.setPeriodInMs(periodInMs);
   }
   
+  resetTracking() {
+    this._reorgDetector.reset();
+    this._confirmationTracker.reset();
+  }
+  
   async poll() {
     
     // synchronize polls
@@ -2455,13 +2549,24 @@ class WalletPoller {
           return;
         }
         
-        // announce height changes
+        // announce reorgs which detached wallet txs
         let height = await that._wallet.getHeight();
+        let reorg = await that._reorgDetector.checkForReorg(height);
+        if (reorg) {
+          for (let txHash of reorg.detachedTxHashes) that._prevConfirmedNotifications.delete(txHash); // announce again when reconfirmed
+          that._prevHeight = Math.min(that._prevHeight, reorg.forkHeight);
+        }
+        
+        // announce height changes
+        let isNewBlock = that._prevHeight !== height || reorg !== undefined;
         if (that._prevHeight !== height) {
           for (let i = that._prevHeight; i < height; i++) await that._onNewBlock(i);
           that._prevHeight = height;
         }
         
+        // announce txs which crossed confirmation thresholds
+        if (isNewBlock || !that._confirmationTracker.isTracking()) await that._confirmationTracker.checkForChanges(height);
+        
         // get locked txs for comparison to previous
         let minHeight = Math.max(0, height - 70); // only monitor recent txs
         let lockedTxs = await that._wallet.getTxs(new MoneroTxQuery().setIsLocked(true).setMinHeight(minHeight).setIncludeOutputs(true));
@@ -2500,7 +2605,7 @@ class WalletPoller {
         that._numPolling--;
       } catch (err) {
         that._numPolling--;
-        console.error("Failed to background poll " + await that._wallet.getPath());
+        LibraryUtils.logError(MoneroLogger.COMPONENT_WALLET, "Failed to background poll " + await that._wallet.getPath(), err);
       }
     });
   }
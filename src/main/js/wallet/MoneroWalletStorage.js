@@ -0,0 +1,60 @@
+const MoneroError = require("../common/MoneroError");
+
+/**
+ * <p>Storage adapter which persists the keys and cache data of a full wallet.</p>
+ *
+ * <p>Extend this class and override its methods to store wallets in a custom
+ * backend, e.g. a database or remote service. The keys and cache data are
+ * encrypted with the wallet's password before they are given to the adapter.</p>
+ *
+ * @interface
+ */
+class MoneroWalletStorage {
+
+  /**
+   * Indicates if a wallet exists at the given path.
+   *
+   * @param {string} path - path of the wallet
+   * @return {Promise<boolean>} true if a wallet exists at the path, false otherwise
+   */
+  async exists(path) {
+    throw new MoneroError("Not supported");
+  }
+
+  /**
+   * Load the data of a wallet.
+   *
+   * If the stored data is corrupt, the adapter may instead load data it can
+   * recover, e.g. from a backup, and describe what was recovered as a third
+   * element.
+   *
+   * @param {string} path - path of the wallet to load
+   * @return {Promise<Array>} the wallet's data as [keysData, cacheData, recovery], where the cache data may be empty and the MoneroWalletRecovery is optional
+   */
+  async load(path) {
+    throw new MoneroError("Not supported");
+  }
+
+  /**
+   * Save the data of a wallet, replacing any existing data at the path.
+   *
+   * @param {string} path - path of the wallet to save
+   * @param {Uint8Array} keysData - the wallet's keys data
+   * @param {Uint8Array} cacheData - the wallet's cache data
+   * @param {string} primaryAddress - the wallet's primary address for reference (optional)
+   */
+  async save(path, keysData, cacheData, primaryAddress) {
+    throw new MoneroError("Not supported");
+  }
+
+  /**
+   * Delete the data of a wallet if it exists.
+   *
+   * @param {string} path - path of the wallet to delete
+   */
+  async delete(path) {
+    throw new MoneroError("Not supported");
+  }
+}
+
+module.exports = MoneroWalletStorage;
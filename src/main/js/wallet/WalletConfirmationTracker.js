@@ -0,0 +1,84 @@
+const MoneroTxQuery = require("./model/MoneroTxQuery");
+const MoneroWalletListener = require("./model/MoneroWalletListener");
+
+/**
+ * Tracks the confirmations of a wallet's recent transactions and notifies
+ * listeners as they cross their confirmation thresholds or unlock.
+ *
+ * Transactions are only tracked while a registered listener overrides
+ * onTxConfirmationsChanged().
+ *
+ * @private
+ */
+class WalletConfirmationTracker {
+
+  constructor(wallet) {
+    this._wallet = wallet;
+  }
+
+  /**
+   * Get the listeners which handle confirmation notifications.
+   *
+   * @return {MoneroWalletListener[]} listeners which override onTxConfirmationsChanged()
+   */
+  getListeners() {
+    return this._wallet.getListeners().filter(listener => listener.onTxConfirmationsChanged !== MoneroWalletListener.prototype.onTxConfirmationsChanged);
+  }
+
+  /**
+   * Indicates if the tracker has a snapshot to compare against.
+   *
+   * @return {boolean} true if transactions are tracked, false otherwise
+   */
+  isTracking() {
+    return this._prevTxs !== undefined;
+  }
+
+  /**
+   * Discard tracked transactions.
+   */
+  reset() {
+    this._prevTxs = undefined;
+  }
+
+  /**
+   * Compare the wallet's recent transactions to the last snapshot and notify
+   * listeners of crossed thresholds.
+   *
+   * @param {number} height - the wallet's current height
+   */
+  async checkForChanges(height) {
+    let listeners = this.getListeners();
+    if (!listeners.length) {
+      this.reset();
+      return;
+    }
+
+    // fetch recently confirmed txs
+    let maxThreshold = 0;
+    for (let listener of listeners) maxThreshold = Math.max(maxThreshold, ...listener.getConfirmationThresholds());
+    let minHeight = Math.max(0, height - Math.max(maxThreshold, WalletConfirmationTracker.MIN_DEPTH));
+    let txs = await this._wallet.getTxs(new MoneroTxQuery().setIsConfirmed(true).setMinHeight(minHeight));
+
+    // snapshot confirmations and lock status
+    let prevTxs = this._prevTxs;
+    this._prevTxs = new Map();
+    for (let tx of txs) this._prevTxs.set(tx.getHash(), {numConfirmations: tx.getNumConfirmations(), isLocked: tx.isLocked()});
+    if (prevTxs === undefined) return;
+
+    // notify listeners of txs which crossed their thresholds or unlocked, treating new txs as unconfirmed
+    for (let tx of txs) {
+      let prevTx = prevTxs.get(tx.getHash());
+      let prevNumConfirmations = prevTx ? prevTx.numConfirmations : 0;
+      let isUnlocked = (prevTx ? prevTx.isLocked : true) && !tx.isLocked();
+      for (let listener of listeners) {
+        let isThresholdCrossed = listener.getConfirmationThresholds().some(threshold => prevNumConfirmations < threshold && tx.getNumConfirmations() >= threshold);
+        if (isThresholdCrossed || isUnlocked) await listener.onTxConfirmationsChanged(tx);
+      }
+    }
+  }
+}
+
+WalletConfirmationTracker.MIN_DEPTH = 70; // minimum number of recent blocks to track txs in
+
+module.exports = WalletConfirmationTracker;
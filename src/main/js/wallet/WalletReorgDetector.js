@@ -0,0 +1,83 @@
+const MoneroTxQuery = require("./model/MoneroTxQuery");
+const MoneroWalletListener = require("./model/MoneroWalletListener");
+
+/**
+ * Detects chain reorganizations which detach a wallet's confirmed transactions
+ * by comparing snapshots of the wallet's recently confirmed transactions.
+ *
+ * Snapshots are only taken while a registered listener overrides onReorg().
+ *
+ * @private
+ */
+class WalletReorgDetector {
+
+  constructor(wallet) {
+    this._wallet = wallet;
+  }
+
+  /**
+   * Indicates if a registered listener handles reorg notifications.
+   *
+   * @return {boolean} true if a listener overrides onReorg(), false otherwise
+   */
+  isEnabled() {
+    for (let listener of this._wallet.getListeners()) {
+      if (listener.onReorg !== MoneroWalletListener.prototype.onReorg) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Discard the last snapshot, e.g. after rescanning the blockchain.
+   */
+  reset() {
+    this._prevHeight = undefined;
+    this._prevTxHeights = undefined;
+  }
+
+  /**
+   * Compare the wallet's recently confirmed transactions to the last snapshot
+   * and notify listeners if blocks containing them were detached.
+   *
+   * @param {number} height - the wallet's current height
+   * @return {object} the fork height and detached tx hashes if reorged, undefined otherwise
+   */
+  async checkForReorg(height) {
+    if (!this.isEnabled()) {
+      this.reset();
+      return undefined;
+    }
+
+    // snapshot heights of recently confirmed txs
+    let minHeight = Math.max(0, height - WalletReorgDetector.MAX_DEPTH);
+    let txHeights = new Map();
+    for (let tx of await this._wallet.getTxs(new MoneroTxQuery().setIsConfirmed(true).setMinHeight(minHeight))) txHeights.set(tx.getHash(), tx.getHeight());
+    let prevHeight = this._prevHeight;
+    let prevTxHeights = this._prevTxHeights;
+    this._prevHeight = height;
+    this._prevTxHeights = txHeights;
+    if (prevTxHeights === undefined) return undefined;
+
+    // fork is at or below the lowest tx which is no longer confirmed at the same height
+    let forkHeight = height < prevHeight ? height : undefined;
+    for (let [txHash, txHeight] of prevTxHeights) {
+      if (txHeight < minHeight || txHeights.get(txHash) === txHeight) continue;
+      if (forkHeight === undefined || txHeight < forkHeight) forkHeight = txHeight;
+    }
+    if (forkHeight === undefined) return undefined;
+
+    // collect txs confirmed in detached blocks
+    let detachedTxHashes = [];
+    for (let [txHash, txHeight] of prevTxHeights) {
+      if (txHeight >= forkHeight) detachedTxHashes.push(txHash);
+    }
+
+    // notify listeners
+    for (let listener of this._wallet.getListeners()) await listener.onReorg(forkHeight, detachedTxHashes);
+    return {forkHeight: forkHeight, detachedTxHashes: detachedTxHashes};
+  }
+}
+
+WalletReorgDetector.MAX_DEPTH = 70; // maximum depth of reorgs to detect in blocks
+
+module.exports = WalletReorgDetector;
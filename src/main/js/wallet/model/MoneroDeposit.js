@@ -0,0 +1,116 @@
+const BigInteger = require("../../common/biginteger").BigInteger;
+
+/**
+ * Deposit to a subaddress watched by a MoneroDepositWatcher.
+ */
+class MoneroDeposit {
+
+  constructor(state) {
+    this.state = Object.assign({}, state);
+    if (this.state.amount !== undefined && !(this.state.amount instanceof BigInteger)) this.state.amount = BigInteger.parse(this.state.amount);
+  }
+
+  toJson() {
+    let json = Object.assign({}, this.state);
+    if (json.amount) json.amount = json.amount.toString();
+    return json;
+  }
+
+  /**
+   * Get the deposit's unique and stable identifier, which can be used to
+   * credit the deposit idempotently.
+   *
+   * @return {string} the deposit's identifier of format "<tx hash>:<account index>:<subaddress index>"
+   */
+  getId() {
+    return MoneroDeposit.getId(this.getTxHash(), this.getAccountIndex(), this.getSubaddressIndex());
+  }
+
+  /**
+   * Get the external identifier (e.g. customer id) mapped to the deposit's subaddress.
+   *
+   * @return {string} the external identifier
+   */
+  getExternalId() {
+    return this.state.externalId;
+  }
+
+  setExternalId(externalId) {
+    this.state.externalId = externalId;
+    return this;
+  }
+
+  getTxHash() {
+    return this.state.txHash;
+  }
+
+  setTxHash(txHash) {
+    this.state.txHash = txHash;
+    return this;
+  }
+
+  getAccountIndex() {
+    return this.state.accountIndex;
+  }
+
+  setAccountIndex(accountIndex) {
+    this.state.accountIndex = accountIndex;
+    return this;
+  }
+
+  getSubaddressIndex() {
+    return this.state.subaddressIndex;
+  }
+
+  setSubaddressIndex(subaddressIndex) {
+    this.state.subaddressIndex = subaddressIndex;
+    return this;
+  }
+
+  /**
+   * Get the total amount the transaction deposited to the subaddress.
+   *
+   * @return {BigInteger} the amount deposited
+   */
+  getAmount() {
+    return this.state.amount;
+  }
+
+  setAmount(amount) {
+    this.state.amount = amount;
+    return this;
+  }
+
+  getHeight() {
+    return this.state.height;
+  }
+
+  setHeight(height) {
+    this.state.height = height;
+    return this;
+  }
+
+  getNumConfirmations() {
+    return this.state.numConfirmations;
+  }
+
+  setNumConfirmations(numConfirmations) {
+    this.state.numConfirmations = numConfirmations;
+    return this;
+  }
+
+  isLocked() {
+    return this.state.isLocked;
+  }
+
+  setIsLocked(isLocked) {
+    this.state.isLocked = isLocked;
+    return this;
+  }
+
+  static getId(txHash, accountIdx, subaddressIdx) {
+    return txHash + ":" + accountIdx + ":" + subaddressIdx;
+  }
+}
+
+module.exports = MoneroDeposit;
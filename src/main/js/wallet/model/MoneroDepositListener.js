@@ -0,0 +1,37 @@
+/**
+ * Default deposit listener which takes no action on notifications.
+ *
+ * Notifications are delivered at least once per deposit, including across
+ * restarts of a MoneroDepositWatcher using the same store. A notification is
+ * checkpointed after every listener returns, so a notification which throws
+ * or is interrupted by a crash is invoked again on the next scan. Use
+ * MoneroDeposit.getId() as an idempotency key when crediting deposits.
+ */
+class MoneroDepositListener {
+
+  /**
+   * Invoked when a deposit is first seen, confirmed or not.
+   *
+   * @param {MoneroDeposit} deposit - the received deposit
+   */
+  async onDepositReceived(deposit) { }
+
+  /**
+   * Invoked when a deposit reaches the watcher's required number of
+   * confirmations, at which point it can be credited.
+   *
+   * @param {MoneroDeposit} deposit - the confirmed deposit
+   */
+  async onDepositConfirmed(deposit) { }
+
+  /**
+   * Invoked when a received or confirmed deposit is reversed because its
+   * transaction was detached by a reorg, failed, or was dropped from the pool.
+   * The deposit is notified as received again if its transaction returns.
+   *
+   * @param {MoneroDeposit} deposit - the reversed deposit as last notified
+   */
+  async onDepositReversed(deposit) { }
+}
+
+module.exports = MoneroDepositListener;
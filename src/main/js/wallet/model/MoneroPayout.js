@@ -0,0 +1,162 @@
+const BigInteger = require("../../common/biginteger").BigInteger;
+
+/**
+ * Payout to a destination which is sent by a MoneroPayoutScheduler.
+ */
+class MoneroPayout {
+
+  constructor(state) {
+    this.state = Object.assign({}, state);
+    if (this.state.amount !== undefined && !(this.state.amount instanceof BigInteger)) this.state.amount = BigInteger.parse(this.state.amount);
+    if (this.state.fee !== undefined && !(this.state.fee instanceof BigInteger)) this.state.fee = BigInteger.parse(this.state.fee);
+  }
+
+  toJson() {
+    let json = Object.assign({}, this.state);
+    if (json.amount) json.amount = json.amount.toString();
+    if (json.fee) json.fee = json.fee.toString();
+    return json;
+  }
+
+  /**
+   * Get the payout's unique identifier, which is used to add the payout
+   * idempotently.
+   *
+   * @return {string} the payout's identifier
+   */
+  getId() {
+    return this.state.id;
+  }
+
+  setId(id) {
+    this.state.id = id;
+    return this;
+  }
+
+  getAddress() {
+    return this.state.address;
+  }
+
+  setAddress(address) {
+    this.state.address = address;
+    return this;
+  }
+
+  getAmount() {
+    return this.state.amount;
+  }
+
+  setAmount(amount) {
+    this.state.amount = amount;
+    return this;
+  }
+
+  /**
+   * Get the status of the payout.
+   *
+   * @return {string} MoneroPayout.STATUS_PENDING, STATUS_RELAYING, STATUS_SENT, or STATUS_FAILED
+   */
+  getStatus() {
+    return this.state.status;
+  }
+
+  setStatus(status) {
+    this.state.status = status;
+    return this;
+  }
+
+  /**
+   * Get the hash of the transaction which sends the payout.
+   *
+   * @return {string} the hash of the transaction, or undefined if not sent
+   */
+  getTxHash() {
+    return this.state.txHash;
+  }
+
+  setTxHash(txHash) {
+    this.state.txHash = txHash;
+    return this;
+  }
+
+  /**
+   * Get the metadata of the transaction which sends the payout, which is kept
+   * while the transaction is relayed.
+   *
+   * @return {string} the metadata of the transaction
+   */
+  getTxMetadata() {
+    return this.state.txMetadata;
+  }
+
+  setTxMetadata(txMetadata) {
+    this.state.txMetadata = txMetadata;
+    return this;
+  }
+
+  /**
+   * Get the key images of the outputs spent by the transaction which sends
+   * the payout, which are kept while the transaction is relayed to detect if
+   * it is rejected.
+   *
+   * @return {string[]} the key images of the transaction's inputs
+   */
+  getKeyImages() {
+    return this.state.keyImages;
+  }
+
+  setKeyImages(keyImages) {
+    this.state.keyImages = keyImages;
+    return this;
+  }
+
+  /**
+   * Get the payout's share of its transaction's fee, which is split evenly
+   * among the payouts in the transaction.
+   *
+   * @return {BigInteger} the payout's share of the fee, or undefined if not sent
+   */
+  getFee() {
+    return this.state.fee;
+  }
+
+  setFee(fee) {
+    this.state.fee = fee;
+    return this;
+  }
+
+  /**
+   * Get the number of failed attempts to send the payout.
+   *
+   * @return {number} the number of failed attempts
+   */
+  getNumAttempts() {
+    return this.state.numAttempts;
+  }
+
+  setNumAttempts(numAttempts) {
+    this.state.numAttempts = numAttempts;
+    return this;
+  }
+
+  /**
+   * Get the error of the last failed attempt to send the payout.
+   *
+   * @return {string} the error message, or undefined if no attempt failed
+   */
+  getError() {
+    return this.state.error;
+  }
+
+  setError(error) {
+    this.state.error = error;
+    return this;
+  }
+}
+
+MoneroPayout.STATUS_PENDING = "pending";   // waiting to be sent
+MoneroPayout.STATUS_RELAYING = "relaying"; // transaction created and relayed until the wallet sees it or it is rejected
+MoneroPayout.STATUS_SENT = "sent";         // transaction seen by the wallet
+MoneroPayout.STATUS_FAILED = "failed";     // transaction could not be sent within the maximum number of attempts
+
+module.exports = MoneroPayout;
@@ -0,0 +1,25 @@
+/**
+ * Default payout listener which takes no action on notifications.
+ *
+ * Each notification is invoked once per payout. A payout's status is
+ * persisted before its listeners are notified.
+ */
+class MoneroPayoutListener {
+
+  /**
+   * Invoked when the transaction which sends a payout is relayed.
+   *
+   * @param {MoneroPayout} payout - the sent payout with its transaction hash and fee
+   */
+  async onPayoutSent(payout) { }
+
+  /**
+   * Invoked when a payout cannot be sent within the scheduler's maximum
+   * number of attempts.
+   *
+   * @param {MoneroPayout} payout - the failed payout with its last error
+   */
+  async onPayoutFailed(payout) { }
+}
+
+module.exports = MoneroPayoutListener;
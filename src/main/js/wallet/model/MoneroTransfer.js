@@ -1,6 +1,8 @@
 const assert = require("assert");
 const BigInteger = require("../../common/biginteger").BigInteger;
 const GenUtils = require("../../common/GenUtils");
+const LibraryUtils = require("../../common/LibraryUtils");
+const MoneroLogger = require("../../common/MoneroLogger");
 
 /**
  * Models a base transfer of funds to or from the wallet.
@@ -104,7 +106,7 @@ class MoneroTransfer {
     
     // TODO monero-project: failed tx in pool (after testUpdateLockedDifferentAccounts()) causes non-originating saved wallets to return duplicate incoming transfers but one has amount of 0
     if (this.getAmount() !== undefined && transfer.getAmount() !== undefined && this.getAmount().compare(transfer.getAmount()) !== 0 && (this.getAmount().compare(BigInteger.parse("0")) === 0 || transfer.getAmount().compare(BigInteger.parse("0")) === 0)) {
-      console.warn("monero-project returning transfers with 0 amount/numSuggestedConfirmations");
+      LibraryUtils.logWarning(MoneroLogger.COMPONENT_WALLET, "monero-project returning transfers with 0 amount/numSuggestedConfirmations");
     } else {
       this.setAmount(GenUtils.reconcile(this.getAmount(), transfer.getAmount()));
     }
@@ -1,6 +1,7 @@
 const MoneroIncomingTransfer = require("./MoneroIncomingTransfer");
 const MoneroOutgoingTransfer = require("./MoneroOutgoingTransfer");
 const MoneroTransfer = require("./MoneroTransfer");
+const BigInteger = require("../../common/biginteger").BigInteger;
 const MoneroError = require("../../common/MoneroError")
 
 /**
@@ -27,6 +28,8 @@ class MoneroTransferQuery extends MoneroTransfer {
    * 
    * @param {object} config - transfer query configuration (optional)
    * @param {BigInteger} config.amount - get transfers with this amount
+   * @param {BigInteger|string} config.minAmount - get transfers with an amount greater than or equal to this amount
+   * @param {BigInteger|string} config.maxAmount - get transfers with an amount less than or equal to this amount
    * @param {int} config.accountIndex - get transfers to/from this account index
    * @param {int} config.subaddressIndex - get transfers to/from this subaddress index
    * @param {int[]} config.subaddressIndices - get transfers to/from these subaddress indices
@@ -35,7 +38,13 @@ class MoneroTransferQuery extends MoneroTransfer {
    * @param {boolean} config.isIncoming - get transfers which are incoming if true
    * @param {boolean} config.isOutgoing - get transfers which are outgoing if true
    * @param {boolean} config.hasDestinations - get transfers with known destinations if true (destinations are only stored locally with the wallet)
+   * @param {string} config.destinationAddress - get outgoing transfers with a destination to this address
+   * @param {string[]} config.destinationAddresses - get outgoing transfers with a destination to one of these addresses
+   * @param {string} config.destinationLabel - get outgoing transfers with a destination whose address book description contains this text, ignoring case
    * @param {object|MoneroTxQuery} config.txQuery - get transfers whose tx match this tx query
+   * @param {boolean} config.sortDescending - sort transfers by tx height in descending order if true or ascending order if false, with unconfirmed txs as the newest (default wallet order)
+   * @param {int} config.offset - skip this many transfers which meet the query (default 0)
+   * @param {int} config.limit - get at most this many transfers (default no limit)
    */
   constructor(config) {
     super(config);
@@ -45,6 +54,16 @@ class MoneroTransferQuery extends MoneroTransfer {
     if (this.state.txQuery && !(this.state.txQuery instanceof MoneroTxQuery)) this.state.txQuery = new MoneroTxQuery(this.state.txQuery);
     if (this.state.txQuery) this.state.txQuery.setTransferQuery(this);
     
+    // deserialize amounts
+    if (this.state.minAmount !== undefined && !(this.state.minAmount instanceof BigInteger)) this.state.minAmount = BigInteger.parse(this.state.minAmount);
+    if (this.state.maxAmount !== undefined && !(this.state.maxAmount instanceof BigInteger)) this.state.maxAmount = BigInteger.parse(this.state.maxAmount);
+    
+    // alias 'destinationAddress' to destination addresses
+    if (this.state.destinationAddress) {
+      this.setDestinationAddresses([this.state.destinationAddress]);
+      delete this.state.destinationAddress;
+    }
+    
     // alias isOutgoing to isIncoming
     if (this.state.isOutgoing !== undefined) this.state.isIncoming = !this.state.isOutgoing;
     
@@ -58,6 +77,8 @@ class MoneroTransferQuery extends MoneroTransfer {
   
   toJson() {
     let json = Object.assign({}, this.state, super.toJson());
+    if (this.getMinAmount() !== undefined) json.minAmount = this.getMinAmount().toString();
+    if (this.getMaxAmount() !== undefined) json.maxAmount = this.getMaxAmount().toString();
     delete json.txQuery;
     return json;
   }
@@ -137,6 +158,46 @@ class MoneroTransferQuery extends MoneroTransfer {
     return this;
   }
   
+  getMinAmount() {
+    return this.state.minAmount;
+  }
+  
+  setMinAmount(minAmount) {
+    this.state.minAmount = minAmount;
+    return this;
+  }
+  
+  getMaxAmount() {
+    return this.state.maxAmount;
+  }
+  
+  setMaxAmount(maxAmount) {
+    this.state.maxAmount = maxAmount;
+    return this;
+  }
+  
+  getDestinationAddresses() {
+    return this.state.destinationAddresses;
+  }
+  
+  setDestinationAddresses(destinationAddresses) {
+    this.state.destinationAddresses = destinationAddresses;
+    return this;
+  }
+  
+  setDestinationAddress(destinationAddress) {
+    return this.setDestinationAddresses(destinationAddress === undefined ? undefined : [destinationAddress]);
+  }
+  
+  getDestinationLabel() {
+    return this.state.destinationLabel;
+  }
+  
+  setDestinationLabel(destinationLabel) {
+    this.state.destinationLabel = destinationLabel;
+    return this;
+  }
+  
   hasDestinations() {
     return this.state.hasDestinations;
   }
@@ -146,6 +207,33 @@ class MoneroTransferQuery extends MoneroTransfer {
     return this;
   }
   
+  getOffset() {
+    return this.state.offset;
+  }
+  
+  setOffset(offset) {
+    this.state.offset = offset;
+    return this;
+  }
+  
+  getLimit() {
+    return this.state.limit;
+  }
+  
+  setLimit(limit) {
+    this.state.limit = limit;
+    return this;
+  }
+  
+  isSortDescending() {
+    return this.state.sortDescending;
+  }
+  
+  setSortDescending(sortDescending) {
+    this.state.sortDescending = sortDescending;
+    return this;
+  }
+  
   /**
    * Convenience method to query outputs by the locked state of their tx.
    * 
@@ -161,16 +249,20 @@ class MoneroTransferQuery extends MoneroTransfer {
   meetsCriteria(transfer, queryParent) {
     if (!(transfer instanceof MoneroTransfer)) throw new Error("Transfer not given to MoneroTransferQuery.meetsCriteria(transfer)");
     if (queryParent === undefined) queryParent = true;
+    if (this.getDestinationLabel() !== undefined) throw new MoneroError("Destination label must be resolved to destination addresses through the wallet's address book");
     
     // filter on common fields
     if (this.isIncoming() !== undefined && this.isIncoming() !== transfer.isIncoming()) return false;
     if (this.isOutgoing() !== undefined && this.isOutgoing() !== transfer.isOutgoing()) return false;
     if (this.getAmount() !== undefined && this.getAmount().compare(transfer.getAmount()) !== 0) return false;
     if (this.getAccountIndex() !== undefined && this.getAccountIndex() !== transfer.getAccountIndex()) return false;
+    if (this.getMinAmount() !== undefined && (transfer.getAmount() === undefined || transfer.getAmount().compare(this.getMinAmount()) < 0)) return false;
+    if (this.getMaxAmount() !== undefined && (transfer.getAmount() === undefined || transfer.getAmount().compare(this.getMaxAmount()) > 0)) return false;
     
     // filter on incoming fields
     if (transfer instanceof MoneroIncomingTransfer) {
       if (this.hasDestinations()) return false;
+      if (this.getDestinationAddresses() !== undefined) return false;
       if (this.getAddress() !== undefined && this.getAddress() !== transfer.getAddress()) return false;
       if (this.getAddresses() !== undefined && !this.getAddresses().includes(transfer.getAddress())) return false;
       if (this.getSubaddressIndex() !== undefined && this.getSubaddressIndex() !== transfer.getSubaddressIndex()) return false;
@@ -200,6 +292,12 @@ class MoneroTransferQuery extends MoneroTransfer {
         if (!this.hasDestinations() && transfer.getDestinations() !== undefined) return false;
       }
       
+      // filter on destination addresses which must have overlap
+      if (this.getDestinationAddresses() !== undefined) {
+        if (!transfer.getDestinations()) return false;
+        if (!transfer.getDestinations().some(destination => this.getDestinationAddresses().includes(destination.getAddress()))) return false;
+      }
+      
       // filter on destinations TODO: start with test for this
 //    if (this.getDestionations() !== undefined && this.getDestionations() !== transfer.getDestionations()) return false;
     }
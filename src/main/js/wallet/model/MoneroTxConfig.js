@@ -42,6 +42,7 @@ class MoneroTxConfig {
    * @param {BigInteger} config.belowAmount - for sweep requests, include outputs below this amount when sweeping wallet, account, subaddress, or all unlocked funds 
    * @param {boolean} config.sweepEachSubaddress - for sweep requests, sweep each subaddress individually instead of together if true
    * @param {string} config.keyImage - key image to sweep (ignored except in sweepOutput() requests)
+   * @param {string[]} config.keyImages - key images of the outputs to spend (optional, only supported by createTx() and createTxs() requests)
    */
   constructor(config, relaxValidation) {  // relax validation for internal use to process json from rpc or cpp
     if (arguments.length > 2) throw new MoneroError("MoneroTxConfig can be constructed with only two parameters but was given " + arguments.length)
@@ -243,6 +244,28 @@ class MoneroTxConfig {
     return this;
   }
   
+  /**
+   * Get the key images of the outputs to spend.
+   * 
+   * @return {string[]} the key images of the outputs to spend or undefined to let the wallet select outputs
+   */
+  getKeyImages() {
+    return this.state.keyImages;
+  }
+  
+  /**
+   * Set the key images of the outputs to spend. The wallet spends only these
+   * outputs, which must cover the amount plus fee.
+   * 
+   * @param {string[]} keyImages - the key images of the outputs to spend or undefined to let the wallet select outputs
+   * @return {MoneroTxConfig} this configuration for chaining
+   */
+  setKeyImages(keyImages) {
+    if (arguments.length > 1) keyImages = Array.from(arguments);
+    this.state.keyImages = keyImages;
+    return this;
+  }
+  
   getUnlockTime() {
     return this.state.unlockTime;
   }
@@ -335,6 +358,6 @@ class MoneroTxConfig {
   }
 }
 
-MoneroTxConfig.SUPPORTED_FIELDS = ["address", "amount", "accountIndex", "subaddressIndex", "subaddressIndices", "relay", "priority", "destinations", "subtractFeeFrom", "paymentId", "unlockTime", "note", "recipientName", "canSplit", "belowAmount", "sweepEachSubaddress", "keyImage"];
+MoneroTxConfig.SUPPORTED_FIELDS = ["address", "amount", "accountIndex", "subaddressIndex", "subaddressIndices", "relay", "priority", "destinations", "subtractFeeFrom", "paymentId", "unlockTime", "note", "recipientName", "canSplit", "belowAmount", "sweepEachSubaddress", "keyImage", "keyImages"];
 
 module.exports = MoneroTxConfig
\ No newline at end of file
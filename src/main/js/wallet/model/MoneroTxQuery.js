@@ -47,9 +47,15 @@ class MoneroTxQuery extends MoneroTxWallet {
    * @param {string} config.paymentId - get txs with this payment ID
    * @param {string} config.paymentIds - get txs with a payment ID among these payment IDs
    * @param {boolean} config.hasPaymentId - get txs with or without payment IDs
+   * @param {int} config.minTimestamp - get txs with a block timestamp greater than or equal to this timestamp in seconds
+   * @param {int} config.maxTimestamp - get txs with a block timestamp less than or equal to this timestamp in seconds
+   * @param {string} config.noteContains - get txs with a note which contains this text, ignoring case
    * @param {object|MoneroTransferQuery} config.transferQuery - get txs with transfers matching this transfer query
    * @param {object|MoneroOutputQuery} config.inputQuery - get txs with inputs matching this input query
    * @param {object|MoneroOutputQuery} config.outputQuery - get txs with outputs matching this output query
+   * @param {boolean} config.sortDescending - sort txs by height in descending order if true or ascending order if false, with unconfirmed txs as the newest (default wallet order)
+   * @param {int} config.offset - skip this many txs which meet the query (default 0)
+   * @param {int} config.limit - get at most this many txs (default no limit)
    */
   constructor(config) {
     super(config);
@@ -168,6 +174,33 @@ class MoneroTxQuery extends MoneroTxWallet {
     return this;
   }
   
+  getMinTimestamp() {
+    return this.state.minTimestamp;
+  }
+  
+  setMinTimestamp(minTimestamp) {
+    this.state.minTimestamp = minTimestamp;
+    return this;
+  }
+  
+  getMaxTimestamp() {
+    return this.state.maxTimestamp;
+  }
+  
+  setMaxTimestamp(maxTimestamp) {
+    this.state.maxTimestamp = maxTimestamp;
+    return this;
+  }
+  
+  getNoteContains() {
+    return this.state.noteContains;
+  }
+  
+  setNoteContains(noteContains) {
+    this.state.noteContains = noteContains;
+    return this;
+  }
+  
   getIncludeOutputs() {
     return this.state.includeOutputs;
   }
@@ -177,6 +210,33 @@ class MoneroTxQuery extends MoneroTxWallet {
     return this;
   }
   
+  getOffset() {
+    return this.state.offset;
+  }
+  
+  setOffset(offset) {
+    this.state.offset = offset;
+    return this;
+  }
+  
+  getLimit() {
+    return this.state.limit;
+  }
+  
+  setLimit(limit) {
+    this.state.limit = limit;
+    return this;
+  }
+  
+  isSortDescending() {
+    return this.state.sortDescending;
+  }
+  
+  setSortDescending(sortDescending) {
+    this.state.sortDescending = sortDescending;
+    return this;
+  }
+  
   getTransferQuery() {
     return this.state.transferQuery;
   }
@@ -247,6 +307,10 @@ class MoneroTxQuery extends MoneroTxWallet {
     if (this.getHeight() !== undefined && (txHeight === undefined || txHeight !== this.getHeight())) return false;
     if (this.getMinHeight() !== undefined && txHeight !== undefined && txHeight < this.getMinHeight()) return false; // do not filter unconfirmed
     if (this.getMaxHeight() !== undefined && (txHeight === undefined || txHeight > this.getMaxHeight())) return false;
+    let txTimestamp = tx.getBlock() === undefined ? undefined : tx.getBlock().getTimestamp();
+    if (this.getMinTimestamp() !== undefined && txTimestamp !== undefined && txTimestamp < this.getMinTimestamp()) return false; // do not filter unconfirmed
+    if (this.getMaxTimestamp() !== undefined && (txTimestamp === undefined || txTimestamp > this.getMaxTimestamp())) return false;
+    if (this.getNoteContains() !== undefined && (tx.getNote() === undefined || !tx.getNote().toLowerCase().includes(this.getNoteContains().toLowerCase()))) return false;
     // TODO: filtering not complete
     
     // done if not querying transfers or outputs
@@ -12,6 +12,8 @@ class MoneroWalletConfig {
    * Construct a configuration to open or create a wallet.
    * 
    * @param {object|MoneroWalletConfig} config - MoneroWalletConfig or equivalent config object
+   * @param {string} config.type - type of wallet to open or create with MoneroWallet.create() or open(): "full", "keys" or "rpc"
+   * @param {string|string[]|object|MoneroRpcConnection} config.rpc - uri, connection, or command line to start monero-wallet-rpc if type is "rpc"
    * @param {string} config.path - path of the wallet to open or create
    * @param {string} config.password - password of the wallet to open
    * @param {string|number} config.networkType - network type of the wallet to open (one of "mainnet", "testnet", "stagenet" or MoneroNetworkType.MAINNET|TESTNET|STAGENET)
@@ -34,6 +36,7 @@ class MoneroWalletConfig {
    * @param {Uint8Array} config.cacheData - wallet cache data to open (optional)
    * @param {boolean} config.proxyToWorker - proxies wallet operations to a worker in order to not block the main thread (default true)
    * @param {fs} config.fs - Node.js compatible file system to use (defaults to disk or in-memory FS if browser)
+   * @param {MoneroWalletStorage} config.storage - storage adapter to load and save the wallet with instead of a file system (optional)
    * @param {boolean} config.saveCurrent - specifies if the current RPC wallet should be saved before being closed
    * @param {number} config.accountLookahead - number of accounts to scan (optional)
    * @param {number} config.subaddressLookahead - number of subaddresses to scan per account (optional)
@@ -67,9 +70,28 @@ class MoneroWalletConfig {
   toJson() {
     let json = Object.assign({}, this.config);
     json.fs = undefined; // remove filesystem
+    json.storage = undefined; // remove storage adapter
     return json;
   }
   
+  getType() {
+    return this.config.type;
+  }
+  
+  setType(type) {
+    this.config.type = type;
+    return this;
+  }
+  
+  getRpc() {
+    return this.config.rpc;
+  }
+  
+  setRpc(rpc) {
+    this.config.rpc = rpc;
+    return this;
+  }
+  
   getPath() {
     return this.config.path;
   }
@@ -245,6 +267,15 @@ class MoneroWalletConfig {
     return this;
   }
   
+  getStorage() {
+    return this.config.storage;
+  }
+  
+  setStorage(storage) {
+    this.config.storage = storage;
+    return this;
+  }
+  
   getKeysData() {
     return this.config.keysData;
   }
@@ -282,6 +313,6 @@ class MoneroWalletConfig {
   }
 }
 
-MoneroWalletConfig.SUPPORTED_FIELDS = ["path", "password", "networkType", "serverUri", "serverUsername", "serverPassword", "rejectUnauthorized", "seed", "seedOffset", "isMultisig", "primaryAddress", "privateViewKey", "privateSpendKey", "restoreHeight", "language", "saveCurrent", "proxyToWorker", "fs", "keysData", "cacheData", "accountLookahead", "subaddressLookahead"];
+MoneroWalletConfig.SUPPORTED_FIELDS = ["type", "rpc", "path", "password", "networkType", "serverUri", "serverUsername", "serverPassword", "rejectUnauthorized", "seed", "seedOffset", "isMultisig", "primaryAddress", "privateViewKey", "privateSpendKey", "restoreHeight", "language", "saveCurrent", "proxyToWorker", "fs", "storage", "keysData", "cacheData", "accountLookahead", "subaddressLookahead"];
 
 module.exports = MoneroWalletConfig;
\ No newline at end of file
@@ -47,6 +47,37 @@ class MoneroWalletListener {
    * @param {MoneroOutputWallet} output - the spent output
    */
   async onOutputSpent(output) { }
+  
+  /**
+   * Invoked when a chain reorganization detaches blocks containing the wallet's
+   * confirmed transactions, e.g. to reverse credited deposits.
+   * 
+   * Detached transactions may return to the pool or be confirmed again in a later block.
+   * 
+   * @param {number} forkHeight - height of the first detached block
+   * @param {string[]} detachedTxHashes - hashes of the wallet's transactions which were confirmed in detached blocks
+   */
+  async onReorg(forkHeight, detachedTxHashes) { }
+  
+  /**
+   * Invoked when one of the wallet's transactions reaches a number of confirmations
+   * given by getConfirmationThresholds() or becomes unlocked.
+   * 
+   * Invoked at most once per new block per transaction, so a transaction which crosses
+   * multiple thresholds at once, e.g. after syncing many blocks, is notified once.
+   * 
+   * @param {MoneroTxWallet} tx - the transaction with its current number of confirmations and lock status
+   */
+  async onTxConfirmationsChanged(tx) { }
+  
+  /**
+   * Get the numbers of confirmations at which to invoke onTxConfirmationsChanged().
+   * 
+   * @return {number[]} the confirmation thresholds (default [1, 10])
+   */
+  getConfirmationThresholds() {
+    return [1, 10];
+  }
 }
 
 module.exports = MoneroWalletListener;
\ No newline at end of file
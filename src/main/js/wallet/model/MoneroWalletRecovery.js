@@ -0,0 +1,60 @@
+/**
+ * Describes wallet data which was recovered because the stored data was
+ * corrupt when the wallet was opened.
+ */
+class MoneroWalletRecovery {
+
+  constructor(state) {
+    this.state = Object.assign({}, state);
+  }
+
+  toJson() {
+    return Object.assign({}, this.state);
+  }
+
+  /**
+   * Get the index of the backup the wallet was recovered from, with 1 being
+   * the most recent backup.
+   *
+   * @return {number} the index of the recovered backup or undefined if no backup was recovered
+   */
+  getBackupIndex() {
+    return this.state.backupIndex;
+  }
+
+  setBackupIndex(backupIndex) {
+    this.state.backupIndex = backupIndex;
+    return this;
+  }
+
+  /**
+   * Indicates if only the wallet's keys were recovered, in which case the
+   * wallet must be synced from its restore height.
+   *
+   * @return {boolean} true if only the keys were recovered, false otherwise
+   */
+  isKeysOnly() {
+    return this.state.isKeysOnly;
+  }
+
+  setIsKeysOnly(isKeysOnly) {
+    this.state.isKeysOnly = isKeysOnly;
+    return this;
+  }
+
+  /**
+   * Get the reason the stored wallet data could not be used.
+   *
+   * @return {string} the reason the wallet data was recovered
+   */
+  getReason() {
+    return this.state.reason;
+  }
+
+  setReason(reason) {
+    this.state.reason = reason;
+    return this;
+  }
+}
+
+module.exports = MoneroWalletRecovery;
@@ -3,11 +3,14 @@ const monerojs = require("../../index");
 const LibraryUtils = monerojs.LibraryUtils;
 const TestSampleCode = require("./TestSampleCode");
 const TestMoneroUtils = require("./TestMoneroUtils");
+const TestMoneroTypes = require("./TestMoneroTypes");
+const TestMoneroModules = require("./TestMoneroModules");
 const TestMoneroDaemonRpc = require("./TestMoneroDaemonRpc");
 const TestMoneroWalletKeys = require("./TestMoneroWalletKeys");
 const TestMoneroWalletFull = require("./TestMoneroWalletFull");
 const TestMoneroWalletRpc = require("./TestMoneroWalletRpc");
 const TestMoneroConnectionManager = require("./TestMoneroConnectionManager");
+const TestMoneroRpcConnection = require("./TestMoneroRpcConnection");
 
 // set log level
 LibraryUtils.setLogLevel(1); // no need for await before worker used
@@ -18,6 +21,12 @@ new TestSampleCode().runTests();
 // test utilitiles
 new TestMoneroUtils().runTests();
 
+// test type declarations
+new TestMoneroTypes().runTests();
+
+// test es module entry points
+new TestMoneroModules().runTests();
+
 // test daemon rpc
 new TestMoneroDaemonRpc({
   liteMode: false,  // skip lengthy but thorough tests if true
@@ -54,6 +63,7 @@ new TestMoneroWalletRpc({
 }).runTests();
 
 // test connection manager
+new TestMoneroRpcConnection().runTests();
 new TestMoneroConnectionManager().runTests();
 
 // test scratchpad
@@ -1,5 +1,7 @@
 const assert = require("assert");
+const FakeRpcServer = require("./utils/FakeRpcServer");
 const TestUtils = require("./utils/TestUtils");
+const ZmqStubPublisher = require("./utils/ZmqStubPublisher");
 const monerojs = require("../../index");
 const BigInteger = monerojs.BigInteger;
 const ConnectionType = monerojs.ConnectionType;
@@ -519,14 +521,44 @@ class TestMoneroDaemonRpc {
       
       if (testConfig.testNonRelays)
       it("Can get hashes of transactions in the transaction pool (binary)", async function() {
-        // TODO: get_transaction_pool_hashes.bin
-        throw new Error("Not implemented");
+        await TestUtils.WALLET_TX_TRACKER.waitForWalletTxsToClearPool(that.wallet);
+        
+        // submit tx to pool but don't relay
+        let tx = await getUnrelayedTx(that.wallet, 0);
+        let result = await that.daemon.submitTxHex(tx.getFullHex(), true);
+        testSubmitTxResultGood(result);
+        
+        // fetch tx pool hashes and compare to tx pool
+        let txHashes = await that.daemon.getTxPoolHashes();
+        assert(Array.isArray(txHashes));
+        assert(txHashes.includes(tx.getHash()), "Tx pool hashes do not include submitted tx");
+        let poolTxs = await that.daemon.getTxPool();
+        assert.equal(txHashes.length, poolTxs.length);
+        for (let poolTx of poolTxs) assert(txHashes.includes(poolTx.getHash()));
+        
+        // flush the tx from the pool
+        await that.daemon.flushTxPool(tx.getHash());
+        await that.wallet.sync();
       });
       
       if (testConfig.testNonRelays)
       it("Can get the transaction pool backlog (binary)", async function() {
-        // TODO: get_txpool_backlog
-        throw new Error("Not implemented");
+        await TestUtils.WALLET_TX_TRACKER.waitForWalletTxsToClearPool(that.wallet);
+        
+        // submit tx to pool but don't relay
+        let tx = await getUnrelayedTx(that.wallet, 0);
+        let result = await that.daemon.submitTxHex(tx.getFullHex(), true);
+        testSubmitTxResultGood(result);
+        
+        // fetch and test backlog
+        let backlog = await that.daemon.getTxPoolBacklog();
+        assert(Array.isArray(backlog));
+        assert(backlog.length > 0, "Test requires an unconfirmed tx in the tx pool");
+        for (let entry of backlog) testTxBacklogEntry(entry);
+        
+        // flush the tx from the pool
+        await that.daemon.flushTxPool(tx.getHash());
+        await that.wallet.sync();
       });
       
       if (testConfig.testNonRelays)
@@ -712,7 +744,33 @@ class TestMoneroDaemonRpc {
       
       if (testConfig.testNonRelays)
       it("Can get outputs given a list of output amounts and indices (binary)", async function() {
-        throw new Error("Not implemented"); // get_outs.bin
+        
+        // identify ringct outputs by amount and index
+        let outputs = [];
+        for (let i = 0; i < 10; i++) outputs.push(new MoneroOutput().setAmount(new BigInteger(0)).setIndex(i * 3));
+        
+        // fetch and test outputs
+        let outs = await that.daemon.getOutputs(outputs);
+        assert.equal(outs.length, outputs.length);
+        let height = await that.daemon.getHeight();
+        for (let i = 0; i < outs.length; i++) {
+          let out = outs[i];
+          testOutput(out, { hasOutputIndices: true });
+          assert.equal(out.getIndex(), outputs[i].getIndex());
+          assert.equal(out.getAmount().toString(), "0");
+          assert(out.getMask() && out.getMask().length === 64);
+          assert.equal(typeof out.isUnlocked(), "boolean");
+          assert(out.getTx().getHash() && out.getTx().getHash().length === 64);
+          assert(out.getTx().getHeight() >= 0 && out.getTx().getHeight() < height);
+        }
+        
+        // cannot get output without index
+        try {
+          await that.daemon.getOutputs([new MoneroOutput().setAmount(new BigInteger(0))]);
+          throw new Error("Should have failed");
+        } catch (e) {
+          assert.notEqual(e.message, "Should have failed");
+        }
       });
       
       if (testConfig.testNonRelays)
@@ -739,6 +797,18 @@ class TestMoneroDaemonRpc {
         let entries = await that.daemon.getOutputDistribution(amounts);
         for (let entry of entries) {
           testOutputDistributionEntry(entry);
+          assert.equal(entry.isCumulative(), false);
+        }
+        
+        // test cumulative distribution of ringct outputs
+        let height = await that.daemon.getHeight();
+        let cumulativeEntries = await that.daemon.getOutputDistribution([new BigInteger(0)], true, height - 10, height - 1);
+        assert.equal(cumulativeEntries.length, 1);
+        let cumulativeEntry = cumulativeEntries[0];
+        testOutputDistributionEntry(cumulativeEntry);
+        assert.equal(cumulativeEntry.isCumulative(), true);
+        for (let i = 1; i < cumulativeEntry.getDistribution().length; i++) {
+          assert(cumulativeEntry.getDistribution()[i] >= cumulativeEntry.getDistribution()[i - 1], "Cumulative distribution must be non-decreasing");
         }
       });
       
@@ -1233,6 +1303,161 @@ class TestMoneroDaemonRpc {
         catch (e) { }
         if (err) throw err;
       });
+      
+      if (testConfig.testNonRelays)
+      it("Can notify listeners of new blocks, reorgs, and pool txs from a ZMQ publisher", async function() {
+        let publisher = new ZmqStubPublisher();
+        let daemon;
+        let err;
+        try {
+          
+          // connect to daemon with notifications from stub publisher
+          await publisher.start();
+          daemon = await monerojs.connectToDaemonRpc(Object.assign({}, TestUtils.DAEMON_RPC_CONFIG, {zmqUri: publisher.getUri(), proxyToWorker: TestUtils.PROXY_TO_WORKER}));
+          let tipHeader = await daemon.getLastBlockHeader();
+          let prevHeader = await daemon.getBlockHeaderByHeight(tipHeader.getHeight() - 1);
+          
+          // register a listener
+          let headers = [];
+          let reorgs = [];
+          let txs = [];
+          let listener = new class extends MoneroDaemonListener {
+            async onBlockHeader(header) { headers.push(header); }
+            async onChainReorg(height, header) { reorgs.push([height, header]); }
+            async onTxPoolAdd(tx) { txs.push(tx); }
+          }
+          await daemon.addListener(listener);
+          await publisher.awaitSubscription("json-full-chain_main");
+          await publisher.awaitSubscription("json-full-miner_data");
+          await publisher.awaitSubscription("json-minimal-txpool_add");
+          
+          // publish reorg to previous block, then new tip from miner data
+          publisher.publish("json-full-chain_main", [{major_version: prevHeader.getMajorVersion(), prev_id: prevHeader.getPrevHash(), miner_tx: {inputs: [{gen: {height: prevHeader.getHeight()}}]}, tx_hashes: []}]);
+          publisher.publish("json-full-miner_data", {major_version: tipHeader.getMajorVersion(), height: tipHeader.getHeight() + 1, prev_id: tipHeader.getHash()});
+          
+          // publish tip popped without replacement, then tip added again
+          publisher.publish("json-full-miner_data", {major_version: prevHeader.getMajorVersion(), height: prevHeader.getHeight() + 1, prev_id: prevHeader.getHash()});
+          publisher.publish("json-full-chain_main", [{major_version: tipHeader.getMajorVersion(), prev_id: tipHeader.getPrevHash(), miner_tx: {inputs: [{gen: {height: tipHeader.getHeight()}}]}, tx_hashes: []}]);
+          publisher.publish("json-full-miner_data", {major_version: tipHeader.getMajorVersion(), height: tipHeader.getHeight() + 1, prev_id: tipHeader.getHash()}); // already notified
+          
+          // publish tx added to pool
+          let txHash = "a".repeat(64);
+          publisher.publish("json-minimal-txpool_add", [{id: txHash, blob_size: 1500, weight: 1500, fee: 30520000}]);
+          
+          // wait for notifications
+          let startTime = Date.now();
+          while ((headers.length < 4 || txs.length < 1) && Date.now() - startTime < 10000) await GenUtils.waitFor(50);
+          
+          // test reorg notifications
+          assert.equal(reorgs.length, 2);
+          assert.equal(reorgs[0][0], prevHeader.getHeight());
+          assert.equal(reorgs[0][1].getHash(), prevHeader.getHash());
+          assert.equal(reorgs[1][0], tipHeader.getHeight());
+          assert.equal(reorgs[1][1].getHash(), prevHeader.getHash());
+          
+          // test block notifications
+          assert.deepEqual(headers.map(header => header.getHash()), [prevHeader.getHash(), tipHeader.getHash(), prevHeader.getHash(), tipHeader.getHash()]);
+          testBlockHeader(headers[3], true);
+          
+          // test pool tx notification
+          assert.equal(txs.length, 1);
+          assert.equal(txs[0].getHash(), txHash);
+          assert.equal(txs[0].getSize(), 1500);
+          assert.equal(txs[0].getWeight(), 1500);
+          assert.equal(txs[0].getFee().toString(), "30520000");
+          assert.equal(txs[0].isConfirmed(), false);
+          assert.equal(txs[0].inTxPool(), true);
+          await daemon.removeListener(listener);
+        } catch (e) {
+          err = e;
+        }
+        
+        // finally
+        await publisher.stop();
+        if (err) throw err;
+      });
+      
+      if (testConfig.testNonRelays)
+      it("Can notify listeners of reorgs and pool txs by polling", async function() {
+        let server = new FakeRpcServer();
+        let daemon;
+        let err;
+        try {
+          
+          // serve a fake chain and tx pool
+          let chain = [];
+          let pool = [];
+          let addBlock = function(hash) { chain.push(hash === undefined ? GenUtils.getUUID().replace(/-/g, "").padEnd(64, "0") : hash); };
+          let toRpcHeader = function(height) { return {hash: chain[height], height: height, prev_hash: height > 0 ? chain[height - 1] : "0".repeat(64), major_version: 16, minor_version: 16, timestamp: 1600000000 + height, nonce: 1}; };
+          for (let i = 0; i < 20; i++) addBlock();
+          server.setResponder(function(request) {
+            if (request.method === "get_last_block_header") return {result: {status: "OK", block_header: toRpcHeader(chain.length - 1)}};
+            if (request.method === "on_get_block_hash") return {result: chain[request.params[0]]};
+            if (request.method === "get_block_header_by_height") return {result: {status: "OK", block_header: toRpcHeader(request.params.height)}};
+            if (request.method === "get_block_headers_range") {
+              let headers = [];
+              for (let height = request.params.start_height; height <= request.params.end_height; height++) headers.push(toRpcHeader(height));
+              return {result: {status: "OK", headers: headers}};
+            }
+            if (request.path === "/get_transaction_pool_hashes") return {body: {status: "OK", tx_hashes: pool}};
+            if (request.path === "/get_transactions") return {body: {status: "OK", txs: request.params.txs_hashes.map(txHash => ({tx_hash: txHash, in_pool: true, blob_size: 1500, weight: 1500}))}};
+            return {result: {status: "OK"}};
+          });
+          await server.start();
+          daemon = await monerojs.connectToDaemonRpc({uri: server.getUri(), pollInterval: 50, proxyToWorker: false});
+          
+          // register a listener which advances the chain and pool as it is notified
+          let headers = [];
+          let reorgs = [];
+          let txs = [];
+          let listener = new class extends MoneroDaemonListener {
+            async onBlockHeader(header) {
+              headers.push(header);
+              if (headers.length === 1) {
+                
+                // replace the last two blocks and add one
+                chain.splice(chain.length - 2, 2);
+                for (let i = 0; i < 3; i++) addBlock();
+              } else if (headers.length === 2) {
+                pool.push("b".repeat(64)); // pool is compared to the pool of the previous poll
+              }
+            }
+            async onChainReorg(height, header) { reorgs.push([height, header]); }
+            async onTxPoolAdd(tx) { txs.push(tx); }
+          }
+          await daemon.addListener(listener);
+          
+          // add several blocks between polls once the first tip is seen
+          let startTime = Date.now();
+          while (!server.getRequests().length && Date.now() - startTime < 10000) await GenUtils.waitFor(10);
+          for (let i = 0; i < 3; i++) addBlock();
+          
+          // wait for notifications
+          while ((headers.length < 2 || txs.length < 1) && Date.now() - startTime < 10000) await GenUtils.waitFor(50);
+          await daemon.removeListener(listener);
+          
+          // test block notifications
+          assert.deepEqual(headers.map(header => header.getHeight()), [22, 23]);
+          assert.equal(headers[1].getHash(), chain[23]);
+          
+          // test reorg notification at the first replaced block, which was not a polled tip
+          assert.equal(reorgs.length, 1);
+          assert.equal(reorgs[0][0], 21);
+          assert.equal(reorgs[0][1].getHash(), chain[23]);
+          
+          // test pool tx notification
+          assert.equal(txs.length, 1);
+          assert.equal(txs[0].getHash(), "b".repeat(64));
+          assert.equal(txs[0].inTxPool(), true);
+          assert.equal(txs[0].getWeight(), 1500);
+        } catch (e) {
+          err = e;
+        }
+        
+        // finally
+        await server.stop();
+        if (err) throw err;
+      });
     });
   }
 }
@@ -1604,6 +1829,12 @@ function testOutputDistributionEntry(entry) {
   assert(entry.getStartHeight() >= 0);
 }
 
+function testTxBacklogEntry(entry) {
+  assert(entry.getWeight() > 0);
+  TestUtils.testUnsignedBigInteger(entry.getFee(), true);
+  assert(entry.getTimeInPool() >= 0);
+}
+
 function testSubmitTxResultGood(result) {
   testSubmitTxResultCommon(result);
   try {
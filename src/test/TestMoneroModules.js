@@ -0,0 +1,70 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const monerojs = require("../../index");
+
+/**
+ * Test the ES module entry points.
+ */
+class TestMoneroModules {
+
+  runTests() {
+    describe("TEST MONERO MODULES", function() {
+
+      it("Can import the ES module entry points", async function() {
+        let esm = await import("../../esm/index.mjs");
+        assert.deepEqual(Object.keys(esm).sort(), Object.keys(monerojs).sort());
+        for (let name of Object.keys(monerojs)) {
+          if (typeof esm[name] === "function" && name[0] === name[0].toUpperCase()) assert.equal(esm[name], monerojs[name], "ES module exports different " + name + " than CommonJS module");
+        }
+        let exported = [];
+        for (let entry of TestMoneroModules.ENTRY_POINTS) exported = exported.concat(Object.keys(await import("../../esm/" + entry + ".mjs")));
+        assert.deepEqual(exported.sort(), Object.keys(monerojs).sort(), "Entry points must export each name exactly once");
+      });
+
+      it("Can require the CommonJS equivalents of the entry points", async function() {
+        for (let entry of TestMoneroModules.ENTRY_POINTS) {
+          let cjs = require("monero-javascript/" + entry);
+          let esm = await import("../../esm/" + entry + ".mjs");
+          assert.deepEqual(Object.keys(cjs).sort(), Object.keys(esm).sort(), entry + " CommonJS entry point exports different names than ES module entry point");
+          for (let name of Object.keys(cjs)) {
+            if (typeof cjs[name] === "function" && name[0] === name[0].toUpperCase()) assert.equal(cjs[name], monerojs[name], entry + " CommonJS entry point exports different " + name + " than index.js");
+          }
+        }
+      });
+      
+      it("Can import models and RPC clients without bundling WebAssembly", function() {
+        for (let entry of ["models", "daemon-rpc", "wallet-rpc"]) {
+          for (let file of getStaticImports(path.join(__dirname, "..", "..", "esm", entry + ".mjs"))) {
+            assert(!/[\\/]dist[\\/]/.test(file), entry + " entry point bundles " + file);
+            assert(!/MoneroWallet(Keys|Full)\.js$/.test(file), entry + " entry point bundles " + file);
+          }
+        }
+      });
+    });
+  }
+}
+
+TestMoneroModules.ENTRY_POINTS = ["models", "daemon-rpc", "wallet-rpc", "wallet-keys", "wallet-full"];
+
+/**
+ * Get the files a bundler includes from an entry point by following its
+ * static imports and requires, including those within functions. Dynamic
+ * imports are split into chunks which load on demand, so they are not followed.
+ */
+function getStaticImports(entryFile) {
+  let files = new Set();
+  let queue = [entryFile];
+  while (queue.length) {
+    let file = queue.pop();
+    if (files.has(file)) continue;
+    files.add(file);
+    let source = fs.readFileSync(file, "utf8");
+    let regex = /(?:\brequire\(|\bfrom\s+)["'](\.[^"']+)["']/g;
+    let match;
+    while ((match = regex.exec(source)) !== null) queue.push(require.resolve(path.resolve(path.dirname(file), match[1])));
+  }
+  return files;
+}
+
+module.exports = TestMoneroModules;
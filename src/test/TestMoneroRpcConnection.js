@@ -0,0 +1,504 @@
+const assert = require("assert");
+const FakeRpcServer = require("./utils/FakeRpcServer");
+const monerojs = require("../../index");
+const GenUtils = monerojs.GenUtils;
+const LibraryUtils = monerojs.LibraryUtils;
+const MoneroConnectionManager = monerojs.MoneroConnectionManager;
+const MoneroMetrics = monerojs.MoneroMetrics;
+const MoneroRpcConnection = monerojs.MoneroRpcConnection;
+const MoneroRpcInterceptor = monerojs.MoneroRpcInterceptor;
+
+/**
+ * Test the retry policy, circuit breaker, interceptors, metrics, and balancing of RPC connections against a fake RPC server.
+ */
+class TestMoneroRpcConnection {
+
+  runTests() {
+    describe("TEST MONERO RPC CONNECTION", function() {
+
+      let server;
+      beforeEach(async function() {
+        server = new FakeRpcServer();
+        await server.start();
+      });
+
+      afterEach(async function() {
+        await server.stop();
+      });
+
+      it("Makes one attempt without a retry policy", async function() {
+        let connection = new MoneroRpcConnection(server.getUri());
+        server.queue({statusCode: 503});
+        try {
+          await connection.sendJsonRequest("get_info");
+          throw new Error("Should have thrown error");
+        } catch (err) {
+          assert(err instanceof monerojs.MoneroRpcError);
+          assert.equal(err.getCode(), 503);
+        }
+        assert.equal(server.getRequests().length, 1);
+        assert.equal(connection.getNumConsecutiveFailures(), 1);
+      });
+
+      it("Retries idempotent requests with backoff", async function() {
+        let connection = new MoneroRpcConnection({uri: server.getUri(), retryPolicy: {maxRetries: 3, initialDelayInMs: 20, jitter: 0}});
+        assert.deepEqual(connection.getRetryPolicy(), {maxRetries: 3, initialDelayInMs: 20, maxDelayInMs: 5000, multiplier: 2, jitter: 0});
+
+        // recover from server errors and dropped connections
+        server.queue({statusCode: 503}, {drop: true}, {statusCode: 429}, {result: {height: 123}});
+        let startTime = Date.now();
+        let resp = await connection.sendJsonRequest("get_info");
+        assert.equal(resp.result.height, 123);
+        assert(Date.now() - startTime >= 20 + 40 + 80, "Retries did not back off");
+        assert.equal(server.getRequests().length, 4);
+        assert.equal(connection.getNumConsecutiveFailures(), 0);
+
+        // retry path requests
+        server.queue({statusCode: 500}, {result: {status: "OK", height: 124}});
+        assert.equal((await connection.sendPathRequest("get_height")).result.height, 124);
+        assert.equal(server.getRequests().length, 6);
+
+        // give up after max retries
+        server.queue({statusCode: 503}, {statusCode: 503}, {statusCode: 503}, {statusCode: 503});
+        try {
+          await connection.sendJsonRequest("get_info");
+          throw new Error("Should have thrown error");
+        } catch (err) {
+          assert.equal(err.getCode(), 503);
+        }
+        assert.equal(server.getRequests().length, 10);
+        assert.equal(connection.getNumConsecutiveFailures(), 4);
+      });
+
+      it("Does not retry non-idempotent requests or RPC errors", async function() {
+        let connection = new MoneroRpcConnection({uri: server.getUri(), retryPolicy: {initialDelayInMs: 0}});
+        assert(MoneroRpcConnection.isIdempotent("get_info"));
+        assert(MoneroRpcConnection.isIdempotent("/getblocks.bin"));
+        assert(MoneroRpcConnection.isIdempotent("sync_info"));
+        assert(!MoneroRpcConnection.isIdempotent("send_raw_transaction"));
+        assert(!MoneroRpcConnection.isIdempotent("transfer"));
+
+        // non-idempotent method
+        server.queue({statusCode: 503});
+        try {
+          await connection.sendJsonRequest("transfer", {destinations: []});
+          throw new Error("Should have thrown error");
+        } catch (err) {
+          assert.equal(err.getCode(), 503);
+        }
+        assert.equal(server.getRequests().length, 1);
+
+        // rpc error from a reachable endpoint
+        server.queue({error: {code: -1, message: "Internal error"}});
+        try {
+          await connection.sendJsonRequest("get_info");
+          throw new Error("Should have thrown error");
+        } catch (err) {
+          assert.equal(err.getCode(), -1);
+          assert.equal(err.message, "Internal error");
+        }
+        assert.equal(server.getRequests().length, 2);
+        assert.equal(connection.getNumConsecutiveFailures(), 0);
+
+        // invalid retry policy
+        try {
+          connection.setRetryPolicy({jitter: 2});
+          throw new Error("Should have thrown error");
+        } catch (err) {
+          assert.equal(err.message, "Retry jitter must be between 0 and 1");
+        }
+      });
+
+      it("Opens a circuit breaker after consecutive failures", async function() {
+        let connection = new MoneroRpcConnection({uri: server.getUri(), circuitBreaker: {failureThreshold: 2, resetTimeoutInMs: 200}});
+        assert.equal(connection.getCircuitState(), MoneroRpcConnection.CIRCUIT_CLOSED);
+
+        // open circuit after threshold
+        server.setDefaultResponse({statusCode: 503});
+        for (let i = 0; i < 2; i++) {
+          try { await connection.sendJsonRequest("get_info"); }
+          catch (err) { assert.equal(err.getCode(), 503); }
+        }
+        assert.equal(connection.getCircuitState(), MoneroRpcConnection.CIRCUIT_OPEN);
+
+        // requests fail fast while open
+        try {
+          await connection.sendJsonRequest("get_info");
+          throw new Error("Should have thrown error");
+        } catch (err) {
+          assert.equal(err.message, "Circuit breaker is open for " + server.getUri());
+        }
+        assert.equal(server.getRequests().length, 2);
+        await connection.checkConnection(1000);
+        assert.equal(connection.isOnline(), false);
+        assert.equal(server.getRequests().length, 2);
+
+        // failed trial request reopens circuit
+        await GenUtils.waitFor(250);
+        assert.equal(connection.getCircuitState(), MoneroRpcConnection.CIRCUIT_HALF_OPEN);
+        try { await connection.sendJsonRequest("get_info"); }
+        catch (err) { assert.equal(err.getCode(), 503); }
+        assert.equal(server.getRequests().length, 3);
+        assert.equal(connection.getCircuitState(), MoneroRpcConnection.CIRCUIT_OPEN);
+
+        // successful trial request closes circuit
+        await GenUtils.waitFor(250);
+        server.setDefaultResponse({result: {status: "OK"}});
+        await connection.checkConnection(1000);
+        assert(connection.isOnline());
+        assert.equal(connection.getCircuitState(), MoneroRpcConnection.CIRCUIT_CLOSED);
+        assert.equal(connection.getNumConsecutiveFailures(), 0);
+      });
+
+      it("Invokes interceptors around each request", async function() {
+        let connection = new MoneroRpcConnection({uri: server.getUri(), retryPolicy: {maxRetries: 1, initialDelayInMs: 0}});
+        let interceptor = new RecordingInterceptor();
+        connection.addInterceptor(interceptor);
+        assert.deepEqual(connection.getInterceptors(), [interceptor]);
+        assert.deepEqual(new MoneroRpcConnection(connection).getInterceptors(), [interceptor]);
+
+        // intercept successful json request with custom header
+        server.queue({result: {height: 123}});
+        let resp = await connection.sendJsonRequest("get_info", {password: "abc", nested: {seed: "xyz", height: 1}});
+        assert.equal(resp.result.height, 123);
+        assert.equal(server.getRequests()[0].headers["x-request-id"], "1");
+        assert.equal(interceptor.contexts.length, 1);
+        let context = interceptor.contexts[0];
+        assert.equal(context.connection, connection);
+        assert.equal(context.uri, server.getUri());
+        assert.equal(context.method, "get_info");
+        assert.equal(context.numRetries, 0);
+        assert.equal(context.statusCode, 200);
+        assert(context.latencyInMs >= 0);
+        assert.equal(context.response, resp);
+        assert.equal(context.error, undefined);
+        assert.deepEqual(interceptor.events, ["request", "response"]);
+        assert.deepEqual(MoneroRpcInterceptor.redact(context.params), {password: "***", nested: {seed: "***", height: 1}});
+
+        // intercept each attempt of a retried path request
+        server.queue({statusCode: 503}, {result: {status: "OK"}});
+        await connection.sendPathRequest("get_height");
+        assert.deepEqual(server.getRequests().slice(1).map(request => request.headers["x-request-id"]), ["2", "3"]);
+        assert.deepEqual(interceptor.events.slice(2), ["request", "error", "request", "response"]);
+        assert.equal(interceptor.contexts[1].statusCode, 503);
+        assert.equal(interceptor.contexts[1].error.getCode(), 503);
+        assert.equal(interceptor.contexts[2].numRetries, 1);
+        assert.equal(interceptor.contexts[2].method, "get_height");
+
+        // intercept rpc error
+        server.queue({error: {code: -1, message: "Internal error"}});
+        try {
+          await connection.sendJsonRequest("get_info");
+          throw new Error("Should have thrown error");
+        } catch (err) {
+          assert.equal(err.getCode(), -1);
+        }
+        assert.equal(interceptor.contexts[3].statusCode, 200);
+        assert.equal(interceptor.contexts[3].error.getCode(), -1);
+
+        // error in onRequest aborts request
+        let numRequests = server.getRequests().length;
+        let failingInterceptor = new MoneroRpcInterceptor();
+        failingInterceptor.onRequest = async function() { throw new Error("Not authorized"); };
+        connection.addInterceptor(failingInterceptor);
+        try {
+          await connection.sendJsonRequest("get_info");
+          throw new Error("Should have thrown error");
+        } catch (err) {
+          assert.equal(err.message, "Not authorized");
+        }
+        assert.equal(server.getRequests().length, numRequests);
+
+        // remove interceptors
+        connection.removeInterceptor(failingInterceptor);
+        connection.removeInterceptor(interceptor);
+        assert.deepEqual(connection.getInterceptors(), []);
+        await connection.sendJsonRequest("get_info");
+        assert.equal(server.getRequests()[numRequests].headers["x-request-id"], undefined);
+        assert.equal(interceptor.contexts.length, 5);
+      });
+
+      it("Records metrics of requests", async function() {
+        let connection = new MoneroRpcConnection({uri: server.getUri(), retryPolicy: {maxRetries: 1, initialDelayInMs: 0}});
+        let metrics = LibraryUtils.getMetrics();
+        let labels = {connection: server.getUri(), method: "get_info"};
+        let host = server.getUri().substring("http://".length);
+        
+        // record requests, retries, and errors
+        server.queue({statusCode: 503}, {result: {height: 123}}, {error: {code: -1, message: "Internal error"}});
+        await connection.sendJsonRequest("get_info");
+        try { await connection.sendJsonRequest("get_info"); }
+        catch (err) { assert.equal(err.getCode(), -1); }
+        assert.equal(metrics.getValue(MoneroMetrics.RPC_REQUESTS, labels), 3);
+        assert.equal(metrics.getValue(MoneroMetrics.RPC_ERRORS, Object.assign({code: "503"}, labels)), 1);
+        assert.equal(metrics.getValue(MoneroMetrics.RPC_ERRORS, Object.assign({code: "-1"}, labels)), 1);
+        assert(metrics.getValue(MoneroMetrics.HTTP_RECEIVED_BYTES, {host: host}) > 0);
+        
+        // get snapshot with latency histogram and queue depth
+        let snapshot = await LibraryUtils.getMetricsSnapshot();
+        let latency = snapshot.metrics.find(metric => metric.name === MoneroMetrics.RPC_LATENCY);
+        assert.equal(latency.type, MoneroMetrics.TYPE_HISTOGRAM);
+        let sample = latency.samples.find(sample => sample.labels.connection === server.getUri());
+        assert.equal(sample.count, 3);
+        assert(sample.sum >= 0);
+        assert.equal(sample.buckets.length, MoneroMetrics.DEFAULT_BUCKETS.length);
+        assert(sample.buckets[sample.buckets.length - 1].count <= 3);
+        let queueDepth = snapshot.metrics.find(metric => metric.name === MoneroMetrics.QUEUE_DEPTH);
+        assert.equal(queueDepth.samples.find(sample => sample.labels.queue === "http:" + host).value, 0);
+        
+        // merge metrics recorded in the worker
+        let workerConnection = new MoneroRpcConnection({uri: server.getUri(), proxyToWorker: true});
+        await workerConnection.sendJsonRequest("get_info");
+        snapshot = await LibraryUtils.getMetricsSnapshot();
+        let requests = snapshot.metrics.find(metric => metric.name === MoneroMetrics.RPC_REQUESTS);
+        assert.equal(requests.samples.find(sample => sample.labels.connection === server.getUri() && sample.labels.method === "get_info").value, 4);
+        let invocations = snapshot.metrics.find(metric => metric.name === MoneroMetrics.WORKER_INVOCATIONS);
+        assert(invocations.samples.find(sample => sample.labels.function === "httpRequest").value >= 1);
+        let receivedBytes = snapshot.metrics.find(metric => metric.name === MoneroMetrics.HTTP_RECEIVED_BYTES);
+        assert(receivedBytes.samples.find(sample => sample.labels.host === host).value > metrics.getValue(MoneroMetrics.HTTP_RECEIVED_BYTES, {host: host}));
+        
+        // format snapshot for prometheus
+        let text = MoneroMetrics.toPrometheus(snapshot);
+        assert(text.indexOf("# TYPE " + MoneroMetrics.RPC_REQUESTS + " counter\n") >= 0);
+        assert(text.indexOf(MoneroMetrics.RPC_REQUESTS + "{connection=\"" + server.getUri() + "\",method=\"get_info\"} 4\n") >= 0);
+        assert(text.indexOf(MoneroMetrics.RPC_LATENCY + "_bucket{connection=\"" + server.getUri() + "\",method=\"get_info\",le=\"+Inf\"} 4\n") >= 0);
+        assert(text.indexOf(MoneroMetrics.RPC_LATENCY + "_count{connection=\"" + server.getUri() + "\",method=\"get_info\"} 4\n") >= 0);
+        
+        // metric types cannot change
+        try {
+          metrics.setGauge(MoneroMetrics.RPC_REQUESTS, labels, 0);
+          throw new Error("Should have thrown error");
+        } catch (err) {
+          assert.equal(err.message, "Metric '" + MoneroMetrics.RPC_REQUESTS + "' is a counter, not a gauge");
+        }
+      });
+      
+      it("Skips connections with an open circuit breaker in the connection manager", async function() {
+        let server2 = new FakeRpcServer();
+        await server2.start();
+        try {
+          let connection1 = new MoneroRpcConnection({uri: server.getUri(), priority: 1, circuitBreaker: {failureThreshold: 1}});
+          let connection2 = new MoneroRpcConnection({uri: server2.getUri(), priority: 2});
+          let connectionManager = new MoneroConnectionManager(false);
+          await connectionManager.addConnection(connection1);
+          await connectionManager.addConnection(connection2);
+          assert.equal(await connectionManager.getBestAvailableConnection(), connection1);
+
+          // open circuit of the first connection
+          server.queue({drop: true});
+          try { await connection1.sendJsonRequest("get_info"); }
+          catch (err) { assert.equal(err.getCode(), undefined); }
+          assert.equal(connection1.getCircuitState(), MoneroRpcConnection.CIRCUIT_OPEN);
+          let numRequests = server.getRequests().length;
+          assert.equal(await connectionManager.getBestAvailableConnection(), connection2);
+          assert.equal(server.getRequests().length, numRequests);
+
+          // auto switch away from connection with open circuit
+          connectionManager.setConnection(connection1);
+          connectionManager.setAutoSwitch(true);
+          await connectionManager.checkConnection();
+          assert.equal(connectionManager.getConnection(), connection2);
+          assert(connectionManager.isConnected());
+        } finally {
+          await server2.stop();
+        }
+      });
+      
+      it("Balances requests across connections by weight", async function() {
+        let server2 = new FakeRpcServer();
+        let server3 = new FakeRpcServer();
+        await server2.start();
+        await server3.start();
+        try {
+          let connection1 = new MoneroRpcConnection({uri: server.getUri()});
+          let connection2 = new MoneroRpcConnection({uri: server2.getUri(), weight: 3});
+          let connection3 = new MoneroRpcConnection({uri: server3.getUri(), circuitBreaker: {failureThreshold: 1}});
+          assert.equal(connection1.getWeight(), 1);
+          assert.equal(connection2.getWeight(), 3);
+          let connectionManager = new MoneroConnectionManager(false);
+          await connectionManager.addConnection(connection2);
+          await connectionManager.addConnection(connection3);
+          connectionManager.setConnection(connection1);
+          
+          // requests are sent to current connection by default
+          assert.equal(connectionManager.getBalancing().mode, MoneroConnectionManager.BALANCING_CURRENT);
+          await connectionManager.sendJsonRequest("get_info");
+          assert.equal(server.getRequests().length, 1);
+          assert.equal(server2.getRequests().length, 0);
+          
+          // open circuit of third connection
+          server3.queue({drop: true});
+          try { await connection3.sendJsonRequest("get_info"); }
+          catch (err) { assert.equal(err.getCode(), undefined); }
+          
+          // spread idempotent requests across healthy connections
+          connectionManager.setBalancing({mode: MoneroConnectionManager.BALANCING_WEIGHTED});
+          for (let i = 0; i < 40; i++) await connectionManager.sendJsonRequest("get_info");
+          assert(server.getRequests().length > 1);
+          assert(server2.getRequests().length > server.getRequests().length - 1);
+          assert.equal(server.getRequests().length + server2.getRequests().length, 41);
+          assert.equal(server3.getRequests().length, 1);
+          
+          // send requests which are not idempotent to current connection
+          for (let i = 0; i < 5; i++) await connectionManager.sendJsonRequest("relay_tx", {txids: []});
+          assert.equal(server.getRequests().filter(request => request.method === "relay_tx").length, 5);
+          
+          // route requests by method
+          connectionManager.setBalancing({
+            mode: MoneroConnectionManager.BALANCING_WEIGHTED,
+            routes: [
+              {methods: [/^get_block/], uris: [server2.getUri()]},
+              {methods: ["get_info"], mode: MoneroConnectionManager.BALANCING_CURRENT},
+              {methods: ["relay_tx"], mode: MoneroConnectionManager.BALANCING_WEIGHTED, uris: [server3.getUri()]}
+            ]
+          });
+          for (let i = 0; i < 5; i++) await connectionManager.sendJsonRequest("get_block_count");
+          assert.equal(server2.getRequests().filter(request => request.method === "get_block_count").length, 5);
+          let numRequests = server.getRequests().length;
+          for (let i = 0; i < 5; i++) await connectionManager.sendJsonRequest("get_info");
+          assert.equal(server.getRequests().length, numRequests + 5);
+          try {
+            await connectionManager.sendJsonRequest("relay_tx", {txids: []});
+            throw new Error("Should have thrown error");
+          } catch (err) {
+            assert.equal(err.message, "No connection is available to send request with method 'relay_tx'");
+          }
+          
+          // validate balancing
+          try {
+            connectionManager.setBalancing({mode: "random"});
+            throw new Error("Should have thrown error");
+          } catch (err) {
+            assert.equal(err.message, "Invalid balancing mode: random");
+          }
+        } finally {
+          await server2.stop();
+          await server3.stop();
+        }
+      });
+      
+      it("Hedges slow idempotent requests to a second connection", async function() {
+        let server2 = new FakeRpcServer();
+        await server2.start();
+        try {
+          server2.setDefaultResponse({result: {status: "OK", count: 2}});
+          let connection1 = new MoneroRpcConnection(server.getUri());
+          let connection2 = new MoneroRpcConnection(server2.getUri());
+          let connectionManager = new MoneroConnectionManager(false);
+          await connectionManager.addConnection(connection2);
+          connectionManager.setConnection(connection1);
+          connectionManager.setBalancing({hedgeDelayInMs: 50});
+          LibraryUtils.getMetrics().reset();
+          
+          // use first response after hedging slow request
+          server.queue({delayInMs: 1000, result: {status: "OK", count: 1}});
+          let startTime = Date.now();
+          let resp = await connectionManager.sendJsonRequest("get_block_count");
+          assert.equal(resp.result.count, 2);
+          assert(Date.now() - startTime < 1000);
+          assert.equal(server.getRequests().length, 1);
+          assert.equal(server2.getRequests().length, 1);
+          assert.equal(LibraryUtils.getMetrics().getValue(MoneroMetrics.RPC_HEDGED_REQUESTS, {connection: connection2.getUri(), method: "get_block_count"}), 1);
+          
+          // hedge immediately if first request fails to reach endpoint
+          connectionManager.setBalancing({hedgeDelayInMs: 5000});
+          server.queue({statusCode: 503});
+          startTime = Date.now();
+          resp = await connectionManager.sendJsonRequest("get_block_count");
+          assert.equal(resp.result.count, 2);
+          assert(Date.now() - startTime < 5000);
+          assert.equal(server2.getRequests().length, 2);
+          
+          // do not hedge rpc errors
+          server.queue({error: {code: -1, message: "Test error"}});
+          try {
+            await connectionManager.sendJsonRequest("get_block_count");
+            throw new Error("Should have thrown error");
+          } catch (err) {
+            assert.equal(err.message, "Test error");
+          }
+          assert.equal(server2.getRequests().length, 2);
+          
+          // do not hedge requests which are not idempotent
+          server.queue({statusCode: 503});
+          try {
+            await connectionManager.sendJsonRequest("relay_tx", {txids: []});
+            throw new Error("Should have thrown error");
+          } catch (err) {
+            assert.equal(err.getCode(), 503);
+          }
+          
+          // disable hedging by route
+          connectionManager.setBalancing({hedgeDelayInMs: 0, routes: [{methods: ["get_block_count"], hedgeDelayInMs: null}]});
+          server.queue({statusCode: 503});
+          try {
+            await connectionManager.sendJsonRequest("get_block_count");
+            throw new Error("Should have thrown error");
+          } catch (err) {
+            assert.equal(err.getCode(), 503);
+          }
+          assert.equal(server2.getRequests().length, 2);
+        } finally {
+          await server2.stop();
+        }
+      });
+      
+      it("Can use a connection manager in a daemon RPC client", async function() {
+        let server2 = new FakeRpcServer();
+        await server2.start();
+        try {
+          server.setDefaultResponse({result: {status: "OK", count: 1}});
+          server2.setDefaultResponse({result: {status: "OK", count: 1}});
+          let connectionManager = new MoneroConnectionManager(false);
+          await connectionManager.addConnection(new MoneroRpcConnection(server2.getUri()));
+          connectionManager.setConnection(server.getUri());
+          connectionManager.setBalancing({mode: MoneroConnectionManager.BALANCING_WEIGHTED});
+          let daemon = await monerojs.connectToDaemonRpc({connectionManager: connectionManager});
+          assert(daemon instanceof monerojs.MoneroDaemonRpc);
+          assert.equal(await daemon.getRpcConnection(), connectionManager.getConnection());
+          for (let i = 0; i < 20; i++) assert.equal(await daemon.getHeight(), 1);
+          assert(server.getRequests().length > 0);
+          assert(server2.getRequests().length > 0);
+          
+          // cannot proxy to worker
+          try {
+            await monerojs.connectToDaemonRpc({connectionManager: connectionManager, proxyToWorker: true});
+            throw new Error("Should have thrown error");
+          } catch (err) {
+            assert.equal(err.message, "Cannot proxy daemon client which uses a connection manager to worker");
+          }
+        } finally {
+          await server2.stop();
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Records the context of each request and adds a request id header.
+ */
+class RecordingInterceptor extends MoneroRpcInterceptor {
+
+  constructor() {
+    super();
+    this.contexts = [];
+    this.events = [];
+  }
+
+  async onRequest(context) {
+    this.contexts.push(context);
+    this.events.push("request");
+    context.headers["X-Request-Id"] = "" + this.contexts.length;
+  }
+
+  async onResponse(context) {
+    this.events.push("response");
+  }
+
+  async onError(context) {
+    this.events.push("error");
+  }
+}
+
+module.exports = TestMoneroRpcConnection;
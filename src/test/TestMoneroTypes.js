@@ -0,0 +1,32 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Test the TypeScript declarations by compiling sample code against them.
+ */
+class TestMoneroTypes {
+
+  runTests() {
+    describe("TEST MONERO TYPES", function() {
+
+      it("Can compile TypeScript against the type declarations", function() {
+        let ts = require("typescript");
+        let esmDir = path.join(__dirname, "..", "..", "esm");
+        let files = [path.join(__dirname, "types", "sample.ts")].concat(fs.readdirSync(esmDir).filter(file => file.endsWith(".d.ts")).map(file => path.join(esmDir, file)));
+        let program = ts.createProgram(files, {
+          noEmit: true,
+          strict: true,
+          types: [],
+          lib: ["lib.es2017.d.ts", "lib.es2018.asynciterable.d.ts", "lib.dom.d.ts"]
+        });
+        let diagnostics = ts.getPreEmitDiagnostics(program);
+        let host = {getCanonicalFileName: fileName => fileName, getCurrentDirectory: ts.sys.getCurrentDirectory, getNewLine: () => ts.sys.newLine};
+        assert.equal(diagnostics.length, 0, ts.formatDiagnostics(diagnostics, host));
+        assert(program.getSourceFile(path.join(__dirname, "..", "..", "index.d.ts")), "Sample code is not compiled against index.d.ts");
+      });
+    });
+  }
+}
+
+module.exports = TestMoneroTypes;
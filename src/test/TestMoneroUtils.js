@@ -1,10 +1,12 @@
 const assert = require("assert");
+const FakeRpcServer = require("./utils/FakeRpcServer");
 const monerojs = require("../../index");
 const BigInteger = monerojs.BigInteger;
 const MoneroError = monerojs.MoneroError;
 const MoneroUtils = monerojs.MoneroUtils;
 const MoneroNetworkType = monerojs.MoneroNetworkType;
 const LibraryUtils = monerojs.LibraryUtils;
+const MoneroLogger = monerojs.MoneroLogger;
 
 /**
  * Test utilities including those implemented in WebAssembly.
@@ -263,6 +265,59 @@ class TestMoneroUtils {
         assert.equal(MoneroUtils.xmrToAtomicUnits("1.25").toString(), new BigInteger("1250000000000").toString());
         assert.equal(MoneroUtils.atomicUnitsToXmr(new BigInteger("1250000000000")), 1.25);
       });
+      
+      it("Can log structured records to a custom logger", async function() {
+        let records = [];
+        let logLevel = LibraryUtils.getLogLevel();
+        LibraryUtils.setLogger({log: function(record) { records.push(record); }});
+        let server = new FakeRpcServer();
+        await server.start();
+        try {
+          
+          // log records up to the log level
+          await LibraryUtils.setLogLevel(1);
+          LibraryUtils.log(1, "Info message", MoneroLogger.COMPONENT_WALLET, {height: 5});
+          LibraryUtils.log(2, "Debug message", MoneroLogger.COMPONENT_WALLET);
+          LibraryUtils.logWarning(MoneroLogger.COMPONENT_DAEMON, "Warning message");
+          LibraryUtils.logError(MoneroLogger.COMPONENT_HTTP, "Error message", new Error("Cause"));
+          assert.equal(records.length, 3);
+          assert.equal(records[0].level, 1);
+          assert.equal(records[0].severity, MoneroLogger.SEVERITY_INFO);
+          assert.equal(records[0].component, MoneroLogger.COMPONENT_WALLET);
+          assert.equal(records[0].message, "Info message");
+          assert.deepEqual(records[0].fields, {height: 5});
+          assert(records[0].timestamp > 0);
+          assert.equal(records[1].severity, MoneroLogger.SEVERITY_WARNING);
+          assert.equal(records[1].component, MoneroLogger.COMPONENT_DAEMON);
+          assert.equal(records[2].severity, MoneroLogger.SEVERITY_ERROR);
+          assert.equal(records[2].error.message, "Cause");
+          
+          // log requests with structured fields
+          records = [];
+          await LibraryUtils.setLogLevel(2);
+          let connection = new monerojs.MoneroRpcConnection({uri: server.getUri(), proxyToWorker: true});
+          await connection.sendJsonRequest("get_info");
+          let record = records.find(record => record.fields && record.fields.method === "get_info");
+          assert(record, "Did not log request");
+          assert.equal(record.component, MoneroLogger.COMPONENT_HTTP);
+          assert.equal(record.fields.uri, server.getUri());
+          
+          // forward log records from the worker
+          let daemon = await monerojs.connectToDaemonRpc({uri: server.getUri(), proxyToWorker: true});
+          records = [];
+          await daemon.getHeight();
+          assert(records.find(record => record.fields && record.fields.method === "get_block_count"), "Did not forward log record from worker");
+          
+          // logger errors do not propagate
+          LibraryUtils.setLogger({log: function() { throw new Error("Logger failed"); }});
+          LibraryUtils.log(0, "Message to failing logger");
+        } finally {
+          LibraryUtils.setLogger(undefined);
+          await LibraryUtils.setLogLevel(logLevel);
+          await server.stop();
+        }
+        assert(LibraryUtils.getLogger() instanceof MoneroLogger);
+      });
     })
   }
 }
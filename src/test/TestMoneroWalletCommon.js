@@ -30,6 +30,15 @@ const MoneroKeyImage = monerojs.MoneroKeyImage;
 const MoneroTx = monerojs.MoneroTx;
 const MoneroMessageSignatureType = monerojs.MoneroMessageSignatureType;
 const MoneroMessageSignatureResult = monerojs.MoneroMessageSignatureResult;
+const MoneroDepositListener = monerojs.MoneroDepositListener;
+const MoneroDepositStore = monerojs.MoneroDepositStore;
+const MoneroDepositWatcher = monerojs.MoneroDepositWatcher;
+const MoneroPayout = monerojs.MoneroPayout;
+const MoneroPayoutListener = monerojs.MoneroPayoutListener;
+const MoneroPayoutScheduler = monerojs.MoneroPayoutScheduler;
+const MoneroPayoutStore = monerojs.MoneroPayoutStore;
+const MoneroMultisigSession = monerojs.MoneroMultisigSession;
+const MoneroMultisigMemoryTransport = monerojs.MoneroMultisigMemoryTransport;
 
 // test constants
 const SEND_DIVISOR = 10;
@@ -1569,6 +1578,121 @@ class TestMoneroWalletCommon {
         }
       });
       
+      if (testConfig.testNonRelays)
+      it("Can get transactions and transfers with pagination", async function() {
+        
+        // get confirmed txs in ascending and descending order
+        let txs = await that.wallet.getTxs({isConfirmed: true, sortDescending: false});
+        assert(txs.length >= 3, "Test requires 3 or more confirmed wallet transactions; run send tests");
+        for (let i = 1; i < txs.length; i++) assert(txs[i - 1].getHeight() <= txs[i].getHeight());
+        let txsDesc = await that.wallet.getTxs({isConfirmed: true, sortDescending: true});
+        assert.equal(txsDesc.length, txs.length);
+        for (let i = 1; i < txsDesc.length; i++) assert(txsDesc[i - 1].getHeight() >= txsDesc[i].getHeight());
+        
+        // get pages of txs
+        let page = await that.wallet.getTxs(new MoneroTxQuery().setIsConfirmed(true).setSortDescending(false).setOffset(1).setLimit(2));
+        assert.deepEqual(page.map(tx => tx.getHash()), txs.slice(1, 3).map(tx => tx.getHash()));
+        for (let tx of page) await that._testTxWallet(tx, {wallet: that.wallet});
+        assert.equal((await that.wallet.getTxs({isConfirmed: true, offset: txs.length})).length, 0);
+        assert.equal((await that.wallet.getTxs({isConfirmed: true, limit: 0})).length, 0);
+        
+        // iterate over txs
+        let iteratedHashes = [];
+        for await (let tx of that.wallet.iterateTxs({isConfirmed: true}, 2)) iteratedHashes.push(tx.getHash());
+        assert.deepEqual(iteratedHashes, txs.map(tx => tx.getHash()));
+        iteratedHashes = [];
+        for await (let tx of that.wallet.iterateTxs({isConfirmed: true, sortDescending: true, offset: 1, limit: 2}, 1)) iteratedHashes.push(tx.getHash());
+        assert.deepEqual(iteratedHashes, txsDesc.slice(1, 3).map(tx => tx.getHash()));
+        
+        // get pages of transfers
+        let transfers = await that.wallet.getTransfers({txQuery: {isConfirmed: true}, sortDescending: false});
+        assert(transfers.length >= 3);
+        let transferPage = await that.wallet.getTransfers({txQuery: {isConfirmed: true}, sortDescending: false, offset: 1, limit: 2});
+        assert.equal(transferPage.length, 2);
+        for (let i = 0; i < transferPage.length; i++) {
+          assert.equal(transferPage[i].getTx().getHash(), transfers[i + 1].getTx().getHash());
+          assert.equal(transferPage[i].isIncoming(), transfers[i + 1].isIncoming());
+          assert.equal(transferPage[i].getAmount().toString(), transfers[i + 1].getAmount().toString());
+          await testTransfer(transferPage[i], undefined);
+        }
+        let numTransfers = 0;
+        for await (let transfer of that.wallet.iterateTransfers({txQuery: {isConfirmed: true}}, 3)) {
+          assert.equal(transfer.getTx().getHash(), transfers[numTransfers].getTx().getHash());
+          numTransfers++;
+        }
+        assert.equal(numTransfers, transfers.length);
+        
+        // test invalid pagination
+        try {
+          await that.wallet.getTxs({offset: -1});
+          throw new Error("Should have thrown error");
+        } catch (e) {
+          assert.equal(e.message, "Query offset must be an integer >= 0 but was -1");
+        }
+      });
+      
+      if (testConfig.testNonRelays)
+      it("Can get transfers by time range, amount range, note and destination address", async function() {
+        
+        // get transfers by amount range
+        let transfers = await that.wallet.getIncomingTransfers({txQuery: {isConfirmed: true}});
+        assert(transfers.length > 0);
+        let amount = transfers[0].getAmount();
+        let queried = await that.wallet.getIncomingTransfers({minAmount: amount, txQuery: {isConfirmed: true}});
+        assert(queried.length > 0);
+        for (let transfer of queried) assert(transfer.getAmount().compare(amount) >= 0);
+        assert.equal(queried.length, transfers.filter(transfer => transfer.getAmount().compare(amount) >= 0).length);
+        queried = await that.wallet.getIncomingTransfers({minAmount: amount.toString(), maxAmount: amount.toString(), txQuery: {isConfirmed: true}});
+        assert(queried.length > 0);
+        for (let transfer of queried) assert.equal(transfer.getAmount().toString(), amount.toString());
+        
+        // get txs by time range
+        let timestamp = transfers[0].getTx().getBlock().getTimestamp();
+        let txs = await that.wallet.getTxs({minTimestamp: timestamp, maxTimestamp: timestamp});
+        assert(txs.map(tx => tx.getHash()).includes(transfers[0].getTx().getHash()));
+        for (let tx of txs) assert.equal(tx.getBlock().getTimestamp(), timestamp);
+        for (let tx of await that.wallet.getTxs({minTimestamp: timestamp + 1})) assert(!tx.isConfirmed() || tx.getBlock().getTimestamp() > timestamp);
+        for (let tx of await that.wallet.getTxs({maxTimestamp: timestamp - 1})) assert(tx.getBlock().getTimestamp() < timestamp);
+        
+        // get txs and transfers by note text, ignoring case
+        let uuid = GenUtils.getUUID();
+        await that.wallet.setTxNote(transfers[0].getTx().getHash(), "Invoice " + uuid);
+        txs = await that.wallet.getTxs({noteContains: "invoice " + uuid.toUpperCase()});
+        assert.deepEqual(txs.map(tx => tx.getHash()), [transfers[0].getTx().getHash()]);
+        queried = await that.wallet.getTransfers({txQuery: {noteContains: uuid}});
+        assert(queried.length > 0);
+        for (let transfer of queried) assert.equal(transfer.getTx().getHash(), transfers[0].getTx().getHash());
+        
+        // get outgoing transfers by destination address
+        let outTransfers = await that.wallet.getOutgoingTransfers({hasDestinations: true});
+        assert(outTransfers.length > 0, "Test requires outgoing transfers with destinations; run send tests");
+        let destinationAddress = outTransfers[0].getDestinations()[0].getAddress();
+        queried = await that.wallet.getTransfers({destinationAddress: destinationAddress});
+        assert.equal(queried.length, outTransfers.filter(transfer => transfer.getDestinations().some(destination => destination.getAddress() === destinationAddress)).length);
+        for (let transfer of queried) {
+          assert(transfer.isOutgoing());
+          assert(transfer.getDestinations().some(destination => destination.getAddress() === destinationAddress));
+        }
+        txs = await that.wallet.getTxs({transferQuery: {destinationAddresses: [destinationAddress]}});
+        assert(txs.length > 0);
+        for (let tx of txs) assert(tx.getOutgoingTransfer().getDestinations().some(destination => destination.getAddress() === destinationAddress));
+        
+        // get outgoing transfers by address book label of destination
+        let label = "Payee " + GenUtils.getUUID();
+        let labelIdx = await that.wallet.addAddressBookEntry(destinationAddress, label);
+        try {
+          queried = await that.wallet.getTransfers({destinationLabel: label.toUpperCase().substring(3)});
+          assert.equal(queried.length, outTransfers.filter(transfer => transfer.getDestinations().some(destination => destination.getAddress() === destinationAddress)).length);
+          for (let transfer of queried) assert(transfer.getDestinations().some(destination => destination.getAddress() === destinationAddress));
+          txs = await that.wallet.getTxs({transferQuery: {destinationLabel: label}});
+          assert(txs.length > 0);
+          for (let tx of txs) assert(tx.getOutgoingTransfer().getDestinations().some(destination => destination.getAddress() === destinationAddress));
+          assert.equal((await that.wallet.getTransfers({destinationLabel: GenUtils.getUUID()})).length, 0);
+        } finally {
+          await that.wallet.deleteAddressBookEntry(labelIdx);
+        }
+      });
+      
       if (testConfig.testNonRelays)
       it("Can get outputs in the wallet, accounts, and subaddresses", async function() {
 
@@ -1848,6 +1972,67 @@ class TestMoneroWalletCommon {
         // TODO: test that get transaction has note
       });
       
+      if (testConfig.testNonRelays)
+      it("Can export transfers to CSV and JSON Lines", async function() {
+        
+        // set a note with characters which must be escaped in CSV
+        let txs = await getRandomTransactions(that.wallet, {isConfirmed: true}, 1, 1);
+        let note = "Note, with \"quotes\" " + GenUtils.getUUID();
+        await that.wallet.setTxNote(txs[0].getHash(), note);
+        
+        // label a destination in the address book with a value which spreadsheets evaluate as a formula
+        let query = {isConfirmed: true};
+        let transfers = await that.wallet.getTransfers({txQuery: query});
+        let outTransfer = transfers.find(transfer => transfer.isOutgoing() && transfer.getDestinations() && transfer.getDestinations().length);
+        assert(outTransfer, "No confirmed outgoing transfers with destinations; run send tests");
+        let label = "=label " + GenUtils.getUUID();
+        let labelIdx = await that.wallet.addAddressBookEntry(outTransfer.getDestinations()[0].getAddress(), label);
+        
+        // export transfers of confirmed txs as json lines
+        let lines = (await that.wallet.exportTransfers({query: query, format: MoneroWallet.EXPORT_FORMAT_JSONL})).split("\n");
+        assert.equal(lines.pop(), "");
+        assert.equal(lines.length, transfers.length);
+        let records = lines.map(line => JSON.parse(line));
+        let lastHeight = 0;
+        for (let record of records) {
+          assert(record.height >= lastHeight);
+          lastHeight = record.height;
+          assert(record.date);
+          assert(record.direction === "in" || record.direction === "out");
+          assert(BigInteger.parse(record.amount).compare(new BigInteger(0)) >= 0);
+          assert.equal(record.fee === undefined, record.direction === "in");
+        }
+        let noteRecords = records.filter(record => record.txHash === txs[0].getHash());
+        assert(noteRecords.length > 0);
+        for (let record of noteRecords) assert.equal(record.note, note);
+        let labelRecords = records.filter(record => record.txHash === outTransfer.getTx().getHash() && record.direction === "out");
+        assert.equal(labelRecords.length, 1);
+        assert(labelRecords[0].label.split(";").includes(label));
+        
+        // export transfers to a writer as csv
+        let csvLines = [];
+        assert.equal(await that.wallet.exportTransfers({query: query, xmr: true, writer: async function(line) { csvLines.push(line); }}), undefined);
+        assert.equal(csvLines.length, transfers.length + 1);
+        assert.equal(csvLines[0], MoneroWallet.EXPORT_COLUMNS.join(","));
+        assert(csvLines.some(line => line.endsWith(",\"" + note.replace(/"/g, "\"\"") + "\"")));
+        let labelColumn = MoneroWallet.EXPORT_COLUMNS.indexOf("label");
+        assert(csvLines.some(line => line.includes(outTransfer.getTx().getHash()) && line.split(",")[labelColumn].split(";").includes("'" + label)));
+        await that.wallet.deleteAddressBookEntry(labelIdx);
+        
+        // export incoming transfers of an account
+        let inTransfers = await that.wallet.getIncomingTransfers({accountIndex: 0});
+        let csv = await that.wallet.exportTransfers({query: {transferQuery: {isIncoming: true, accountIndex: 0}}});
+        assert.equal(csv.split("\n").length, inTransfers.length + 2);
+        
+        // unsupported format
+        try {
+          await that.wallet.exportTransfers({format: "xml"});
+          throw new Error("Should have thrown error");
+        } catch (e) {
+          assert.equal(e.message, "Unsupported export format: xml");
+        }
+      });
+      
       if (testConfig.testNonRelays)
       it("Can check a transfer using the transaction's secret key and the destination", async function() {
         
@@ -2524,6 +2709,24 @@ class TestMoneroWalletCommon {
       
       // ----------------------------- NOTIFICATION TESTS -------------------------
       
+      if (testConfig.testNonRelays)
+      it("Does not notify reorg listeners if the chain is not reorganized", async function() {
+        let reorgs = [];
+        let listener = new class extends MoneroWalletListener {
+          async onReorg(forkHeight, detachedTxHashes) {
+            reorgs.push([forkHeight, detachedTxHashes]);
+          }
+        }
+        await that.wallet.addListener(listener);
+        try {
+          await that.wallet.sync();
+          await that.wallet.sync();
+          assert.equal(reorgs.length, 0, "Unexpected reorg notification: " + JSON.stringify(reorgs));
+        } finally {
+          await that.wallet.removeListener(listener);
+        }
+      });
+      
       if (testConfig.testNotifications)
       it("Can generate notifications sending to different wallet.", async function() {
         await testWalletNotifications("testNotificationsDifferentWallet", false, false, false, false, 0);
@@ -2900,6 +3103,124 @@ class TestMoneroWalletCommon {
         if (err) throw err;
       });
       
+      if (testConfig.testNotifications)
+      it("Can watch deposits to subaddresses mapped to external ids", async function() {
+        
+        // create a random wallet
+        let receiver = await that.createWallet();
+        let err;
+        try {
+          
+          // watch deposits to a subaddress per customer
+          let store = new MoneroDepositStore();
+          let watcher = new MoneroDepositWatcher(receiver, {numConfirmations: 1, store: store});
+          let received = [];
+          let confirmed = [];
+          let listener = new class extends MoneroDepositListener {
+            async onDepositReceived(deposit) { received.push(deposit); }
+            async onDepositConfirmed(deposit) { confirmed.push(deposit); }
+          }
+          await watcher.addListener(listener);
+          let subaddress = await watcher.createSubaddress("customer-1");
+          assert.equal(await watcher.getExternalId(subaddress.getIndex()), "customer-1");
+          await watcher.start();
+          
+          // wait for txs to confirm and for sufficient unlocked balance
+          await TestUtils.WALLET_TX_TRACKER.waitForWalletTxsToClearPool(that.wallet);
+          await TestUtils.WALLET_TX_TRACKER.waitForUnlockedBalance(that.wallet, 0, undefined, TestUtils.MAX_FEE);
+          
+          // send funds to the customer's subaddress
+          let sentTx = await that.wallet.createTx({accountIndex: 0, address: subaddress.getAddress(), amount: TestUtils.MAX_FEE, relay: true});
+          
+          // wait for deposit to confirm
+          try { await StartMining.startMining(); } catch (e) { }
+          let maxHeight = await that.daemon.getHeight() + 10;
+          while (!confirmed.length) {
+            if (await that.daemon.getHeight() > maxHeight) throw new Error("Deposit watcher did not notify confirmed deposit");
+            await that.daemon.waitForNextBlockHeader();
+            await receiver.sync();
+            await watcher.scan();
+          }
+          await watcher.stop();
+          
+          // test notified deposits
+          assert.equal(received.length, 1);
+          assert.equal(confirmed.length, 1);
+          for (let deposit of [received[0], confirmed[0]]) {
+            assert.equal(deposit.getId(), sentTx.getHash() + ":0:" + subaddress.getIndex());
+            assert.equal(deposit.getExternalId(), "customer-1");
+            assert.equal(deposit.getTxHash(), sentTx.getHash());
+            assert.equal(deposit.getAmount().toString(), TestUtils.MAX_FEE.toString());
+          }
+          assert(confirmed[0].getNumConfirmations() >= 1);
+          
+          // restarted watcher with same store does not notify deposits again
+          let restarted = new MoneroDepositWatcher(receiver, {numConfirmations: 1, store: store});
+          await restarted.addListener(listener);
+          await restarted.scan();
+          assert.equal(received.length, 1);
+          assert.equal(confirmed.length, 1);
+        } catch (e) {
+          err = e;
+        }
+        
+        // final cleanup
+        await that.closeWallet(receiver);
+        try { await that.daemon.stopMining(); } catch (e) { }
+        if (err) throw err;
+      });
+      
+      if (testConfig.testNotifications)
+      it("Can notify listeners when txs reach confirmation thresholds", async function() {
+        
+        // create a random wallet
+        let receiver = await that.createWallet();
+        let err;
+        try {
+          
+          // listen for confirmation changes
+          let notifiedTxs = [];
+          let listener = new class extends MoneroWalletListener {
+            getConfirmationThresholds() { return [1, 2]; }
+            async onTxConfirmationsChanged(tx) { notifiedTxs.push(tx); }
+          }
+          await receiver.addListener(listener);
+          await receiver.sync(); // snapshot txs to compare
+          
+          // wait for txs to confirm and for sufficient unlocked balance
+          await TestUtils.WALLET_TX_TRACKER.waitForWalletTxsToClearPool(that.wallet);
+          await TestUtils.WALLET_TX_TRACKER.waitForUnlockedBalance(that.wallet, 0, undefined, TestUtils.MAX_FEE);
+          
+          // send funds to the created wallet
+          let sentTx = await that.wallet.createTx({accountIndex: 0, address: await receiver.getPrimaryAddress(), amount: TestUtils.MAX_FEE, relay: true});
+          
+          // wait for tx to reach 2 confirmations
+          try { await StartMining.startMining(); } catch (e) { }
+          let maxHeight = await that.daemon.getHeight() + 10;
+          while (!notifiedTxs.some(tx => tx.getHash() === sentTx.getHash() && tx.getNumConfirmations() >= 2)) {
+            if (await that.daemon.getHeight() > maxHeight) throw new Error("Listener was not notified when tx reached 2 confirmations");
+            await that.daemon.waitForNextBlockHeader();
+            await receiver.sync();
+          }
+          
+          // test notified txs
+          let sentTxNotifications = notifiedTxs.filter(tx => tx.getHash() === sentTx.getHash());
+          assert(sentTxNotifications.length >= 1 && sentTxNotifications.length <= 2);
+          for (let tx of sentTxNotifications) {
+            assert.equal(tx.isConfirmed(), true);
+            assert(tx.getNumConfirmations() >= 1);
+            assert.equal(tx.isLocked(), true);
+          }
+        } catch (e) {
+          err = e;
+        }
+        
+        // final cleanup
+        await that.closeWallet(receiver);
+        try { await that.daemon.stopMining(); } catch (e) { }
+        if (err) throw err;
+      });
+      
       // TODO: test sending to multiple accounts
       if (testConfig.testRelays && testConfig.testNotifications)
       it("Can update a locked tx sent from/to the same account as blocks are added to the chain", async function() {
@@ -3185,6 +3506,86 @@ class TestMoneroWalletCommon {
         if (err) throw err;
       });
       
+      if (testConfig.testRelays)
+      it("Can send batched payouts with a payout scheduler", async function() {
+        let err;
+        let recipient;
+        try {
+          
+          // wait for txs to confirm and for sufficient unlocked balance
+          await TestUtils.WALLET_TX_TRACKER.waitForWalletTxsToClearPool(that.wallet);
+          let numPayouts = 3;
+          await TestUtils.WALLET_TX_TRACKER.waitForUnlockedBalance(that.wallet, 0, undefined, TestUtils.MAX_FEE.multiply(new BigInteger(numPayouts + 1)));
+          
+          // create recipient wallet with a subaddress per payout
+          recipient = await that.createWallet(new MoneroWalletConfig());
+          let addresses = [];
+          for (let i = 0; i < numPayouts; i++) addresses.push((await recipient.createSubaddress(0)).getAddress());
+          
+          // schedule payouts idempotently
+          let store = new MoneroPayoutStore();
+          let scheduler = new MoneroPayoutScheduler(that.wallet, {store: store});
+          let sent = [];
+          let failed = [];
+          let listener = new class extends MoneroPayoutListener {
+            async onPayoutSent(payout) { sent.push(payout); }
+            async onPayoutFailed(payout) { failed.push(payout); }
+          }
+          await scheduler.addListener(listener);
+          for (let i = 0; i < numPayouts; i++) await scheduler.addPayout({id: "payout-" + i, address: addresses[i], amount: TestUtils.MAX_FEE});
+          await scheduler.addPayout({id: "payout-0", address: addresses[0], amount: TestUtils.MAX_FEE});
+          assert.equal((await scheduler.getPendingPayouts()).length, numPayouts);
+          try {
+            await scheduler.addPayout({id: "payout-0", address: addresses[1], amount: TestUtils.MAX_FEE});
+            throw new Error("Should have thrown error");
+          } catch (e) {
+            assert.equal(e.message, "Payout already exists with id: payout-0");
+          }
+          
+          // send payouts in one tx
+          await scheduler.process();
+          assert.equal(failed.length, 0, failed.length ? failed[0].getError() : undefined);
+          assert.equal(sent.length, numPayouts);
+          assert.equal((await scheduler.getPendingPayouts()).length, 0);
+          let txHash = sent[0].getTxHash();
+          let tx = await that.wallet.getTx(txHash);
+          let fee = new BigInteger(0);
+          for (let i = 0; i < numPayouts; i++) {
+            let payout = await scheduler.getPayout("payout-" + i);
+            assert.equal(payout.getStatus(), MoneroPayout.STATUS_SENT);
+            assert.equal(payout.getTxHash(), txHash);
+            assert.equal(payout.getNumAttempts(), 0);
+            fee = fee.add(payout.getFee());
+          }
+          assert.equal(fee.toString(), tx.getFee().toString());
+          
+          // test recipient received payouts
+          await recipient.sync();
+          assert.equal((await recipient.getBalance()).toString(), TestUtils.MAX_FEE.multiply(new BigInteger(numPayouts)).toString());
+          
+          // restarted scheduler with same store does not send payouts again
+          let restarted = new MoneroPayoutScheduler(that.wallet, {store: store});
+          await restarted.addListener(listener);
+          await restarted.addPayout({id: "payout-0", address: addresses[0], amount: TestUtils.MAX_FEE});
+          await restarted.process();
+          assert.equal(sent.length, numPayouts);
+          
+          // payout which the unlocked balance does not cover plus fee waits without an attempt
+          await restarted.addPayout({id: "payout-unfunded", address: addresses[0], amount: (await that.wallet.getUnlockedBalance(0)).subtract(new BigInteger(1))});
+          await restarted.process();
+          let unfunded = await restarted.getPayout("payout-unfunded");
+          assert.equal(unfunded.getStatus(), MoneroPayout.STATUS_PENDING);
+          assert.equal(unfunded.getNumAttempts(), 0);
+          assert.equal(sent.length, numPayouts);
+        } catch (e) {
+          err = e;
+        }
+        
+        // finally 
+        if (recipient && !await recipient.isClosed()) await that.closeWallet(recipient);
+        if (err) throw err;
+      });
+      
       if (testConfig.testRelays)
       it("Can send from multiple subaddresses in a single transaction", async function() {
         await testSendFromMultiple();
@@ -3747,6 +4148,12 @@ class TestMoneroWalletCommon {
         await that._testMultisig(2, 4, testConfig.testRelays && !testConfig.liteMode); // m/n
       });
       
+      it("Supports multisig sessions", async function() {
+        await that._testMultisigSession(2, 2, false); // n/n
+        await that._testMultisigSession(2, 3, false); // (n-1)/n
+        await that._testMultisigSession(3, 4, testConfig.testRelays && !testConfig.liteMode); // m/n
+      });
+      
       // ---------------------------- TEST RESETS -----------------------------
       
       if (testConfig.testResets)
@@ -4070,6 +4477,94 @@ class TestMoneroWalletCommon {
         assert.equal(output.getKeyImage().getHex(), outputThawed.getKeyImage().getHex());
       });
       
+      if (testConfig.testNonRelays)
+      it("Can create transactions which spend selected outputs", async function() {
+        
+        // get an available output above twice the max fee
+        let outputs = await that.wallet.getOutputs(new MoneroOutputQuery().setAccountIndex(0).setIsSpent(false).setIsFrozen(false).setTxQuery(new MoneroTxQuery().setIsLocked(false)).setMinAmount(TestUtils.MAX_FEE.multiply(new BigInteger(2))));
+        assert(outputs.length > 1, "Wallet needs at least 2 available outputs to test spending selected outputs");
+        let keyImage = outputs[0].getKeyImage().getHex();
+        let numFrozenBefore = (await that.wallet.getOutputs(new MoneroOutputQuery().setIsFrozen(true))).length;
+        
+        // create tx which spends the selected output
+        let tx = await that.wallet.createTx(new MoneroTxConfig().setAccountIndex(0).addDestination(await that.wallet.getPrimaryAddress(), outputs[0].getAmount().subtract(TestUtils.MAX_FEE)).setKeyImages(keyImage));
+        assert.equal(tx.getInputs().length, 1);
+        assert.equal(tx.getInputs()[0].getKeyImage().getHex(), keyImage);
+        assert.equal((await that.wallet.getOutputs(new MoneroOutputQuery().setIsFrozen(true))).length, numFrozenBefore);
+        
+        // selected outputs must cover amount plus fee
+        try {
+          await that.wallet.createTxs({accountIndex: 0, address: await that.wallet.getPrimaryAddress(), amount: outputs[0].getAmount(), keyImages: [keyImage]});
+          throw new Error("Should have thrown error");
+        } catch (e) {
+          assert(e.message.startsWith("Outputs to spend do not cover amount plus fee"), e.message);
+        }
+        assert.equal((await that.wallet.getOutputs(new MoneroOutputQuery().setIsFrozen(true))).length, numFrozenBefore);
+        
+        // selected outputs must be unspent outputs of the account
+        try {
+          await that.wallet.createTxs({accountIndex: 0, address: await that.wallet.getPrimaryAddress(), amount: TestUtils.MAX_FEE, keyImages: ["0".repeat(64)]});
+          throw new Error("Should have thrown error");
+        } catch (e) {
+          assert(e.message.startsWith("Output to spend is not an unspent output of account 0"), e.message);
+        }
+        
+        // selected outputs are spent in one transaction
+        try {
+          await that.wallet.createTxs({accountIndex: 0, address: await that.wallet.getPrimaryAddress(), amount: TestUtils.MAX_FEE, keyImages: [keyImage], canSplit: true});
+          throw new Error("Should have thrown error");
+        } catch (e) {
+          assert.equal(e.message, "Cannot split transactions which spend selected outputs");
+        }
+        try {
+          await that.wallet.createTxs({accountIndex: 0, address: await that.wallet.getPrimaryAddress(), amount: TestUtils.MAX_FEE, keyImages: [keyImage], subtractFeeFrom: [0]});
+          throw new Error("Should have thrown error");
+        } catch (e) {
+          assert.equal(e.message, "Cannot subtract fee from destinations when spending selected outputs");
+        }
+      });
+      
+      if (testConfig.testNonRelays)
+      it("Can estimate transaction sizes and fees", async function() {
+        
+        // estimate sizes and weights
+        let sizeAndWeight = await that.wallet.estimateTxSizeAndWeight(1, 2);
+        assert.equal(sizeAndWeight.length, 2);
+        assert(sizeAndWeight[0] > 0);
+        assert(sizeAndWeight[1] >= sizeAndWeight[0]);
+        assert((await that.wallet.estimateTxSizeAndWeight(2, 2))[0] > sizeAndWeight[0]);
+        sizeAndWeight = await that.wallet.estimateTxSizeAndWeight(1, 4);
+        assert(sizeAndWeight[1] > sizeAndWeight[0]); // weight includes bulletproof clawback
+        assert.deepEqual(await that.wallet.estimateTxSizeAndWeight(1, 2, MoneroWallet.DEFAULT_RING_SIZE), await that.wallet.estimateTxSizeAndWeight(1, 2));
+        try {
+          await that.wallet.estimateTxSizeAndWeight(0, 2);
+          throw new Error("Should have thrown error");
+        } catch (e) {
+          assert.equal(e.message, "Invalid number of inputs: 0");
+        }
+        
+        // estimate fees by priority
+        let config = new MoneroTxConfig().setAccountIndex(0).addDestination(await that.wallet.getPrimaryAddress(), TestUtils.MAX_FEE);
+        let feeEstimate = await that.daemon.getFeeEstimate();
+        let lastFee;
+        for (let priority of [MoneroTxPriority.UNIMPORTANT, MoneroTxPriority.NORMAL, MoneroTxPriority.ELEVATED]) {
+          let fee = await that.wallet.estimateFee(config.copy().setPriority(priority), feeEstimate);
+          assert(fee.compare(new BigInteger(0)) > 0);
+          assert(fee.compare(TestUtils.MAX_FEE) < 0);
+          if (lastFee) assert(fee.compare(lastFee) >= 0, "Fee estimate decreased with priority");
+          lastFee = fee;
+        }
+        
+        // estimated fee to spend an output is near fee of created tx
+        let outputs = await that.wallet.getOutputs(new MoneroOutputQuery().setAccountIndex(0).setIsSpent(false).setIsFrozen(false).setTxQuery(new MoneroTxQuery().setIsLocked(false)).setMinAmount(TestUtils.MAX_FEE.multiply(new BigInteger(2))));
+        assert(outputs.length > 0, "Wallet needs an available output to test fee estimates");
+        config.setKeyImages(outputs[0].getKeyImage().getHex());
+        let fee = await that.wallet.estimateFee(config);
+        let tx = await that.wallet.createTx(config);
+        let diff = fee.subtract(tx.getFee()).abs();
+        assert(diff.multiply(new BigInteger(10)).compare(tx.getFee()) <= 0, "Estimated fee " + fee + " is not within 10% of tx fee " + tx.getFee());
+      });
+      
       if (testConfig.testNonRelays)
       it("Provides key images of spent outputs", async function() {
         let accountIndex = 0;
@@ -4973,6 +5468,120 @@ class TestMoneroWalletCommon {
     }
   }
   
+  async _testMultisigSession(M, N, testTx) {
+    console.log("_testMultisigSession(" + M + ", " + N + ")");
+    let participants = [];
+    let err;
+    try {
+      
+      // create N participants with sessions which share an in-memory transport
+      let sessionId = GenUtils.getUUID();
+      let participantIds = [];
+      for (let i = 0; i < N; i++) participantIds.push("participant" + i);
+      let transport = new MoneroMultisigMemoryTransport();
+      let sessions = [];
+      for (let i = 0; i < N; i++) {
+        participants.push(await this.createWallet(new MoneroWalletConfig()));
+        sessions.push(new MoneroMultisigSession(participants[i], {
+          sessionId: sessionId,
+          participantId: participantIds[i],
+          participantIds: participantIds,
+          threshold: M,
+          password: TestUtils.WALLET_PASSWORD,
+          transport: i === 0 ? transport : new MoneroMultisigMemoryTransport(transport.getMessages())
+        }));
+      }
+      
+      // test invalid config
+      try {
+        new MoneroMultisigSession(participants[0], {sessionId: sessionId, participantId: "unknown", participantIds: participantIds, threshold: M, password: TestUtils.WALLET_PASSWORD, transport: transport});
+        throw new Error("Should have thrown error");
+      } catch (e) {
+        assert.equal(e.message, "Participant ids must include this participant's id: unknown");
+      }
+      
+      // start sessions and poll until multisig wallets are created
+      for (let session of sessions) assert.equal(await session.start(), MoneroMultisigSession.STATE_PREPARING);
+      await pollSessions(async () => sessions.every(session => session.getState() === MoneroMultisigSession.STATE_READY));
+      for (let i = 0; i < N; i++) {
+        assert.equal(sessions[i].getRound(), N - M + 1);
+        assert.equal(sessions[i].getAddress(), sessions[0].getAddress());
+        assert.equal(await participants[i].getPrimaryAddress(), sessions[0].getAddress());
+        await this._testMultisigInfo(await participants[i].getMultisigInfo(), M, N);
+      }
+      await MoneroUtils.validateAddress(sessions[0].getAddress(), TestUtils.NETWORK_TYPE);
+      
+      // test sending a multisig transaction if configured
+      if (testTx) {
+        
+        // wait for txs to confirm and for sufficient unlocked balance
+        await TestUtils.WALLET_TX_TRACKER.waitForWalletTxsToClearPool(this.wallet);
+        await TestUtils.WALLET_TX_TRACKER.waitForUnlockedBalance(this.wallet, 0, undefined, TestUtils.MAX_FEE.multiply(BigInteger.parse("5")));
+        
+        // send funds from the main test wallet to the multisig wallet and mine until unlocked
+        await this.wallet.createTx({accountIndex: 0, address: sessions[0].getAddress(), amount: TestUtils.MAX_FEE.multiply(new BigInteger(3)), relay: true});
+        await StartMining.startMining();
+        while (true) {
+          await new Promise(function(resolve) { setTimeout(resolve, TestUtils.SYNC_PERIOD_IN_MS); });
+          let outputs = await participants[0].getOutputs();
+          if (outputs.length && !outputs[0].isLocked()) break;
+        }
+        await this.daemon.stopMining();
+        
+        // synchronize participants
+        await sessions[0].syncParticipants();
+        await pollSessions(async function() {
+          for (let participant of participants) if (await participant.isMultisigImportNeeded()) return false;
+          return true;
+        });
+        
+        // propose tx which is signed by participants in turn and submitted by the last signer
+        let txId = await sessions[0].proposeTxs({accountIndex: 0, address: await this.wallet.getPrimaryAddress(), amount: TestUtils.MAX_FEE});
+        assert.equal(sessions[0].getTxProposal(txId).status, MoneroMultisigSession.TX_STATUS_SIGNING);
+        await pollSessions(async () => sessions.every(session => session.getTxProposal(txId) && session.getTxProposal(txId).status !== MoneroMultisigSession.TX_STATUS_SIGNING));
+        for (let session of sessions) {
+          let proposal = session.getTxProposal(txId);
+          assert.equal(proposal.status, MoneroMultisigSession.TX_STATUS_SUBMITTED, proposal.error);
+          assert.equal(proposal.numSignatures, M);
+          assert.deepEqual(proposal.signerIds, participantIds.slice(0, M));
+          assert(proposal.txHashes.length > 0);
+        }
+        await sessions[0].syncParticipants();
+        await pollSessions(async () => (await participants[0].getTxs({hashes: sessions[0].getTxProposal(txId).txHashes})).length > 0);
+      }
+      
+      // messages from unknown participants are rejected
+      await new MoneroMultisigMemoryTransport(transport.getMessages()).send({sessionId: sessionId, from: "unknown", type: MoneroMultisigSession.MESSAGE_PREPARE, hex: "abc"});
+      for (let session of sessions) {
+        try {
+          await session.poll();
+          throw new Error("Should have thrown error");
+        } catch (e) {
+          assert.equal(e.message, "Multisig message from unknown participant: unknown");
+        }
+      }
+      
+      // poll sessions until a condition is met
+      async function pollSessions(isDone) {
+        for (let i = 0; i < 20; i++) {
+          for (let session of sessions) await session.poll();
+          if (await isDone()) return;
+        }
+        throw new Error("Multisig sessions did not complete");
+      }
+    } catch (e) {
+      err = e;
+    }
+    
+    // stop mining at end of test
+    try { await this.daemon.stopMining(); }
+    catch (err2) { }
+    
+    // save and close participants
+    for (let participant of participants) await this.closeWallet(participant, true);
+    if (err) throw err;
+  }
+  
   async _synchronizeMultisigParticipants(wallets) {
     
     // collect multisig hex of all participants to synchronize
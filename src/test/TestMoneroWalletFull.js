@@ -17,8 +17,13 @@ const MoneroTxConfig = monerojs.MoneroTxConfig;
 const MoneroDestination = monerojs.MoneroDestination;
 const MoneroOutputQuery = monerojs.MoneroOutputQuery;
 const MoneroOutputWallet = monerojs.MoneroOutputWallet;
+const MoneroMetrics = monerojs.MoneroMetrics;
 const MoneroRpcConnection = monerojs.MoneroRpcConnection;
+const MoneroWallet = monerojs.MoneroWallet;
 const MoneroWalletFull = monerojs.MoneroWalletFull;
+const MoneroWalletKeys = monerojs.MoneroWalletKeys;
+const MoneroWalletStorage = monerojs.MoneroWalletStorage;
+const MoneroOfflineSigningCoordinator = monerojs.MoneroOfflineSigningCoordinator;
 
 /**
  * Tests a Monero wallet using WebAssembly to bridge to monero-project's wallet2.
@@ -55,7 +60,7 @@ class TestMoneroWalletFull extends TestMoneroWalletCommon {
     for (let item of items) {
       let found = false;
       for (let whitelisted of whitelist) {
-        if (item === whitelisted || item === whitelisted + ".keys" || item === whitelisted + ".address.txt") {
+        if (item === whitelisted || item.startsWith(whitelisted + ".")) { // include manifest and backups
           found = true;
           break;
         }
@@ -80,7 +85,7 @@ class TestMoneroWalletFull extends TestMoneroWalletCommon {
     if (config.getNetworkType() === undefined) config.setNetworkType(TestUtils.NETWORK_TYPE);
     if (config.getProxyToWorker() === undefined) config.setProxyToWorker(TestUtils.PROXY_TO_WORKER);
     if (config.getServer() === undefined && config.getServerUri() === undefined) config.setServer(TestUtils.getDaemonRpcConnection());
-    if (config.getFs() === undefined) config.setFs(TestUtils.getDefaultFs());
+    if (config.getFs() === undefined && config.getStorage() === undefined) config.setFs(TestUtils.getDefaultFs());
     
     // open wallet
     let wallet = await monerojs.openWalletFull(config);
@@ -99,7 +104,7 @@ class TestMoneroWalletFull extends TestMoneroWalletCommon {
     if (!config.getRestoreHeight() && !random) config.setRestoreHeight(0);
     if (!config.getServer() && config.getServerUri() === undefined) config.setServer(TestUtils.getDaemonRpcConnection());
     if (config.getProxyToWorker() === undefined) config.setProxyToWorker(TestUtils.PROXY_TO_WORKER);
-    if (config.getFs() === undefined) config.setFs(TestUtils.getDefaultFs());
+    if (config.getFs() === undefined && config.getStorage() === undefined) config.setFs(TestUtils.getDefaultFs());
     
     // create wallet
     let wallet = await monerojs.createWalletFull(config);
@@ -159,6 +164,26 @@ class TestMoneroWalletFull extends TestMoneroWalletCommon {
         assert(daemonHeight > 0);
       });
       
+      if (testConfig.testNonRelays)
+      it("Records metrics when syncing", async function() {
+        let wallet = await that.createWallet({seed: TestUtils.SEED, restoreHeight: await that.daemon.getHeight() - 10});
+        let result = await wallet.sync();
+        let snapshot = await LibraryUtils.getMetricsSnapshot();
+        let labels = {wallet: await wallet.getPath() ? await wallet.getPath() : "in-memory wallet"};
+        let getSample = function(name) {
+          let metric = snapshot.metrics.find(metric => metric.name === name);
+          return metric ? metric.samples.find(sample => GenUtils.equals(sample.labels, labels)) : undefined;
+        }
+        assert(getSample(MoneroMetrics.WALLET_SYNCS).value >= 1);
+        assert(getSample(MoneroMetrics.WALLET_SYNC_BLOCKS).value >= result.getNumBlocksFetched());
+        assert(getSample(MoneroMetrics.WALLET_SYNC_RECEIVED_BYTES).value > 0);
+        assert(getSample(MoneroMetrics.WALLET_SYNC_DURATION).count >= 1);
+        assert(getSample(MoneroMetrics.WALLET_SYNC_BLOCKS_PER_SECOND).value >= 0);
+        assert(snapshot.metrics.find(metric => metric.name === MoneroMetrics.QUEUE_DEPTH));
+        assert(MoneroMetrics.toPrometheus(snapshot).indexOf(MoneroMetrics.WALLET_SYNC_BLOCKS) >= 0);
+        await that.closeWallet(wallet);
+      });
+      
       if (testConfig.testNonRelays && !testConfig.liteMode)
       it("Can open, sync, and close wallets repeatedly", async function() {
         let wallets = [];
@@ -388,6 +413,76 @@ class TestMoneroWalletFull extends TestMoneroWalletCommon {
         if (err) throw err;
       });
       
+      if (!testConfig.liteMode && (testConfig.testNonRelays || testConfig.testRelays))
+      it("Can coordinate offline signing with bundles between in-memory wallets", async function() {
+        
+        // wait for txs to confirm and for sufficient unlocked balance
+        await TestUtils.WALLET_TX_TRACKER.waitForWalletTxsToClearPool(that.wallet);
+        await TestUtils.WALLET_TX_TRACKER.waitForUnlockedBalance(that.wallet, 0, undefined, TestUtils.MAX_FEE.multiply(BigInteger.parse("4")));
+        
+        // create in-memory view-only and offline wallets
+        let viewOnlyWallet = await that.createWallet({path: "", primaryAddress: await that.wallet.getPrimaryAddress(), privateViewKey: await that.wallet.getPrivateViewKey(), restoreHeight: TestUtils.FIRST_RECEIVE_HEIGHT});
+        let offlineWallet = await that.createWallet({path: "", primaryAddress: await that.wallet.getPrimaryAddress(), privateViewKey: await that.wallet.getPrivateViewKey(), privateSpendKey: await that.wallet.getPrivateSpendKey(), serverUri: TestUtils.OFFLINE_SERVER_URI, restoreHeight: 0});
+        let err;
+        try {
+          await viewOnlyWallet.sync();
+          let online = new MoneroOfflineSigningCoordinator(viewOnlyWallet);
+          let offline = new MoneroOfflineSigningCoordinator(offlineWallet);
+          
+          // exchange outputs and key images
+          let outputsBundle = await online.exportOutputs();
+          assert.equal(MoneroOfflineSigningCoordinator.getBundleType(outputsBundle), MoneroOfflineSigningCoordinator.BUNDLE_TYPE_OUTPUTS);
+          let keyImagesBundle = await offline.importOutputs(outputsBundle);
+          assert.equal(MoneroOfflineSigningCoordinator.getBundleType(keyImagesBundle), MoneroOfflineSigningCoordinator.BUNDLE_TYPE_KEY_IMAGES);
+          await online.importKeyImages(keyImagesBundle);
+          assert.equal((await viewOnlyWallet.getBalance()).toString(), (await that.wallet.getBalance()).toString());
+          
+          // create, describe, and sign txs
+          let amount = TestUtils.MAX_FEE.multiply(BigInteger.parse("3"));
+          let unsignedTxsBundle = await online.createTxs({accountIndex: 0, address: await that.wallet.getPrimaryAddress(), amount: amount});
+          let txSet = await offline.describeTxs(unsignedTxsBundle);
+          assert(txSet.getTxs().length > 0);
+          assert.equal(txSet.getTxs()[0].getOutgoingTransfer().getDestinations()[0].getAmount().toString(), amount.toString());
+          let signedTxsBundle = await offline.signTxs(unsignedTxsBundle);
+          assert.equal(MoneroOfflineSigningCoordinator.getBundleType(signedTxsBundle), MoneroOfflineSigningCoordinator.BUNDLE_TYPE_SIGNED_TXS);
+          
+          // bundles are validated
+          await testBundleError(() => offline.signTxs(outputsBundle), "Expected unsignedTxs bundle but got outputs bundle");
+          await testBundleError(() => online.signTxs(unsignedTxsBundle), "Wallet must have the private spend key to perform this step");
+          await testBundleError(() => online.submitTxs(signedTxsBundle.replace(/"signedTxHex":"(.)/, (match, c) => match.slice(0, -1) + (c === "0" ? "1" : "0"))), "Offline signing bundle checksum does not match; the bundle is corrupt");
+          let otherWallet = await that.createWallet({path: "", networkType: TestUtils.NETWORK_TYPE});
+          try {
+            await testBundleError(() => new MoneroOfflineSigningCoordinator(otherWallet).importOutputs(outputsBundle), "Bundle is for a different wallet: " + await that.wallet.getPrimaryAddress());
+          } finally {
+            await that.closeWallet(otherWallet);
+          }
+          
+          // submit signed txs
+          if (testConfig.testRelays) {
+            let txHashes = await online.submitTxs(signedTxsBundle);
+            assert.equal(txHashes.length, 1);
+            assert.equal(txHashes[0].length, 64);
+            await TestUtils.WALLET_TX_TRACKER.waitForWalletTxsToClearPool(viewOnlyWallet); // wait for confirmation for other tests
+          }
+        } catch (e) {
+          err = e;
+        }
+        
+        // finally
+        await that.closeWallet(viewOnlyWallet);
+        await that.closeWallet(offlineWallet);
+        if (err) throw err;
+        
+        async function testBundleError(fn, errMsg) {
+          try {
+            await fn();
+            throw new Error("Should have thrown error");
+          } catch (e) {
+            assert.equal(e.message, errMsg);
+          }
+        }
+      });
+      
       if (!testConfig.liteMode)
       it("Is compatible with monero-wallet-rpc multisig wallets", async function() {
         
@@ -1035,6 +1130,194 @@ class TestMoneroWalletFull extends TestMoneroWalletCommon {
         if (err) throw err;
       });
       
+      if (testConfig.testNonRelays)
+      it("Can create and open wallets by type with the wallet factory", async function() {
+        let err;
+        let wallet;
+        try {
+          
+          // create full wallet
+          let path = TestMoneroWalletFull._getRandomWalletPath();
+          wallet = await MoneroWallet.create({type: "full", path: path, password: TestUtils.WALLET_PASSWORD, networkType: TestUtils.NETWORK_TYPE, seed: TestUtils.SEED, restoreHeight: TestUtils.FIRST_RECEIVE_HEIGHT, serverUri: TestUtils.OFFLINE_SERVER_URI, proxyToWorker: TestUtils.PROXY_TO_WORKER, fs: TestUtils.getDefaultFs()});
+          assert.equal(await wallet.getPrimaryAddress(), TestUtils.ADDRESS);
+          await wallet.close(true);
+          
+          // open full wallet
+          wallet = await MoneroWallet.open({type: "full", path: path, password: TestUtils.WALLET_PASSWORD, networkType: TestUtils.NETWORK_TYPE, proxyToWorker: TestUtils.PROXY_TO_WORKER, fs: TestUtils.getDefaultFs()});
+          assert.equal(await wallet.getSeed(), TestUtils.SEED);
+          await wallet.close();
+          wallet = undefined;
+          
+          // create keys-only wallet
+          let walletKeys = await MoneroWallet.create({type: "keys", networkType: TestUtils.NETWORK_TYPE, seed: TestUtils.SEED});
+          assert(walletKeys instanceof MoneroWalletKeys);
+          assert.equal(await walletKeys.getPrimaryAddress(), TestUtils.ADDRESS);
+          
+          // reject configs which are invalid for the wallet type
+          let invalidConfigs = [
+            [true, {networkType: TestUtils.NETWORK_TYPE}, "Must provide wallet type 'full', 'keys' or 'rpc' but got 'undefined'"],
+            [true, {type: "full", path: path}, "Must provide a networkType: 'mainnet', 'testnet' or 'stagenet'"],
+            [true, {type: "full", networkType: TestUtils.NETWORK_TYPE, seed: TestUtils.SEED, primaryAddress: TestUtils.ADDRESS}, "Wallet may be initialized with a seed or keys but not both"],
+            [true, {type: "keys", networkType: TestUtils.NETWORK_TYPE, path: path}, "Cannot specify 'path' when creating keys wallet"],
+            [true, {type: "rpc", rpc: TestUtils.WALLET_RPC_CONFIG, path: "wallet", networkType: TestUtils.NETWORK_TYPE}, "Cannot specify 'networkType' when creating rpc wallet"],
+            [true, {type: "rpc", path: "wallet"}, "Must provide rpc connection to monero-wallet-rpc to create rpc wallet"],
+            [false, {type: "keys", networkType: TestUtils.NETWORK_TYPE}, "Cannot open keys wallet; create it from a seed or keys instead"],
+            [false, {type: "full", path: path, networkType: TestUtils.NETWORK_TYPE, seed: TestUtils.SEED}, "Cannot specify 'seed' when opening full wallet"],
+            [false, {type: "rpc", rpc: TestUtils.WALLET_RPC_CONFIG, path: "wallet", fs: TestUtils.getDefaultFs()}, "Cannot specify 'fs' when opening rpc wallet"]
+          ];
+          for (let [isCreate, config, message] of invalidConfigs) {
+            try {
+              await (isCreate ? MoneroWallet.create(config) : MoneroWallet.open(config));
+              throw new Error("Should have rejected config: " + message);
+            } catch (e) {
+              assert.equal(e.message, message);
+            }
+          }
+          assert(MoneroWallet.FACTORY_FIELDS.full.create.includes("isMultisig"));
+        } catch (e) {
+          err = e;
+        }
+        
+        // final cleanup
+        if (wallet) await wallet.close();
+        if (err) throw err;
+      });
+      
+      if (testConfig.testNonRelays)
+      it("Can be saved to and opened from a custom storage", async function() {
+        let err;
+        let wallet;
+        try {
+          
+          // create in-memory storage
+          let storage = new class extends MoneroWalletStorage {
+            constructor() {
+              super();
+              this.wallets = new Map();
+            }
+            async exists(path) { return this.wallets.has(path); }
+            async load(path) { return this.wallets.get(path); }
+            async save(path, keysData, cacheData) { this.wallets.set(path, [keysData, cacheData]); }
+            async delete(path) { this.wallets.delete(path); }
+          }
+          
+          // create wallet in storage
+          let path1 = GenUtils.getUUID();
+          wallet = await that.createWallet({path: path1, storage: storage});
+          let seed = await wallet.getSeed();
+          assert(await storage.exists(path1));
+          assert(!MoneroWalletFull.walletExists(path1, TestUtils.getDefaultFs()));
+          
+          // cannot create wallet at same path
+          try {
+            await that.createWallet({path: path1, storage: storage});
+            throw new Error("Should have failed to create wallet which already exists");
+          } catch (e) {
+            assert.equal(e.message, "Wallet already exists: " + path1);
+          }
+          
+          // save and re-open wallet from storage
+          await wallet.setAttribute("mykey", "myval1");
+          await wallet.close(true);
+          wallet = await that.openWallet({path: path1, storage: storage});
+          assert.equal(await wallet.getSeed(), seed);
+          assert.equal(await wallet.getAttribute("mykey"), "myval1");
+          
+          // move wallet within storage
+          let path2 = GenUtils.getUUID();
+          await wallet.moveTo(path2);
+          assert(!(await storage.exists(path1)));
+          assert(await storage.exists(path2));
+          await wallet.close();
+          wallet = await that.openWallet({path: path2, storage: storage});
+          assert.equal(await wallet.getSeed(), seed);
+          
+          // cannot specify both file system and storage
+          try {
+            await that.openWallet({path: path2, storage: storage, fs: TestUtils.getDefaultFs()});
+            throw new Error("Should have failed to open wallet with file system and storage");
+          } catch (e) {
+            assert.equal(e.message, "Cannot specify both file system and storage");
+          }
+        } catch (e) {
+          err = e;
+        }
+        
+        // final cleanup
+        if (wallet) await wallet.close();
+        if (err) throw err;
+      });
+      
+      if (testConfig.testNonRelays)
+      it("Can recover from corrupt wallet files", async function() {
+        let err;
+        let wallet;
+        let fs = TestUtils.getDefaultFs();
+        try {
+          
+          // create wallet and save twice to create a backup
+          let path = TestMoneroWalletFull._getRandomWalletPath();
+          wallet = await that.createWallet({path: path});
+          let seed = await wallet.getSeed();
+          await wallet.setAttribute("mykey", "myval1");
+          await wallet.save();
+          await wallet.setAttribute("mykey", "myval2");
+          await wallet.close(true);
+          assert(fs.existsSync(path + ".manifest"));
+          assert(fs.existsSync(path + ".bak1.keys"));
+          
+          // intact wallet opens without recovery
+          wallet = await that.openWallet({path: path});
+          assert.equal(await wallet.getRecovery(), undefined);
+          assert.equal(await wallet.getAttribute("mykey"), "myval2");
+          await wallet.close();
+          
+          // interrupted save is rolled back
+          fs.writeFileSync(path + ".new.keys", "partial keys");
+          wallet = await that.openWallet({path: path});
+          assert.equal(await wallet.getRecovery(), undefined);
+          assert(!fs.existsSync(path + ".new.keys"));
+          await wallet.close();
+          
+          // corrupt cache recovers most recent backup
+          fs.writeFileSync(path, "corrupt cache");
+          wallet = await that.openWallet({path: path});
+          let recovery = await wallet.getRecovery();
+          assert.equal(recovery.getBackupIndex(), 1);
+          assert.equal(recovery.isKeysOnly(), false);
+          assert.equal(recovery.getReason(), "Cache file does not match manifest");
+          assert.equal(await wallet.getSeed(), seed);
+          assert.equal(fs.readFileSync(path).toString(), "corrupt cache"); // recovered wallet is not saved on open
+          assert(fs.existsSync(path + ".bak2.keys"));
+          await wallet.close();
+          
+          // corrupt cache without intact backup recovers keys only
+          for (let cachePath of [path, path + ".bak1", path + ".bak2"]) if (fs.existsSync(cachePath)) fs.writeFileSync(cachePath, "corrupt cache");
+          wallet = await that.openWallet({path: path});
+          recovery = await wallet.getRecovery();
+          assert.equal(recovery.getBackupIndex(), undefined);
+          assert.equal(recovery.isKeysOnly(), true);
+          assert.equal(await wallet.getSeed(), seed);
+          await wallet.close();
+          
+          // corrupt keys without intact backup cannot be opened
+          fs.writeFileSync(path + ".keys", "corrupt keys");
+          wallet = undefined;
+          try {
+            wallet = await that.openWallet({path: path});
+            throw new Error("Should have failed to open wallet with corrupt keys");
+          } catch (e) {
+            assert.equal(e.message, "Wallet at path " + path + " is corrupt and has no intact backup: Keys file does not match manifest");
+          }
+        } catch (e) {
+          err = e;
+        }
+        
+        // final cleanup
+        if (wallet) await wallet.close();
+        if (err) throw err;
+      });
+      
       if (testConfig.testNonRelays)
       it("Can be moved", async function() {
         let err;
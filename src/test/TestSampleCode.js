@@ -157,6 +157,14 @@ class TestSampleCode {
         // check status of all connections
         await connectionManager.checkConnections();
         
+        // spread read requests across healthy connections and hedge slow requests
+        connectionManager.setBalancing({
+          mode: MoneroConnectionManager.BALANCING_WEIGHTED,
+          hedgeDelayInMs: 500,
+          routes: [{methods: ["get_transaction_pool"], mode: MoneroConnectionManager.BALANCING_CURRENT}]
+        });
+        let daemon = await monerojs.connectToDaemonRpc({connectionManager: connectionManager});
+        
         // get connections in order of current connection, online status from last check, priority, and name
         let connections = connectionManager.getConnections();
         
@@ -0,0 +1,89 @@
+// Compiled by TestMoneroTypes to verify the type declarations in index.d.ts.
+// This file is type-checked only and never run.
+
+import * as monerojs from "../../../index";
+import {BigInteger, MoneroNetworkType, MoneroTxConfig, MoneroTxPriority, MoneroTxQuery, MoneroTxWallet, MoneroWallet, MoneroWalletFull, MoneroWalletListener, MoneroWalletRpc} from "../../../index";
+
+async function sample(): Promise<void> {
+
+  // connect to daemon
+  let daemon: monerojs.MoneroDaemonRpc = await monerojs.connectToDaemonRpc("http://localhost:38081", "superuser", "abctesting123");
+  let height: number = await daemon.getHeight();
+  let txsInPool: monerojs.MoneroTx[] = await daemon.getTxPool();
+  let feeEstimate = await daemon.getFeeEstimate();
+  let fee: BigInteger = feeEstimate.getFee();
+
+  // connect to wallet rpc and open wallet by path or config
+  let walletRpc: MoneroWalletRpc = await monerojs.connectToWalletRpc({uri: "http://localhost:38084", username: "rpc_user", password: "abc123"});
+  await walletRpc.openWallet("sample_wallet_rpc", "supersecretpassword123");
+  await walletRpc.openWallet({path: "sample_wallet_rpc", password: "supersecretpassword123"});
+  let accounts: monerojs.MoneroAccount[] = await walletRpc.getAccounts(true, undefined, true);
+  let primaryAddress: string = await walletRpc.getPrimaryAddress();
+
+  // create full wallet
+  let walletFull: MoneroWalletFull = await monerojs.createWalletFull({
+    path: "./test_wallets/sample_wallet_full",
+    password: "supersecretpassword123",
+    networkType: "stagenet",
+    serverUri: "http://localhost:38081",
+    serverUsername: "superuser",
+    serverPassword: "abctesting123",
+    seed: "hefty value scenic...",
+    restoreHeight: 573936
+  });
+
+  // open full wallet by path or config
+  walletFull = await monerojs.openWalletFull("./test_wallets/sample_wallet_full", "supersecretpassword123", MoneroNetworkType.STAGENET, "http://localhost:38081");
+  walletFull = await monerojs.openWalletFull({path: "./test_wallets/sample_wallet_full", password: "supersecretpassword123", networkType: MoneroNetworkType.STAGENET});
+
+  // open wallet by type
+  let wallet: MoneroWallet = await MoneroWallet.open({type: "rpc", rpc: "http://localhost:38084", path: "sample_wallet_rpc", password: "supersecretpassword123"});
+  walletRpc = await MoneroWallet.open({type: "rpc", rpc: "http://localhost:38084", path: "sample_wallet_rpc", password: "supersecretpassword123"});
+  walletFull = await MoneroWallet.create({type: "full", path: "./test_wallets/sample_wallet_full2", password: "supersecretpassword123", networkType: "stagenet"});
+
+  // synchronize with progress notifications
+  await walletFull.sync(new class extends MoneroWalletListener {
+    async onSyncProgress(height: number, startHeight: number, endHeight: number, percentDone: number, message: string) {
+      // feed a progress bar?
+    }
+  }, 573936);
+
+  // query transactions and balances
+  let balance: BigInteger = await walletFull.getBalance();
+  let txs: MoneroTxWallet[] = await walletFull.getTxs(new MoneroTxQuery().setIsConfirmed(true).setIncludeOutputs(true));
+  let txHeight: number | undefined = txs.length ? txs[0].getHeight() : undefined;
+  let incomingAmount: BigInteger | undefined = txs.length ? txs[0].getIncomingAmount() : undefined;
+
+  // page through transactions newest first
+  txs = await walletFull.getTxs(new MoneroTxQuery().setSortDescending(true).setOffset(0).setLimit(10));
+  let txIterator: AsyncIterableIterator<MoneroTxWallet> = walletFull.iterateTxs({isConfirmed: true}, 50);
+  let nextTx: IteratorResult<MoneroTxWallet> = await txIterator.next();
+
+  // create transactions with a config or equivalent object
+  let createdTx: MoneroTxWallet = await walletFull.createTx({
+    accountIndex: 0,
+    address: await walletFull.getAddress(1, 0),
+    amount: "250000000000",
+    priority: MoneroTxPriority.ELEVATED,
+    relay: false
+  });
+  let createdTxs: MoneroTxWallet[] = await walletFull.createTxs(new MoneroTxConfig()
+      .setAccountIndex(0)
+      .addDestination(await walletFull.getAddress(1, 0), new BigInteger("250000000000"))
+      .setRelay(false));
+  let txHash: string = await walletFull.relayTx(createdTx);
+
+  // compute with big integers
+  let total: BigInteger = createdTxs.reduce((sum, tx) => sum.add(tx.getFee()), BigInteger.ZERO);
+  let isLess: boolean = total.compare(balance) < 0;
+
+  // narrow with utilities
+  let ringSize: unknown = MoneroWalletFull.DEFAULT_RING_SIZE;
+  monerojs.GenUtils.assertInt(ringSize, "Ring size must be an integer");
+  let numDecoys: number = ringSize - 1;
+
+  // close wallets
+  await walletFull.close(true);
+  await walletRpc.close();
+  await wallet.close();
+}
@@ -0,0 +1,106 @@
+/**
+ * Minimal HTTP server which stands in for a flaky RPC endpoint in tests.
+ *
+ * Each request is answered by the next queued response, or by the responder
+ * or default response once the queue is empty.
+ */
+class FakeRpcServer {
+
+  constructor() {
+    this._responses = [];
+    this._requests = [];
+    this._defaultResponse = {statusCode: 200, result: {status: "OK"}};
+  }
+
+  /**
+   * Start listening on a free local port.
+   *
+   * @return {Promise<string>} the uri of the server
+   */
+  async start() {
+    let that = this;
+    this._server = require("http").createServer(function(req, res) { that._onRequest(req, res); });
+    await new Promise(function(resolve) { that._server.listen(0, "127.0.0.1", resolve); });
+    return this.getUri();
+  }
+
+  getUri() {
+    return "http://127.0.0.1:" + this._server.address().port;
+  }
+
+  /**
+   * Queue responses to the next requests.
+   *
+   * @param {...object} responses - responses with a statusCode, a JSON RPC result or error, and an optional delayInMs, or {drop: true} to close the socket
+   * @return {FakeRpcServer} this server for chaining
+   */
+  queue(...responses) {
+    this._responses.push(...responses);
+    return this;
+  }
+
+  setDefaultResponse(response) {
+    this._defaultResponse = response;
+    return this;
+  }
+  
+  /**
+   * Answer requests which are not queued with a function of the request.
+   *
+   * @param {function} responder - returns a response for a request given as {path, method, params}, with a body to send a path response as is
+   * @return {FakeRpcServer} this server for chaining
+   */
+  setResponder(responder) {
+    this._responder = responder;
+    return this;
+  }
+
+  /**
+   * Get the requests received as {path, method, headers} where method is the JSON RPC method if applicable.
+   *
+   * @return {object[]} the requests received
+   */
+  getRequests() {
+    return this._requests;
+  }
+
+  async stop() {
+    let that = this;
+    await new Promise(function(resolve) { that._server.close(resolve); });
+  }
+
+  _onRequest(req, res) {
+    let that = this;
+    let body = "";
+    req.on("data", function(chunk) { body += chunk; });
+    req.on("end", function() {
+      let method;
+      let params;
+      try {
+        let json = JSON.parse(body);
+        if (req.url === "/json_rpc") {
+          method = json.method;
+          params = json.params;
+        } else {
+          params = json;
+        }
+      } catch (err) { }
+      that._requests.push({path: req.url, method: method, headers: req.headers});
+      let response = that._responses.length ? that._responses.shift() : that._responder ? that._responder({path: req.url, method: method, params: params}) : that._defaultResponse;
+      if (response.drop) {
+        req.socket.destroy();
+        return;
+      }
+      let json = {id: "0", jsonrpc: "2.0"};
+      if (response.body) json = response.body;
+      else if (response.error) json.error = response.error;
+      else json.result = response.result;
+      setTimeout(function() {
+        res.writeHead(response.statusCode === undefined ? 200 : response.statusCode, {"Content-Type": "application/json"});
+        res.end(JSON.stringify(json));
+      }, response.delayInMs || 0);
+    });
+  }
+}
+
+module.exports = FakeRpcServer;
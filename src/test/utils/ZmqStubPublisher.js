@@ -0,0 +1,89 @@
+const MoneroZmqSubscriber = require("../../main/js/common/MoneroZmqSubscriber");
+
+/**
+ * Minimal ZMTP 3.0 publisher which stands in for monerod's --zmq-pub endpoint
+ * in tests.
+ */
+class ZmqStubPublisher {
+
+  constructor() {
+    this._connections = [];
+  }
+
+  /**
+   * Start listening on a free local port.
+   *
+   * @return {Promise<string>} the uri to subscribe to
+   */
+  async start() {
+    let that = this;
+    this._server = require("net").createServer(function(socket) { that._onConnection(socket); });
+    await new Promise(function(resolve) { that._server.listen(0, "127.0.0.1", resolve); });
+    return this.getUri();
+  }
+
+  getUri() {
+    return "tcp://127.0.0.1:" + this._server.address().port;
+  }
+
+  /**
+   * Wait until a subscriber is subscribed to the given topic.
+   *
+   * @param {string} topic - the topic to wait for
+   * @param {number} timeoutMs - maximum time to wait in ms (default 10000)
+   */
+  async awaitSubscription(topic, timeoutMs = 10000) {
+    let startTime = Date.now();
+    while (!this._connections.some(connection => connection.topics.includes(topic))) {
+      if (Date.now() - startTime > timeoutMs) throw new Error("Timeout waiting for subscription to " + topic);
+      await new Promise(function(resolve) { setTimeout(resolve, 50); });
+    }
+  }
+
+  /**
+   * Publish a message in monerod's "<topic>:<json>" format.
+   *
+   * @param {string} topic - the topic to publish to
+   * @param {object} json - the message to publish
+   */
+  publish(topic, json) {
+    let frame = MoneroZmqSubscriber._encodeFrame(Buffer.from(topic + ":" + JSON.stringify(json)), false, false);
+    for (let connection of this._connections) {
+      if (connection.topics.some(subscribed => topic.startsWith(subscribed))) connection.socket.write(frame);
+    }
+  }
+
+  async stop() {
+    for (let connection of this._connections) connection.socket.destroy();
+    this._connections = [];
+    let that = this;
+    await new Promise(function(resolve) { that._server.close(resolve); });
+  }
+
+  _onConnection(socket) {
+    let connection = {socket: socket, topics: [], buffer: Buffer.alloc(0), isGreeted: false};
+    this._connections.push(connection);
+    socket.on("error", function() { });
+    socket.on("close", () => {
+      let idx = this._connections.indexOf(connection);
+      if (idx >= 0) this._connections.splice(idx, 1);
+    });
+    socket.on("data", function(data) {
+      connection.buffer = Buffer.concat([connection.buffer, data]);
+      if (!connection.isGreeted) {
+        if (connection.buffer.length < MoneroZmqSubscriber.GREETING_LENGTH) return;
+        connection.buffer = connection.buffer.slice(MoneroZmqSubscriber.GREETING_LENGTH);
+        connection.isGreeted = true;
+        socket.write(MoneroZmqSubscriber._encodeGreeting(true));
+        socket.write(MoneroZmqSubscriber._encodeReady("PUB"));
+      }
+      let frame;
+      while ((frame = MoneroZmqSubscriber._decodeFrame(connection.buffer)) !== undefined) {
+        connection.buffer = connection.buffer.slice(frame.length);
+        if (!frame.isCommand && frame.body[0] === 1) connection.topics.push(frame.body.slice(1).toString());
+      }
+    });
+  }
+}
+
+module.exports = ZmqStubPublisher;
@@ -23,7 +23,7 @@ let configBase = {
       ]
     },
     devtool: 'source-map',
-    externals: ['worker_threads','ws','perf_hooks', 'child_process'], // exclude nodejs
+    externals: ['worker_threads','ws','perf_hooks', 'child_process', 'net'], // exclude nodejs
     plugins: [
       new webpack.ProvidePlugin({
         process: 'process/browser',
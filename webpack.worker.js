@@ -1,6 +1,7 @@
 "use strict"
 
 const path = require("path");
+const webpack = require("webpack");
 const configBase = require("./webpack.base.js");
 
 let configMoneroWebWorker = Object.assign({}, configBase, {
@@ -10,6 +11,9 @@ let configMoneroWebWorker = Object.assign({}, configBase, {
     path: path.resolve(__dirname, "dist"),
     filename: "monero_web_worker.js"
   },
+  plugins: configBase.plugins.concat([
+    new webpack.optimize.LimitChunkCountPlugin({maxChunks: 1}) // inline dynamically imported wasm modules into the worker
+  ]),
 });
 
 module.exports = configMoneroWebWorker;
\ No newline at end of file